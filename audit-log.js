@@ -0,0 +1,51 @@
+// Append-only audit log for security-relevant events (lockouts, unlocks, ...)
+// One JSON object per line in data/audit-log.jsonl
+
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './storage-paths.js';
+
+function auditFile() {
+  return dataPath('audit-log.jsonl');
+}
+
+/**
+ * Records an audit event
+ * @param {string} type - Event type (e.g. 'login_lockout')
+ * @param {Object} details - Event-specific fields
+ * @returns {Object} The stored event
+ */
+function recordAuditEvent(type, details = {}) {
+  const event = { at: new Date().toISOString(), type, ...details };
+  try {
+    fs.mkdirSync(path.dirname(auditFile()), { recursive: true });
+    fs.appendFileSync(auditFile(), JSON.stringify(event) + '\n');
+  } catch (err) {
+    console.error('❌ Error writing audit log:', err.message);
+  }
+  console.log(`📋 [audit] ${type}`, JSON.stringify(details));
+  return event;
+}
+
+/**
+ * Reads the most recent audit events, newest first
+ * @param {Object} options - { limit, type }
+ * @returns {Array<Object>}
+ */
+function readAuditEvents({ limit = 100, type = null } = {}) {
+  if (!fs.existsSync(auditFile())) return [];
+  const events = [];
+  const lines = fs.readFileSync(auditFile(), 'utf8').split('\n');
+  for (let i = lines.length - 1; i >= 0 && events.length < limit; i--) {
+    if (!lines[i]) continue;
+    try {
+      const event = JSON.parse(lines[i]);
+      if (!type || event.type === type) events.push(event);
+    } catch (_) {
+      // Skip a partially written line
+    }
+  }
+  return events;
+}
+
+export { recordAuditEvent, readAuditEvents };
@@ -9,6 +9,15 @@ import { fileURLToPath } from 'url';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import * as userStore from './user-store.js';
+import * as sessionRegistry from './session-registry.js';
+import { signToken, verifyToken, verifyAccessToken, parseCookies } from './auth-token.js';
+import * as upstreamAccounts from './upstream-accounts.js';
+import * as identityProviders from './identity-providers.js';
+import * as loginThrottle from './login-throttle.js';
+import { getTarget, upstreamUrl } from './upstream-target.js';
+import { recordAuditEvent, readAuditEvents } from './audit-log.js';
+import { requirePermission, hasPermission, API_KEY_SCOPES } from './authz.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,10 +28,6 @@ const __dirname = path.dirname(__filename);
 const authRouter = express.Router();
 const app = express();
 const PORT = process.env.PORT || 3000;
-const STORAGE_FILE = path.join(__dirname, 'heygen-storage.json');
-const COOKIES_FILE = path.join(__dirname, 'heygen-cookies.json');
-const USERS_FILE = path.join(__dirname, 'users.json');
-const AUTH_SECRET = process.env.AUTH_SECRET || 'dev-secret-change-me';
 
 // Middleware
 authRouter.use(express.json());
@@ -51,168 +56,209 @@ authRouter.use(cors({
   credentials: true
 }));
 
-// Session storage
+// Session storage (mirrors the primary upstream account for backward compatibility;
+// every account's cookies live in its own file, see upstream-accounts.js)
 let sessionCookies = null;
-let cookieExpiry = null;
 
-// Load saved HeyGen session if exists
+// Mirror the first account of the pool into sessionCookies
+function syncPrimarySession() {
+  const primary = upstreamAccounts.readAccountCookies(upstreamAccounts.getAccounts()[0].id);
+  sessionCookies = primary ? primary.cookies : null;
+}
+
+// Load saved HeyGen sessions of every upstream account
 function loadSession() {
-  if (fs.existsSync(COOKIES_FILE)) {
-    try {
-      const data = JSON.parse(fs.readFileSync(COOKIES_FILE, 'utf8'));
-      sessionCookies = data.cookies || data;
-      cookieExpiry = data.expiry || null;
-      
-      // Check if cookies are expired
-      if (cookieExpiry && Date.now() > cookieExpiry) {
-        console.log('⚠️  Cookies expired, will refresh on next request');
-        return false;
-      }
-      
-      console.log('✅ Loaded saved session');
-      return true;
-    } catch (err) {
-      console.error('❌ Error loading session:', err);
+  let loaded = 0;
+  for (const account of upstreamAccounts.getAccounts()) {
+    const data = upstreamAccounts.readAccountCookies(account.id);
+    if (!data) continue;
+    
+    // Check if cookies are expired
+    if (data.expiry && Date.now() > data.expiry) {
+      console.log(`⚠️  Cookies for upstream account ${account.id} expired, will refresh on next request`);
+      continue;
     }
+    loaded++;
   }
-  return false;
+  syncPrimarySession();
+  if (loaded > 0) {
+    console.log(`✅ Loaded saved session for ${loaded} upstream account(s)`);
+  }
+  return loaded > 0;
 }
 
-// Save HeyGen session with expiry
-function saveSession(cookies, expiryHours = 24) {
+// Save HeyGen session of an upstream account with expiry
+function saveSession(accountId, cookies, expiryHours = 24) {
   try {
     const expiry = Date.now() + (expiryHours * 60 * 60 * 1000);
-    const data = {
-      cookies: cookies,
-      expiry: expiry,
-      savedAt: new Date().toISOString()
-    };
-    fs.writeFileSync(COOKIES_FILE, JSON.stringify(data, null, 2));
-    sessionCookies = cookies;
-    cookieExpiry = expiry;
-    console.log('✅ Session saved (expires in', expiryHours, 'hours)');
+    upstreamAccounts.writeAccountCookies(accountId, cookies, expiry);
+    syncPrimarySession();
+    console.log(`✅ Session saved for upstream account ${accountId} (expires in`, expiryHours, 'hours)');
   } catch (err) {
     console.error('❌ Error saving session:', err);
   }
 }
 
-// Check if HeyGen session is authenticated and valid
-function isAuthenticated() {
-  if (!sessionCookies || sessionCookies.length === 0) {
-    return false;
+// Check if a HeyGen session is authenticated and valid
+// Without an accountId, true when at least one upstream account has a valid session
+function isAuthenticated(accountId = null) {
+  if (accountId) {
+    return upstreamAccounts.isAccountSessionValid(accountId);
   }
-  
-  // Check if cookies are expired
-  if (cookieExpiry && Date.now() > cookieExpiry) {
-    console.log('⚠️  Session expired');
-    return false;
+  return upstreamAccounts.getAccounts().some(a => upstreamAccounts.isAccountSessionValid(a.id));
+}
+
+// Earliest cookie expiry across the pool (ms), or null when any account has no session yet
+function earliestCookieExpiry() {
+  let earliest = Infinity;
+  for (const account of upstreamAccounts.getAccounts()) {
+    const data = upstreamAccounts.readAccountCookies(account.id);
+    if (!data || !data.expiry) return null;
+    earliest = Math.min(earliest, data.expiry);
   }
-  
-  return true;
+  return earliest;
 }
 
 // Load existing session on startup
 loadSession();
 
 // ============ Browser token helpers ============
-function base64url(input) {
-  return Buffer.from(input).toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+// Resolve the token payload, rejecting tokens whose session was revoked server-side
+function getUserFromRequest(req) {
+  return verifyAccessToken(parseCookies(req)['arena_token']);
 }
 
-function signToken(payload, expiresInSeconds = 7 * 24 * 60 * 60) { // 7 days
-  const header = { alg: 'HS256', typ: 'JWT' };
-  const now = Math.floor(Date.now() / 1000);
-  const body = { ...payload, iat: now, exp: now + expiresInSeconds };
-  const headerB64 = base64url(JSON.stringify(header));
-  const bodyB64 = base64url(JSON.stringify(body));
-  const data = `${headerB64}.${bodyB64}`;
-  const signature = crypto
-    .createHmac('sha256', AUTH_SECRET)
-    .update(data)
-    .digest('base64')
-    .replace(/=/g, '')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_');
-  return `${data}.${signature}`;
+// Validate user credentials (password is checked against the stored scrypt hash)
+function validateUser(email, password) {
+  return userStore.validateCredentials(email, password);
 }
 
-function verifyToken(token) {
+// Migrate any plaintext passwords left in users.json; servers wait for this before listening,
+// so no login runs against a half-migrated file
+const passwordMigration = userStore.migratePlaintextPasswords().catch(err => {
+  console.error('❌ Failed to migrate plaintext passwords:', err.message);
+});
+
+// Only allow requests carrying an admin browser token
+const requireAdmin = requirePermission('users:manage', getUserFromRequest);
+
+// Call an admin-only proxy endpoint using a short-lived service token
+async function notifyProxy(endpoint, data = {}, { timeout = 10000 } = {}) {
+  const serviceToken = signToken({ id: 'system', email: 'system@arenagen.internal', role: 'admin', service: true }, 60);
+  const requestContext = await pwRequest.newContext();
   try {
-    const [headerB64, bodyB64, sig] = token.split('.');
-    if (!headerB64 || !bodyB64 || !sig) return null;
-    const data = `${headerB64}.${bodyB64}`;
-    const expected = crypto
-      .createHmac('sha256', AUTH_SECRET)
-      .update(data)
-      .digest('base64')
-      .replace(/=/g, '')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_');
-    if (expected !== sig) return null;
-    const body = JSON.parse(Buffer.from(bodyB64.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
-    if (body.exp && Math.floor(Date.now() / 1000) > body.exp) return null;
-    return body;
-  } catch (_) {
-    return null;
+    // On Render, use the public URL. Locally, use 127.0.0.1
+    const port = process.env.PORT || 3000;
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://127.0.0.1:${port}`;
+    console.log(`🔗 Connecting to: ${baseUrl}/proxy${endpoint}`);
+    const response = await requestContext.post(`${baseUrl}/proxy${endpoint}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cookie': `arena_token=${serviceToken}`
+      },
+      data,
+      timeout
+    });
+    return await response.json();
+  } finally {
+    await requestContext.dispose();
   }
 }
 
-function parseCookies(req) {
-  const header = req.headers.cookie || '';
-  return header.split(';').reduce((acc, part) => {
-    const [k, ...rest] = part.trim().split('=');
-    if (!k) return acc;
-    acc[k] = decodeURIComponent(rest.join('='));
-    return acc;
-  }, {});
+// Ask the proxy to close browser contexts and sockets of revoked sessions (best effort)
+async function closeProxySessions(sessions) {
+  if (!sessions || sessions.length === 0) return;
+  try {
+    const result = await notifyProxy('/sessions/close', {
+      sessionKeys: sessions.map(sessionRegistry.toSessionKey)
+    });
+    console.log(`🧹 Proxy closed ${result.closed ?? 0} browser context(s) for revoked sessions`);
+  } catch (err) {
+    console.warn('⚠️  Could not notify proxy about revoked sessions:', err.message);
+  }
 }
 
-function getUserFromRequest(req) {
-  const cookies = parseCookies(req);
-  const token = cookies['arena_token'];
-  if (!token) return null;
-  return verifyToken(token);
-}
+// Refreshes currently running per upstream account: Map<accountId, Promise<boolean>>
+const accountRefreshes = new Map();
 
-// Load users from JSON file
-function loadUsers() {
-  try {
-    if (fs.existsSync(USERS_FILE)) {
-      const data = fs.readFileSync(USERS_FILE, 'utf8');
-      return JSON.parse(data);
+// Refresh upstream sessions using their credentials
+// Refreshes every account of the pool (or only `accountId`); accounts whose cookies are still
+// valid are skipped unless `force` is set. Fails only when none of them is healthy afterwards.
+async function refreshSession({ force = false, accountId = null } = {}) {
+  const accounts = accountId
+    ? [upstreamAccounts.getAccount(accountId)].filter(Boolean)
+    : upstreamAccounts.getAccounts();
+  if (accounts.length === 0) {
+    throw new Error(`Unknown upstream account: ${accountId}`);
+  }
+
+  const refreshed = [];
+  const failures = [];
+  for (const account of accounts) {
+    try {
+      // Join a refresh of the same account that is already running (login, monitor, rotation)
+      let pending = accountRefreshes.get(account.id);
+      if (!pending) {
+        pending = refreshAccountSession(account, { force }).finally(() => accountRefreshes.delete(account.id));
+        accountRefreshes.set(account.id, pending);
+      }
+      if (await pending) {
+        refreshed.push(account.id);
+      }
+    } catch (error) {
+      failures.push(`${account.id}: ${error.message}`);
     }
-    return { users: [] };
-  } catch (err) {
-    console.error('❌ Error loading users:', err);
-    return { users: [] };
   }
-}
 
-// Validate user credentials
-function validateUser(email, password) {
-  const usersData = loadUsers();
-  const user = usersData.users.find(u => u.email === email && u.password === password);
-  return user || null;
-}
+  if (refreshed.length > 0) {
+    // Reload the Playwright proxy browser contexts that use the refreshed accounts
+    console.log('🔄 Reloading Playwright proxy browser context...');
+    try {
+      const reloadData = await notifyProxy('/reload-context', { accountIds: refreshed });
+      
+      if (reloadData.success) {
+        console.log('✅ Playwright proxy browser context reloaded with fresh cookies');
+      } else {
+        console.warn('⚠️  Failed to reload browser context:', reloadData.error);
+      }
+    } catch (reloadError) {
+      console.warn('⚠️  Could not reload browser context:', reloadError.message);
+      console.log('   Browser will reload cookies on next restart');
+    }
+  }
 
+  if (!accounts.some(a => upstreamAccounts.isAccountHealthy(a.id))) {
+    throw new Error(failures.join('; ') || 'No upstream account could be refreshed');
+  }
+  if (failures.length > 0) {
+    console.warn(`⚠️  Some upstream accounts failed to refresh: ${failures.join('; ')}`);
+  }
+  return true;
+}
 
-// Refresh session using env credentials
-async function refreshSession() {
-  const email = process.env.HEYGEN_EMAIL;
-  const password = process.env.HEYGEN_PASSWORD;
+// Log a single upstream account in and save its cookies/storage
+// Returns false when the refresh was skipped because the session is still valid
+async function refreshAccountSession(account, { force = false } = {}) {
+  const { email, password } = account;
   
   if (!email || !password) {
-    throw new Error('HeyGen credentials not found in .env file');
+    const error = account.id === upstreamAccounts.DEFAULT_ACCOUNT_ID
+      ? 'HeyGen credentials not found in .env file'
+      : `Upstream account ${account.id} has no credentials`;
+    upstreamAccounts.setAccountHealth(account.id, { healthy: false, error });
+    throw new Error(error);
   }
   
   // Check if we already have valid cookies - if so, skip refresh
-  if (isAuthenticated()) {
-    const timeUntilExpiry = Math.floor((cookieExpiry - Date.now()) / (60 * 60 * 1000));
-    console.log(`✅ Valid session already exists (expires in ~${timeUntilExpiry} hours) - skipping refresh`);
-    return true;
+  if (!force && isAuthenticated(account.id)) {
+    const { expiry } = upstreamAccounts.readAccountCookies(account.id);
+    const timeUntilExpiry = expiry ? Math.floor((expiry - Date.now()) / (60 * 60 * 1000)) : '?';
+    console.log(`✅ Valid session already exists for ${account.id} (expires in ~${timeUntilExpiry} hours) - skipping refresh`);
+    return false;
   }
   
-  console.log('🔄 Refreshing HeyGen session with credentials from .env');
+  console.log(`🔄 Refreshing HeyGen session for upstream account ${account.id}`);
   
   let browser;
   try {
@@ -272,7 +318,7 @@ async function refreshSession() {
     });
     
     console.log('📱 Navigating to HeyGen login...');
-    await page.goto('https://app.heygen.com/login', { 
+    await page.goto(upstreamUrl('/login'), { 
       waitUntil: 'domcontentloaded',
       timeout: 30000 
     });
@@ -310,7 +356,7 @@ async function refreshSession() {
     await page.waitForLoadState('domcontentloaded', { timeout: 30000 });
 
     // Poll for the URL to change to /home (handles headless mode better)
-    console.log('⏳ Waiting for app.heygen.com/home...');
+    console.log(`⏳ Waiting for ${upstreamUrl('/home')}...`);
     let currentUrl = page.url();
     let attempts = 0;
     const maxAttempts = 12; // 12 * 5 seconds = 60 seconds total
@@ -347,42 +393,18 @@ async function refreshSession() {
     const cookies = await context.cookies();
     
     // Save session
-    await context.storageState({ path: STORAGE_FILE });
-    saveSession(cookies, 24); // 24 hour expiry
+    await context.storageState({ path: account.storageFile });
+    saveSession(account.id, cookies, 24); // 24 hour expiry
+    upstreamAccounts.setAccountHealth(account.id, { healthy: true });
     
-    console.log('✅ HeyGen session refreshed successfully!');
+    console.log(`✅ HeyGen session refreshed successfully for ${account.id}!`);
     
     await browser.close();
     
-    // Reload the Playwright proxy browser context with fresh cookies
-    console.log('🔄 Reloading Playwright proxy browser context...');
-    try {
-      const requestContext = await pwRequest.newContext();
-      // On Render, use the public URL. Locally, use 127.0.0.1
-      const port = process.env.PORT || 3000;
-      const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://127.0.0.1:${port}`;
-      console.log(`🔗 Connecting to: ${baseUrl}/proxy/reload-context`);
-      const reloadResponse = await requestContext.post(`${baseUrl}/proxy/reload-context`, {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 10000
-      });
-      
-      const reloadData = await reloadResponse.json();
-      await requestContext.dispose();
-      
-      if (reloadData.success) {
-        console.log('✅ Playwright proxy browser context reloaded with fresh cookies');
-      } else {
-        console.warn('⚠️  Failed to reload browser context:', reloadData.error);
-      }
-    } catch (reloadError) {
-      console.warn('⚠️  Could not reload browser context:', reloadError.message);
-      console.log('   Browser will reload cookies on next restart');
-    }
-    
     return true;
   } catch (error) {
-    console.error('❌ Failed to refresh HeyGen session:', error.message);
+    console.error(`❌ Failed to refresh HeyGen session for ${account.id}:`, error.message);
+    upstreamAccounts.setAccountHealth(account.id, { healthy: false, error: error.message });
     if (browser) {
       await browser.close();
     }
@@ -390,6 +412,480 @@ async function refreshSession() {
   }
 }
 
+// ============ Upstream health monitor ============
+// Periodically validates every upstream account with a cheap authenticated request and refreshes
+// sessions that were rejected or expire soon, backing off exponentially when a refresh fails.
+
+// Any authenticated HeyGen endpoint works; 401/403 or a redirect to /login means the cookies are dead
+const UPSTREAM_HEALTH_URL = process.env.UPSTREAM_HEALTH_URL || 'https://api2.heygen.com/v1/pacific/account.get';
+// UPSTREAM_HEALTH_INTERVAL_MS=0 disables the monitor
+const UPSTREAM_HEALTH_INTERVAL_MS = process.env.UPSTREAM_HEALTH_INTERVAL_MS !== undefined
+  ? parseInt(process.env.UPSTREAM_HEALTH_INTERVAL_MS, 10) || 0
+  : 5 * 60 * 1000;
+const UPSTREAM_REFRESH_MARGIN_MS = parseInt(process.env.UPSTREAM_REFRESH_MARGIN_MS, 10) || 2 * 60 * 60 * 1000;
+const UPSTREAM_RETRY_BASE_MS = 60 * 1000;
+const UPSTREAM_RETRY_MAX_MS = 30 * 60 * 1000;
+
+const healthMonitor = {
+  timer: null,
+  running: false,
+  lastRunAt: null,
+  nextRunAt: null,
+  // Map<accountId, { failures, nextAttemptAt, lastError }>
+  retries: new Map()
+};
+
+// Validate an account's saved cookies against HeyGen
+async function checkAccountSession(account) {
+  const data = upstreamAccounts.readAccountCookies(account.id);
+  if (!data || data.cookies.length === 0) {
+    return { result: 'unauthorized', status: null, error: 'No saved cookies' };
+  }
+
+  // storageState needs fully specified cookies; fill in what hand-edited files may omit
+  const cookies = data.cookies.map(c => ({ expires: -1, httpOnly: false, secure: false, sameSite: 'Lax', path: '/', ...c }));
+  let requestContext = null;
+  try {
+    requestContext = await pwRequest.newContext({ storageState: { cookies, origins: [] } });
+    const response = await requestContext.get(UPSTREAM_HEALTH_URL, {
+      headers: {
+        'origin': getTarget(),
+        'referer': upstreamUrl('/home'),
+        'accept': 'application/json, text/plain, */*'
+      },
+      maxRedirects: 0,
+      timeout: 15000
+    });
+    const status = response.status();
+    const location = response.headers()['location'] || '';
+    if (status === 401 || status === 403 || (status >= 300 && status < 400 && location.includes('/login'))) {
+      return { result: 'unauthorized', status, error: `Session rejected by HeyGen (HTTP ${status})` };
+    }
+    if (!response.ok()) {
+      return { result: 'error', status, error: `Unexpected HTTP ${status}` };
+    }
+    return { result: 'ok', status };
+  } catch (err) {
+    return { result: 'error', status: null, error: err.message };
+  } finally {
+    if (requestContext) await requestContext.dispose();
+  }
+}
+
+// One pass over the pool: validate, refresh when needed, schedule retries on failure
+async function runUpstreamHealthCheck() {
+  if (healthMonitor.running || upstreamRotationInProgress) return;
+  healthMonitor.running = true;
+
+  try {
+    for (const account of upstreamAccounts.getAccounts()) {
+      const retry = healthMonitor.retries.get(account.id);
+      if (retry && Date.now() < retry.nextAttemptAt) continue;
+
+      const data = upstreamAccounts.readAccountCookies(account.id);
+      let reason = null;
+      if (!data || !data.expiry || Date.now() + UPSTREAM_REFRESH_MARGIN_MS >= data.expiry) {
+        reason = 'expiring soon';
+      } else {
+        const check = await checkAccountSession(account);
+        upstreamAccounts.recordHealthCheck(account.id, check);
+        if (check.result === 'unauthorized') {
+          reason = check.error;
+        } else if (check.result === 'error') {
+          console.warn(`⚠️  Health check for upstream account ${account.id} failed: ${check.error}`);
+        }
+      }
+
+      if (!reason) {
+        healthMonitor.retries.delete(account.id);
+        continue;
+      }
+
+      console.log(`🩺 Refreshing upstream account ${account.id} (${reason})`);
+      try {
+        await refreshSession({ force: true, accountId: account.id });
+        healthMonitor.retries.delete(account.id);
+      } catch (error) {
+        const failures = (retry?.failures || 0) + 1;
+        const delay = Math.min(UPSTREAM_RETRY_BASE_MS * 2 ** (failures - 1), UPSTREAM_RETRY_MAX_MS);
+        healthMonitor.retries.set(account.id, { failures, nextAttemptAt: Date.now() + delay, lastError: error.message });
+        console.warn(`⚠️  Refresh of upstream account ${account.id} failed (attempt ${failures}), retrying in ${Math.round(delay / 1000)}s`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Upstream health check failed:', error.message);
+  } finally {
+    healthMonitor.running = false;
+    healthMonitor.lastRunAt = Date.now();
+  }
+}
+
+// Run at the regular interval, or earlier when a retry is due
+function scheduleNextHealthCheck(delay = UPSTREAM_HEALTH_INTERVAL_MS) {
+  for (const retry of healthMonitor.retries.values()) {
+    delay = Math.min(delay, Math.max(retry.nextAttemptAt - Date.now(), 1000));
+  }
+  healthMonitor.nextRunAt = Date.now() + delay;
+  healthMonitor.timer = setTimeout(async () => {
+    await runUpstreamHealthCheck();
+    scheduleNextHealthCheck();
+  }, delay);
+  healthMonitor.timer.unref();
+}
+
+/**
+ * Starts the upstream health monitor (call once the proxy is reachable, it is notified after refreshes)
+ * @param {number} initialDelayMs - Delay before the first check
+ * @returns {boolean} false when disabled via UPSTREAM_HEALTH_INTERVAL_MS=0
+ */
+function startUpstreamHealthMonitor(initialDelayMs = 10000) {
+  if (UPSTREAM_HEALTH_INTERVAL_MS <= 0) {
+    console.log('🩺 Upstream health monitor disabled');
+    return false;
+  }
+  if (healthMonitor.timer) return true;
+  console.log(`🩺 Upstream health monitor started (every ${Math.round(UPSTREAM_HEALTH_INTERVAL_MS / 1000)}s)`);
+  scheduleNextHealthCheck(initialDelayMs);
+  return true;
+}
+
+function stopUpstreamHealthMonitor() {
+  if (healthMonitor.timer) {
+    clearTimeout(healthMonitor.timer);
+    healthMonitor.timer = null;
+    healthMonitor.nextRunAt = null;
+  }
+}
+
+// Pool health for /api/status (details only for admins)
+function getUpstreamHealth(includeDetails) {
+  const accounts = upstreamAccounts.listAccountStatus();
+  const health = { healthy: accounts.some(a => a.healthy) };
+  if (!includeDetails) return health;
+
+  return {
+    ...health,
+    monitor: {
+      enabled: !!healthMonitor.timer,
+      intervalMs: UPSTREAM_HEALTH_INTERVAL_MS,
+      lastRunAt: healthMonitor.lastRunAt ? new Date(healthMonitor.lastRunAt).toISOString() : null,
+      nextRunAt: healthMonitor.nextRunAt ? new Date(healthMonitor.nextRunAt).toISOString() : null
+    },
+    accounts: accounts.map(account => {
+      const retry = healthMonitor.retries.get(account.id);
+      return {
+        ...account,
+        refreshFailures: retry ? retry.failures : 0,
+        nextRefreshAttemptAt: retry ? new Date(retry.nextAttemptAt).toISOString() : null
+      };
+    })
+  };
+}
+
+// ============ Session issuance ============
+
+// Short-lived access token (arena_token) plus a rotating refresh token (arena_refresh).
+// The refresh cookie is only sent to the auth API, never to the proxy.
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const REFRESH_COOKIE_PATH = '/auth/api';
+
+function signAccessToken(user, sessionId) {
+  return signToken({ 
+    id: user.id, 
+    email: user.email, 
+    username: user.username, 
+    role: user.role,
+    sessionId: sessionId // Add unique session ID to allow concurrent logins
+  }, ACCESS_TOKEN_TTL_SECONDS);
+}
+
+function buildCookie(name, value, { path = '/', maxAge }) {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return [
+    `${name}=${value}`,
+    'HttpOnly',
+    `Path=${path}`,
+    isProduction ? 'SameSite=None' : 'SameSite=Lax',
+    isProduction ? 'Secure' : '',
+    `Max-Age=${maxAge}`
+  ].filter(Boolean).join('; ');
+}
+
+// Set the access token and (when rotated) the refresh token cookies
+function setAuthCookies(res, { accessToken, refreshToken = null }) {
+  const cookies = [buildCookie('arena_token', accessToken, { maxAge: ACCESS_TOKEN_TTL_SECONDS })];
+  if (refreshToken) {
+    cookies.push(buildCookie('arena_refresh', refreshToken, { path: REFRESH_COOKIE_PATH, maxAge: REFRESH_TOKEN_TTL_SECONDS }));
+  }
+  res.append('Set-Cookie', cookies);
+}
+
+function clearAuthCookies(res) {
+  res.append('Set-Cookie', [
+    buildCookie('arena_token', '', { maxAge: 0 }),
+    buildCookie('arena_refresh', '', { path: REFRESH_COOKIE_PATH, maxAge: 0 })
+  ]);
+}
+
+/**
+ * Starts a browser session for an authenticated user: makes sure the upstream session is
+ * usable, then registers the session and sets the access/refresh token cookies
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Stored user record
+ * @returns {Promise<boolean>} false when the upstream session could not be established
+ */
+async function startSession(req, res, user) {
+  // Check if HeyGen cookies need refresh (only if an account expires within 2 hours)
+  const TWO_HOURS = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
+  const expiry = earliestCookieExpiry();
+  const needsRefresh = !expiry || (Date.now() + TWO_HOURS) >= expiry;
+  
+  if (needsRefresh) {
+    console.log('🔄 Session expiring soon or missing, refreshing...');
+    try {
+      await refreshSession();
+    } catch (refreshError) {
+      console.error('❌ Failed to refresh session:', refreshError.message);
+      return false;
+    }
+  } else {
+    const timeUntilExpiry = Math.floor((expiry - Date.now()) / (60 * 60 * 1000));
+    console.log(`✅ Session still valid (expires in ~${timeUntilExpiry} hours)`);
+  }
+  
+  // Issue browser token cookie with unique session ID
+  const sessionId = crypto.randomUUID(); // Generate unique session ID for this login
+  console.log(`🔑 Generated session ID for ${user.email}: ${sessionId}`);
+  // Register the session so it can be revoked server-side; it lives as long as its refresh token
+  sessionRegistry.registerSession({
+    sessionId,
+    userId: user.id,
+    email: user.email,
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  });
+  setAuthCookies(res, {
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken: sessionRegistry.createRefreshToken(sessionId)
+  });
+  return true;
+}
+
+// Completes a password / second-factor login with a JSON response
+async function issueSession(req, res, user) {
+  if (!(await startSession(req, res, user))) {
+    return res.json({ 
+      success: false, 
+      error: 'Failed to establish session. Please check .env credentials.' 
+    });
+  }
+
+  res.json({ 
+    success: true, 
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    }
+  });
+}
+
+// ============ Two-factor login challenges ============
+
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+// challengeId -> expiry (ms) of challenges that were already completed, so each is single-use
+const usedTwoFactorChallenges = new Map();
+
+// Signed token proving the password step succeeded. It carries no sessionId, so it is never
+// accepted as an arena_token by getUserFromRequest or the proxy.
+function createTwoFactorChallenge(user) {
+  return signToken({
+    purpose: 'login_2fa',
+    id: user.id,
+    email: user.email,
+    challengeId: crypto.randomUUID()
+  }, TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+}
+
+// Verify a challenge token; returns its payload or null when invalid, expired or already used
+function readTwoFactorChallenge(challengeToken) {
+  const now = Date.now();
+  for (const [challengeId, expiresAt] of usedTwoFactorChallenges) {
+    if (expiresAt < now) usedTwoFactorChallenges.delete(challengeId);
+  }
+  const payload = challengeToken ? verifyToken(challengeToken) : null;
+  if (!payload || payload.purpose !== 'login_2fa' || !payload.challengeId) return null;
+  if (usedTwoFactorChallenges.has(payload.challengeId)) return null;
+  return payload;
+}
+
+function consumeTwoFactorChallenge(payload) {
+  usedTwoFactorChallenges.set(payload.challengeId, payload.exp * 1000);
+}
+
+// ============ Single sign-on (OIDC) ============
+
+// The authorization request (state, nonce, PKCE verifier) travels in a signed cookie scoped to the callback
+const SSO_STATE_TTL_SECONDS = 10 * 60;
+const SSO_COOKIE_PATH = '/auth/sso';
+
+function getPublicBaseUrl(req) {
+  return (process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+function getSsoRedirectUri(req, provider) {
+  return provider.redirectUri || `${getPublicBaseUrl(req)}/auth/sso/${provider.id}/callback`;
+}
+
+// Only redirect back into this app after SSO (absolute URLs must share our origin)
+function safeRedirectPath(req, redirect) {
+  if (!redirect) return '/home';
+  try {
+    const base = getPublicBaseUrl(req);
+    const target = new URL(redirect, base);
+    if (target.origin !== new URL(base).origin) return '/home';
+    return `${target.pathname}${target.search}${target.hash}`;
+  } catch (_) {
+    return '/home';
+  }
+}
+
+function redirectToLogin(res, error) {
+  res.redirect(`/auth/login?error=${encodeURIComponent(error)}`);
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Finds (or provisions) the local user for verified provider claims and syncs the mapped role
+ * Users are matched by linked identity first, then by verified email (which links the identity).
+ * @param {Object} provider - Identity provider
+ * @param {Object} claims - Verified claims
+ * @returns {Promise<Object>} Stored user record
+ * @throws {Error} When no account may be used (message is shown on the login page)
+ */
+async function resolveSsoUser(provider, claims) {
+  const identity = identityProviders.mapClaims(provider, claims);
+  let user = userStore.findUserByIdentity(provider.id, identity.subject);
+
+  if (!user) {
+    if (!identity.emailVerified) {
+      throw new Error('Your identity provider did not return a verified email address');
+    }
+    user = userStore.findUserByEmail(identity.email);
+    if (user) {
+      await userStore.linkIdentity(user.id, { provider: provider.id, subject: identity.subject });
+      recordAuditEvent('sso_identity_linked', { email: user.email, provider: provider.id, subject: identity.subject });
+    } else if (identityProviders.canProvision(provider, identity.email)) {
+      user = userStore.createExternalUser({
+        email: identity.email,
+        username: identity.username,
+        role: identity.role || provider.defaultRole,
+        identity: { provider: provider.id, subject: identity.subject }
+      });
+      recordAuditEvent('sso_user_provisioned', { email: user.email, provider: provider.id, role: user.role });
+    } else {
+      throw new Error(`No ArenaGen account exists for ${identity.email || 'this identity'}`);
+    }
+  }
+
+  if (identity.role && identity.role !== user.role) {
+    await userStore.setUserRole(user.id, identity.role);
+    recordAuditEvent('sso_role_changed', { email: user.email, provider: provider.id, from: user.role, to: identity.role });
+  }
+  return userStore.findUserById(user.id);
+}
+
+// Providers shown on the login page
+authRouter.get('/api/sso/providers', (req, res) => {
+  res.json({ success: true, providers: identityProviders.listProviders() });
+});
+
+// Step 1: redirect to the provider's authorization endpoint
+authRouter.get('/sso/:providerId/start', async (req, res) => {
+  const provider = identityProviders.getProvider(req.params.providerId);
+  if (!provider) {
+    return redirectToLogin(res, 'Unknown sign-in provider');
+  }
+
+  const state = crypto.randomBytes(16).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  try {
+    const authorizationUrl = await provider.client.getAuthorizationUrl({
+      state,
+      nonce,
+      codeVerifier,
+      redirectUri: getSsoRedirectUri(req, provider)
+    });
+    const stateToken = signToken({
+      purpose: 'sso_state',
+      providerId: provider.id,
+      state,
+      nonce,
+      codeVerifier,
+      redirect: safeRedirectPath(req, req.query.redirect)
+    }, SSO_STATE_TTL_SECONDS);
+    res.append('Set-Cookie', buildCookie('arena_sso', stateToken, { path: SSO_COOKIE_PATH, maxAge: SSO_STATE_TTL_SECONDS }));
+    console.log(`🪪 Redirecting to ${provider.id} for sign-in`);
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error(`❌ Could not start sign-in with ${provider.id}:`, error.message);
+    redirectToLogin(res, `${provider.name} is not reachable right now`);
+  }
+});
+
+// Step 2: the provider redirects back with an authorization code
+authRouter.get('/sso/:providerId/callback', async (req, res) => {
+  const provider = identityProviders.getProvider(req.params.providerId);
+  const stateToken = parseCookies(req)['arena_sso'];
+  res.append('Set-Cookie', buildCookie('arena_sso', '', { path: SSO_COOKIE_PATH, maxAge: 0 }));
+  if (!provider) {
+    return redirectToLogin(res, 'Unknown sign-in provider');
+  }
+  if (req.query.error) {
+    console.warn(`⚠️  ${provider.id} returned an error: ${req.query.error}`);
+    return redirectToLogin(res, req.query.error === 'access_denied' ? 'Sign-in was cancelled' : `Sign-in failed (${req.query.error})`);
+  }
+
+  const pending = stateToken ? verifyToken(stateToken) : null;
+  if (!pending || pending.purpose !== 'sso_state' || pending.providerId !== provider.id ||
+      !req.query.code || req.query.state !== pending.state) {
+    return redirectToLogin(res, 'Sign-in expired, please try again');
+  }
+
+  try {
+    const claims = await provider.client.handleCallback({
+      code: String(req.query.code),
+      nonce: pending.nonce,
+      codeVerifier: pending.codeVerifier,
+      redirectUri: getSsoRedirectUri(req, provider)
+    });
+    const user = await resolveSsoUser(provider, claims);
+    if (!user || user.disabled) {
+      return redirectToLogin(res, 'Your account is disabled');
+    }
+
+    // The provider is responsible for MFA; local TOTP only protects password logins
+    if (!(await startSession(req, res, user))) {
+      return redirectToLogin(res, 'Failed to establish session. Please try again later.');
+    }
+    recordAuditEvent('sso_login', { email: user.email, provider: provider.id, ip: req.ip });
+    console.log(`✅ ${user.email} signed in with ${provider.id}`);
+    res.redirect(pending.redirect);
+  } catch (error) {
+    console.error(`❌ Sign-in with ${provider.id} failed:`, error.message);
+    redirectToLogin(res, error.message);
+  }
+});
+
 // Custom login page (root will check browser token, not HeyGen cookies)
 authRouter.get('/', (req, res) => {
   const user = getUserFromRequest(req);
@@ -407,6 +903,9 @@ authRouter.get('/login', (req, res) => {
   if (user) {
     return res.redirect('/home');
   }
+  const ssoButtons = identityProviders.listProviders()
+    .map(p => `<a class="btn active sso-btn" href="/auth/sso/${encodeURIComponent(p.id)}/start">Continue with ${escapeHtml(p.name)}</a>`)
+    .join('\n      ');
   // Show custom login page
   const html = `
 <!DOCTYPE html>
@@ -486,6 +985,12 @@ authRouter.get('/login', (req, res) => {
       text-decoration: underline;
     }
     
+    .sso-btn {
+      display: block;
+      text-align: center;
+      text-decoration: none;
+    }
+    
     .divider {
       text-align: center;
       margin: 32px 0;
@@ -639,6 +1144,37 @@ authRouter.get('/login', (req, res) => {
       display: none;
     }
     
+    .code-step {
+      display: none;
+    }
+    
+    .code-step.active {
+      display: block;
+    }
+    
+    .password-step.hidden {
+      display: none;
+    }
+    
+    .code-hint {
+      color: #666666;
+      font-size: 14px;
+      margin-bottom: 16px;
+    }
+    
+    .code-toggle {
+      display: inline-block;
+      color: #00D4AA;
+      text-decoration: none;
+      font-size: 14px;
+      font-weight: 500;
+      margin-top: 16px;
+    }
+    
+    .code-toggle:hover {
+      text-decoration: underline;
+    }
+    
     .forgot-password {
       position: absolute;
       right: 16px;
@@ -715,6 +1251,8 @@ authRouter.get('/login', (req, res) => {
       <p>Don't have an account? <a  target="_blank">Sign up</a></p>
     </div>
     
+    ${ssoButtons}
+    
     <div class="divider">
       <span>Or</span>
     </div>
@@ -773,6 +1311,32 @@ authRouter.get('/login', (req, res) => {
           Continue
         </button>
       </div>
+      
+      <!-- Two-factor Step -->
+      <div class="code-step" id="codeStep">
+        <p class="code-hint" id="codeHint">Enter the 6-digit code from your authenticator app.</p>
+        <div class="form-group">
+          <div class="input-wrapper">
+            <svg class="input-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <rect x="5" y="2" width="14" height="20" rx="2" ry="2"/>
+              <line x1="12" y1="18" x2="12.01" y2="18"/>
+            </svg>
+            <input 
+              type="text" 
+              id="code" 
+              name="code" 
+              placeholder="Enter code"
+              inputmode="numeric"
+              autocomplete="one-time-code"
+            >
+          </div>
+        </div>
+        
+        <button type="submit" class="btn" id="codeBtn">
+          Verify
+        </button>
+        <a href="#" class="code-toggle" id="codeToggle">Use a recovery code instead</a>
+      </div>
     </form>
     
     <div id="status" class="status"></div>
@@ -795,6 +1359,25 @@ authRouter.get('/login', (req, res) => {
     const emailStep = document.getElementById('emailStep');
     const passwordStep = document.getElementById('passwordStep');
     const backBtn = document.getElementById('backBtn');
+    const codeStep = document.getElementById('codeStep');
+    const codeInput = document.getElementById('code');
+    const codeBtn = document.getElementById('codeBtn');
+    const codeHint = document.getElementById('codeHint');
+    const codeToggle = document.getElementById('codeToggle');
+    // Keep the requested page when signing in with SSO, and show errors it redirected back with
+    const pageParams = new URLSearchParams(window.location.search);
+    document.querySelectorAll('.sso-btn').forEach(link => {
+      if (pageParams.get('redirect')) {
+        link.href += '?redirect=' + encodeURIComponent(pageParams.get('redirect'));
+      }
+    });
+    if (pageParams.get('error')) {
+      status.className = 'status error';
+      status.textContent = '❌ ' + pageParams.get('error');
+    }
+    // Set when the password was accepted and a second factor is required
+    let challengeToken = null;
+    let useRecoveryCode = false;
     
     // Enable/disable email button based on email input
     emailInput.addEventListener('input', () => {
@@ -835,10 +1418,96 @@ authRouter.get('/login', (req, res) => {
       loginBtn.disabled = true;
     });
     
+    // Enable/disable verify button based on code input
+    codeInput.addEventListener('input', () => {
+      if (codeInput.value.trim()) {
+        codeBtn.classList.add('active');
+        codeBtn.disabled = false;
+      } else {
+        codeBtn.classList.remove('active');
+        codeBtn.disabled = true;
+      }
+    });
+    
+    // Switch between authenticator code and recovery code
+    codeToggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      useRecoveryCode = !useRecoveryCode;
+      codeHint.textContent = useRecoveryCode
+        ? 'Enter one of your recovery codes.'
+        : 'Enter the 6-digit code from your authenticator app.';
+      codeToggle.textContent = useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code instead';
+      codeInput.inputMode = useRecoveryCode ? 'text' : 'numeric';
+      codeInput.value = '';
+      codeInput.focus();
+    });
+    
+    function redirectAfterLogin() {
+      status.className = 'status success';
+      status.textContent = '✅ Login successful! Redirecting...';
+      
+      // Redirect to the requested page or default to home
+      setTimeout(() => {
+        const params = new URLSearchParams(window.location.search);
+        const redirect = params.get('redirect');
+        const baseUrl = window.location.origin;
+        const defaultUrl = baseUrl + '/home';
+        const targetUrl = redirect ? decodeURIComponent(redirect) : defaultUrl;
+        window.location.href = targetUrl;
+      }, 1000);
+    }
+    
+    // Second step: verify the TOTP or recovery code
+    async function submitCode() {
+      codeBtn.disabled = true;
+      codeBtn.classList.remove('active');
+      codeBtn.innerHTML = '<span class="spinner"></span>Verifying...';
+      status.className = 'status loading';
+      status.textContent = '🔐 Verifying code...';
+      
+      try {
+        const value = codeInput.value.trim();
+        const response = await fetch('/auth/api/login/2fa', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(useRecoveryCode
+            ? { challengeToken, recoveryCode: value }
+            : { challengeToken, code: value })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+          redirectAfterLogin();
+        } else if (response.status === 401) {
+          // Challenge expired: start over from the password
+          challengeToken = null;
+          codeStep.classList.remove('active');
+          passwordStep.classList.remove('hidden');
+          passwordStep.classList.add('active');
+          passwordInput.value = '';
+          throw new Error(data.error || 'Login expired, please sign in again');
+        } else {
+          throw new Error(data.error || 'Verification failed');
+        }
+      } catch (error) {
+        status.className = 'status error';
+        status.textContent = '❌ ' + error.message;
+        codeInput.value = '';
+        codeBtn.innerHTML = 'Verify';
+      }
+    }
+    
     // Form submit: actual login
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
       
+      if (challengeToken) {
+        return submitCode();
+      }
+      
       const email = emailInput.value;
       const password = passwordInput.value;
       
@@ -861,18 +1530,18 @@ authRouter.get('/login', (req, res) => {
         const data = await response.json();
         
         if (data.success) {
-          status.className = 'status success';
-          status.textContent = '✅ Login successful! Redirecting...';
-          
-          // Redirect to the requested page or default to home
-          setTimeout(() => {
-            const params = new URLSearchParams(window.location.search);
-            const redirect = params.get('redirect');
-            const baseUrl = window.location.origin;
-            const defaultUrl = baseUrl + '/home';
-            const targetUrl = redirect ? decodeURIComponent(redirect) : defaultUrl;
-            window.location.href = targetUrl;
-          }, 1000);
+          redirectAfterLogin();
+        } else if (data.twoFactorRequired) {
+          // Password accepted: ask for the second factor
+          challengeToken = data.challengeToken;
+          passwordStep.classList.remove('active');
+          passwordStep.classList.add('hidden');
+          codeStep.classList.add('active');
+          status.className = 'status';
+          status.textContent = '';
+          loginBtn.innerHTML = 'Continue';
+          codeBtn.disabled = true;
+          codeInput.focus();
         } else {
           throw new Error(data.error || 'Login failed');
         }
@@ -895,7 +1564,11 @@ authRouter.get('/login', (req, res) => {
 authRouter.post('/api/bridge/sessions', async (req, res) => {
   let browser;
   try {
-    if (!fs.existsSync(STORAGE_FILE)) {
+    // Use the upstream account the caller is pinned to (first account of the pool otherwise)
+    const user = getUserFromRequest(req);
+    const accountId = (user && upstreamAccounts.getAssignedAccountId(user.email)) || upstreamAccounts.getAccounts()[0].id;
+    const storageFile = upstreamAccounts.getAccount(accountId).storageFile;
+    if (!fs.existsSync(storageFile)) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
@@ -909,14 +1582,14 @@ authRouter.post('/api/bridge/sessions', async (req, res) => {
         '--disable-dev-shm-usage'
       ] 
     });
-    const context = await browser.newContext({ storageState: STORAGE_FILE });
+    const context = await browser.newContext({ storageState: storageFile });
 
     // Use context.request to leverage the authenticated browser context
     const upstream = await context.request.post('https://api2.heygen.com/v2/video_agent/sessions', {
       data: req.body || {},
       headers: {
-        'origin': 'https://app.heygen.com',
-        'referer': 'https://app.heygen.com/home',
+        'origin': getTarget(),
+        'referer': upstreamUrl('/home'),
         'accept': 'application/json, text/plain, */*',
         'content-type': 'application/json'
       }
@@ -941,6 +1614,32 @@ authRouter.post('/api/bridge/sessions', async (req, res) => {
 });
 
 // Login API endpoint - validates user and ensures HeyGen session
+// Answers 429 when the account or client IP is backing off / locked out; returns true if it did.
+// Otherwise the attempt counts as running (see login-throttle.js) until the caller ends it with
+// loginThrottle.endLoginAttempt, after recording its failure if it failed.
+function rejectThrottledLogin(req, res, email) {
+  const gate = loginThrottle.beginLoginAttempt(email, req.ip);
+  if (gate.allowed) return false;
+  console.log(`⏳ Login throttled for ${email} from ${req.ip} (${gate.scope} ${gate.reason}, ${gate.retryAfterSeconds}s)`);
+  res.set('Retry-After', String(gate.retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    error: gate.reason === 'locked'
+      ? `Too many failed login attempts. Try again in ${Math.ceil(gate.retryAfterSeconds / 60)} minute(s).`
+      : `Too many login attempts. Please wait ${gate.retryAfterSeconds} second(s) and try again.`,
+    retryAfter: gate.retryAfterSeconds
+  });
+  return true;
+}
+
+// Counts a failed password or second-factor attempt and audits any lockout it triggers
+function recordFailedLogin(req, email) {
+  const lockouts = loginThrottle.recordLoginFailure(email, req.ip);
+  for (const lockout of lockouts) {
+    recordAuditEvent('login_lockout', { ...lockout, email, ip: req.ip, userAgent: req.headers['user-agent'] || null });
+  }
+}
+
 authRouter.post('/api/login', async (req, res) => {
   const { email, password } = req.body;
   
@@ -949,10 +1648,19 @@ authRouter.post('/api/login', async (req, res) => {
   }
   
   console.log('🔑 Attempting login for:', email);
+
+  // Brute-force protection: refuse before touching the password while backing off or locked out
+  if (rejectThrottledLogin(req, res, email)) return;
   
   try {
     // Step 1: Validate user credentials against users.json
-    const user = validateUser(email, password);
+    let user;
+    try {
+      user = await validateUser(email, password);
+      if (!user) recordFailedLogin(req, email);
+    } finally {
+      loginThrottle.endLoginAttempt(email, req.ip);
+    }
     
     if (!user) {
       console.log('❌ Invalid credentials for:', email);
@@ -963,60 +1671,22 @@ authRouter.post('/api/login', async (req, res) => {
     }
     
     console.log('✅ User validated:', user.username);
-    
-    // Step 2: Check if HeyGen cookies need refresh (only if expiring within 2 hours)
-    const TWO_HOURS = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
-    const needsRefresh = !cookieExpiry || (Date.now() + TWO_HOURS) >= cookieExpiry;
-    
-    if (needsRefresh) {
-      console.log('🔄 Session expiring soon or missing, refreshing...');
-      try {
-        await refreshSession();
-      } catch (refreshError) {
-        console.error('❌ Failed to refresh session:', refreshError.message);
-        return res.json({ 
-          success: false, 
-          error: 'Failed to establish session. Please check .env credentials.' 
-        });
-      }
-    } else {
-      const timeUntilExpiry = Math.floor((cookieExpiry - Date.now()) / (60 * 60 * 1000));
-      console.log(`✅ Session still valid (expires in ~${timeUntilExpiry} hours)`);
-    }
-    
-    // Step 3: Issue browser token cookie with unique session ID
-    const sessionId = crypto.randomUUID(); // Generate unique session ID for this login
-    console.log(`🔑 Generated session ID for ${user.email}: ${sessionId}`);
-    const token = signToken({ 
-      id: user.id, 
-      email: user.email, 
-      username: user.username, 
-      role: user.role,
-      sessionId: sessionId // Add unique session ID to allow concurrent logins
-    });
-    const isProduction = process.env.NODE_ENV === 'production';
-    const cookie = [
-      `arena_token=${token}`,
-      'HttpOnly',
-      'Path=/',
-      isProduction ? 'SameSite=None' : 'SameSite=Lax',
-      isProduction ? 'Secure' : '',
-      // 7 days
-      'Max-Age=604800'
-    ].filter(Boolean).join('; ');
-    res.setHeader('Set-Cookie', cookie);
-
-    // Return success
-    res.json({ 
-      success: true, 
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
-    });
+
+    // Step 2: With TOTP enabled the password alone is not enough - hand out a short-lived
+    // challenge and issue the arena_token from /api/login/2fa once the code checks out.
+    // The failure counter is kept until then so re-entering the password cannot reset it.
+    if (user.totp) {
+      console.log(`🔐 Second factor required for ${user.email}`);
+      return res.json({
+        success: false,
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user)
+      });
+    }
+
+    // Step 3: Refresh the upstream session if needed and issue the browser token
+    loginThrottle.recordLoginSuccess(email);
+    await issueSession(req, res, user);
     
   } catch (error) {
     console.error('❌ Login error:', error.message);
@@ -1028,6 +1698,96 @@ authRouter.post('/api/login', async (req, res) => {
   }
 });
 
+// Second login step for accounts with TOTP enabled
+authRouter.post('/api/login/2fa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  const challenge = readTwoFactorChallenge(challengeToken);
+  if (!challenge) {
+    return res.status(401).json({ success: false, error: 'Login expired, please sign in again' });
+  }
+  if (!code && !recoveryCode) {
+    return res.json({ success: false, error: 'Verification code required' });
+  }
+  if (rejectThrottledLogin(req, res, challenge.email)) return;
+
+  try {
+    let method;
+    try {
+      method = await userStore.verifySecondFactor(challenge.id, { code, recoveryCode });
+      if (!method) recordFailedLogin(req, challenge.email);
+    } finally {
+      loginThrottle.endLoginAttempt(challenge.email, req.ip);
+    }
+    if (!method) {
+      console.log('❌ Invalid second factor for:', challenge.email);
+      return res.json({
+        success: false,
+        error: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code'
+      });
+    }
+
+    consumeTwoFactorChallenge(challenge);
+    loginThrottle.recordLoginSuccess(challenge.email);
+    if (method === 'recovery') {
+      recordAuditEvent('recovery_code_used', { email: challenge.email, ip: req.ip });
+    }
+    console.log(`✅ Second factor (${method}) verified for ${challenge.email}`);
+
+    const user = userStore.findUserById(challenge.id);
+    if (!user || user.disabled) {
+      return res.status(401).json({ success: false, error: 'Account is disabled' });
+    }
+    await issueSession(req, res, user);
+  } catch (error) {
+    console.error('❌ Two-factor login error:', error.message);
+    res.json({ success: false, error: error.message || 'Login failed' });
+  }
+});
+
+// Exchange the refresh token for a new access token (and a new refresh token)
+authRouter.post('/api/refresh', async (req, res) => {
+  const presented = parseCookies(req)['arena_refresh'];
+  if (!presented) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+
+  const result = sessionRegistry.rotateRefreshToken(presented, { ttlMs: REFRESH_TOKEN_TTL_SECONDS * 1000 });
+  if (result.status === 'reused') {
+    // An old token of this family came back: someone holds a copy, so end the session for everyone
+    console.warn(`🚨 Refresh token reuse detected for ${result.session.email} (session ${result.session.sessionId})`);
+    recordAuditEvent('refresh_token_reuse', {
+      email: result.session.email,
+      sessionId: result.session.sessionId,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || null
+    });
+    await closeProxySessions([result.session]);
+  }
+  if (result.status !== 'rotated' && result.status !== 'grace') {
+    clearAuthCookies(res);
+    return res.status(401).json({ success: false, error: 'Session expired, please sign in again' });
+  }
+
+  // Re-read the user so role changes and disabled accounts take effect on refresh
+  const user = userStore.findUserById(result.session.userId);
+  if (!user || user.disabled) {
+    const revoked = sessionRegistry.revokeSession(result.session.sessionId, 'user_disabled');
+    if (revoked) await closeProxySessions([revoked]);
+    clearAuthCookies(res);
+    return res.status(401).json({ success: false, error: 'Account is disabled' });
+  }
+
+  setAuthCookies(res, {
+    accessToken: signAccessToken(user, result.session.sessionId),
+    refreshToken: result.refreshToken || null
+  });
+  res.json({
+    success: true,
+    user: { id: user.id, email: user.email, username: user.username, role: user.role },
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+});
+
 // Check session status
 authRouter.get('/api/status', (req, res) => {
   const user = getUserFromRequest(req);
@@ -1035,29 +1795,395 @@ authRouter.get('/api/status', (req, res) => {
     userAuthenticated: !!user,
     user: user ? { id: user.id, email: user.email, username: user.username, role: user.role } : null,
     sessionAuthenticated: isAuthenticated(),
-    cookies: sessionCookies ? sessionCookies.length : 0
+    cookies: sessionCookies ? sessionCookies.length : 0,
+    upstream: getUpstreamHealth(!!user && hasPermission(user.role, 'upstream:rotate'))
   });
 });
 
-// Logout endpoint
-authRouter.post('/api/logout', (req, res) => {
-  if (fs.existsSync(STORAGE_FILE)) {
-    fs.unlinkSync(STORAGE_FILE);
-  }
-  if (fs.existsSync(COOKIES_FILE)) {
-    fs.unlinkSync(COOKIES_FILE);
+// Logout endpoint - revokes the current session server-side
+authRouter.post('/api/logout', async (req, res) => {
+  const user = getUserFromRequest(req);
+  // The access token may already have expired; the refresh token still identifies the session
+  const sessionId = user?.sessionId
+    || sessionRegistry.findSessionByRefreshToken(parseCookies(req)['arena_refresh'])?.sessionId;
+  if (sessionId) {
+    const revoked = sessionRegistry.revokeSession(sessionId, 'logout');
+    if (revoked) await closeProxySessions([revoked]);
   }
-  sessionCookies = null;
-  // Clear browser token cookie
-  res.setHeader('Set-Cookie', 'arena_token=; HttpOnly; Path=/; SameSite=Lax; Max-Age=0');
+  // The upstream HeyGen session is shared by every user and is left untouched here;
+  // rotating it is an admin operation (POST /api/admin/upstream/rotate)
+  // Clear browser token cookies
+  clearAuthCookies(res);
   console.log('🚪 Logged out');
   res.json({ success: true });
 });
 
+// Log out everywhere - revokes every session of the current user
+authRouter.post('/api/logout-all', async (req, res) => {
+  const user = getUserFromRequest(req);
+  if (!user || user.service) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  const revoked = sessionRegistry.revokeUserSessions(user.id, 'logout_all');
+  await closeProxySessions(revoked);
+  clearAuthCookies(res);
+  console.log(`🚪 Logged out ${user.email} everywhere (${revoked.length} session(s) revoked)`);
+  res.json({ success: true, revoked: revoked.length });
+});
+
+// ============ Two-factor authentication (account owner) ============
+
+// Only allow requests from a signed-in user (service tokens have no account to manage)
+function requireUser(req, res, next) {
+  const user = getUserFromRequest(req);
+  if (!user || user.service) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  req.user = user;
+  next();
+}
+
+authRouter.get('/api/2fa', requireUser, (req, res) => {
+  const status = userStore.getTwoFactorStatus(req.user.id);
+  if (!status) return res.status(404).json({ success: false, error: 'User not found' });
+  res.json({ success: true, twoFactor: status });
+});
+
+// Start enrollment: returns the secret and otpauth:// URI to show as a QR code
+authRouter.post('/api/2fa/setup', requireUser, async (req, res) => {
+  const status = userStore.getTwoFactorStatus(req.user.id);
+  if (!status) return res.status(404).json({ success: false, error: 'User not found' });
+  if (status.enabled) {
+    return res.status(409).json({ success: false, error: 'Two-factor authentication is already enabled' });
+  }
+  const enrollment = await userStore.beginTotpEnrollment(req.user.id);
+  res.json({ success: true, ...enrollment });
+});
+
+// Finish enrollment with a code from the authenticator app; recovery codes are only shown here
+authRouter.post('/api/2fa/enable', requireUser, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ success: false, error: 'Verification code required' });
+  const recoveryCodes = await userStore.enableTotp(req.user.id, code);
+  if (!recoveryCodes) {
+    return res.status(400).json({ success: false, error: 'Invalid verification code (or no enrollment in progress)' });
+  }
+  recordAuditEvent('two_factor_enabled', { email: req.user.email, ip: req.ip });
+  res.json({ success: true, recoveryCodes });
+});
+
+// Turn TOTP off; requires the password and a current code or recovery code. Accounts without a
+// password (single sign-on only) confirm with the code alone. Wrong answers count towards the
+// login throttle, like at login: a stolen access token must not allow guessing them.
+authRouter.post('/api/2fa/disable', requireUser, async (req, res) => {
+  const { password, code, recoveryCode } = req.body || {};
+  const user = userStore.findUserById(req.user.id);
+  if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+  const needsPassword = !!user.passwordHash;
+  if ((needsPassword && !password) || (!code && !recoveryCode)) {
+    return res.status(400).json({
+      success: false,
+      error: needsPassword ? 'Password and verification code required' : 'Verification code required'
+    });
+  }
+  if (rejectThrottledLogin(req, res, req.user.email)) return;
+
+  let failure = null;
+  try {
+    if (needsPassword && !(await validateUser(req.user.email, password))) {
+      failure = 'Invalid password';
+    } else if (!(await userStore.verifySecondFactor(req.user.id, { code, recoveryCode }))) {
+      failure = 'Invalid verification code';
+    }
+    if (failure) recordFailedLogin(req, req.user.email);
+  } finally {
+    loginThrottle.endLoginAttempt(req.user.email, req.ip);
+  }
+  if (failure) return res.status(403).json({ success: false, error: failure });
+
+  loginThrottle.recordLoginSuccess(req.user.email);
+  await userStore.disableTotp(req.user.id);
+  recordAuditEvent('two_factor_disabled', { email: req.user.email, ip: req.ip });
+  res.json({ success: true });
+});
+
+// Replace the recovery codes (the old ones stop working)
+authRouter.post('/api/2fa/recovery-codes', requireUser, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ success: false, error: 'Verification code required' });
+  if (rejectThrottledLogin(req, res, req.user.email)) return;
+  let valid;
+  try {
+    valid = await userStore.verifySecondFactor(req.user.id, { code });
+    if (!valid) recordFailedLogin(req, req.user.email);
+  } finally {
+    loginThrottle.endLoginAttempt(req.user.email, req.ip);
+  }
+  if (!valid) return res.status(403).json({ success: false, error: 'Invalid verification code' });
+  const recoveryCodes = await userStore.regenerateRecoveryCodes(req.user.id);
+  res.json({ success: true, recoveryCodes });
+});
+
+// ============ API keys (account owner) ============
+
+const MAX_API_KEY_LIFETIME_DAYS = 365;
+
+// Keys for scripted access to the proxy API (Authorization: Bearer ak_...)
+authRouter.get('/api/api-keys', requireUser, (req, res) => {
+  const apiKeys = userStore.listApiKeys(req.user.id);
+  if (!apiKeys) return res.status(404).json({ success: false, error: 'User not found' });
+  res.json({ success: true, apiKeys, scopes: API_KEY_SCOPES });
+});
+
+// Create a key; the plaintext key is only returned in this response
+authRouter.post('/api/api-keys', requireUser, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body || {};
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ success: false, error: 'At least one scope is required' });
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, error: `Unknown scope(s): ${unknown.join(', ')}` });
+  }
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_API_KEY_LIFETIME_DAYS) {
+      return res.status(400).json({ success: false, error: `expiresInDays must be between 1 and ${MAX_API_KEY_LIFETIME_DAYS}` });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  try {
+    const created = await userStore.createApiKey(req.user.id, { name, scopes, expiresAt });
+    if (!created) return res.status(404).json({ success: false, error: 'User not found' });
+    recordAuditEvent('api_key_created', { email: req.user.email, keyId: created.apiKey.id, scopes: created.apiKey.scopes, ip: req.ip });
+    console.log(`🔑 [${req.user.email}] Created API key ${created.apiKey.id} (${created.apiKey.scopes.join(', ')})`);
+    res.json({ success: true, key: created.key, apiKey: created.apiKey });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+authRouter.delete('/api/api-keys/:keyId', requireUser, async (req, res) => {
+  const apiKey = await userStore.revokeApiKey(req.user.id, req.params.keyId);
+  if (!apiKey) return res.status(404).json({ success: false, error: 'API key not found' });
+  recordAuditEvent('api_key_revoked', { email: req.user.email, keyId: apiKey.id, ip: req.ip });
+  console.log(`🔑 [${req.user.email}] Revoked API key ${apiKey.id}`);
+  res.json({ success: true });
+});
+
+// ============ User management (admin only) ============
+
+// List all users (password hashes are never returned)
+authRouter.get('/api/admin/users', requireAdmin, (req, res) => {
+  res.json({ success: true, users: userStore.listUsers() });
+});
+
+// Create a user
+authRouter.post('/api/admin/users', requireAdmin, async (req, res) => {
+  const { email, username, password, role } = req.body || {};
+
+  if (!email || !password) {
+    return res.status(400).json({ success: false, error: 'Email and password required' });
+  }
+  if (role && !userStore.VALID_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `Role must be one of: ${userStore.VALID_ROLES.join(', ')}` });
+  }
+  if (userStore.findUserByEmail(email)) {
+    return res.status(409).json({ success: false, error: 'A user with this email already exists' });
+  }
+
+  try {
+    const user = await userStore.createUser({ email, username, password, role: role || 'user' });
+    console.log(`👤 [admin:${req.user.email}] Created user ${user.email}`);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('❌ Error creating user:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Disable a user (blocks future logins)
+authRouter.post('/api/admin/users/:id/disable', requireAdmin, async (req, res) => {
+  if (String(req.params.id) === String(req.user.id)) {
+    return res.status(400).json({ success: false, error: 'You cannot disable your own account' });
+  }
+  const user = await userStore.setUserDisabled(req.params.id, true);
+  if (!user) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  await closeProxySessions(sessionRegistry.revokeUserSessions(user.id, 'user_disabled'));
+  console.log(`🚫 [admin:${req.user.email}] Disabled user ${user.email}`);
+  res.json({ success: true, user });
+});
+
+// Re-enable a disabled user
+authRouter.post('/api/admin/users/:id/enable', requireAdmin, async (req, res) => {
+  const user = await userStore.setUserDisabled(req.params.id, false);
+  if (!user) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  console.log(`✅ [admin:${req.user.email}] Enabled user ${user.email}`);
+  res.json({ success: true, user });
+});
+
+// Reset a user's password; a random temporary password is generated when none is supplied
+authRouter.post('/api/admin/users/:id/reset-password', requireAdmin, async (req, res) => {
+  const supplied = req.body && req.body.password;
+  const newPassword = supplied || crypto.randomBytes(12).toString('base64url');
+
+  try {
+    const user = await userStore.resetUserPassword(req.params.id, newPassword);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    await closeProxySessions(sessionRegistry.revokeUserSessions(user.id, 'password_reset'));
+    console.log(`🔑 [admin:${req.user.email}] Reset password for ${user.email}`);
+    res.json({
+      success: true,
+      user,
+      // Only echo the password back when we generated it
+      ...(supplied ? {} : { temporaryPassword: newPassword })
+    });
+  } catch (error) {
+    console.error('❌ Error resetting password:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove TOTP from an account that lost its authenticator and recovery codes
+authRouter.post('/api/admin/users/:id/reset-2fa', requireAdmin, async (req, res) => {
+  const user = await userStore.disableTotp(req.params.id);
+  if (!user) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  recordAuditEvent('two_factor_reset', { email: user.email, by: req.user.email });
+  console.log(`🔐 [admin:${req.user.email}] Reset two-factor authentication for ${user.email}`);
+  res.json({ success: true, user });
+});
+
+// List a user's active sessions
+authRouter.get('/api/admin/users/:id/sessions', requireAdmin, (req, res) => {
+  if (!userStore.findUserById(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  res.json({ success: true, sessions: sessionRegistry.listActiveSessions(req.params.id) });
+});
+
+// Revoke every session of a user and close their browser contexts
+authRouter.post('/api/admin/users/:id/revoke-sessions', requireAdmin, async (req, res) => {
+  const user = userStore.findUserById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  const revoked = sessionRegistry.revokeUserSessions(user.id, 'admin_revoked');
+  await closeProxySessions(revoked);
+  console.log(`🚪 [admin:${req.user.email}] Revoked ${revoked.length} session(s) for ${user.email}`);
+  res.json({ success: true, revoked: revoked.length });
+});
+
+// List a user's API keys (never includes the keys themselves)
+authRouter.get('/api/admin/users/:id/api-keys', requireAdmin, (req, res) => {
+  const apiKeys = userStore.listApiKeys(req.params.id);
+  if (!apiKeys) return res.status(404).json({ success: false, error: 'User not found' });
+  res.json({ success: true, apiKeys });
+});
+
+// Revoke one of a user's API keys
+authRouter.delete('/api/admin/users/:id/api-keys/:keyId', requireAdmin, async (req, res) => {
+  const apiKey = await userStore.revokeApiKey(req.params.id, req.params.keyId);
+  if (!apiKey) return res.status(404).json({ success: false, error: 'API key not found' });
+  const user = userStore.findUserById(req.params.id);
+  recordAuditEvent('api_key_revoked', { email: user.email, keyId: apiKey.id, by: req.user.email });
+  console.log(`🔑 [admin:${req.user.email}] Revoked API key ${apiKey.id} of ${user.email}`);
+  res.json({ success: true });
+});
+
+// ============ Login lockouts (admin only) ============
+
+// List active login lockouts (accounts and IPs)
+authRouter.get('/api/admin/login-lockouts', requireAdmin, (req, res) => {
+  res.json({ success: true, lockouts: loginThrottle.listLockouts() });
+});
+
+// Clear the lockout and failure counters for an account and/or IP
+authRouter.post('/api/admin/login-lockouts/unlock', requireAdmin, (req, res) => {
+  const { email, ip } = req.body || {};
+  if (!email && !ip) {
+    return res.status(400).json({ success: false, error: 'Email or ip required' });
+  }
+  const cleared = loginThrottle.unlock({ email, ip });
+  if (cleared.length === 0) {
+    return res.status(404).json({ success: false, error: 'No lockout or failed attempts recorded' });
+  }
+  recordAuditEvent('login_unlock', { email: email || null, ip: ip || null, cleared, by: req.user.email });
+  res.json({ success: true, cleared });
+});
+
+// Recent audit events, newest first (?type=login_lockout&limit=50)
+authRouter.get('/api/admin/audit-log', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({ success: true, events: readAuditEvents({ limit, type: req.query.type || null }) });
+});
+
+// ============ Upstream session management (admin only) ============
+
+let upstreamRotationInProgress = false;
+
+// Rotate the shared HeyGen session: drain the proxy, log in again, then let the proxy resume
+// With an accountId only that account is logged in again, and only its contexts are drained
+authRouter.post('/api/admin/upstream/rotate', requirePermission('upstream:rotate', getUserFromRequest), async (req, res) => {
+  if (upstreamRotationInProgress) {
+    return res.status(409).json({ success: false, error: 'Upstream rotation already in progress' });
+  }
+  const drainTimeoutMs = Math.min(parseInt(req.body?.drainTimeoutMs, 10) || 60000, 5 * 60 * 1000);
+  const accountId = req.body?.accountId || null;
+  if (accountId && !upstreamAccounts.getAccount(accountId)) {
+    return res.status(404).json({ success: false, error: `Unknown upstream account: ${accountId}` });
+  }
+
+  upstreamRotationInProgress = true;
+  console.log(`🔁 [admin:${req.user.email}] Rotating upstream HeyGen session (${accountId || 'all accounts'})`);
+  try {
+    // Step 1: stop new browser work and wait for in-flight operations, then close the contexts
+    const drain = await notifyProxy('/upstream/drain', { timeoutMs: drainTimeoutMs, accountId }, { timeout: drainTimeoutMs + 15000 });
+    if (!drain.success) {
+      throw new Error(drain.error || 'Proxy failed to drain browser contexts');
+    }
+    console.log(`🚰 Proxy drained (${drain.closed} context(s) closed${drain.timedOut ? `, ${drain.inFlight} operation(s) still running` : ''})`);
+
+    // Step 2: log in again and swap the cookies
+    await refreshSession({ force: true, accountId });
+
+    res.json({
+      success: true,
+      closedContexts: drain.closed,
+      drainTimedOut: drain.timedOut,
+      accounts: upstreamAccounts.listAccountStatus()
+    });
+  } catch (error) {
+    console.error('❌ Upstream rotation failed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    // Step 3: accept browser work again (with the new cookies, or the old ones if the refresh failed)
+    try {
+      await notifyProxy('/upstream/resume');
+    } catch (resumeError) {
+      console.warn('⚠️  Could not resume proxy after upstream rotation:', resumeError.message);
+    }
+    upstreamRotationInProgress = false;
+  }
+});
+
 // Get cookies for proxy
-authRouter.get('/api/cookies', (req, res) => {
+authRouter.get('/api/cookies', requirePermission('upstream:cookies', getUserFromRequest), (req, res) => {
   if (isAuthenticated()) {
-    res.json({ cookies: sessionCookies });
+    const accounts = {};
+    for (const account of upstreamAccounts.getAccounts()) {
+      accounts[account.id] = upstreamAccounts.readAccountCookies(account.id)?.cookies || [];
+    }
+    res.json({ cookies: sessionCookies, accounts });
   } else {
     res.status(401).json({ error: 'Not authenticated' });
   }
@@ -1129,4 +2255,4 @@ authRouter.post('/api/submit-prompt', async (req, res) => {
 });
 
 // Export the auth server module
-export { authRouter, isAuthenticated, sessionCookies };
+export { authRouter, passwordMigration, isAuthenticated, sessionCookies, startUpstreamHealthMonitor, stopUpstreamHealthMonitor };
@@ -0,0 +1,98 @@
+// Browser token helpers shared by the auth server and the proxy
+// Tokens are HS256 JWTs signed with the newest key of the signing keyring (see signing-keys.js);
+// the `kid` header says which key to verify with. Access tokens (arena_token cookie) are
+// short-lived; sessions are kept alive with the rotating refresh token (see session-registry.js).
+
+import crypto from 'crypto';
+import { isSessionActive } from './session-registry.js';
+import { getSigningKey, getVerificationSecret } from './signing-keys.js';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(input) {
+  return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function sign(data, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(data)
+    .digest('base64')
+    .replace(/=/g, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Signs a token with the current signing key
+ * @param {Object} payload - Claims
+ * @param {number} expiresInSeconds - Lifetime
+ * @returns {string}
+ */
+function signToken(payload, expiresInSeconds) {
+  const { kid, secret } = getSigningKey();
+  const header = { alg: 'HS256', typ: 'JWT', kid };
+  const now = Math.floor(Date.now() / 1000);
+  const body = { ...payload, iat: now, exp: now + expiresInSeconds };
+  const data = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(body))}`;
+  return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Verifies signature and expiry of a token
+ * Any key of the keyring that has not retired is accepted.
+ * @param {string} token - Token string
+ * @returns {Object|null} Payload, or null when invalid or expired
+ */
+function verifyToken(token) {
+  try {
+    const [headerB64, bodyB64, sig] = String(token).split('.');
+    if (!headerB64 || !bodyB64 || !sig) return null;
+    const header = JSON.parse(fromBase64url(headerB64));
+    if (header.alg !== 'HS256') return null;
+    const secret = getVerificationSecret(header.kid);
+    if (!secret) return null;
+    const expected = Buffer.from(sign(`${headerB64}.${bodyB64}`, secret));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    const body = JSON.parse(fromBase64url(bodyB64));
+    if (body.exp && Math.floor(Date.now() / 1000) > body.exp) return null;
+    return body;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Verifies an arena_token and checks that its session was not revoked
+ * @param {string} token - Token string
+ * @returns {Object|null} Payload, or null when the token is not usable
+ */
+function verifyAccessToken(token) {
+  const payload = token ? verifyToken(token) : null;
+  if (!payload || !isSessionActive(payload)) return null;
+  return payload;
+}
+
+/**
+ * Parses the Cookie header of a request
+ * @param {Object} req - HTTP request (Express or raw upgrade request)
+ * @returns {Object} { name: value }
+ */
+function parseCookies(req) {
+  const header = req.headers.cookie || '';
+  return header.split(';').reduce((acc, part) => {
+    const [k, ...rest] = part.trim().split('=');
+    if (!k) return acc;
+    try {
+      acc[k] = decodeURIComponent(rest.join('='));
+    } catch (_) {
+      acc[k] = rest.join('=');
+    }
+    return acc;
+  }, {});
+}
+
+export { signToken, verifyToken, verifyAccessToken, parseCookies };
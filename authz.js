@@ -0,0 +1,191 @@
+// Role-based access control shared by the auth and proxy routers
+// Roles come from the `role` claim of the arena_token ('admin' / 'user')
+// API keys are further limited to the proxy routes their scopes unlock
+
+// Permission -> roles allowed to use it
+const PERMISSIONS = {
+  'users:manage': ['admin'],
+  'upstream:cookies': ['admin'],
+  'upstream:rotate': ['admin'],
+  'browser:reload': ['admin'],
+  'browser:queue': ['admin'],
+  'browser:contexts': ['admin'],
+  'sessions:revoke': ['admin'],
+  'debug:screenshots': ['admin'],
+  'debug:dom': ['admin']
+};
+
+// WebSocket actions that need a specific permission (others are open to any connected user)
+const WS_ACTION_PERMISSIONS = {
+  debug_dom: 'debug:dom'
+};
+
+// Per-role limits on WebSocket actions: { action: { max, windowMs } }, '*' applies to every action
+// Roles without an entry fall back to the 'user' limits
+const ROLE_ACTION_LIMITS = {
+  admin: {},
+  user: {
+    '*': { max: 600, windowMs: 60 * 1000 },
+    send_message: { max: 20, windowMs: 60 * 1000 },
+    upload_files: { max: 10, windowMs: 60 * 1000 },
+    initial_load: { max: 10, windowMs: 60 * 1000 },
+    find_and_click: { max: 120, windowMs: 60 * 1000 }
+  }
+};
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = {
+  generate: 'Submit prompts, upload files and open agent sessions',
+  'read:videos': 'List and download saved videos',
+  'read:chats': 'Read chat history',
+  webhooks: 'Manage webhooks and read their delivery log'
+};
+
+// Proxy routes reachable with an API key (paths relative to the proxy router); everything else,
+// including every admin route, is refused for API keys whatever the owner's role
+const API_KEY_ROUTES = [
+  { method: 'POST', path: /^\/submit-prompt$/, scope: 'generate' },
+  { method: 'POST', path: /^\/upload-files(-generate)?$/, scope: 'generate' },
+  { method: 'POST', path: /^\/navigate-agent$/, scope: 'generate' },
+  { method: 'POST', path: /^\/save-video$/, scope: 'generate' },
+  { method: 'GET', path: /^\/(generate|agent)\/[^/]+$/, scope: 'generate' },
+  { method: 'POST', path: /^\/api\/v1\/jobs$/, scope: 'generate' },
+  { method: 'GET', path: /^\/api\/v1\/jobs(\/[^/]+)?$/, scope: 'generate' },
+  { method: 'GET', path: /^\/api\/v1\/jobs\/[^/]+\/video$/, scope: 'read:videos' },
+  { method: 'GET', path: /^\/api\/videos$/, scope: 'read:videos' },
+  { method: 'GET', path: /^\/uploads\//, scope: 'read:videos' },
+  { method: 'GET', path: /^\/api\/chats(\/[^/]+)?$/, scope: 'read:chats' },
+  { method: 'GET', path: /^\/api\/v1\/sessions\/[^/]+\/events$/, scope: 'read:chats' },
+  { method: 'GET', path: /^\/api\/v1\/webhooks(\/[^/]+\/deliveries)?$/, scope: 'webhooks' },
+  { method: 'POST', path: /^\/api\/v1\/webhooks(\/[^/]+\/test|\/[^/]+\/deliveries\/[^/]+\/redeliver)?$/, scope: 'webhooks' },
+  { method: 'PATCH', path: /^\/api\/v1\/webhooks\/[^/]+$/, scope: 'webhooks' },
+  { method: 'DELETE', path: /^\/api\/v1\/webhooks\/[^/]+$/, scope: 'webhooks' }
+];
+
+// Sliding-window timestamps: Map<"identity|action", { hits: number[], windowMs }>
+const actionHits = new Map();
+// Entries whose hits have all left their window are dropped at most this often
+const HIT_SWEEP_INTERVAL_MS = 60 * 1000;
+let lastHitSweep = 0;
+
+/**
+ * Checks whether a role has been granted a permission
+ * @param {string} role - User role from the token
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    console.warn(`⚠️  Unknown permission requested: ${permission}`);
+    return false;
+  }
+  return allowedRoles.includes(role);
+}
+
+/**
+ * Express middleware enforcing a permission
+ * Responds 401 when no user can be resolved and 403 when the role lacks the permission
+ * @param {string} permission - Key of PERMISSIONS
+ * @param {Function} resolveUser - (req) => token payload or null
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission, resolveUser) {
+  return (req, res, next) => {
+    const user = resolveUser(req);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+    if (!hasPermission(user.role, permission)) {
+      console.warn(`🚫 ${user.email || 'unknown'} (${user.role || 'no role'}) denied ${permission} on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ success: false, error: 'Forbidden', permission });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+// Forgets identities that have not acted within their window, so the map does not keep every
+// user and action ever seen
+function sweepActionHits(now) {
+  if (now - lastHitSweep < HIT_SWEEP_INTERVAL_MS) return;
+  lastHitSweep = now;
+  for (const [key, entry] of actionHits) {
+    if (entry.hits.length === 0 || now - entry.hits[entry.hits.length - 1] >= entry.windowMs) {
+      actionHits.delete(key);
+    }
+  }
+}
+
+// Records a hit and reports whether the limit was exceeded
+function isOverLimit(key, { max, windowMs }) {
+  const now = Date.now();
+  sweepActionHits(now);
+  const hits = (actionHits.get(key)?.hits || []).filter(t => now - t < windowMs);
+  if (hits.length >= max) {
+    actionHits.set(key, { hits, windowMs });
+    return true;
+  }
+  hits.push(now);
+  actionHits.set(key, { hits, windowMs });
+  return false;
+}
+
+/**
+ * Authorizes a WebSocket action for the connected user
+ * @param {Object} user - ws.user ({ email, role, ... })
+ * @param {string} action - data.action of the incoming message
+ * @returns {{ allowed: boolean, status?: number, error?: string }}
+ */
+function checkWebSocketAction(user, action) {
+  const role = user?.role || 'anonymous';
+
+  const permission = WS_ACTION_PERMISSIONS[action];
+  if (permission && !hasPermission(role, permission)) {
+    return { allowed: false, status: 403, error: `Forbidden: '${action}' requires ${permission}` };
+  }
+
+  const limits = ROLE_ACTION_LIMITS[role] || ROLE_ACTION_LIMITS.user;
+  const identity = user?.email || 'anonymous';
+  for (const scope of [action, '*']) {
+    const limit = limits[scope];
+    if (limit && isOverLimit(`${identity}|${scope}`, limit)) {
+      return {
+        allowed: false,
+        status: 429,
+        error: `Rate limit exceeded for '${action}' (max ${limit.max} per ${Math.round(limit.windowMs / 1000)}s)`
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Checks whether an API key may call a proxy route
+ * @param {Object} apiKey - { id, scopes }
+ * @param {string} method - HTTP method
+ * @param {string} routePath - Path relative to the proxy router
+ * @returns {{ allowed: boolean, scope?: string, error?: string }}
+ */
+function checkApiKeyScope(apiKey, method, routePath) {
+  const route = API_KEY_ROUTES.find(r => r.method === method && r.path.test(routePath));
+  if (!route) {
+    return { allowed: false, error: 'This endpoint is not available with an API key' };
+  }
+  if (!(apiKey.scopes || []).includes(route.scope)) {
+    return { allowed: false, scope: route.scope, error: `API key is missing the '${route.scope}' scope` };
+  }
+  return { allowed: true, scope: route.scope };
+}
+
+export {
+  PERMISSIONS,
+  WS_ACTION_PERMISSIONS,
+  ROLE_ACTION_LIMITS,
+  API_KEY_SCOPES,
+  hasPermission,
+  requirePermission,
+  checkWebSocketAction,
+  checkApiKeyScope
+};
@@ -0,0 +1,322 @@
+// Queue for work that drives a Playwright page
+// Every sessionKey owns a single page, so its tasks run one at a time in arrival order. On top of
+// that, running tasks are capped per user and for the whole process; everything else waits
+// and can report its queue position.
+//
+// Tasks come in two kinds:
+// - request tasks carry a `run` closure (an HTTP request or WebSocket message). They only live in
+//   memory: after a crash their caller is gone anyway.
+// - durable tasks carry a JSON `payload` for a handler registered with registerTaskHandler. They
+//   are persisted to data/browser-queue.json and re-queued on the next start (recoverTasks), so
+//   the handler must be able to pick up work it was in the middle of.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './storage-paths.js';
+
+function queueFile() {
+  return dataPath('browser-queue.json');
+}
+// A durable task that keeps getting interrupted (e.g. it crashes the process) is given up after this
+const MAX_RECOVERY_ATTEMPTS = 3;
+
+// Read lazily: env vars are loaded by dotenv after this module is imported
+function getLimits() {
+  return {
+    perUser: parseInt(process.env.BROWSER_QUEUE_MAX_PER_USER, 10) || 2,
+    global: parseInt(process.env.BROWSER_QUEUE_MAX_GLOBAL, 10) || 4,
+    queuedPerUser: parseInt(process.env.BROWSER_QUEUE_MAX_QUEUED_PER_USER, 10) || 20
+  };
+}
+
+// type -> { run: (payload, task) => Promise, onFailed: (payload, error) => void }
+const handlers = new Map();
+// Queued and running tasks in arrival order
+const tasks = [];
+let paused = false;
+let wakeTimer = null;
+
+function queueError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function persist() {
+  const durable = tasks
+    .filter(t => t.durable)
+    .map(({ id, type, sessionKey, owner, payload, runAt, status, createdAt, startedAt, attempts }) =>
+      ({ id, type, sessionKey, owner, payload, runAt, status, createdAt, startedAt, attempts }));
+  try {
+    fs.mkdirSync(path.dirname(queueFile()), { recursive: true });
+    fs.writeFileSync(queueFile(), JSON.stringify({ tasks: durable }, null, 2));
+  } catch (err) {
+    console.error('❌ Error saving browser queue:', err.message);
+  }
+}
+
+/**
+ * Registers the handler for a durable task type
+ * @param {string} type - Task type
+ * @param {Object} handler - { run(payload, task), onFailed(payload, error) }; task.recovered is
+ *   true when the task is re-run after a restart
+ */
+function registerTaskHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Error enqueueTask would reject a task with right now, for callers that must know before
+ * queuing it (the check and the enqueueTask call must run in the same tick)
+ * @param {Object} params - { type, owner, run } as for enqueueTask
+ * @returns {Error|null} null when the task would be accepted
+ */
+function checkEnqueue({ type, owner, run = null }) {
+  const durable = !run;
+  if (durable && !handlers.has(type)) {
+    return new Error(`No handler registered for task type '${type}'`);
+  }
+  if (paused && !durable) {
+    return queueError('Browser work is paused, please retry shortly', 503);
+  }
+  const { queuedPerUser } = getLimits();
+  if (tasks.filter(t => t.owner === owner && t.status === 'queued').length >= queuedPerUser) {
+    return queueError(`Too many queued browser operations (max ${queuedPerUser})`, 429);
+  }
+  return null;
+}
+
+/**
+ * Queues a task
+ * @param {Object} params - { type, sessionKey, owner, run } for a request task, or
+ *   { type, sessionKey, owner, payload, runAt } for a durable task;
+ *   onQueued(position) is called while the task waits and its position changes
+ * @returns {Promise<*>} Result of the task; rejects with status 429 when the owner has too many
+ *   queued tasks, or 503 when the queue is paused
+ */
+function enqueueTask({ type, sessionKey, owner, run = null, payload = null, runAt = null, onQueued = null }) {
+  const durable = !run;
+  const refusal = checkEnqueue({ type, owner, run });
+  if (refusal) return Promise.reject(refusal);
+
+  return new Promise((resolve, reject) => {
+    tasks.push({
+      id: crypto.randomUUID(),
+      type,
+      sessionKey: sessionKey || 'anonymous',
+      owner: owner || 'anonymous',
+      durable,
+      run,
+      payload,
+      runAt,
+      onQueued,
+      notifiedPosition: null,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      attempts: 0,
+      recovered: false,
+      resolve,
+      reject
+    });
+    if (durable) persist();
+    schedule();
+  });
+}
+
+function isReady(task, now) {
+  return task.status === 'queued' && (!task.runAt || new Date(task.runAt).getTime() <= now);
+}
+
+// Start every task the limits allow, then update waiting tasks on their position
+function schedule() {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+  const now = Date.now();
+  const limits = getLimits();
+  const running = tasks.filter(t => t.status === 'running');
+  const busySessions = new Set(running.map(t => t.sessionKey));
+  const runningPerOwner = new Map();
+  for (const t of running) runningPerOwner.set(t.owner, (runningPerOwner.get(t.owner) || 0) + 1);
+
+  if (!paused) {
+    for (const task of tasks) {
+      if (running.length >= limits.global) break;
+      if (!isReady(task, now) || busySessions.has(task.sessionKey)) continue;
+      if ((runningPerOwner.get(task.owner) || 0) >= limits.perUser) continue;
+      busySessions.add(task.sessionKey);
+      runningPerOwner.set(task.owner, (runningPerOwner.get(task.owner) || 0) + 1);
+      running.push(task);
+      startTask(task);
+    }
+  }
+
+  let position = 0;
+  for (const task of tasks) {
+    if (!isReady(task, now)) continue;
+    position++;
+    if (task.onQueued && task.notifiedPosition !== position) {
+      task.notifiedPosition = position;
+      try {
+        task.onQueued(position);
+      } catch (_) {}
+    }
+  }
+
+  // Wake up for the next delayed task
+  const delays = tasks
+    .filter(t => t.status === 'queued' && t.runAt)
+    .map(t => new Date(t.runAt).getTime() - now)
+    .filter(ms => ms > 0);
+  if (delays.length > 0 && !paused) {
+    wakeTimer = setTimeout(schedule, Math.min(...delays));
+  }
+}
+
+async function startTask(task) {
+  task.status = 'running';
+  task.startedAt = new Date().toISOString();
+  task.attempts++;
+  if (task.durable) persist();
+
+  let result;
+  let error = null;
+  try {
+    result = task.durable
+      ? await handlers.get(task.type).run(task.payload, task)
+      : await task.run();
+  } catch (err) {
+    error = err;
+  }
+
+  tasks.splice(tasks.indexOf(task), 1);
+  if (task.durable) persist();
+  if (error) {
+    if (task.durable) console.error(`❌ Browser task ${task.type} (${task.id}) failed:`, error.message);
+    task.reject(error);
+  } else {
+    task.resolve(result);
+  }
+  schedule();
+}
+
+/**
+ * Re-queues the durable tasks of the previous process; call once every handler is registered
+ * Tasks without a handler, or interrupted too often, are failed through their handler's onFailed.
+ * @returns {{ recovered: number, failed: number }}
+ */
+function recoverTasks() {
+  let saved = [];
+  try {
+    if (fs.existsSync(queueFile())) {
+      saved = JSON.parse(fs.readFileSync(queueFile(), 'utf8')).tasks || [];
+    }
+  } catch (err) {
+    console.error('❌ Error loading browser queue:', err.message);
+  }
+
+  let recovered = 0;
+  let failed = 0;
+  for (const entry of saved) {
+    const handler = handlers.get(entry.type);
+    if (!handler || entry.attempts >= MAX_RECOVERY_ATTEMPTS) {
+      failed++;
+      const reason = handler ? 'Interrupted by server restarts too many times' : `Unknown task type '${entry.type}'`;
+      console.warn(`⚠️  Dropping browser task ${entry.type} (${entry.id}): ${reason}`);
+      try {
+        handler?.onFailed?.(entry.payload, new Error(reason));
+      } catch (err) {
+        console.error('❌ Error failing browser task:', err.message);
+      }
+      continue;
+    }
+    recovered++;
+    tasks.push({
+      ...entry,
+      durable: true,
+      run: null,
+      onQueued: null,
+      notifiedPosition: null,
+      // Running tasks were interrupted mid-way; the handler decides how to pick them up
+      recovered: entry.status === 'running',
+      status: 'queued',
+      startedAt: null,
+      resolve: () => {},
+      reject: () => {}
+    });
+  }
+  persist();
+  schedule();
+  return { recovered, failed };
+}
+
+/**
+ * Stops starting tasks (running ones finish); waiting request tasks are rejected with 503,
+ * durable ones wait for resumeQueue
+ */
+function pauseQueue() {
+  paused = true;
+  // Delayed tasks are picked up again by resumeQueue
+  clearTimeout(wakeTimer);
+  wakeTimer = null;
+  for (const task of tasks.filter(t => t.status === 'queued' && !t.durable)) {
+    tasks.splice(tasks.indexOf(task), 1);
+    task.reject(queueError('Browser work is paused, please retry shortly', 503));
+  }
+}
+
+function resumeQueue() {
+  paused = false;
+  schedule();
+}
+
+/**
+ * Position of a waiting task, looked up with a predicate (e.g. on a payload field)
+ * @param {Function} predicate - (task) => boolean
+ * @returns {number|null} 1-based position among ready tasks, 0 while running, null when not
+ *   queued or delayed (runAt in the future)
+ */
+function getQueuePosition(predicate) {
+  const now = Date.now();
+  let position = 0;
+  for (const task of tasks) {
+    if (isReady(task, now)) position++;
+    if (predicate(task)) {
+      if (task.status === 'running') return 0;
+      return isReady(task, now) ? position : null;
+    }
+  }
+  return null;
+}
+
+// Whether a queued or running task matches
+function hasTask(predicate) {
+  return tasks.some(predicate);
+}
+
+// Snapshot for the admin endpoint (no payload closures)
+function getQueueStatus() {
+  const view = ({ id, type, sessionKey, owner, durable, status, runAt, createdAt, startedAt }) =>
+    ({ id, type, sessionKey, owner, durable, status, runAt, createdAt, startedAt });
+  return {
+    paused,
+    limits: getLimits(),
+    running: tasks.filter(t => t.status === 'running').map(view),
+    queued: tasks.filter(t => t.status === 'queued').map(view)
+  };
+}
+
+export {
+  registerTaskHandler,
+  checkEnqueue,
+  enqueueTask,
+  recoverTasks,
+  pauseQueue,
+  resumeQueue,
+  getQueuePosition,
+  hasTask,
+  getQueueStatus
+};
@@ -1,13 +1,12 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { dataPath } from './storage-paths.js';
 
 // Directory where chat files will be stored
-const CHATS_DIR = path.join(__dirname, 'data', 'chats');
+function chatsDir() {
+  return dataPath('chats');
+}
 
 /**
  * Generates a smart title from messages
@@ -60,7 +59,7 @@ function generateChatTitle(messages, useLastUserMessage = false) {
  */
 async function ensureChatsDirectory() {
   try {
-    await fs.mkdir(CHATS_DIR, { recursive: true });
+    await fs.mkdir(chatsDir(), { recursive: true });
   } catch (error) {
     console.error('Error creating chats directory:', error);
     throw error;
@@ -81,7 +80,7 @@ async function saveChat(sessionId, messages, userEmail, title = null) {
   // Create user-specific directory
   // For backward compatibility, if userEmail is provided, create a user-specific directory
   // Otherwise, save directly to the chats directory
-  const userDir = userEmail ? path.join(CHATS_DIR, userEmail.replace(/[@.]/g, '_')) : CHATS_DIR;
+  const userDir = userEmail ? path.join(chatsDir(), userEmail.replace(/[@.]/g, '_')) : chatsDir();
   await fs.mkdir(userDir, { recursive: true });
   
   // Generate filename based on session ID
@@ -123,7 +122,7 @@ async function updateChat(sessionId, messages, userEmail, title = null) {
   // Get user-specific directory
   // For backward compatibility, if userEmail is provided, use a user-specific directory
   // Otherwise, use the chats directory directly
-  const userDir = userEmail ? path.join(CHATS_DIR, userEmail.replace(/[@.]/g, '_')) : CHATS_DIR;
+  const userDir = userEmail ? path.join(chatsDir(), userEmail.replace(/[@.]/g, '_')) : chatsDir();
   const filePath = path.join(userDir, `${sessionId}.json`);
   
   try {
@@ -174,7 +173,7 @@ async function getUserChats(userEmail) {
   await ensureChatsDirectory();
   
   // If userEmail is provided, use user-specific directory, otherwise use main chats directory
-  const userDir = userEmail ? path.join(CHATS_DIR, userEmail.replace(/[@.]/g, '_')) : CHATS_DIR;
+  const userDir = userEmail ? path.join(chatsDir(), userEmail.replace(/[@.]/g, '_')) : chatsDir();
   
   try {
     // Create directory if it doesn't exist
@@ -227,7 +226,7 @@ async function getChatById(sessionId, userEmail) {
   await ensureChatsDirectory();
   
   // If userEmail is provided, use user-specific directory, otherwise use main chats directory
-  const userDir = userEmail ? path.join(CHATS_DIR, userEmail.replace(/[@.]/g, '_')) : CHATS_DIR;
+  const userDir = userEmail ? path.join(chatsDir(), userEmail.replace(/[@.]/g, '_')) : chatsDir();
   const filePath = path.join(userDir, `${sessionId}.json`);
   
   try {
@@ -249,7 +248,7 @@ async function deleteChat(sessionId, userEmail) {
   await ensureChatsDirectory();
   
   // If userEmail is provided, use user-specific directory, otherwise use main chats directory
-  const userDir = userEmail ? path.join(CHATS_DIR, userEmail.replace(/[@.]/g, '_')) : CHATS_DIR;
+  const userDir = userEmail ? path.join(chatsDir(), userEmail.replace(/[@.]/g, '_')) : chatsDir();
   const filePath = path.join(userDir, `${sessionId}.json`);
   
   try {
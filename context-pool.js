@@ -0,0 +1,169 @@
+// Limits and bookkeeping for the per-session browser contexts
+// Every browser session (email:sessionId, a job, an SSE viewer) gets its own Chromium context,
+// and each one costs a renderer process and a few hundred MB. The proxy keeps the number of
+// contexts under a hard cap: when the pool is full, the least recently used idle context is
+// closed to make room (LRU), and contexts idle for too long are closed by a periodic sweep.
+// Memory watermarks tighten this under pressure: above the high mark the pool stops growing
+// (a new context must replace an idle one), above the critical mark new contexts are refused
+// unless one can be replaced.
+//
+// A context closed this way is not lost: its local storage and the page it was on are kept
+// here, and the next access to the session restores them (with the upstream account's current
+// cookies). Crash recovery reopens sessions the same way. The contexts themselves stay in the
+// proxy; this module only decides and counts.
+
+import fs from 'fs';
+import os from 'os';
+
+// Saved states of closed contexts are kept this long (the user has most likely moved on after)
+const SAVED_STATE_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_SAVED_STATES = 500;
+
+// Read lazily: env vars are loaded by dotenv after this module is imported
+function getPoolLimits() {
+  return {
+    maxContexts: parseInt(process.env.CONTEXT_POOL_MAX, 10) || 20,
+    idleTimeoutMs: parseInt(process.env.CONTEXT_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000,
+    sweepIntervalMs: parseInt(process.env.CONTEXT_SWEEP_INTERVAL_MS, 10) || 60 * 1000,
+    memoryHighPercent: parseInt(process.env.CONTEXT_MEMORY_HIGH_PERCENT, 10) || 80,
+    memoryCriticalPercent: parseInt(process.env.CONTEXT_MEMORY_CRITICAL_PERCENT, 10) || 90
+  };
+}
+
+// sessionKey -> { origins, url, heygenSessionId, upstreamAccountId, closedAt, reason }
+const savedStates = new Map();
+const counters = { created: 0, restored: 0, closed: { lru: 0, idle: 0, memory: 0, crash: 0 }, refused: 0 };
+
+function poolError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'CAPACITY_REACHED';
+  return error;
+}
+
+// First number in a cgroup file, null when missing or unlimited ("max")
+function readCgroupValue(file) {
+  try {
+    const value = parseInt(fs.readFileSync(file, 'utf8'), 10);
+    return Number.isFinite(value) ? value : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Memory in use on the host, or in the container when it runs under a cgroup memory limit
+ * Chromium's processes count too, which is the point: they are what grows with the pool.
+ * @returns {{ usedBytes: number, limitBytes: number, percent: number, source: string }}
+ */
+function readMemoryUsage() {
+  const totalBytes = os.totalmem();
+  const cgroups = [
+    ['/sys/fs/cgroup/memory.current', '/sys/fs/cgroup/memory.max'],
+    ['/sys/fs/cgroup/memory/memory.usage_in_bytes', '/sys/fs/cgroup/memory/memory.limit_in_bytes']
+  ];
+  for (const [usageFile, limitFile] of cgroups) {
+    const usedBytes = readCgroupValue(usageFile);
+    const limitBytes = readCgroupValue(limitFile);
+    // cgroup v1 reports "no limit" as a huge number
+    if (usedBytes !== null && limitBytes !== null && limitBytes < totalBytes) {
+      return { usedBytes, limitBytes, percent: Math.round((usedBytes / limitBytes) * 100), source: 'cgroup' };
+    }
+  }
+  const usedBytes = totalBytes - os.freemem();
+  return { usedBytes, limitBytes: totalBytes, percent: Math.round((usedBytes / totalBytes) * 100), source: 'host' };
+}
+
+// 'normal', 'high' or 'critical' for a memory reading
+function getMemoryLevel(memory = readMemoryUsage(), limits = getPoolLimits()) {
+  if (memory.percent >= limits.memoryCriticalPercent) return 'critical';
+  if (memory.percent >= limits.memoryHighPercent) return 'high';
+  return 'normal';
+}
+
+/**
+ * Orders contexts for eviction, least recently used first
+ * Busy contexts (browser tasks running or waiting) are never offered. Pinned ones (a generation
+ * being followed, clients attached) come after all others.
+ * @param {Array<Object>} entries - { sessionKey, lastActivity, busy, pinned }
+ * @returns {Array<string>} Session keys
+ */
+function orderEvictionCandidates(entries) {
+  return entries
+    .filter(entry => !entry.busy)
+    .sort((a, b) => (a.pinned - b.pinned) || (a.lastActivity - b.lastActivity))
+    .map(entry => entry.sessionKey);
+}
+
+// Keeps what is needed to reopen a closed context where it was
+function saveState(sessionKey, state, reason) {
+  savedStates.delete(sessionKey);
+  savedStates.set(sessionKey, { ...state, reason, closedAt: Date.now() });
+  counters.closed[reason] = (counters.closed[reason] || 0) + 1;
+  // Oldest first (Map keeps insertion order)
+  while (savedStates.size > MAX_SAVED_STATES) savedStates.delete(savedStates.keys().next().value);
+}
+
+// Saved state of a closed context, removed on read; null when there is none (or it expired)
+function takeSavedState(sessionKey) {
+  const state = savedStates.get(sessionKey);
+  savedStates.delete(sessionKey);
+  if (!state || Date.now() - state.closedAt > SAVED_STATE_TTL_MS) return null;
+  counters.restored++;
+  return state;
+}
+
+function dropSavedState(sessionKey) {
+  savedStates.delete(sessionKey);
+}
+
+function pruneSavedStates() {
+  const cutoff = Date.now() - SAVED_STATE_TTL_MS;
+  for (const [sessionKey, state] of savedStates) {
+    if (state.closedAt < cutoff) savedStates.delete(sessionKey);
+  }
+}
+
+function recordCreated() {
+  counters.created++;
+}
+
+function capacityError(message) {
+  counters.refused++;
+  return poolError(message, 503);
+}
+
+/**
+ * Snapshot for the admin endpoint
+ * @param {Array<Object>} contexts - Live contexts as described by the proxy
+ * @param {number} pending - Contexts being created
+ * @returns {Object}
+ */
+function getPoolMetrics(contexts, pending = 0) {
+  const limits = getPoolLimits();
+  const memory = readMemoryUsage();
+  return {
+    limits,
+    live: contexts.length,
+    pending,
+    busy: contexts.filter(context => context.busy).length,
+    memory: { ...memory, level: getMemoryLevel(memory, limits) },
+    savedStates: savedStates.size,
+    counters: { ...counters, closed: { ...counters.closed } },
+    contexts
+  };
+}
+
+export {
+  getPoolLimits,
+  readMemoryUsage,
+  getMemoryLevel,
+  orderEvictionCandidates,
+  saveState,
+  takeSavedState,
+  dropSavedState,
+  pruneSavedStates,
+  recordCreated,
+  capacityError,
+  getPoolMetrics
+};
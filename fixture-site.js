@@ -0,0 +1,413 @@
+// Local fixture site that mimics the upstream agent UI, for running the proxy without HeyGen
+// Reproduces the DOM the proxy depends on (see selectors.js): the home prompt box with its submit
+// button, attachment input and avatar picker, and /agent/<id> pages with chat rows, the
+// generation progress card, video cards, the video sidebar and the "Make changes" button.
+// Generations are simulated: they take FIXTURE_GENERATION_MS and end with a placeholder video.
+// Everything lives in memory.
+//
+// Run: npm run fixture (port FIXTURE_PORT, default 4100), then start ArenaGen with
+//   UPSTREAM_TARGET=http://localhost:4100 UPSTREAM_VIDEO_ORIGIN=http://localhost:4100/videos
+// A prompt containing [fixture:error] makes the generation fail with the upstream error banner.
+// /login takes any email and password (two steps, like the upstream form) and sets a session
+// cookie, so upstream account logins work against it too.
+
+import express from 'express';
+import crypto from 'crypto';
+import { createServer } from 'http';
+
+const DEFAULT_GENERATION_MS = 8000;
+const ERROR_MARKER = '[fixture:error]';
+const STEPS = [
+  { status: 'Understanding', text: 'Understanding your request' },
+  { status: 'Planning', text: 'Planning the script and scenes' },
+  { status: 'Creating', text: 'Creating your video' }
+];
+// Not a playable video: the proxy only needs something to download
+const PLACEHOLDER_VIDEO = Buffer.from('fixture video placeholder\n');
+const PLACEHOLDER_THUMBNAIL = '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="180"><rect width="320" height="180" fill="#6366f1"/></svg>';
+
+const PAGE_CSS = `
+  body { font-family: sans-serif; margin: 0; display: flex; }
+  main { flex: 1; padding: 16px; max-width: 720px; }
+  aside { width: 360px; padding: 16px; border-left: 1px solid #ddd; }
+  .tw-hidden { display: none; }
+  .tw-self-end { justify-content: flex-end; }
+  .tw-bg-fill-block { background: #eef; padding: 8px; border-radius: 8px; }
+  .tw-rounded-2xl { border: 1px solid #ddd; border-radius: 16px; padding: 12px; margin: 8px 0; }
+  .tw-bg-more-redLighter { background: #fee; padding: 8px; }
+  textarea { width: 100%; min-height: 60px; }
+`;
+
+// Runs in the browser: renders the prompt box and the agent chat from the fixture's JSON API
+function pageScript({ page, sessionId }) {
+  const STEPS = window.__FIXTURE_STEPS__;
+  const promptInput = document.querySelector('textarea.tw-resize-none');
+  const submitButton = document.querySelector('button.tw-bg-brand');
+  const fileInput = document.querySelector('input[type="file"]');
+  const attachmentList = document.getElementById('attachments');
+  const chat = document.getElementById('chat');
+  const sidebar = document.querySelector('aside');
+  let attachments = [];
+  let lastState = '';
+  let openVideoId = null;
+  let sidebarDismissed = false;
+
+  function escape(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+  }
+
+  function updateSubmitButton() {
+    const enabled = promptInput.value.trim().length > 0;
+    submitButton.disabled = !enabled;
+    submitButton.setAttribute('data-loading', 'false');
+  }
+
+  promptInput.addEventListener('input', updateSubmitButton);
+  fileInput.addEventListener('change', () => {
+    attachments = attachments.concat([...fileInput.files].map(file => file.name));
+    attachmentList.innerHTML = attachments.map(name => `<span class="tw-text-xs">${escape(name)}</span>`).join(' ');
+  });
+
+  submitButton.addEventListener('click', async () => {
+    const prompt = promptInput.value.trim();
+    if (!prompt) return;
+    submitButton.setAttribute('data-loading', 'true');
+    submitButton.disabled = true;
+    const url = page === 'home' ? '/api/agent' : `/api/agent/${sessionId}/messages`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ prompt, attachments })
+    });
+    const result = await response.json();
+    promptInput.value = '';
+    attachments = [];
+    attachmentList.innerHTML = '';
+    updateSubmitButton();
+    if (page === 'home') {
+      window.location.assign(`/agent/${result.id}`);
+    } else {
+      sidebarDismissed = false;
+      refresh();
+    }
+  });
+
+  const closeAvatarBox = document.querySelector('#avatar-box button');
+  if (closeAvatarBox) {
+    closeAvatarBox.addEventListener('click', () => document.getElementById('avatar-box').remove());
+  }
+
+  updateSubmitButton();
+  if (page !== 'agent') return;
+
+  function renderProgress(generation) {
+    const current = Math.min(STEPS.length - 1, Math.floor(generation.percentage / (100 / STEPS.length)));
+    const statuses = STEPS.map((step, index) =>
+      `<div class="tw-text-sm${index === current ? ' tw-font-bold tw-text-textTitle' : ''}">${step.status}</div>`).join('');
+    const steps = STEPS.map((step, index) => {
+      const icon = index < current ? 'check-one-fill' : index === current ? 'onboarding-ongoing' : 'round';
+      const bold = index === current ? ' tw-font-bold' : '';
+      return `<div class="tw-flex tw-items-center tw-gap-3"><iconpark-icon name="${icon}" theme="filled"></iconpark-icon><span class="tw-text-sm tw-text-textTitle${bold}">${step.text}</span></div>`;
+    }).join('');
+    return `
+      <div class="tw-flex tw-flex-col tw-items-stretch tw-gap-4 tw-rounded-2xl tw-border tw-border-line tw-bg-fill-general tw-p-4 tw-relative tw-cursor-pointer tw-group">
+        <div class="tw-text-sm tw-font-medium tw-text-textBody"><span>Our Video Agent is working on your video</span></div>
+        <span class="tw-font-semibold tw-text-textTitleRev">${generation.percentage}%</span>
+        <div class="tw-flex tw-gap-6">
+          <div class="tw-flex tw-flex-col tw-gap-2">${statuses}</div>
+          <div class="tw-flex tw-flex-col">${steps}</div>
+        </div>
+        <video src="/static/liteSharePreviewAnimation.mp4" muted></video>
+      </div>`;
+  }
+
+  function renderVideoCard(generation) {
+    return `
+      <div class="tw-flex tw-flex-col tw-items-stretch tw-gap-4 tw-rounded-2xl tw-border tw-border-line tw-bg-fill-general tw-p-4 tw-cursor-pointer" data-fixture-video="${generation.id}">
+        <div class="tw-border-brand tw-bg-more-brandLighter tw-rounded-xl">
+          <img alt="draft thumbnail" src="${escape(generation.thumbnailUrl)}" width="160" height="90">
+        </div>
+        <div class="tw-text-base tw-font-bold tw-tracking-tight">${escape(generation.title)}</div>
+        <div class="tw-text-sm tw-font-medium tw-text-textBody"><span>${escape(generation.subtitle)}</span></div>
+        <iconpark-icon name="fill-the-canva"></iconpark-icon>
+      </div>`;
+  }
+
+  function agentRow(html) {
+    return `<div class="tw-flex tw-self-start tw-justify-start"><div class="tw-text-textTitle"><div class="tw-prose">${html}</div></div></div>`;
+  }
+
+  function renderChat(state) {
+    const rows = [];
+    for (const entry of state.entries) {
+      if (entry.type === 'user') {
+        const files = entry.attachments.length > 0
+          ? `<div class="tw-text-xs">Attached: ${entry.attachments.map(escape).join(', ')}</div>`
+          : '';
+        rows.push(`<div class="tw-flex tw-self-end tw-justify-end"><div class="tw-bg-fill-block">${escape(entry.text)}</div>${files}</div>`);
+      } else if (entry.type === 'agent') {
+        rows.push(agentRow(escape(entry.text)));
+      } else if (entry.type === 'generation') {
+        const generation = entry;
+        if (generation.status === 'generating') {
+          rows.push(renderProgress(generation));
+        } else if (generation.status === 'failed') {
+          rows.push(`<div class="tw-bg-more-redLighter"><div class="tw-text-textTitle">${escape(generation.error)}</div></div>`);
+        } else {
+          rows.push(agentRow('Your video is ready! Let me know if you would like any changes.') +
+            `<div class="tw-flex"><button type="button" data-fixture-make-changes="${generation.id}">Make changes</button></div>`);
+          rows.push(renderVideoCard(generation));
+        }
+      }
+    }
+    chat.innerHTML = rows.join('');
+  }
+
+  function renderSidebar(state) {
+    const finished = state.entries.filter(entry => entry.type === 'generation' && entry.status === 'completed');
+    if (!openVideoId && !sidebarDismissed && finished.length > 0) openVideoId = finished[finished.length - 1].id;
+    const generation = finished.find(entry => entry.id === openVideoId);
+    if (!generation) {
+      sidebar.innerHTML = '';
+      return;
+    }
+    if (sidebar.dataset.videoId === generation.id && sidebar.innerHTML) return;
+    sidebar.dataset.videoId = generation.id;
+    sidebar.innerHTML = `
+      <button type="button" aria-label="Close">×</button>
+      <div class="tw-text-base tw-font-bold tw-tracking-tight">${escape(generation.title)}</div>
+      <video class="css-uwwqev" src="${escape(generation.videoUrl)}" poster="${escape(generation.thumbnailUrl)}" controls></video>`;
+  }
+
+  function closeSidebar() {
+    openVideoId = null;
+    sidebarDismissed = true;
+    sidebar.innerHTML = '';
+    delete sidebar.dataset.videoId;
+  }
+
+  async function refresh() {
+    const response = await fetch(`/api/agent/${sessionId}`);
+    if (!response.ok) return;
+    const state = await response.json();
+    const serialized = JSON.stringify(state);
+    if (serialized !== lastState) {
+      lastState = serialized;
+      renderChat(state);
+      renderSidebar(state);
+    }
+  }
+
+  chat.addEventListener('click', async event => {
+    const makeChanges = event.target.closest('[data-fixture-make-changes]');
+    if (makeChanges) {
+      await fetch(`/api/agent/${sessionId}/make-changes`, { method: 'POST' });
+      return refresh();
+    }
+    const card = event.target.closest('[data-fixture-video]');
+    if (card) {
+      openVideoId = card.dataset.fixtureVideo;
+      sidebarDismissed = false;
+      delete sidebar.dataset.videoId;
+      renderSidebar(JSON.parse(lastState));
+    }
+  });
+  sidebar.addEventListener('click', event => {
+    if (event.target.closest('button[aria-label="Close"]')) closeSidebar();
+  });
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeSidebar();
+  });
+
+  refresh();
+  setInterval(refresh, 1000);
+}
+
+// Email first, then the password, as the upstream login form asks for them
+const LOGIN_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Fixture Login</title>
+  <style>${PAGE_CSS}</style>
+</head>
+<body>
+  <main>
+    <form method="post" action="/login">
+      <input name="email" placeholder="Enter email">
+      <button type="button" id="continue">Continue</button>
+      <div id="password-step" class="tw-hidden">
+        <input name="password" type="password" placeholder="Enter password">
+        <button type="submit">Log in</button>
+      </div>
+    </form>
+  </main>
+  <script>
+    document.getElementById('continue').addEventListener('click', () => {
+      document.getElementById('continue').classList.add('tw-hidden');
+      document.getElementById('password-step').classList.remove('tw-hidden');
+    });
+  </script>
+</body>
+</html>`;
+
+function renderPage({ page, sessionId = null }) {
+  const avatarBox = page === 'home'
+    ? `<div id="avatar-box" class="tw-group tw-relative">
+         <div class="tw-text-xs tw-text-textSupport">Avatar</div>
+         <button type="button" class="tw-absolute -tw-right-2 -tw-top-2 tw-h-[24px] tw-w-[24px]"><iconpark-icon name="close" theme="filled">×</iconpark-icon></button>
+       </div>`
+    : '';
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Fixture Video Agent</title>
+  <style>${PAGE_CSS}</style>
+</head>
+<body>
+  <main>
+    <div id="chat"></div>
+    ${avatarBox}
+    <div id="attachments"></div>
+    <textarea class="tw-resize-none tw-bg-transparent" placeholder="Describe the video you want to create"></textarea>
+    <input type="file" accept="image/*,.jpg,.jpeg,.png" multiple class="tw-hidden">
+    <button type="submit" class="tw-bg-brand" data-loading="false" disabled>Send</button>
+  </main>
+  <aside></aside>
+  <script>
+    window.__FIXTURE_STEPS__ = ${JSON.stringify(STEPS)};
+    (${pageScript.toString()})(${JSON.stringify({ page, sessionId })});
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Creates a fixture site
+ * @param {Object} options - { port, generationMs: how long a simulated generation takes }
+ * @returns {{ app, url: string, sessions: Map, start: Function, stop: Function }}
+ */
+function createFixtureSite({ port = 4100, generationMs = DEFAULT_GENERATION_MS } = {}) {
+  const url = `http://localhost:${port}`;
+  // id -> { id, entries: [{ type: 'user'|'agent'|'generation', ... }], makeChanges }
+  const sessions = new Map();
+
+  const app = express();
+  app.use(express.json());
+
+  function startGeneration(session, prompt, attachments) {
+    session.entries.push({ type: 'user', text: prompt, attachments });
+    session.entries.push({ type: 'agent', text: 'Got it! I am creating your video now.' });
+    const id = crypto.randomBytes(6).toString('hex');
+    session.entries.push({
+      type: 'generation',
+      id,
+      startedAt: Date.now(),
+      fails: prompt.includes(ERROR_MARKER),
+      title: prompt.replace(ERROR_MARKER, '').trim().slice(0, 60) || 'Untitled video',
+      subtitle: 'Generated by the fixture site',
+      videoUrl: `${url}/videos/${id}.mp4`,
+      thumbnailUrl: `${url}/videos/${id}.svg`
+    });
+  }
+
+  // Generation entries as the page sees them right now
+  function viewSession(session) {
+    const now = Date.now();
+    return {
+      id: session.id,
+      entries: session.entries.map(entry => {
+        if (entry.type !== 'generation') return entry;
+        const { startedAt, fails, ...generation } = entry;
+        const percentage = Math.min(100, Math.floor(((now - startedAt) / generationMs) * 100));
+        if (percentage < 100) return { ...generation, status: 'generating', percentage };
+        if (fails) return { ...generation, status: 'failed', error: 'Something went wrong while generating your video' };
+        return { ...generation, status: 'completed', percentage: 100 };
+      })
+    };
+  }
+
+  app.get('/', (req, res) => res.redirect('/home'));
+  app.get('/login', (req, res) => res.type('html').send(LOGIN_PAGE));
+  app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+    if (!req.body.email || !req.body.password) return res.redirect('/login');
+    res.cookie('fixture_session', crypto.randomBytes(16).toString('hex'), { httpOnly: true, path: '/' });
+    res.redirect('/home');
+  });
+  app.get('/home', (req, res) => res.type('html').send(renderPage({ page: 'home' })));
+  app.get('/agent/:id', (req, res) => {
+    if (!sessions.has(req.params.id)) return res.status(404).type('html').send('<h1>Session not found</h1>');
+    res.type('html').send(renderPage({ page: 'agent', sessionId: req.params.id }));
+  });
+
+  app.post('/api/agent', (req, res) => {
+    const prompt = String(req.body?.prompt || '').trim();
+    if (!prompt) return res.status(400).json({ error: 'prompt is required' });
+    const session = { id: crypto.randomUUID(), entries: [], makeChanges: 0 };
+    startGeneration(session, prompt, req.body.attachments || []);
+    sessions.set(session.id, session);
+    res.status(201).json({ id: session.id });
+  });
+
+  app.get('/api/agent/:id', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'not found' });
+    res.json(viewSession(session));
+  });
+
+  app.post('/api/agent/:id/messages', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'not found' });
+    const prompt = String(req.body?.prompt || '').trim();
+    if (!prompt) return res.status(400).json({ error: 'prompt is required' });
+    startGeneration(session, prompt, req.body.attachments || []);
+    res.status(201).json({ id: session.id });
+  });
+
+  app.post('/api/agent/:id/make-changes', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'not found' });
+    session.makeChanges++;
+    session.entries.push({ type: 'agent', text: 'Sure! Tell me what you would like to change.' });
+    res.json({ ok: true });
+  });
+
+  app.get('/videos/:file', (req, res) => {
+    if (req.params.file.endsWith('.svg')) return res.type('image/svg+xml').send(PLACEHOLDER_THUMBNAIL);
+    res.type('video/mp4').send(PLACEHOLDER_VIDEO);
+  });
+  app.get('/static/liteSharePreviewAnimation.mp4', (req, res) => res.type('video/mp4').send(PLACEHOLDER_VIDEO));
+
+  let server = null;
+  return {
+    app,
+    url,
+    sessions,
+    start() {
+      return new Promise((resolve, reject) => {
+        server = createServer(app);
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+      });
+    },
+    stop() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+}
+
+// If run directly, start a fixture site
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = parseInt(process.env.FIXTURE_PORT, 10) || 4100;
+  const generationMs = parseInt(process.env.FIXTURE_GENERATION_MS, 10) || DEFAULT_GENERATION_MS;
+  const fixture = createFixtureSite({ port, generationMs });
+  fixture.start().then(() => {
+    console.log(`🧪 Fixture site running at ${fixture.url} (generations take ${generationMs} ms)`);
+    console.log(`   Start ArenaGen with UPSTREAM_TARGET=${fixture.url} UPSTREAM_VIDEO_ORIGIN=${fixture.url}/videos`);
+  });
+}
+
+export { createFixtureSite };
@@ -2,12 +2,43 @@ import React, { useEffect, useState } from 'react';
 import HomePage from './components/HomePage';
 import GenerationPage from './components/GenerationPage';
 import GalleryPage from './components/GalleryPage';
+import SecurityPage from './components/SecurityPage';
 import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 
+// Access tokens live 15 minutes; renew them well before they expire
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+// Exchange the refresh token cookie for a new access token; resolves to true on success
+async function refreshAccessToken(API_BASE) {
+  try {
+    const res = await fetch(`${API_BASE}/api/refresh`, {
+      method: 'POST',
+      credentials: 'include',
+    });
+    const data = await res.json();
+    return !!(data && data.success);
+  } catch (_) {
+    return false;
+  }
+}
+
 function ProtectedRoute({ children }) {
   const [allowed, setAllowed] = useState(null);
   const location = useLocation();
 
+  // Keep the session alive silently while a protected page is open
+  useEffect(() => {
+    if (!allowed) return undefined;
+    const baseUrl = window.location.origin;
+    const API_BASE = process.env.REACT_APP_API_BASE || `${baseUrl}/auth`;
+    const timer = setInterval(() => {
+      refreshAccessToken(API_BASE).then(ok => {
+        if (!ok) console.warn('⚠️ Silent token refresh failed');
+      });
+    }, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [allowed]);
+
   useEffect(() => {
     let cancelled = false;
     (async () => {
@@ -22,8 +53,10 @@ function ProtectedRoute({ children }) {
           },
         });
         const data = await res.json();
+        // Access token expired: try the refresh token before sending the user to the login page
+        const authenticated = (data && data.userAuthenticated) || await refreshAccessToken(API_BASE);
         if (!cancelled) {
-          if (data && data.userAuthenticated) {
+          if (authenticated) {
             console.log('✅ User authenticated, allowing access');
             setAllowed(true);
           } else {
@@ -92,6 +125,7 @@ function App() {
         )
       } />
       <Route path="/gallery" element={<ProtectedRoute><GalleryPage /></ProtectedRoute>} />
+      <Route path="/security" element={<ProtectedRoute><SecurityPage /></ProtectedRoute>} />
       <Route path="/" element={<Navigate to="/home" replace />} />
     </Routes>
   );
@@ -3,6 +3,7 @@ import { useParams, useLocation, useSearchParams } from 'react-router-dom';
 import VideoGenerationPreloader from './VideoGenerationPreloader';
 import Header from './Header';
 import ChatHistorySidebar from './ChatHistorySidebar';
+import SessionPresenceBar from './SessionPresenceBar';
 
 
 
@@ -54,6 +55,8 @@ const GenerationPage = () => {
   const [isSaving, setIsSaving] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null); // 'success', 'error', or null
   const [errorMessage, setErrorMessage] = useState(null); // HeyGen error message
+  const [presence, setPresence] = useState(null); // { presence, you } of the shared browser session
+  const [shareLink, setShareLink] = useState(null);
   
   // Extract video hash from HeyGen URLs to deduplicate by video, not URL
   const extractVideoHash = useCallback((url) => {
@@ -211,6 +214,8 @@ const GenerationPage = () => {
   const getVideoUrlPollIntervalRef = useRef(null);
   const makeChangesPollIntervalRef = useRef(null);
   const continueUnlimitedPollIntervalRef = useRef(null);
+  const pushUpdatesRef = useRef(false); // Server pushes messages / progress / videos, no polling needed
+  const isObserverRef = useRef(false); // Another client controls the browser session
   
   // Track last actually-sent prompt (could be composed with history)
   const lastSentPromptRef = useRef(null);
@@ -299,6 +304,17 @@ const GenerationPage = () => {
         console.log('⚠️ No auth token found, proceeding as anonymous');
       }
       
+      // Watching a teammate's session (?watch=<share code>): only follow its pushed updates
+      const watchCode = searchParams.get('watch');
+      if (watchCode) {
+        console.log('👀 Attaching to a shared session');
+        ws.send(JSON.stringify({ action: 'attach_session', shareCode: watchCode }));
+        return;
+      }
+      
+      // Ask the server to push page updates; the pollers below stop once it confirms
+      ws.send(JSON.stringify({ action: 'subscribe_updates' }));
+      
       console.log('🔍 Debug commands available:');
       console.log('  - debugDom() - Show DOM structure');
       console.log('  - getMessages() - Fetch messages');
@@ -544,8 +560,71 @@ const GenerationPage = () => {
 // Replace your ws.onmessage handler in GenerationPage.jsx with this fixed version
 
     ws.onmessage = (event) => {
-      const data = JSON.parse(event.data);
+      const raw = JSON.parse(event.data);
+      // Pushed updates carry the same payloads as the poll answers
+      const PUSHED_ACTIONS = {
+        messages_updated: 'get_messages',
+        progress_updated: 'get_generation_progress',
+        video_ready: 'get_video_url'
+      };
+      const data = PUSHED_ACTIONS[raw.action] ? { ...raw, action: PUSHED_ACTIONS[raw.action] } : raw;
+      
+      // Presence of the shared browser session (pushed, or the answer to a control action)
+      if (data.presence && data.you) {
+        setPresence({ presence: data.presence, you: data.you });
+        isObserverRef.current = data.you.role === 'observer';
+        if (data.action === 'attach_session') {
+          pushUpdatesRef.current = true;
+        }
+        if (data.action === 'detach_session') {
+          window.location.href = '/home';
+        }
+        return;
+      }
+      
+      if (data.action === 'share_session' && data.success) {
+        const link = `${window.location.origin}/generate?watch=${encodeURIComponent(data.shareCode)}`;
+        setShareLink(link);
+        navigator.clipboard?.writeText(link).catch(() => {});
+        return;
+      }
+      
+      if (['attach_session', 'take_control', 'share_session'].includes(data.action) && data.success === false) {
+        setErrorMessage(data.error);
+        return;
+      }
+      
+      // Page-driving requests of a tab that does not control the session are refused; nothing to show
+      if (data.code === 'NOT_CONTROLLER') {
+        return;
+      }
       
+      if (data.action === 'subscribe_updates') {
+        if (data.success) {
+          console.log('📡 Server pushes page updates, stopping pollers');
+          pushUpdatesRef.current = true;
+          stopPolling();
+          stopProgressPolling();
+          stopVideoUrlPolling();
+          stopGetVideoUrlPolling();
+        } else {
+          console.warn('⚠️ Pushed updates unavailable, keep polling:', data.error);
+        }
+        return;
+      }
+
+      // The server recreated the browser session after a crash; pushed updates and pollers carry on
+      if (data.action === 'session_recovered') {
+        console.warn(`🩹 Browser session recovered (${data.reason}) on ${data.url}`);
+        return;
+      }
+
+      if (data.action === 'session_recovery_failed') {
+        console.error(`❌ Browser session could not be recovered (${data.reason}):`, data.error);
+        setErrorMessage(data.error);
+        return;
+      }
+
       // Handle authentication response
       if (data.action === 'authenticated') {
         console.log('✅ WebSocket authentication successful, user:', data.email);
@@ -1586,6 +1665,7 @@ const GenerationPage = () => {
 
     ws.onclose = () => {
       console.log('Disconnected from Playwright proxy');
+      pushUpdatesRef.current = false;
     };
 
     // Cleanup on unmount
@@ -1610,6 +1690,7 @@ const GenerationPage = () => {
 
   const startPolling = () => {
     stopPolling(); // Clear any existing interval
+    if (pushUpdatesRef.current) return; // Updates are pushed
     pollIntervalRef.current = setInterval(() => {
       if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
         wsRef.current.send(JSON.stringify({ action: 'get_messages' }));
@@ -1619,6 +1700,7 @@ const GenerationPage = () => {
   
   const startProgressPolling = () => {
     stopProgressPolling(); // Clear any existing interval
+    if (pushUpdatesRef.current) return; // Updates are pushed
     console.log('🔄 Starting progress polling (continuous)');
     progressPollIntervalRef.current = setInterval(() => {
       if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
@@ -1629,6 +1711,7 @@ const GenerationPage = () => {
   
   const startVideoUrlPolling = () => {
     stopVideoUrlPolling(); // Clear any existing interval
+    if (pushUpdatesRef.current) return; // Updates are pushed
     console.log('🎬 Starting video URL extraction polling');
     videoUrlPollIntervalRef.current = setInterval(() => {
       if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
@@ -1646,6 +1729,7 @@ const GenerationPage = () => {
   
   const startGetVideoUrlPolling = () => {
     stopGetVideoUrlPolling(); // Clear any existing interval
+    if (pushUpdatesRef.current) return; // Updates are pushed
     console.log('🎥 Starting get_video_url polling');
     getVideoUrlPollIntervalRef.current = setInterval(() => {
       if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
@@ -1685,7 +1769,7 @@ const GenerationPage = () => {
       
       const wsState = wsRef.current.readyState;
       
-      if (wsState === WebSocket.OPEN) {
+      if (wsState === WebSocket.OPEN && !isObserverRef.current) {
         try {
           wsRef.current.send(JSON.stringify({ 
             action: 'find_and_click',
@@ -1726,7 +1810,7 @@ const GenerationPage = () => {
         
         const wsState = wsRef.current.readyState;
         
-        if (wsState === WebSocket.OPEN) {
+        if (wsState === WebSocket.OPEN && !isObserverRef.current) {
           try {
             wsRef.current.send(JSON.stringify({ 
               action: 'find_and_click',
@@ -1760,6 +1844,10 @@ const GenerationPage = () => {
 
   const handleSendMessage = async () => {
     if ((!inputValue.trim() && attachedFiles.length === 0) || isLoading) return;
+    if (isObserverRef.current) {
+      setErrorMessage('Another client controls this session. Take control to send messages.');
+      return;
+    }
 
     const userMessage = inputValue.trim();
     setInputValue('');
@@ -2514,6 +2602,16 @@ const GenerationPage = () => {
         </div>
       )}
 
+      {/* Shared session: presence, control and watch link */}
+      <SessionPresenceBar
+        presence={presence?.presence}
+        you={presence?.you}
+        shareLink={shareLink}
+        onTakeControl={() => wsRef.current?.send(JSON.stringify({ action: 'take_control' }))}
+        onShare={() => wsRef.current?.send(JSON.stringify({ action: 'share_session' }))}
+        onStopWatching={() => wsRef.current?.send(JSON.stringify({ action: 'detach_session' }))}
+      />
+
       {/* Error Popup */}
       {errorMessage && (
         <div className="fixed top-4 left-1/2 transform -translate-x-1/2 z-50 w-full max-w-2xl px-4">
@@ -28,6 +28,16 @@ const Header = () => {
     return () => { cancelled = true; };
   }, [location.pathname]);
 
+  // Logs out through the auth server (`logout` or `logout-all`), then goes to its login page
+  const signOut = async (endpoint) => {
+    const API_BASE = process.env.REACT_APP_API_BASE || `${window.location.origin}/auth`;
+    try {
+      await fetch(`${API_BASE}/api/${endpoint}`, { method: 'POST', credentials: 'include' });
+    } finally {
+      window.location.href = `${API_BASE}/login`;
+    }
+  };
+
   return (
     <header className="sticky top-0 bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 px-8 py-4 flex items-center gap-2 z-50">
       <div className="w-8 h-8 bg-gradient-to-br from-blue-500 to-cyan-400 rounded-lg flex items-center justify-center">
@@ -60,20 +70,24 @@ const Header = () => {
             <button
               className="w-full text-left block px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
               role="menuitem"
-              onClick={async () => {
-                try {
-                  const baseUrl = window.location.origin;
-                  const API_BASE = process.env.REACT_APP_API_BASE || `${baseUrl}/auth`;
-                  await fetch(`${API_BASE}/api/logout`, { method: 'POST', credentials: 'include' });
-                } finally {
-                  const baseUrl = window.location.origin;
-                  const API_BASE = process.env.REACT_APP_API_BASE || `${baseUrl}/auth`;
-                  window.location.href = `${API_BASE}/login`;
-                }
-              }}
+              onClick={() => { setMenuOpen(false); navigate('/security'); }}
+            >
+              Security
+            </button>
+            <button
+              className="w-full text-left block px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              role="menuitem"
+              onClick={() => signOut('logout')}
             >
               Sign out
             </button>
+            <button
+              className="w-full text-left block px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+              role="menuitem"
+              onClick={() => signOut('logout-all')}
+            >
+              Sign out everywhere
+            </button>
           </div>
         )}
       </div>
@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import Header from './Header';
+import { ShieldCheck, ShieldOff, KeyRound, Trash2 } from 'lucide-react';
+
+const getApiBase = () => process.env.REACT_APP_API_BASE || `${window.location.origin}/auth`;
+
+const postJson = async (path, body = {}) => {
+  const response = await fetch(`${getApiBase()}${path}`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+};
+
+const requestJson = async (path, options = {}) => {
+  const response = await fetch(`${getApiBase()}${path}`, { credentials: 'include', ...options });
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+};
+
+const inputClass = 'w-full px-3 py-2 rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100';
+const primaryButton = 'px-4 py-2 rounded-md bg-blue-500 dark:bg-blue-600 text-white hover:bg-blue-600 dark:hover:bg-blue-700 disabled:opacity-50';
+const secondaryButton = 'px-4 py-2 rounded-md bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-50';
+
+// Personal API keys for scripted access to the proxy API
+const ApiKeysSection = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  // { scope: description } offered by the server
+  const [scopes, setScopes] = useState({});
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState([]);
+  // Plaintext key, only available right after creating it
+  const [newKey, setNewKey] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchKeys();
+  }, []);
+
+  const fetchKeys = async () => {
+    try {
+      const data = await requestJson('/api/api-keys');
+      setApiKeys(data.apiKeys);
+      setScopes(data.scopes);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setSelectedScopes(current => current.includes(scope) ? current.filter(s => s !== scope) : [...current, scope]);
+  };
+
+  const createKey = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await postJson('/api/api-keys', { name, scopes: selectedScopes });
+      setNewKey(data.key);
+      setName('');
+      setSelectedScopes([]);
+      await fetchKeys();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const revokeKey = async (keyId) => {
+    if (!window.confirm('Revoke this API key? Scripts using it will stop working.')) return;
+    setError(null);
+    try {
+      await requestJson(`/api/api-keys/${keyId}`, { method: 'DELETE' });
+      await fetchKeys();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-1">API keys</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Send a key as <code>Authorization: Bearer &lt;key&gt;</code> to call the proxy API without a browser.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-md bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm">{error}</div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6 space-y-4">
+        {newKey && (
+          <div className="p-4 rounded-md bg-yellow-50 dark:bg-yellow-900/30">
+            <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">
+              Copy your new API key now. It will not be shown again.
+            </p>
+            <code className="block p-2 rounded bg-gray-100 dark:bg-gray-900 font-mono text-sm break-all text-gray-900 dark:text-gray-100">
+              {newKey}
+            </code>
+          </div>
+        )}
+
+        {apiKeys.length > 0 && (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {apiKeys.map(apiKey => (
+              <li key={apiKey.id} className="py-2 flex items-center gap-3">
+                <KeyRound className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">{apiKey.name}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    {apiKey.scopes.join(', ')} · {apiKey.lastUsedAt ? `last used ${new Date(apiKey.lastUsedAt).toLocaleString()}` : 'never used'}
+                    {apiKey.expiresAt && ` · expires ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
+                  </div>
+                </div>
+                <button type="button" className="p-2 text-gray-500 hover:text-red-500" title="Revoke" onClick={() => revokeKey(apiKey.id)}>
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="space-y-3">
+          <input
+            className={inputClass}
+            placeholder="Key name (e.g. CI pipeline)"
+            value={name}
+            onChange={e => setName(e.target.value)}
+          />
+          <div className="space-y-1">
+            {Object.entries(scopes).map(([scope, description]) => (
+              <label key={scope} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input type="checkbox" checked={selectedScopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                <code>{scope}</code> <span className="text-gray-500 dark:text-gray-400">{description}</span>
+              </label>
+            ))}
+          </div>
+          <button type="button" className={primaryButton} disabled={busy || selectedScopes.length === 0} onClick={createKey}>
+            Create API key
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const SecurityPage = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // { secret, otpauthUri } while enrollment is in progress
+  const [enrollment, setEnrollment] = useState(null);
+  // Plaintext recovery codes, only available right after enabling / regenerating
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${getApiBase()}/api/2fa`, { credentials: 'include' });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Failed to load security settings');
+      setStatus(data.twoFactor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    const data = await postJson('/api/2fa/setup');
+    setEnrollment({ secret: data.secret, otpauthUri: data.otpauthUri });
+    setRecoveryCodes(null);
+    setCode('');
+  });
+
+  const confirmSetup = () => run(async () => {
+    const data = await postJson('/api/2fa/enable', { code });
+    setEnrollment(null);
+    setRecoveryCodes(data.recoveryCodes);
+    setCode('');
+    await fetchStatus();
+  });
+
+  const regenerateCodes = () => run(async () => {
+    const data = await postJson('/api/2fa/recovery-codes', { code });
+    setRecoveryCodes(data.recoveryCodes);
+    setCode('');
+    await fetchStatus();
+  });
+
+  const disable = () => run(async () => {
+    await postJson('/api/2fa/disable', status.hasPassword ? { password, code } : { code });
+    setRecoveryCodes(null);
+    setCode('');
+    setPassword('');
+    await fetchStatus();
+  });
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col">
+      <Header />
+
+      <div className="flex-1 p-4 sm:p-6 md:p-8">
+        <div className="max-w-2xl mx-auto">
+          <div className="mb-6 sm:mb-8">
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-gray-100">Security</h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-1 sm:mt-2">Two-factor authentication and API keys</p>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 rounded-md bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm">{error}</div>
+          )}
+
+          {loading ? (
+            <p className="text-gray-600 dark:text-gray-400">Loading...</p>
+          ) : status && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6 space-y-4">
+              <div className="flex items-center gap-2">
+                {status.enabled
+                  ? <ShieldCheck className="w-5 h-5 text-green-500" />
+                  : <ShieldOff className="w-5 h-5 text-gray-400" />}
+                <span className="font-medium text-gray-900 dark:text-gray-100">
+                  {status.enabled ? 'Enabled' : 'Not enabled'}
+                </span>
+                {status.enabled && (
+                  <span className="text-sm text-gray-500 dark:text-gray-400">
+                    · {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining !== 1 ? 's' : ''} left
+                  </span>
+                )}
+              </div>
+
+              {recoveryCodes && (
+                <div className="p-4 rounded-md bg-yellow-50 dark:bg-yellow-900/30">
+                  <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">
+                    Save these recovery codes somewhere safe. Each one can be used once if you lose your authenticator. They will not be shown again.
+                  </p>
+                  <pre className="font-mono text-sm text-gray-900 dark:text-gray-100 grid grid-cols-2 gap-1">
+                    {recoveryCodes.map(c => <span key={c}>{c}</span>)}
+                  </pre>
+                </div>
+              )}
+
+              {!status.enabled && !enrollment && (
+                <button type="button" className={primaryButton} disabled={busy} onClick={startSetup}>
+                  Set up authenticator app
+                </button>
+              )}
+
+              {!status.enabled && enrollment && (
+                <div className="space-y-3">
+                  <p className="text-sm text-gray-700 dark:text-gray-300">
+                    Add ArenaGen to your authenticator app with this setup key (or open the link on your phone), then enter the 6-digit code it shows.
+                  </p>
+                  <code className="block p-2 rounded bg-gray-100 dark:bg-gray-900 font-mono text-sm break-all text-gray-900 dark:text-gray-100">
+                    {enrollment.secret}
+                  </code>
+                  <a href={enrollment.otpauthUri} className="text-sm text-blue-500 hover:underline break-all">
+                    {enrollment.otpauthUri}
+                  </a>
+                  <input
+                    className={inputClass}
+                    placeholder="6-digit code"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={e => setCode(e.target.value)}
+                  />
+                  <div className="flex gap-2">
+                    <button type="button" className={primaryButton} disabled={busy || !code} onClick={confirmSetup}>
+                      Enable
+                    </button>
+                    <button type="button" className={secondaryButton} disabled={busy} onClick={() => setEnrollment(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {status.enabled && (
+                <div className="space-y-3">
+                  <input
+                    className={inputClass}
+                    placeholder="Current 6-digit code"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={e => setCode(e.target.value)}
+                  />
+                  {status.hasPassword && (
+                    <input
+                      className={inputClass}
+                      type="password"
+                      placeholder="Password (required to disable)"
+                      autoComplete="current-password"
+                      value={password}
+                      onChange={e => setPassword(e.target.value)}
+                    />
+                  )}
+                  <div className="flex gap-2">
+                    <button type="button" className={secondaryButton} disabled={busy || !code} onClick={regenerateCodes}>
+                      New recovery codes
+                    </button>
+                    <button type="button" className={secondaryButton} disabled={busy || !code || (status.hasPassword && !password)} onClick={disable}>
+                      Disable
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          <ApiKeysSection />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SecurityPage;
@@ -0,0 +1,78 @@
+// Who else is on this browser session, who controls it, and sharing it with a teammate
+const SessionPresenceBar = ({ presence, you, shareLink, onTakeControl, onShare, onStopWatching }) => {
+  if (!presence || !you) return null;
+
+  const controller = presence.clients.find(c => c.clientId === presence.controllerId);
+  const others = presence.clients.filter(c => c.clientId !== you.clientId);
+  const isController = you.role === 'controller';
+  const isOwnerClient = presence.clients.find(c => c.clientId === you.clientId)?.owner;
+
+  // Nothing worth showing when this is the only client in control
+  if (isController && others.length === 0 && !shareLink) {
+    return (
+      <div className="fixed top-4 right-4 z-30">
+        <button
+          type="button"
+          onClick={onShare}
+          className="px-3 py-2 text-sm rounded-md bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+          title="Let a teammate watch this session"
+        >
+          Share live view
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed top-4 right-4 z-30 max-w-sm px-4 py-3 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow-md text-sm text-gray-700 dark:text-gray-300">
+      <div className="font-medium text-gray-900 dark:text-gray-100">
+        {isController
+          ? 'You are in control'
+          : controller
+            ? `Watching - ${controller.email} is in control`
+            : 'Watching - nobody is in control'}
+      </div>
+      {others.length > 0 && (
+        <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          Also here: {others.map(c => `${c.email} (${c.role})`).join(', ')}
+        </div>
+      )}
+      {shareLink && (
+        <div className="mt-2 text-xs break-all">
+          Watch link (valid one hour): <span className="font-mono">{shareLink}</span>
+        </div>
+      )}
+      <div className="mt-2 flex gap-2">
+        {!isController && isOwnerClient && (
+          <button
+            type="button"
+            onClick={onTakeControl}
+            className="px-3 py-1 rounded-md bg-blue-500 dark:bg-blue-600 text-white hover:bg-blue-600 dark:hover:bg-blue-700"
+          >
+            Take control
+          </button>
+        )}
+        {!isOwnerClient && (
+          <button
+            type="button"
+            onClick={onStopWatching}
+            className="px-3 py-1 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            Stop watching
+          </button>
+        )}
+        {isController && (
+          <button
+            type="button"
+            onClick={onShare}
+            className="px-3 py-1 rounded-md bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600"
+          >
+            {shareLink ? 'New watch link' : 'Share live view'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionPresenceBar;
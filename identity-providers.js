@@ -0,0 +1,279 @@
+// External identity providers for single sign-on
+// Each provider type turns an authorization request into a redirect URL and a callback into a
+// set of verified claims; auth-server maps those claims to local users. Only OpenID Connect
+// (authorization-code flow with PKCE) is implemented, new types register in PROVIDER_TYPES.
+//
+// Configure with OIDC_PROVIDERS (JSON array), e.g.
+//   [{ "id": "corp", "name": "Acme SSO", "issuer": "https://login.acme.com",
+//      "clientId": "arenagen", "clientSecret": "...", "autoProvision": true,
+//      "allowedDomains": ["acme.com"], "roleClaim": "groups", "adminValues": ["arenagen-admins"] }]
+
+import crypto from 'crypto';
+import { VALID_ROLES } from './user-store.js';
+
+// Discovery documents and JWKS are cached per issuer
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const CLOCK_SKEW_SECONDS = 60;
+
+// Parsed lazily: env vars are loaded by dotenv after this module is imported
+let providers = null;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const text = await response.text();
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch (_) {
+    // Reported below
+  }
+  if (!response.ok || !body) {
+    const detail = body && (body.error_description || body.error) ? `: ${body.error_description || body.error}` : '';
+    throw new Error(`${options.method || 'GET'} ${url} failed with ${response.status}${detail}`);
+  }
+  return body;
+}
+
+// ============ OpenID Connect ============
+
+async function getDiscovery(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.document;
+  const document = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  if (document.issuer !== issuer) {
+    throw new Error(`Issuer mismatch in discovery document (${document.issuer})`);
+  }
+  discoveryCache.set(issuer, { document, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return document;
+}
+
+// Public key for a kid; the JWKS is re-fetched once when the kid is unknown (provider rotated keys)
+async function getSigningKey(jwksUri, kid) {
+  let cached = jwksCache.get(jwksUri);
+  const find = () => cached.keys.find(k => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+  if (!cached || cached.expiresAt <= Date.now() || !find()) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+    jwksCache.set(jwksUri, cached);
+  }
+  const jwk = find();
+  if (!jwk) throw new Error(`No signing key found for kid ${kid}`);
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verifies an ID token signature (RS256 / ES256) and its standard claims
+ * @param {string} idToken - Compact JWT
+ * @param {Object} params - { issuer, clientId, nonce, jwksUri }
+ * @returns {Promise<Object>} Claims
+ */
+async function verifyIdToken(idToken, { issuer, clientId, nonce, jwksUri }) {
+  const [headerB64, bodyB64, sigB64] = String(idToken).split('.');
+  if (!headerB64 || !bodyB64 || !sigB64) throw new Error('Malformed ID token');
+  const header = JSON.parse(Buffer.from(headerB64, 'base64url').toString('utf8'));
+  const claims = JSON.parse(Buffer.from(bodyB64, 'base64url').toString('utf8'));
+
+  const key = await getSigningKey(jwksUri, header.kid);
+  const data = Buffer.from(`${headerB64}.${bodyB64}`);
+  const signature = Buffer.from(sigB64, 'base64url');
+  let valid = false;
+  if (header.alg === 'RS256') {
+    valid = crypto.verify('RSA-SHA256', data, key, signature);
+  } else if (header.alg === 'ES256') {
+    valid = crypto.verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+  } else {
+    throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+  }
+  if (!valid) throw new Error('Invalid ID token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== issuer) throw new Error('ID token issuer mismatch');
+  if (!audiences.includes(clientId)) throw new Error('ID token audience mismatch');
+  if (audiences.length > 1 && claims.azp && claims.azp !== clientId) throw new Error('ID token authorized party mismatch');
+  if (!claims.exp || claims.exp + CLOCK_SKEW_SECONDS < now) throw new Error('ID token expired');
+  if (claims.iat && claims.iat - CLOCK_SKEW_SECONDS > now) throw new Error('ID token issued in the future');
+  if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+  if (!claims.sub) throw new Error('ID token has no subject');
+  return claims;
+}
+
+function createOidcProvider(config) {
+  const scopes = config.scopes || ['openid', 'email', 'profile'];
+
+  return {
+    /**
+     * Builds the authorization URL the browser is redirected to
+     * @param {Object} params - { state, nonce, codeVerifier, redirectUri }
+     * @returns {Promise<string>}
+     */
+    async getAuthorizationUrl({ state, nonce, codeVerifier, redirectUri }) {
+      const discovery = await getDiscovery(config.issuer);
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: redirectUri,
+        scope: scopes.join(' '),
+        state,
+        nonce,
+        code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+        code_challenge_method: 'S256'
+      });
+      return `${discovery.authorization_endpoint}?${params.toString()}`;
+    },
+
+    /**
+     * Exchanges the authorization code and returns the verified claims
+     * Claims missing from the ID token (e.g. email) are filled in from the userinfo endpoint.
+     * @param {Object} params - { code, nonce, codeVerifier, redirectUri }
+     * @returns {Promise<Object>}
+     */
+    async handleCallback({ code, nonce, codeVerifier, redirectUri }) {
+      const discovery = await getDiscovery(config.issuer);
+      const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: config.clientId,
+        code_verifier: codeVerifier
+      });
+      if (config.clientSecret) body.set('client_secret', config.clientSecret);
+
+      const tokens = await fetchJson(discovery.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: body.toString()
+      });
+      if (!tokens.id_token) throw new Error('Token response has no id_token');
+
+      const claims = await verifyIdToken(tokens.id_token, {
+        issuer: config.issuer,
+        clientId: config.clientId,
+        nonce,
+        jwksUri: discovery.jwks_uri
+      });
+
+      if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(discovery.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+        });
+        if (userinfo.sub === claims.sub) {
+          return { ...userinfo, ...claims };
+        }
+      }
+      return claims;
+    }
+  };
+}
+
+const PROVIDER_TYPES = {
+  oidc: createOidcProvider
+};
+
+// ============ Provider registry ============
+
+function parseProviders() {
+  const raw = process.env.OIDC_PROVIDERS;
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) throw new Error('expected a JSON array');
+    return parsed.map((entry, index) => {
+      const type = entry.type || 'oidc';
+      if (!PROVIDER_TYPES[type]) throw new Error(`unknown provider type '${type}'`);
+      if (!entry.issuer || !entry.clientId) throw new Error(`provider ${index + 1} needs issuer and clientId`);
+      if (entry.defaultRole && !VALID_ROLES.includes(entry.defaultRole)) {
+        throw new Error(`provider ${index + 1} has an unknown defaultRole '${entry.defaultRole}' (expected ${VALID_ROLES.join(' or ')})`);
+      }
+      const config = {
+        id: String(entry.id || `sso${index + 1}`).replace(/[^a-zA-Z0-9_-]/g, '_'),
+        name: entry.name || entry.issuer,
+        type,
+        issuer: entry.issuer,
+        clientId: entry.clientId,
+        clientSecret: entry.clientSecret || null,
+        scopes: entry.scopes || null,
+        redirectUri: entry.redirectUri || null,
+        autoProvision: !!entry.autoProvision,
+        allowedDomains: (entry.allowedDomains || []).map(d => String(d).toLowerCase()),
+        roleClaim: entry.roleClaim || null,
+        adminValues: entry.adminValues || [],
+        defaultRole: entry.defaultRole || 'user',
+        // Some providers do not send email_verified; only trust unverified emails when told to
+        trustUnverifiedEmail: !!entry.trustUnverifiedEmail
+      };
+      return { ...config, client: PROVIDER_TYPES[type](config) };
+    });
+  } catch (err) {
+    console.error(`❌ Invalid OIDC_PROVIDERS (${err.message}) - single sign-on disabled`);
+    return [];
+  }
+}
+
+function getProviders() {
+  if (!providers) {
+    providers = parseProviders();
+    if (providers.length > 0) {
+      console.log(`🪪 Identity providers: ${providers.map(p => p.id).join(', ')}`);
+    }
+  }
+  return providers;
+}
+
+function getProvider(providerId) {
+  return getProviders().find(p => p.id === providerId) || null;
+}
+
+// Public view for the login page
+function listProviders() {
+  return getProviders().map(p => ({ id: p.id, name: p.name }));
+}
+
+/**
+ * Maps provider claims to the local identity we look up / provision
+ * @param {Object} provider - Provider config
+ * @param {Object} claims - Verified claims
+ * @returns {{ subject: string, email: string|null, emailVerified: boolean, username: string|null, role: string|null }}
+ *   role is null when the provider has no roleClaim (the local role is then left alone)
+ */
+function mapClaims(provider, claims) {
+  const email = claims.email ? String(claims.email).trim() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true' || provider.trustUnverifiedEmail;
+
+  let role = null;
+  if (provider.roleClaim) {
+    const raw = claims[provider.roleClaim];
+    const values = Array.isArray(raw) ? raw.map(String) : raw ? String(raw).split(/[\s,]+/) : [];
+    role = values.some(v => provider.adminValues.includes(v)) ? 'admin' : provider.defaultRole;
+  }
+
+  return {
+    subject: String(claims.sub),
+    email,
+    emailVerified: !!email && emailVerified,
+    username: claims.preferred_username || claims.name || (email ? email.split('@')[0] : null),
+    role
+  };
+}
+
+// Whether a provider may create a local account for this email
+function canProvision(provider, email) {
+  if (!provider.autoProvision || !email) return false;
+  if (provider.allowedDomains.length === 0) return true;
+  return provider.allowedDomains.includes(email.split('@').pop().toLowerCase());
+}
+
+export {
+  getProvider,
+  listProviders,
+  mapClaims,
+  canProvision
+};
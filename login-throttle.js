@@ -0,0 +1,257 @@
+// Login brute-force protection
+// Failed logins are counted per account (email) and per client IP. Each failure makes the
+// caller wait exponentially longer before the next attempt, and reaching the limit locks
+// the account / IP out for a while. State is kept in data/login-throttle.json so a restart
+// does not reset the counters.
+
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './storage-paths.js';
+
+function throttleFile() {
+  return dataPath('login-throttle.json');
+}
+
+// Read lazily: env vars are loaded by dotenv after this module is imported
+function getLimits() {
+  return {
+    maxFailures: {
+      account: parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5,
+      ip: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20
+    },
+    lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS, 10) || 15 * 60 * 1000
+  };
+}
+
+// Delay after the n-th failure: BACKOFF_BASE_MS * 2^(n-1), capped
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+// Failures older than this are forgotten
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// { account: { [email]: entry }, ip: { [ip]: entry } }, entry = { failures, lastFailureAt, lockedUntil }
+let state = null;
+
+// Password / second-factor checks in progress: { account: Map<email, count>, ip: Map<ip, count> }
+// The checks are async (scrypt), so the gate counts running ones as failures to come: otherwise
+// a burst of parallel requests would all get past it before the first failure is recorded.
+// Kept in memory only: a restart ends every check anyway.
+const pending = { account: new Map(), ip: new Map() };
+
+function loadState() {
+  if (state) return state;
+  state = { account: {}, ip: {} };
+  try {
+    if (fs.existsSync(throttleFile())) {
+      const parsed = JSON.parse(fs.readFileSync(throttleFile(), 'utf8'));
+      state = { account: parsed.account || {}, ip: parsed.ip || {} };
+    }
+  } catch (err) {
+    console.error('❌ Error loading login throttle state:', err.message);
+  }
+  return state;
+}
+
+// Drop entries that are neither locked nor within the failure window, then persist
+function saveState() {
+  const now = Date.now();
+  for (const scope of Object.keys(state)) {
+    for (const [key, entry] of Object.entries(state[scope])) {
+      if ((entry.lockedUntil || 0) <= now && now - entry.lastFailureAt > FAILURE_WINDOW_MS) {
+        delete state[scope][key];
+      }
+    }
+  }
+  try {
+    fs.mkdirSync(path.dirname(throttleFile()), { recursive: true });
+    fs.writeFileSync(throttleFile(), JSON.stringify(state, null, 2));
+  } catch (err) {
+    console.error('❌ Error saving login throttle state:', err.message);
+  }
+}
+
+function accountKey(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Current entry for a key, ignoring failures that fell out of the window
+function getEntry(scope, key) {
+  const entry = loadState()[scope][key];
+  if (!entry) return null;
+  const now = Date.now();
+  if ((entry.lockedUntil || 0) <= now && now - entry.lastFailureAt > FAILURE_WINDOW_MS) return null;
+  return entry;
+}
+
+function backoffMs(failures) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Checks whether a login attempt may proceed
+ * Checks still running count as failures: an account gets one at a time, an IP as many as
+ * could fail before reaching its limit.
+ * @param {string} email - Submitted email
+ * @param {string} ip - Client IP
+ * @returns {{ allowed: boolean, reason?: 'locked'|'backoff', scope?: 'account'|'ip', retryAfterSeconds?: number }}
+ */
+function checkLoginAllowed(email, ip) {
+  const now = Date.now();
+  const limits = getLimits();
+  let blocked = null;
+
+  for (const [scope, key] of [['account', accountKey(email)], ['ip', ip]]) {
+    const entry = getEntry(scope, key);
+    const running = pending[scope].get(key) || 0;
+    if (!entry && !running) continue;
+
+    let until = 0;
+    let reason = null;
+    if ((entry?.lockedUntil || 0) > now) {
+      until = entry.lockedUntil;
+      reason = 'locked';
+    } else if (entry && entry.lastFailureAt + backoffMs(entry.failures) > now) {
+      until = entry.lastFailureAt + backoffMs(entry.failures);
+      reason = 'backoff';
+    } else if (running) {
+      // A lockout that ran out starts a fresh count (as in recordLoginFailure)
+      const failures = (entry && !entry.lockedUntil ? entry.failures : 0) + running;
+      if (scope === 'account' || failures >= limits.maxFailures.ip) {
+        until = now + backoffMs(failures);
+        reason = 'backoff';
+      }
+    }
+    // Report the restriction that lasts longest
+    if (reason && (!blocked || until > blocked.until)) {
+      blocked = { reason, scope, until };
+    }
+  }
+
+  if (!blocked) return { allowed: true };
+  return {
+    allowed: false,
+    reason: blocked.reason,
+    scope: blocked.scope,
+    retryAfterSeconds: Math.max(1, Math.ceil((blocked.until - now) / 1000))
+  };
+}
+
+/**
+ * Checks a login attempt and, when allowed, counts it as running until endLoginAttempt
+ * Call this right before checking the password, in the same tick as the check that it may proceed.
+ * @param {string} email - Submitted email
+ * @param {string} ip - Client IP
+ * @returns {Object} As checkLoginAllowed
+ */
+function beginLoginAttempt(email, ip) {
+  const gate = checkLoginAllowed(email, ip);
+  if (gate.allowed) {
+    for (const [scope, key] of [['account', accountKey(email)], ['ip', ip]]) {
+      pending[scope].set(key, (pending[scope].get(key) || 0) + 1);
+    }
+  }
+  return gate;
+}
+
+/**
+ * Ends an attempt started with beginLoginAttempt, once its failure (if any) has been recorded
+ * @param {string} email - Submitted email
+ * @param {string} ip - Client IP
+ */
+function endLoginAttempt(email, ip) {
+  for (const [scope, key] of [['account', accountKey(email)], ['ip', ip]]) {
+    const running = (pending[scope].get(key) || 0) - 1;
+    if (running > 0) pending[scope].set(key, running);
+    else pending[scope].delete(key);
+  }
+}
+
+/**
+ * Counts a failed login for the account and the IP
+ * @param {string} email - Submitted email
+ * @param {string} ip - Client IP
+ * @returns {Array<Object>} Lockouts started by this failure: [{ scope, key, failures, lockedUntil }]
+ */
+function recordLoginFailure(email, ip) {
+  const now = Date.now();
+  const limits = getLimits();
+  const lockouts = [];
+
+  for (const [scope, key] of [['account', accountKey(email)], ['ip', ip]]) {
+    const previous = getEntry(scope, key);
+    // A lockout that ran out starts a fresh count
+    const expiredLock = previous && previous.lockedUntil && previous.lockedUntil <= now;
+    const entry = {
+      failures: (previous && !expiredLock ? previous.failures : 0) + 1,
+      lastFailureAt: now,
+      lockedUntil: null
+    };
+    if (entry.failures >= limits.maxFailures[scope]) {
+      entry.lockedUntil = now + limits.lockoutMs;
+      lockouts.push({ scope, key, failures: entry.failures, lockedUntil: new Date(entry.lockedUntil).toISOString() });
+    }
+    loadState()[scope][key] = entry;
+  }
+
+  saveState();
+  return lockouts;
+}
+
+/**
+ * Clears the account counter after a successful login
+ * The IP counter is kept so one valid account cannot be used to reset it.
+ * @param {string} email - Email that logged in
+ */
+function recordLoginSuccess(email) {
+  const key = accountKey(email);
+  if (loadState().account[key]) {
+    delete state.account[key];
+    saveState();
+  }
+}
+
+/**
+ * Removes lockout and failure counters (admin action)
+ * @param {Object} params - { email, ip }, at least one
+ * @returns {Array<string>} Scopes that were cleared
+ */
+function unlock({ email = null, ip = null }) {
+  const cleared = [];
+  if (email && loadState().account[accountKey(email)]) {
+    delete state.account[accountKey(email)];
+    cleared.push('account');
+  }
+  if (ip && loadState().ip[ip]) {
+    delete state.ip[ip];
+    cleared.push('ip');
+  }
+  if (cleared.length > 0) saveState();
+  return cleared;
+}
+
+/**
+ * Lists active lockouts
+ * @returns {Array<Object>} [{ scope, key, failures, lockedUntil }]
+ */
+function listLockouts() {
+  const now = Date.now();
+  const lockouts = [];
+  for (const scope of ['account', 'ip']) {
+    for (const [key, entry] of Object.entries(loadState()[scope])) {
+      if ((entry.lockedUntil || 0) > now) {
+        lockouts.push({ scope, key, failures: entry.failures, lockedUntil: new Date(entry.lockedUntil).toISOString() });
+      }
+    }
+  }
+  return lockouts;
+}
+
+export {
+  checkLoginAllowed,
+  beginLoginAttempt,
+  endLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlock,
+  listLockouts
+};
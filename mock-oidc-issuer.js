@@ -0,0 +1,225 @@
+// Local mock OpenID Connect issuer for developing and testing single sign-on
+// Implements discovery, JWKS, authorization (with a user picker page), token (PKCE S256)
+// and userinfo endpoints. Keys and issued codes only live in memory.
+//
+// Run: npm run mock-oidc (port MOCK_OIDC_PORT, default 4000), then start ArenaGen with
+//   OIDC_PROVIDERS='[{"id":"mock","name":"Mock SSO","issuer":"http://localhost:4000","clientId":"arenagen","clientSecret":"mock-secret","autoProvision":true,"roleClaim":"groups","adminValues":["arenagen-admins"]}]'
+
+import express from 'express';
+import crypto from 'crypto';
+import { createServer } from 'http';
+
+const DEFAULT_USERS = [
+  { sub: 'alice', email: 'alice@example.com', email_verified: true, name: 'Alice Admin', groups: ['arenagen-admins'] },
+  { sub: 'bob', email: 'bob@example.com', email_verified: true, name: 'Bob User', groups: ['staff'] }
+];
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Creates a mock issuer
+ * @param {Object} options - { port, issuer, clients: [{ clientId, clientSecret }], users, autoApprove }
+ *   autoApprove: sub of a user to sign in without showing the picker (for scripted tests)
+ * @returns {{ app, issuer: string, start: Function, stop: Function }}
+ */
+function createMockOidcIssuer({
+  port = 4000,
+  issuer = `http://localhost:${port}`,
+  clients = [{ clientId: 'arenagen', clientSecret: 'mock-secret' }],
+  users = DEFAULT_USERS,
+  autoApprove = null
+} = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  function signIdToken(claims) {
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }));
+    const body = base64url(JSON.stringify(claims));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${body}`), privateKey);
+    return `${header}.${body}.${base64url(signature)}`;
+  }
+
+  function issueCode(user, params) {
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      user,
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      nonce: params.nonce || null,
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+    const target = new URL(params.redirect_uri);
+    target.searchParams.set('code', code);
+    if (params.state) target.searchParams.set('state', params.state);
+    return target.toString();
+  }
+
+  // Returns an error message, or null when the authorization request is acceptable
+  function validateAuthorizationRequest(params) {
+    if (!clients.some(c => c.clientId === params.client_id)) return 'unknown client_id';
+    if (params.response_type !== 'code') return 'response_type must be code';
+    if (!params.redirect_uri) return 'redirect_uri is required';
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with S256 is required';
+    return null;
+  }
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Shows a user picker (or signs in `autoApprove` directly)
+  app.get('/authorize', (req, res) => {
+    const error = validateAuthorizationRequest(req.query);
+    if (error) return res.status(400).send(`Invalid authorization request: ${escapeHtml(error)}`);
+
+    if (autoApprove) {
+      const user = users.find(u => u.sub === autoApprove);
+      if (user) return res.redirect(issueCode(user, req.query));
+    }
+
+    const hidden = Object.entries(req.query)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('');
+    const buttons = users
+      .map(u => `<button name="sub" value="${escapeHtml(u.sub)}">${escapeHtml(u.name || u.email)} (${escapeHtml(u.email)})</button>`)
+      .join('<br>');
+    res.send(`<!DOCTYPE html><html><body><h1>Mock OIDC sign-in</h1>
+      <form method="POST" action="/authorize">${hidden}${buttons}<br><button name="deny" value="1">Cancel</button></form>
+      </body></html>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const error = validateAuthorizationRequest(req.body);
+    if (error) return res.status(400).send(`Invalid authorization request: ${escapeHtml(error)}`);
+
+    if (req.body.deny) {
+      const target = new URL(req.body.redirect_uri);
+      target.searchParams.set('error', 'access_denied');
+      if (req.body.state) target.searchParams.set('state', req.body.state);
+      return res.redirect(target.toString());
+    }
+    const user = users.find(u => u.sub === req.body.sub);
+    if (!user) return res.status(400).send('Unknown user');
+    res.redirect(issueCode(user, req.body));
+  });
+
+  app.post('/token', (req, res) => {
+    let { client_id: clientId, client_secret: clientSecret } = req.body;
+    const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    if (basic) {
+      [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString('utf8').split(':').map(decodeURIComponent);
+    }
+    const client = clients.find(c => c.clientId === clientId);
+    if (!client || (client.clientSecret && client.clientSecret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    const entry = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (!entry || entry.expiresAt < Date.now() || entry.clientId !== clientId) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'unknown or expired code' });
+    }
+    if (entry.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+    }
+    const challenge = base64url(crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest());
+    if (challenge !== entry.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, { user: entry.user, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: signIdToken({
+        ...entry.user,
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + TOKEN_TTL_SECONDS,
+        ...(entry.nonce ? { nonce: entry.nonce } : {})
+      })
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (/^Bearer (.+)$/.exec(req.headers.authorization || '') || [])[1];
+    const entry = token && accessTokens.get(token);
+    if (!entry || entry.expiresAt < Date.now()) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(entry.user);
+  });
+
+  let server = null;
+  return {
+    app,
+    issuer,
+    start() {
+      return new Promise((resolve, reject) => {
+        server = createServer(app);
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+      });
+    },
+    stop() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+}
+
+// If run directly, start a mock issuer with the default users
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+  let users = DEFAULT_USERS;
+  if (process.env.MOCK_OIDC_USERS) {
+    try {
+      users = JSON.parse(process.env.MOCK_OIDC_USERS);
+    } catch (err) {
+      console.error('❌ Invalid MOCK_OIDC_USERS, using the default users:', err.message);
+    }
+  }
+  const mock = createMockOidcIssuer({ port, users, autoApprove: process.env.MOCK_OIDC_AUTO_APPROVE || null });
+  mock.start().then(() => {
+    console.log(`🪪 Mock OIDC issuer running at ${mock.issuer}`);
+    console.log(`   Users: ${users.map(u => u.email).join(', ')}`);
+    console.log(`   Client: arenagen / mock-secret`);
+  });
+}
+
+export { createMockOidcIssuer };
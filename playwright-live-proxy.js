@@ -10,16 +10,43 @@ import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import fileUpload from 'express-fileupload';
 import axios from 'axios';
-import { createHash, createHmac } from 'crypto';
+import { createHash } from 'crypto';
 import * as chatStorage from './chat-storage.js';
+import * as videoJobs from './video-jobs.js';
+import * as browserQueue from './browser-task-queue.js';
+import * as webhooks from './webhooks.js';
+import * as wsSchema from './ws-schema.js';
+import * as sessionPresence from './session-presence.js';
+import * as selectors from './selectors.js';
+import * as upstream from './upstream-target.js';
+import * as contextPool from './context-pool.js';
+import { requirePermission, checkWebSocketAction, checkApiKeyScope } from './authz.js';
+import { verifyAccessToken, parseCookies } from './auth-token.js';
+import { findUserByApiKey } from './user-store.js';
+import { isSessionActive } from './session-registry.js';
+import { assertProductionSecrets, getSigningKey } from './signing-keys.js';
+import * as upstreamAccounts from './upstream-accounts.js';
+import { dataPath, getDataDir, getUploadsDir } from './storage-paths.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 3000;
-const COOKIES_FILE = path.join(__dirname, 'heygen-cookies.json');
-const TARGET = 'https://app.heygen.com';
-const AUTH_SECRET = process.env.AUTH_SECRET || 'dev-secret-change-me';
+// Strict mode (default): every proxy route and WebSocket needs a valid arena_token.
+// STRICT_AUTH=false restores the legacy shared 'anonymous' session for local debugging.
+const STRICT_AUTH = process.env.STRICT_AUTH !== 'false';
+// WebSocket close code for policy violations (RFC 6455)
+const WS_POLICY_VIOLATION = 1008;
+
+// Upstream credential rotation: while draining, no new browser work is accepted
+let upstreamDraining = false;
+// Rotation of a single upstream account: only its contexts are drained, the rest keep working
+let drainingAccountId = null;
+let upstreamDrainTimer = null;
+// Browser-driving HTTP requests and WebSocket actions currently running
+let inFlightOperations = 0;
+const DRAINING_ERROR = 'Upstream session rotation in progress, please retry shortly';
+const BROWSER_RECOVERING_ERROR = 'The browser is restarting after a crash, please retry shortly';
 
 
 
@@ -41,6 +68,469 @@ function extractVideoTitle(videoUrl) {
   return null;
 }
 
+/**
+ * Reads the generation progress card of an agent page
+ * @param {Object} page - Playwright page
+ * @returns {Promise<Object>} { isGenerating, percentage, currentStatus, currentStep, message, steps }
+ */
+function readGenerationProgress(page) {
+  return page.evaluate(({ percentageSelectors, cardSelectors }) => {
+    // First, check if percentage exists anywhere on the page
+    const percentageText = percentageSelectors
+      .flatMap(selector => [...document.querySelectorAll(selector)])
+      .map(el => el.innerText)
+      .find(text => text.includes('%'));
+    const percentage = percentageText ? parseInt(percentageText.replace('%', '')) : 0;
+    
+    console.log('🔍 Percentage search result:', percentageText, '→', percentage);
+    
+    // Look for the progress card - it has specific classes and structure
+    const progressCard = cardSelectors.map(selector => document.querySelector(selector)).find(Boolean) || null;
+    
+    console.log('🔍 Progress card found:', !!progressCard);
+    
+    if (!progressCard && !percentageText) {
+      return { isGenerating: false };
+    }
+    
+    // If we have percentage but no card, still return progress data
+    if (!progressCard && percentageText) {
+      return {
+        isGenerating: true,
+        percentage,
+        currentStatus: 'Processing',
+        currentStep: '',
+        message: 'Our Video Agent is working on your video',
+        steps: []
+      };
+    }
+    
+    // Extract status text (Understanding, Planning, Creating)
+    // These are in the left column of the progress section
+    const statusElements = progressCard.querySelectorAll('.tw-flex.tw-flex-col.tw-gap-2 > div.tw-text-sm');
+    let currentStatus = 'Processing';
+    statusElements.forEach(el => {
+      if (el.classList.contains('tw-font-bold') && el.classList.contains('tw-text-textTitle')) {
+        currentStatus = el.textContent.trim();
+      }
+    });
+    
+    // Extract current step with orange spinner (ongoing step)
+    const currentStepEl = progressCard.querySelector('iconpark-icon[name="onboarding-ongoing"][theme="filled"] + span.tw-text-sm.tw-text-textTitle.tw-font-bold');
+    const currentStep = currentStepEl ? currentStepEl.textContent.trim() : '';
+    
+    // Extract all steps
+    const allSteps = Array.from(progressCard.querySelectorAll('.tw-flex.tw-items-center.tw-gap-3')).map(stepEl => {
+      const icon = stepEl.querySelector('iconpark-icon');
+      const text = stepEl.querySelector('span.tw-text-sm.tw-text-textTitle');
+      let status = 'pending';
+      
+      if (icon) {
+        if (icon.getAttribute('name') === 'check-one-fill') {
+          status = 'completed';
+        } else if (icon.getAttribute('name') === 'onboarding-ongoing') {
+          status = 'current';
+        }
+      }
+      
+      return {
+        text: text ? text.textContent.trim() : '',
+        status
+      };
+    });
+    
+    // Extract main message
+    const messageEl = progressCard.querySelector('.tw-text-sm.tw-font-medium.tw-text-textBody span');
+    const message = messageEl ? messageEl.textContent.trim() : 'Our Video Agent is working on your video';
+    
+    return {
+      isGenerating: true,
+      percentage,
+      currentStatus,
+      currentStep,
+      message,
+      steps: allSteps
+    };
+  }, {
+    percentageSelectors: selectors.getCandidates('progressPercentage'),
+    cardSelectors: selectors.getCandidates('progressCard')
+  });
+}
+
+/**
+ * Collects the finished videos shown on an agent page (loading animations are skipped)
+ * @param {Object} page - Playwright page on an /agent/ URL
+ * @returns {Promise<Array<Object>>} [{ videoUrl, poster, title }]
+ */
+async function extractVideoUrls(page) {
+  // Wait for video elements to appear (sidebar might be opening)
+  try {
+    await page.waitForSelector(selectors.anyOf('videoElement'), { timeout: 3000 });
+    await page.waitForTimeout(3000); // Give it time to load src
+  } catch (_) {
+    console.log('⚠️ No video elements found, sidebar might not be open');
+  }
+
+  // Extract video data from sidebar (same logic as initial_load)
+  return page.evaluate(({ videoSelectors, videoOrigin }) => {
+    // Try the specific selector first, then the looser fallbacks
+    let allVideos = [];
+    for (const selector of videoSelectors) {
+      allVideos = document.querySelectorAll(selector);
+      if (allVideos.length > 0) break;
+      console.log(`[Browser] No videos for ${selector}, trying next selector`);
+    }
+    console.log(`[Browser] Found ${allVideos.length} video elements`);
+    
+    const validVideos = [];
+    
+    for (const vid of allVideos) {
+      const src = vid.src || vid.querySelector('source')?.src || vid.querySelector('source')?.getAttribute('src') || '';
+      console.log(`[Browser] Video src: ${src.substring(0, 80)}...`);
+      
+      // Only include finished video URLs, skip loading animations
+      if (src && src.startsWith(videoOrigin) && !src.includes('liteSharePreviewAnimation')) {
+        const poster = vid.poster || '';
+        const titleEl = document.querySelector('.tw-text-base.tw-font-bold.tw-tracking-tight') ||
+                        document.querySelector('h2, h3');
+        const title = (titleEl?.innerText || titleEl?.textContent || '').trim() || 'Your video is ready!';
+        
+        validVideos.push({
+          videoUrl: src,
+          poster: poster,
+          title: title
+        });
+        console.log(`[Browser] ✅ Found valid video: ${title}`);
+      }
+    }
+    
+    return validVideos;
+  }, { videoSelectors: selectors.getCandidates('videoElement'), videoOrigin: upstream.getVideoOrigin() });
+}
+
+/**
+ * Reads the chat of an agent page: user and agent messages with their images and finished
+ * video cards, in page order (read-only: does not click cards to load their videos)
+ * @param {Object} page - Playwright page on an agent session
+ * @returns {Promise<{ messages: Array<Object> }>}
+ */
+function extractAgentMessages(page) {
+  return page.evaluate((videoOrigin) => {
+    // Get all chat rows AND video cards in order (exclude hidden placeholders)
+    const allElements = Array.from(
+      document.querySelectorAll('div.tw-flex.tw-self-end, div.tw-flex.tw-self-start, div.tw-flex.tw-flex-col.tw-items-stretch.tw-rounded-2xl.tw-border.tw-border-line.tw-bg-fill-general.tw-cursor-pointer')
+    ).filter(el => {
+      // Skip hidden elements
+      if (el.classList.contains('tw-hidden')) return false;
+      
+      // Skip elements that match the preloader pattern
+      // Preloader has these exact classes: tw-flex tw-cursor-pointer tw-items-center tw-gap-x-1 tw-text-sm tw-text-textSupport
+      const isPreloader = el.matches('.tw-flex.tw-cursor-pointer.tw-items-center.tw-gap-x-1.tw-text-sm.tw-text-textSupport');
+      if (isPreloader) {
+        console.log('[get_messages] Skipping preloader element');
+        return false;
+      }
+      
+      return true;
+    });
+    console.log('[get_messages] Found', allElements.length, 'message rows after filtering');
+    
+    // Helper to detect if an agent message is still being streamed (incomplete)
+    const isIncompleteMessage = (row) => {
+      // Check for typing indicator or streaming animation
+      const typingIndicator = row.querySelector('[data-testid="typing-indicator"]');
+      if (typingIndicator && typingIndicator.offsetParent !== null) {
+        return true;
+      }
+      
+      // Check for blinking cursor or streaming animation
+      const cursor = row.querySelector('.tw-animate-pulse, .tw-animate-bounce, [class*="animate"]');
+      if (cursor && cursor.offsetParent !== null) {
+        return true;
+      }
+      
+      // Check if message ends with incomplete punctuation or has streaming markers
+      const textEl = row.querySelector('div.tw-prose, div.tw-text-textTitle div.tw-prose');
+      if (textEl) {
+        const text = (textEl.innerText || textEl.textContent || '').trim();
+        // If text is very short (< 20 chars) and doesn't end with punctuation, likely incomplete
+        if (text.length < 20 && text.length > 0 && !/[.!?:;,)]$/.test(text)) {
+          return true;
+        }
+      }
+      
+      return false;
+    };
+    
+    const messages = allElements.map((row, idx) => {
+      console.log(`[get_messages] Processing row ${idx}:`, row.className);
+      
+      // Check if this is a video card (not a chat row)
+      if (row.classList.contains('tw-flex-col') && row.classList.contains('tw-rounded-2xl') && row.classList.contains('tw-bg-fill-general')) {
+        // Skip preloader cards - they have brand colors and a progress indicator
+        const isPreloader = row.classList.contains('tw-border-brand') && row.classList.contains('tw-bg-more-brandLighter');
+        if (isPreloader) {
+          console.log('[get_messages] Skipping preloader card (brand colors detected)');
+          return null;
+        }
+        
+        const thumbnailImg = row.querySelector('img[alt="draft thumbnail"]');
+        const videoElement = row.querySelector('video');
+        const titleElement = row.querySelector('.tw-text-base.tw-font-bold.tw-tracking-tight');
+        const subtitleElement = row.querySelector('.tw-text-sm.tw-font-medium.tw-text-textBody span');
+        // Prefer cached dataset from earlier sidebar extraction
+        const cachedUrl = row.dataset?.videoUrl || null;
+        const cachedPoster = row.dataset?.videoPoster || null;
+        const cachedTitle = row.dataset?.videoTitle || null;
+        // Build thumbnail/poster fallback
+        let thumbnail = cachedPoster || (videoElement?.poster || thumbnailImg?.src || '');
+        const title = cachedTitle || (titleElement ? titleElement.innerText.trim() : 'Your video is ready!');
+        // If we have either a cached URL or an inline video element, create the message
+        if (cachedUrl || videoElement) {
+          let videoUrl = cachedUrl;
+          if (!videoUrl && videoElement) {
+            videoUrl = videoElement.src || videoElement.querySelector('source')?.src || videoElement.querySelector('source')?.getAttribute('src') || '';
+          }
+          if (videoUrl && videoUrl.startsWith(videoOrigin) && !videoUrl.includes('liteSharePreviewAnimation')) {
+            return {
+              role: 'agent',
+              text: subtitleElement ? subtitleElement.innerText.trim() : '',
+              video: {
+                thumbnail: thumbnail || undefined,
+                videoUrl: videoUrl,
+                poster: thumbnail || undefined,
+                title: title
+              }
+            };
+          }
+        }
+        // As a fallback, create a pending video message so the frontend can show a card and later fill the URL
+        if (thumbnail || title) {
+          return {
+            role: 'agent',
+            text: subtitleElement ? subtitleElement.innerText.trim() : '',
+            video: {
+              thumbnail: thumbnail || '',
+              videoUrl: null,
+              poster: thumbnail || '',
+              title: title || 'Your video is ready!'
+            }
+          };
+        }
+        return null;
+      }
+      
+      // Regular chat row logic
+      const isUser = row.classList.contains('tw-self-end');
+
+      if (isUser) {
+        const userBubble = row.querySelector('.tw-bg-fill-block');
+        const text = userBubble ? userBubble.innerText.trim() : '';
+        
+        // Skip composite messages that contain chat history context
+        if (text && text.includes('This is the context of our previous chat:')) {
+          console.log('[get_messages] Skipping composite message with chat history');
+          return null;
+        }
+        
+        // Check for attached images in user message
+        const attachedImages = [];
+        // Be permissive: match any HeyGen-hosted image (e.g., resource2.heygen.ai, cdn variants)
+        const imageElements = row.querySelectorAll('img[src*="heygen"]');
+        imageElements.forEach(img => {
+          if (img.src) {
+            attachedImages.push({
+              url: img.src,
+              alt: img.alt || 'User attached image'
+            });
+          }
+        });
+        
+        // Return user message with text and/or images
+        if (text || attachedImages.length > 0) {
+          const message = { role: 'user' };
+          if (text) message.text = text;
+          if (attachedImages.length > 0) message.images = attachedImages;
+          return message;
+        }
+        return null;
+      }
+
+      // agent - get main reply, skip reasoning
+      // First check if this message is still being streamed (incomplete)
+      if (isIncompleteMessage(row)) {
+        console.log(`[get_messages] Skipping incomplete/streaming message at row ${idx}`);
+        return null; // Skip incomplete messages
+      }
+      
+      // Try multiple selectors to find the agent message text
+      let reply = null;
+      const replySelectors = [
+        'div.tw-prose',
+        'div.tw-text-textTitle div.tw-prose',
+        'div > div.tw-text-textTitle > div.tw-prose',
+        'div > div.tw-bg-fill-block'
+      ];
+      for (const sel of replySelectors) {
+        const el = row.querySelector(sel);
+        // Skip elements inside the Reasoning section wrapper
+        const inReasoning = el && el.closest('div.tw-border-l-2.tw-border-line');
+        if (el && !inReasoning) {
+          const txt = el.innerText?.trim() || el.textContent?.trim();
+          if (txt && txt.length > 0) {
+            reply = el;
+            console.log('Found agent text with selector:', sel, 'text:', txt.substring(0, 50));
+            break;
+          }
+        }
+      }
+
+      let text = '';
+      if (reply) {
+        // Try innerText first, fallback to textContent
+        text = reply.innerText?.trim() || reply.textContent?.trim() || '';
+        console.log('Agent message text length:', text.length);
+      } else {
+        console.log('No reply element found for agent row');
+      }
+
+
+      // ✅ ADD THE CHECK HERE - after text is extracted
+      if (text) {
+        // Skip HeyGen preloader messages (Thinking..., Reasoning, etc.)
+        const normalizedText = text.toLowerCase().trim();
+        const isPreloaderText = normalizedText === 'thinking...' ||
+                               normalizedText === 'thinking' ||
+                               normalizedText === 'reasoning' ||
+                               normalizedText === 'reasoning...' ||
+                               (normalizedText.length < 15 && normalizedText.includes('...'));
+        if (isPreloaderText) {
+          console.log('⏭️ [get_messages] Skipping preloader message:', text);
+          return null;
+        }
+        
+        const limitPatterns = [
+          /reached.*limit/i,
+          /add generative credits/i,
+          /switch to unlimited mode/i,
+          /video agent.*limit/i
+        ];
+        
+        const shouldSkip = limitPatterns.some(pattern => pattern.test(text));
+        if (shouldSkip) {
+          console.log('⏭️ [get_messages] Skipping limit message:', text.substring(0, 50) + '...');
+          return null; // Return null instead of nothing
+        }
+      }
+      
+      // Check for video completion card - get_messages action
+      let video = null;
+      
+      // First, check if there's a video element in the sidebar/modal (after clicking card)
+      let sidebarVideo = null;
+      const sidebarVideoSelectors = ['aside video', '[role="dialog"] video'];
+      for (const sel of sidebarVideoSelectors) {
+        const v = document.querySelector(sel);
+        if (v && (v.src || v.querySelector('source')?.src)) {
+          sidebarVideo = v;
+          break;
+        }
+      }
+      
+      // If sidebar has video, use it; otherwise check the card itself
+      const videoElement = sidebarVideo || row.querySelector('video');
+      if (videoElement) {
+        // Get video source from multiple possible locations
+        let videoSrc = videoElement.src || '';
+        if (!videoSrc) {
+          const sourceElement = videoElement.querySelector('source');
+          if (sourceElement) {
+            videoSrc = sourceElement.src || sourceElement.getAttribute('src') || '';
+          }
+        }
+        const videoPoster = videoElement.poster;
+
+        // Ignore loading animation and sources off the video origin
+        const isLoadingAnimation = videoSrc && (videoSrc.includes('static.heygen.ai/heygen/asset/liteSharePreviewAnimation.mp4') || videoSrc.includes('liteSharePreviewAnimation'));
+        const isOnVideoOrigin = videoSrc && videoSrc.startsWith(videoOrigin);
+
+        if (!isLoadingAnimation && isOnVideoOrigin) {
+          // Extract title from nearby text
+          const titleElement = row.querySelector('div.tw-text-textTitle, div.tw-font-medium, h3, h2');
+          const title = titleElement ? titleElement.innerText.trim() : 'Your video is ready!';
+
+          video = {
+            thumbnail: videoPoster,
+            videoUrl: videoSrc,
+            poster: videoPoster,
+            title: title
+          };
+        }
+      }
+      // Ignore thumbnail-only cards without video element - they're just placeholders
+      
+      // Only return if we have text or video
+      if (text || video) {
+        return { role: 'agent', text, video };
+      }
+      return null;
+    }).filter(Boolean);
+
+    // Merge a preceding image-only user message with the immediately following user text message
+    const merged = [];
+    for (let i = 0; i < messages.length; i++) {
+      const m = messages[i];
+      if (
+        m && m.role === 'user' && !m.text && Array.isArray(m.images) && m.images.length > 0
+      ) {
+        const next = messages[i + 1];
+        if (next && next.role === 'user' && next.text) {
+          const combinedImages = [...(next.images || [])];
+          const existingUrls = new Set(combinedImages.map(img => img && img.url).filter(Boolean));
+          for (const img of m.images) {
+            if (img && img.url && !existingUrls.has(img.url)) {
+              combinedImages.push(img);
+              existingUrls.add(img.url);
+            }
+          }
+          merged.push({ ...next, images: combinedImages });
+          i++; // Skip the next item since it's merged
+          continue;
+        }
+      }
+      merged.push(m);
+    }
+
+    // Dedupe any remaining identical image-only user messages by URL set
+    const seenImageOnly = new Set();
+    const deduped = [];
+    for (const m of merged) {
+      if (m && m.role === 'user' && !m.text && Array.isArray(m.images) && m.images.length > 0) {
+        const key = 'user-images:' + m.images.map(img => img && img.url).filter(Boolean).sort().join('|');
+        if (seenImageOnly.has(key)) {
+          continue;
+        }
+        seenImageOnly.add(key);
+      }
+      deduped.push(m);
+    }
+
+    return { messages: deduped };
+  }, upstream.getVideoOrigin());
+}
+
+// Error banner HeyGen shows in the chat (null when there is none)
+function readAgentError(page) {
+  return page.evaluate((errorSelectors) => {
+    const errorDiv = errorSelectors.map(selector => document.querySelector(selector)).find(Boolean);
+    if (errorDiv) {
+      const errorText = errorDiv.querySelector('.tw-text-textTitle');
+      return errorText ? errorText.innerText.trim() : 'Something went wrong';
+    }
+    return null;
+  }, selectors.getCandidates('agentError'));
+}
+
 // Helper function to merge video URLs into messages
 function mergeVideoUrls(messages, videoUrls) {
   if (!videoUrls || videoUrls.length === 0) return messages;
@@ -96,14 +586,92 @@ function mergeVideoUrls(messages, videoUrls) {
   return result;
 }
 
+// WebSocket actions that never touch the page, so they skip the browser queue
+const QUEUE_EXEMPT_WS_ACTIONS = [
+  'authenticate', 'describe_schema', 'save_video', 'save_chat', 'unsubscribe_updates',
+  'get_presence', 'take_control', 'release_control', 'hand_off_control', 'share_session', 'detach_session'
+];
+
+/**
+ * WebSocket seen through one request: everything sent through it is stamped as a reply to that
+ * request (protocol version, requestId, error code); everything else goes to the real socket
+ * @param {Object} ws - WebSocket client
+ * @param {Object} request - Request being handled
+ * @returns {Object}
+ */
+function createReplySocket(ws, request) {
+  return new Proxy(ws, {
+    get(target, prop) {
+      if (prop === 'send') return (payload, ...args) => target.send(wsSchema.stampResponse(payload, request), ...args);
+      // For code that keeps the socket beyond the request (e.g. push subscriptions)
+      if (prop === 'socket') return target;
+      const value = Reflect.get(target, prop, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
 // WebSocket message handler with chat saving functionality
 const originalHandleWebSocketMessage = handleWebSocketMessage;
-handleWebSocketMessage = async (ws, data, session = null) => {
+handleWebSocketMessage = async (socket, data, session = null) => {
+  const ws = createReplySocket(socket, data);
   try {
-    await originalHandleWebSocketMessage(ws, data, session);
+    // Enforce role permissions and per-role action limits before touching the browser
+    const authz = checkWebSocketAction(ws.user, data.action);
+    if (!authz.allowed) {
+      console.warn(`🚫 [${ws.user?.email || 'anonymous'}] Rejected '${data.action}': ${authz.error}`);
+      ws.send(JSON.stringify(wsSchema.errorResponse(data, wsSchema.codeForStatus(authz.status), authz.error, { status: authz.status })));
+      return;
+    }
+
+    if (upstreamDraining) {
+      ws.send(JSON.stringify(wsSchema.errorResponse(data, 'UNAVAILABLE', DRAINING_ERROR, { status: 503 })));
+      return;
+    }
+
+    if (wsSchema.ACTIONS[data.action]?.session && !session?.page) {
+      ws.send(JSON.stringify(wsSchema.errorResponse(data, 'NO_SESSION', 'No active browser session')));
+      return;
+    }
+
+    // Observers of a shared session only read it
+    if (wsSchema.ACTIONS[data.action]?.control && sessionPresence.getClient(socket) && !sessionPresence.isController(socket)) {
+      ws.send(JSON.stringify(wsSchema.errorResponse(data, 'NOT_CONTROLLER', 'Another client controls this browser session, take control first', { status: 409 })));
+      return;
+    }
+    
+    if (QUEUE_EXEMPT_WS_ACTIONS.includes(data.action)) {
+      await originalHandleWebSocketMessage(ws, data, session);
+    } else {
+      // One page per session: wait for this session's earlier actions and for a free browser slot
+      try {
+        await browserQueue.enqueueTask({
+          type: `ws:${data.action}`,
+          sessionKey: getClientSessionKey(socket),
+          owner: ws.user?.email,
+          onQueued: position => {
+            ws.send(JSON.stringify({ action: 'queue_status', requestAction: data.action, position }));
+          },
+          run: async () => {
+            inFlightOperations++;
+            try {
+              await originalHandleWebSocketMessage(ws, data, session);
+            } finally {
+              inFlightOperations--;
+            }
+          }
+        });
+      } catch (error) {
+        if (!error.status) throw error;
+        const code = error.status === 429 ? 'QUEUE_FULL' : wsSchema.codeForStatus(error.status);
+        ws.send(JSON.stringify(wsSchema.errorResponse(data, code, error.message, { status: error.status })));
+        return;
+      }
+    }
     
     // Save after get_video_url to attach video URLs to messages
     if (data.action === 'get_video_url' && session?.page) {
+      reportVideosReady(session, session.page._videoUrls);
       const extractedMessages = session.page._extractedMessages;
       const videoUrls = session.page._videoUrls || [];
       
@@ -176,56 +744,63 @@ handleWebSocketMessage = async (ws, data, session = null) => {
   }
 };
 
-// Ensure uploads directory exists
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+// Per-user uploads sub-directory name (replace @ and . with _)
+function getUserDirName(userEmail) {
+  return String(userEmail).replace(/[@.]/g, '_');
 }
 
-// Helper function to verify JWT token and extract user email (HS256)
-function verifyToken(token) {
-  try {
-    const [headerB64, bodyB64, sig] = token.split('.');
-    if (!headerB64 || !bodyB64 || !sig) return null;
-    const data = `${headerB64}.${bodyB64}`;
-    const hmac = createHmac('sha256', AUTH_SECRET)
-      .update(data)
-      .digest('base64')
-      .replace(/=/g, '')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_');
-    if (hmac !== sig) return null;
-    const bodyJson = Buffer.from(bodyB64.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
-    const body = JSON.parse(bodyJson);
-    if (body.exp && Math.floor(Date.now() / 1000) > body.exp) return null;
-    return body;
-  } catch (_) {
-    return null;
-  }
+// API key from an `Authorization: Bearer ak_...` header (null when the header is absent)
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
 }
 
-// Helper function to extract sessionKey from request cookies
+// Resolved identity per request: middleware and route handlers both ask, but users.json is read once
+const requestIdentities = new WeakMap();
+
+// Helper function to extract sessionKey from the API key or the arena_token cookie
 function getSessionKeyFromRequest(req) {
+  if (!requestIdentities.has(req)) requestIdentities.set(req, resolveSessionKey(req));
+  return requestIdentities.get(req);
+}
+
+function resolveSessionKey(req) {
   try {
-    const cookieHeader = req.headers.cookie || '';
-    const cookieMap = {};
-    cookieHeader.split(';').forEach(c => {
-      const [k, v] = c.split('=');
-      if (k && v) cookieMap[k.trim()] = decodeURIComponent(v.trim());
-    });
-    const arenaToken = cookieMap['arena_token'];
-    if (arenaToken) {
-      const tokenData = verifyToken(arenaToken);
-      if (tokenData && tokenData.email) {
-        // Create unique session key using email:sessionId format
-        const sessionKey = tokenData.sessionId 
-          ? `${tokenData.email}:${tokenData.sessionId}`
-          : tokenData.email; // Fallback for old tokens without sessionId
-        return { sessionKey, email: tokenData.email, sessionId: tokenData.sessionId };
+    const bearer = getBearerToken(req);
+    if (bearer) {
+      // An Authorization header always wins over the cookie, so a bad key is never masked
+      const match = findUserByApiKey(bearer);
+      if (match) {
+        const { user, apiKey } = match;
+        // Each key drives its own browser context, separate from the user's browser sessions
+        return {
+          sessionKey: `${user.email}:apikey:${apiKey.id}`,
+          email: user.email,
+          sessionId: null,
+          role: user.role,
+          id: user.id,
+          apiKey: { id: apiKey.id, scopes: apiKey.scopes }
+        };
       }
+      return { sessionKey: 'anonymous', email: 'anonymous', sessionId: null, role: null };
+    }
+    // Verified and checked against the session registry (revoked sessions are rejected)
+    const tokenData = verifyAccessToken(parseCookies(req)['arena_token']);
+    if (tokenData && tokenData.email) {
+      // Create unique session key using email:sessionId format
+      const sessionKey = tokenData.sessionId 
+        ? `${tokenData.email}:${tokenData.sessionId}`
+        : tokenData.email; // Fallback for old tokens without sessionId
+      return { sessionKey, email: tokenData.email, sessionId: tokenData.sessionId, role: tokenData.role };
     }
   } catch (_) {}
-  return { sessionKey: 'anonymous', email: 'anonymous', sessionId: null };
+  return { sessionKey: 'anonymous', email: 'anonymous', sessionId: null, role: null };
+}
+
+// Resolve the authenticated user for permission checks (null for anonymous requests)
+function getUserFromRequest(req) {
+  const info = getSessionKeyFromRequest(req);
+  return info.sessionKey === 'anonymous' ? null : info;
 }
 
 const proxyRouter = express.Router();
@@ -237,7 +812,7 @@ proxyRouter.use(express.json());
 // Add CORS middleware
 proxyRouter.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -245,8 +820,69 @@ proxyRouter.use((req, res, next) => {
   next();
 });
 
+// Require an authenticated user on every route below (CORS preflight above stays open)
+proxyRouter.use((req, res, next) => {
+  const user = getUserFromRequest(req);
+  if (!user && (STRICT_AUTH || getBearerToken(req))) {
+    console.warn(`🚫 Rejected unauthenticated ${req.method} ${req.originalUrl}`);
+    const error = getBearerToken(req) ? 'Invalid or expired API key' : 'Not authenticated';
+    return res.status(401).json({ success: false, error });
+  }
+  if (user?.apiKey) {
+    const scopeCheck = checkApiKeyScope(user.apiKey, req.method, req.path);
+    if (!scopeCheck.allowed) {
+      console.warn(`🚫 [${user.email}] API key ${user.apiKey.id} denied ${req.method} ${req.originalUrl}: ${scopeCheck.error}`);
+      return res.status(403).json({ success: false, error: scopeCheck.error, ...(scopeCheck.scope ? { scope: scopeCheck.scope } : {}) });
+    }
+  }
+  req.user = user;
+  next();
+});
+
+// Track in-flight requests and hold off browser work while upstream credentials are rotated
+// Read-only listings keep working during the drain; event streams stay open indefinitely, so
+// only their page reads are counted
+proxyRouter.use((req, res, next) => {
+  if (req.path.startsWith('/upstream/') || isEventStreamRequest(req)) return next();
+  const readOnly = req.method === 'GET' && (req.path.startsWith('/api/') || req.path.startsWith('/uploads/'));
+  if (upstreamDraining && !readOnly) {
+    res.set('Retry-After', '30');
+    return res.status(503).json({ success: false, error: DRAINING_ERROR });
+  }
+  inFlightOperations++;
+  let done = false;
+  res.on('close', () => {
+    if (!done) {
+      done = true;
+      inFlightOperations--;
+    }
+  });
+  next();
+});
+
+// Run a page-driving route through the browser queue: the handler starts once this session's
+// earlier work is done and a browser slot is free, and holds the slot until the response ends
+function queueBrowserRequest(type) {
+  return (req, res, next) => {
+    const { sessionKey, email } = getSessionKeyFromRequest(req);
+    browserQueue.enqueueTask({
+      type: `http:${type}`,
+      sessionKey,
+      owner: email,
+      run: () => new Promise(resolve => {
+        res.on('close', resolve);
+        next();
+      })
+    }).catch(error => {
+      if (res.headersSent) return;
+      if (error.status === 503) res.set('Retry-After', '30');
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    });
+  };
+}
+
 // Convenience route: /generate/:sessionId will navigate to the same agent session
-proxyRouter.get('/generate/:sessionId', async (req, res) => {
+proxyRouter.get('/generate/:sessionId', queueBrowserRequest('generate'), async (req, res) => {
   const { sessionId } = req.params;
   const loadFromHistory = req.query.loadFromHistory === 'true';
   
@@ -261,7 +897,7 @@ proxyRouter.get('/generate/:sessionId', async (req, res) => {
   const { sessionKey, email: userEmail } = getSessionKeyFromRequest(req);
   
   const relativeUrl = `/agent/${sessionId}`;
-  const targetUrl = TARGET + relativeUrl;
+  const targetUrl = upstream.upstreamUrl(relativeUrl);
   
   if (loadFromHistory) {
     console.log(`📚 [HTTP] Loading chat from history (no navigation): ${sessionId} for user: ${userEmail} (session: ${sessionKey})`);
@@ -390,7 +1026,7 @@ proxyRouter.get('/generate/:sessionId', async (req, res) => {
     return res.json({ success: true, url: targetUrl, ...(messages ? { messages } : {}) });
   } catch (error) {
     console.error('❌ [HTTP] Navigation error:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -400,113 +1036,120 @@ proxyRouter.use(fileUpload({
   createParentPath: true
 }));
 
-// Save video file endpoint with duplicate prevention
-proxyRouter.post('/save-video', async (req, res) => {
-  try {
-    const { username, userEmail, videoUrl, title } = req.body;
+/**
+ * Downloads a generated video into the user's uploads folder, skipping files already saved (deduped by hash)
+ * @param {string} userEmail - Owner of the video; decides the uploads sub-directory
+ * @param {string} videoUrl - HeyGen video URL containing the video hash
+ * @param {string} [title] - Title used for the file name
+ * @returns {Promise<Object>} { success, message, path, filename, isDuplicate }
+ */
+async function saveVideoForUser(userEmail, videoUrl, title) {
+  const userDirName = getUserDirName(userEmail);
+
+  // Extract video hash from both formats: /transcode/HASH/ or caption_HASH.mp4
+  let videoHash = null;
+  const transcodeMatch = videoUrl.match(/\/transcode\/([a-f0-9]{32})\//i);
+  if (transcodeMatch) {
+    videoHash = transcodeMatch[1];
+  } else {
+    const captionMatch = videoUrl.match(/caption_([a-f0-9]{32})\.mp4/i);
+    if (captionMatch) videoHash = captionMatch[1];
+  }
 
-    if (!videoUrl) {
-      return res.status(400).json({ error: 'Missing required fields: videoUrl' });
-    }
+  if (!videoHash) {
+    const error = new Error('Invalid video URL format - missing video hash');
+    error.status = 400;
+    throw error;
+  }
 
-    // Determine user directory from email (preferred), else from JWT cookie, else fallback to username
-    let emailFromCookie = null;
-    try {
-      const cookieHeader = req.headers.cookie || '';
-      const cookieMap = {};
-      cookieHeader.split(';').forEach(c => {
-        const [k, v] = c.split('=');
-        if (k && v) cookieMap[k.trim()] = decodeURIComponent(v.trim());
-      });
-      const arenaToken = cookieMap['arena_token'];
-      if (arenaToken) {
-        const t = verifyToken(arenaToken);
-        if (t && t.email) emailFromCookie = t.email;
-      }
-    } catch (_) {}
+  // Create user directory if it doesn't exist
+  const userDir = path.join(getUploadsDir(), userDirName);
+  if (!fs.existsSync(userDir)) {
+    fs.mkdirSync(userDir, { recursive: true });
+  }
 
-    const rawUserId = userEmail || emailFromCookie || username || 'unknown_user';
-    const userDirName = rawUserId.replace(/[@.]/g, '_');
+  // Create a safe filename
+  // 1) Start with provided title or 'video'
+  // 2) Remove file extension if present
+  // 3) Strip trailing -<hash> to avoid double-hash patterns
+  let baseTitle = (title || 'video').replace(/\.[^.]+$/, '');
+  baseTitle = baseTitle.replace(/-([a-f0-9]{32})$/i, '');
+  const safeBaseName = baseTitle
+    .replace(/[^a-z0-9\- _]/gi, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/_{2,}/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  const filename = `${safeBaseName}-${videoHash}.mp4`;
+  const filePath = path.join(userDir, filename);
+
+  // Check if any file with this hash already exists (dedupe by hash regardless of title)
+  const existingByHash = fs.readdirSync(userDir).find(f => f.endsWith(`-${videoHash}.mp4`));
+  if (existingByHash) {
+    const existingPath = path.join(userDir, existingByHash);
+    console.log(`⏭️ Video already exists by hash, skipping download: ${existingPath}`);
+    return {
+      success: true,
+      message: 'Video already exists',
+      path: existingPath,
+      filename: existingByHash,
+      isDuplicate: true
+    };
+  }
 
-    // Extract video hash from both formats: /transcode/HASH/ or caption_HASH.mp4
-    let videoHash = null;
-    const transcodeMatch = videoUrl.match(/\/transcode\/([a-f0-9]{32})\//i);
-    if (transcodeMatch) {
-      videoHash = transcodeMatch[1];
-    } else {
-      const captionMatch = videoUrl.match(/caption_([a-f0-9]{32})\.mp4/i);
-      if (captionMatch) videoHash = captionMatch[1];
-    }
+  // Download the video if it doesn't exist
+  console.log(`⬇️ Downloading video to: ${filePath}`);
+  const response = await axios({
+    method: 'GET',
+    url: videoUrl,
+    responseType: 'stream',
+  });
 
-    if (!videoHash) {
-      return res.status(400).json({ error: 'Invalid video URL format - missing video hash' });
-    }
+  const writer = fs.createWriteStream(filePath);
+  response.data.pipe(writer);
 
-    // Create user directory if it doesn't exist
-    const userDir = path.join(UPLOADS_DIR, userDirName);
-    if (!fs.existsSync(userDir)) {
-      fs.mkdirSync(userDir, { recursive: true });
-    }
+  await new Promise((resolve, reject) => {
+    writer.on('finish', resolve);
+    writer.on('error', reject);
+  });
 
-    // Create a safe filename
-    // 1) Start with provided title or 'video'
-    // 2) Remove file extension if present
-    // 3) Strip trailing -<hash> to avoid double-hash patterns
-    let baseTitle = (title || 'video').replace(/\.[^.]+$/, '');
-    baseTitle = baseTitle.replace(/-([a-f0-9]{32})$/i, '');
-    const safeBaseName = baseTitle
-      .replace(/[^a-z0-9\- _]/gi, '_')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .replace(/_{2,}/g, '_')
-      .replace(/^_+|_+$/g, '');
-
-    const filename = `${safeBaseName}-${videoHash}.mp4`;
-    const filePath = path.join(userDir, filename);
-
-    // Check if any file with this hash already exists (dedupe by hash regardless of title)
-    const existingByHash = fs.readdirSync(userDir).find(f => f.endsWith(`-${videoHash}.mp4`));
-    if (existingByHash) {
-      const existingPath = path.join(userDir, existingByHash);
-      console.log(`⏭️ Video already exists by hash, skipping download: ${existingPath}`);
-      return res.json({ 
-        success: true, 
-        message: 'Video already exists', 
-        path: existingPath,
-        filename: existingByHash,
-        isDuplicate: true
-      });
-    }
+  console.log(`✅ Video saved: ${filePath}`);
+  webhooks.emitEvent(userEmail, 'video.saved', {
+    title: title || null,
+    videoUrl,
+    filename,
+    url: `/proxy/uploads/${userDirName}/${filename}`
+  });
+  return {
+    success: true,
+    message: 'Video saved successfully',
+    path: filePath,
+    filename,
+    isDuplicate: false
+  };
+}
 
-    // Download the video if it doesn't exist
-    console.log(`⬇️ Downloading video to: ${filePath}`);
-    const response = await axios({
-      method: 'GET',
-      url: videoUrl,
-      responseType: 'stream',
-    });
+// Save video file endpoint with duplicate prevention
+proxyRouter.post('/save-video', async (req, res) => {
+  try {
+    const { username, userEmail, videoUrl, title } = req.body;
+
+    if (!videoUrl) {
+      return res.status(400).json({ error: 'Missing required fields: videoUrl' });
+    }
 
-    const writer = fs.createWriteStream(filePath);
-    response.data.pipe(writer);
+    // In strict mode videos always go to the caller's own directory
+    const owner = STRICT_AUTH
+      ? req.user.email
+      : (userEmail || req.user?.email || username || 'unknown_user');
 
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => {
-        console.log(`✅ Video saved: ${filePath}`);
-        res.json({ 
-          success: true, 
-          message: 'Video saved successfully', 
-          path: filePath,
-          filename,
-          isDuplicate: false
-        });
-      });
-      writer.on('error', (err) => {
-        console.error('❌ Error writing file:', err);
-        res.status(500).json({ success: false, error: 'Failed to save video' });
-        reject(err);
-      });
-    });
+    const result = await saveVideoForUser(owner, videoUrl, title);
+    res.json(result);
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error in save-video:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -541,19 +1184,9 @@ function setupWebSocketHandler() {
     ws.isAlive = true;
     
     // Extract user email and sessionId from arena_token cookie
-    const cookies = {};
-    if (req.headers.cookie) {
-      req.headers.cookie.split(';').forEach(cookie => {
-        const parts = cookie.split('=');
-        if (parts.length === 2) {
-          cookies[parts[0].trim()] = decodeURIComponent(parts[1].trim());
-        }
-      });
-    }
-    
-    const arenaToken = cookies['arena_token'];
+    const arenaToken = parseCookies(req)['arena_token'];
     if (arenaToken) {
-      const tokenData = verifyToken(arenaToken);
+      const tokenData = verifyAccessToken(arenaToken);
       if (tokenData && tokenData.email) {
         // Create unique session key using email:sessionId format
         const sessionKey = tokenData.sessionId 
@@ -562,12 +1195,25 @@ function setupWebSocketHandler() {
         ws.user = { 
           email: tokenData.email, 
           sessionKey: sessionKey,
-          sessionId: tokenData.sessionId || null
+          sessionId: tokenData.sessionId || null,
+          role: tokenData.role || 'user'
         };
+        // Checked again on every message (see the message handler)
+        ws.tokenData = tokenData;
         console.log('👤 User authenticated via token:', tokenData.email);
         console.log('🔑 Session key:', sessionKey);
       }
     }
+
+    if (STRICT_AUTH && ws.user.sessionKey === 'anonymous') {
+      console.warn('🚫 Closing unauthenticated WebSocket connection');
+      ws.close(WS_POLICY_VIOLATION, 'Authentication required');
+      return;
+    }
+
+    // Attach to the own browser session (controller unless another client already is)
+    sessionPresence.attachClient(ws, { sessionKey: ws.user.sessionKey, email: ws.user.email });
+    broadcastPresence(ws.user.sessionKey);
     
     // Message queue for this connection
     const messageQueue = [];
@@ -580,28 +1226,32 @@ function setupWebSocketHandler() {
       
       isProcessing = true;
       const { message, session } = messageQueue.shift();
+      let data = null;
       
       try {
-        const data = JSON.parse(message);
+        data = JSON.parse(message);
         console.log(`📨 [${ws.user?.email || 'anonymous'}] Processing:`, data.action);
         
-        // Ensure we have a valid session for authenticated users
-        if (ws.user?.sessionKey && ws.user.sessionKey !== 'anonymous' && !session) {
+        // Ensure we have a valid session for authenticated users (the pool may have closed it meanwhile)
+        if (ws.user?.sessionKey && ws.user.sessionKey !== 'anonymous' && (!session || userSessions.get(ws.user.sessionKey) !== session)) {
           userSession = await getUserSession(ws.user.sessionKey);
           console.log(`🔄 Created new session for: ${ws.user.sessionKey}`);
         }
         
+        // Clients watching another user's shared session work on that session
+        const attachedKey = getClientSessionKey(ws);
+        const targetSession = attachedKey !== ws.user?.sessionKey
+          ? userSessions.get(attachedKey) || null
+          : userSession || session;
+        if (targetSession) targetSession.lastActivity = Date.now();
+
         // Pass the WebSocket, data, and session to the handler
-        await handleWebSocketMessage(ws, data, userSession || session);
+        await handleWebSocketMessage(ws, data, targetSession);
         
       } catch (error) {
         console.error('❌ Error processing message:', error);
         if (ws.readyState === ws.OPEN) {
-          ws.send(JSON.stringify({ 
-            success: false, 
-            action: 'error',
-            error: error.message 
-          }));
+          ws.send(JSON.stringify(wsSchema.errorResponse(data, error.code || 'INTERNAL_ERROR', error.message)));
         }
       } finally {
         isProcessing = false;
@@ -612,12 +1262,35 @@ function setupWebSocketHandler() {
     
     // Handle incoming messages
     ws.on('message', (message) => {
+      // Logout, revoke-sessions or a disabled user: closeRevokedSessions normally closes the socket,
+      // this covers a missed notification and messages already on the way
+      if (ws.tokenData && !isSessionActive(ws.tokenData)) {
+        console.warn(`🔒 [${ws.user.email}] Closing WebSocket of revoked session ${ws.user.sessionKey}`);
+        ws.close(WS_POLICY_VIOLATION, 'Session revoked');
+        return;
+      }
       try {
         const data = JSON.parse(message.toString());
-        
-        // For authenticated users, ensure we have a session
-        if (ws.user?.sessionKey && ws.user.sessionKey !== 'anonymous') {
-          // If we don't have a session yet, try to get or create one
+
+        // Reject malformed requests before a browser session is opened for them
+        try {
+          wsSchema.validateRequest(data);
+        } catch (error) {
+          console.warn(`🚫 [${ws.user?.email || 'anonymous'}] Invalid request (${error.code}): ${error.message}`);
+          ws.send(JSON.stringify(wsSchema.errorResponse(data, error.code, error.message, error.details ? { details: error.details } : {})));
+          return;
+        }
+        
+        // Watching another user's shared session (or attaching to one) needs no browser context of our own
+        if (data.action === 'attach_session' || getClientSessionKey(ws) !== ws.user?.sessionKey) {
+          messageQueue.push({ message, session: null });
+          if (!isProcessing) processQueue();
+          return;
+        }
+
+        // For authenticated users, ensure we have a session
+        if (ws.user?.sessionKey && ws.user.sessionKey !== 'anonymous') {
+          // If we don't have a session yet, try to get or create one
           if (!userSession) {
             // Check if session already exists (from HTTP endpoint)
             console.log(`🔍 Checking for existing session for: ${ws.user.sessionKey}`);
@@ -676,11 +1349,7 @@ function setupWebSocketHandler() {
                     }).catch(error => {
                       console.error(`❌ Failed to create session for ${ws.user.sessionKey}:`, error);
                       if (ws.readyState === ws.OPEN) {
-                        ws.send(JSON.stringify({
-                          success: false,
-                          action: 'error',
-                          error: 'Failed to create browser session'
-                        }));
+                        ws.send(JSON.stringify(sessionErrorResponse(data, error)));
                       }
                     });
                   }
@@ -701,11 +1370,7 @@ function setupWebSocketHandler() {
             }).catch(error => {
               console.error(`❌ Failed to create session for ${ws.user.sessionKey}:`, error);
               if (ws.readyState === ws.OPEN) {
-                ws.send(JSON.stringify({
-                  success: false,
-                  action: 'error',
-                  error: 'Failed to create browser session'
-                }));
+                ws.send(JSON.stringify(sessionErrorResponse(data, error)));
               }
             });
             return;
@@ -718,11 +1383,7 @@ function setupWebSocketHandler() {
       } catch (error) {
         console.error('❌ Error parsing message:', error);
         if (ws.readyState === ws.OPEN) {
-          ws.send(JSON.stringify({ 
-            success: false, 
-            action: 'error',
-            error: 'Invalid message format' 
-          }));
+          ws.send(JSON.stringify(wsSchema.errorResponse(null, 'INVALID_JSON', 'Invalid message format')));
         }
       }
     });
@@ -744,6 +1405,9 @@ function setupWebSocketHandler() {
     ws.on('close', async () => {
       console.log('🔌 Client disconnected:', ws.user?.email || 'unknown');
       clearInterval(heartbeatInterval);
+      unsubscribePageUpdates(ws);
+      const left = sessionPresence.detachClient(ws);
+      if (left) broadcastPresence(left.sessionKey);
       
       // Cleanup session if no other connections for this user
       if (ws.user?.email) {
@@ -766,27 +1430,37 @@ function setupWebSocketHandler() {
 }
 
 let browser = null;
+// Relaunch in progress after a browser crash (resolves with whether it succeeded)
+let browserRecovery = null;
+// Set while the proxy closes the browser itself, so that is not taken for a crash
+let browserShuttingDown = false;
 // Per-user browser contexts: Map<sessionKey, {context, page, userEmail, lastActivity}>
 // sessionKey format: "email:sessionId" for authenticated users, "anonymous" for unauthenticated
 const userSessions = new Map();
 // Track sessions being created to prevent race conditions
 const pendingSessions = new Map();
 
-// Helper function to load user cookies (for now, uses shared cookies)
-async function loadUserCookies(sessionKey) {
-  let cookies = [];
-  if (fs.existsSync(COOKIES_FILE)) {
-    try {
-      const cookieData = JSON.parse(fs.readFileSync(COOKIES_FILE, 'utf8'));
-      cookies = Array.isArray(cookieData) ? cookieData : (cookieData.cookies || []);
-      console.log(`✅ Loaded cookies for session: ${sessionKey}`);
-    } catch (err) {
-      console.warn(`⚠️  Could not parse cookies for ${sessionKey}:`, err.message);
-    }
+// Helper function to load the cookies of the upstream account a session is assigned to
+async function loadUserCookies(sessionKey, accountId) {
+  const cookieData = upstreamAccounts.readAccountCookies(accountId);
+  const cookies = cookieData ? cookieData.cookies : [];
+  if (cookies.length > 0) {
+    console.log(`✅ Loaded cookies of upstream account ${accountId} for session: ${sessionKey}`);
   }
   return cookies;
 }
 
+// Number of open browser contexts per upstream account
+function getUpstreamLoad() {
+  const load = {};
+  for (const session of userSessions.values()) {
+    if (session.upstreamAccountId) {
+      load[session.upstreamAccountId] = (load[session.upstreamAccountId] || 0) + 1;
+    }
+  }
+  return load;
+}
+
 // Browser context options (shared across all contexts)
 const BROWSER_CONTEXT_OPTIONS = {
   viewport: { width: 1920, height: 1080 },
@@ -822,32 +1496,48 @@ async function getUserSession(sessionKey) {
     return pendingSessions.get(sessionKey);
   }
 
+  if (upstreamDraining) {
+    throw new Error(DRAINING_ERROR);
+  }
+
   // Create new context for this user
   console.log(`🆕 Creating new browser context for: ${sessionKey}`);
   
   // Create a promise for this session creation
   const sessionPromise = (async () => {
   
+  await waitForBrowserRecovery();
   if (!browser) {
-    throw new Error('Browser not initialized');
+    throw browserRecovery ? browserUnavailableError() : new Error('Browser not initialized');
   }
 
-  const cookies = await loadUserCookies(sessionKey);
+  await ensureContextCapacity(sessionKey);
+
+  // Pin the user (not just this login) to an upstream account so their HeyGen history stays together
+  const accountEmail = sessionKey.split(':')[0];
+  const upstreamAccountId = upstreamAccounts.assignAccount(accountEmail, getUpstreamLoad());
+  if (upstreamAccountId === drainingAccountId) {
+    throw new Error(DRAINING_ERROR);
+  }
+  const cookies = await loadUserCookies(sessionKey, upstreamAccountId);
+  // Closed by the pool earlier (idle, LRU): reopen with its local storage, on the page it was on
+  const savedState = contextPool.takeSavedState(sessionKey);
   
   const context = await browser.newContext({
     ...BROWSER_CONTEXT_OPTIONS,
     storageState: {
       cookies: cookies,
-      origins: []
+      origins: savedState?.origins || []
     }
   });
 
   const page = await context.newPage();
   
   // Navigate to HeyGen home to initialize
+  const startUrl = savedState && upstream.isUpstreamUrl(savedState.url) ? savedState.url : upstream.getTarget();
   try {
-    await page.goto(TARGET, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    console.log(`✅ Initialized page for: ${sessionKey}`);
+    await page.goto(startUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    console.log(`✅ Initialized page for: ${sessionKey}${savedState ? ` (restored on ${upstream.toUpstreamPath(startUrl) || '/'})` : ''}`);
   } catch (navError) {
     console.warn(`⚠️  Could not navigate to HeyGen home for ${sessionKey}:`, navError.message);
   }
@@ -856,17 +1546,24 @@ async function getUserSession(sessionKey) {
     context,
     page,
     userEmail: sessionKey, // Store sessionKey as userEmail for backward compatibility
-    heygenSessionId: null, // Track which HeyGen session this context is viewing
+    heygenSessionId: savedState?.heygenSessionId || null, // Track which HeyGen session this context is viewing
+    upstreamAccountId, // Upstream HeyGen account whose cookies this context uses
     lastActivity: Date.now(),
     createdAt: new Date().toISOString(),
     createdBy: (new Error().stack?.split('\n')[2] || 'unknown').trim(), // Track where session was created
     avatarBoxPollingInterval: null // Store polling interval for avatar box removal
   };
+  watchSessionPage(session);
 
     userSessions.set(sessionKey, session);
+    contextPool.recordCreated();
     console.log(`✅ Created new session for: ${sessionKey} (Total sessions: ${userSessions.size})`);
     console.log(`   Created by: ${session.createdBy}`);
     console.log(`   All sessions:`, Array.from(userSessions.keys()));
+    // Clients still subscribed to a closed context keep getting updates from the new one
+    if (pageUpdateSubscribers.has(sessionKey)) {
+      startPageWatch(sessionKey, session).catch(err => console.warn(`⚠️  Could not resume page updates for ${sessionKey}:`, err.message));
+    }
     
     return session;
   })();
@@ -886,29 +1583,326 @@ async function getUserSession(sessionKey) {
   }
 }
 
-// Cleanup inactive sessions (optional - can be called periodically)
-async function cleanupInactiveSessions(maxAgeMs = 30 * 60 * 1000) {
+// ============ Browser context pool ============
+// Caps the number of live contexts (see context-pool.js). Contexts with browser tasks running or
+// waiting are never closed; the others go least recently used first, after their state is saved so the next
+// access reopens them where they were.
+
+let contextSweepTimer = null;
+
+// Queued tasks count too: they hold on to the session object they will drive
+function isContextBusy(sessionKey) {
+  return browserQueue.hasTask(task => task.sessionKey === sessionKey);
+}
+
+// Live contexts as the pool sees them
+function describeContexts() {
   const now = Date.now();
-  const toDelete = [];
-  
-  for (const [email, session] of userSessions) {
-    if (now - session.lastActivity > maxAgeMs) {
-      toDelete.push(email);
+  return Array.from(userSessions.entries()).map(([sessionKey, session]) => {
+    const generating = isGenerationRunning(session, now);
+    const clients = sessionPresence.getSockets(sessionKey).length;
+    return {
+      sessionKey,
+      upstreamAccountId: session.upstreamAccountId,
+      heygenSessionId: session.heygenSessionId,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      idleMs: now - session.lastActivity,
+      busy: isContextBusy(sessionKey),
+      generating,
+      clients,
+      // Followed generations and attached clients are closed last
+      pinned: generating || clients > 0
+    };
+  });
+}
+
+/**
+ * Saves a context's state and closes it; the next getUserSession for the key restores it
+ * @param {string} sessionKey - Browser session key
+ * @param {string} reason - 'lru', 'idle' or 'memory'
+ * @returns {Promise<boolean>} Whether a context was closed
+ */
+async function evictUserSession(sessionKey, reason) {
+  const session = userSessions.get(sessionKey);
+  if (!session) return false;
+  userSessions.delete(sessionKey);
+
+  let origins = [];
+  let url = null;
+  try {
+    url = session.page.isClosed() ? null : session.page.url();
+    ({ origins } = await session.context.storageState());
+  } catch (_) {}
+  contextPool.saveState(sessionKey, { origins, url, heygenSessionId: session.heygenSessionId, upstreamAccountId: session.upstreamAccountId }, reason);
+
+  stopSessionTimers(session);
+  await session.context.close().catch(() => {});
+  console.log(`♻️  Closed browser context ${sessionKey} (${reason}, ${userSessions.size} left, state saved)`);
+  return true;
+}
+
+// Makes room for one more context, or throws a 503 when none can be replaced
+async function ensureContextCapacity(sessionKey) {
+  const limits = contextPool.getPoolLimits();
+  const openCount = () => userSessions.size + Array.from(pendingSessions.keys()).filter(key => key !== sessionKey).length;
+
+  while (openCount() >= limits.maxContexts) {
+    const [victim] = contextPool.orderEvictionCandidates(describeContexts());
+    if (!victim) {
+      throw contextPool.capacityError(`All ${limits.maxContexts} browser contexts are busy, try again shortly`);
     }
+    await evictUserSession(victim, 'lru');
   }
-  
-  for (const email of toDelete) {
-    const session = userSessions.get(email);
+
+  // Under memory pressure the pool stops growing: a new context replaces an idle one
+  const memory = contextPool.readMemoryUsage();
+  const level = contextPool.getMemoryLevel(memory, limits);
+  if (level === 'normal') return;
+  const [victim] = contextPool.orderEvictionCandidates(describeContexts());
+  if (victim) {
+    await evictUserSession(victim, 'memory');
+  } else if (level === 'critical') {
+    throw contextPool.capacityError(`Memory usage is at ${memory.percent}%, no new browser contexts until it drops`);
+  }
+}
+
+// Periodic sweep: closes idle contexts, and more of them while memory is above the high mark
+// An open tab does not keep its context alive: the next action reopens it where it was. A tab
+// subscribed to pushed updates does, since its page checks count as activity.
+async function sweepContexts() {
+  const limits = contextPool.getPoolLimits();
+  const contexts = describeContexts();
+  for (const context of contexts) {
+    if (!context.busy && !context.generating && context.idleMs > limits.idleTimeoutMs) {
+      await evictUserSession(context.sessionKey, 'idle');
+    }
+  }
+
+  const memory = contextPool.readMemoryUsage();
+  const level = contextPool.getMemoryLevel(memory, limits);
+  if (level !== 'normal') {
+    const candidates = contextPool.orderEvictionCandidates(describeContexts());
+    // One at a time while high, a quarter of the pool while critical
+    const count = level === 'critical' ? Math.ceil(candidates.length / 4) : Math.min(1, candidates.length);
+    if (count > 0) console.warn(`⚠️  Memory usage at ${memory.percent}% (${level}) - closing ${count} browser context(s)`);
+    for (const sessionKey of candidates.slice(0, count)) {
+      await evictUserSession(sessionKey, 'memory');
+    }
+  }
+  contextPool.pruneSavedStates();
+  prunePageRecoveries();
+}
+
+function startContextSweeper() {
+  if (contextSweepTimer) return;
+  const { sweepIntervalMs } = contextPool.getPoolLimits();
+  contextSweepTimer = setInterval(() => {
+    sweepContexts().catch(err => console.error('❌ Error sweeping browser contexts:', err.message));
+  }, sweepIntervalMs);
+  contextSweepTimer.unref();
+}
+
+function stopContextSweeper() {
+  clearInterval(contextSweepTimer);
+  contextSweepTimer = null;
+}
+
+// ============ Crash recovery ============
+// When Chromium dies, every context dies with it: the browser is relaunched (with backoff) and
+// every session that was open is recreated on the agent session it was viewing. A page that
+// crashes or closes on its own only costs its own context. Either way the session's clients get
+// a `session_recovered` message; subscriptions to page updates and webhook generation tracking
+// continue on the new page. Browser work waiting in the queue is rejected with 503 meanwhile.
+// A page that keeps crashing (e.g. on load) is reopened with a backoff, a few times at most;
+// then its clients get `session_recovery_failed` and the next request starts a fresh page.
+
+const BROWSER_RELAUNCH_MAX_DELAY_MS = 60 * 1000;
+// Recoveries of one session within the window, before giving up
+const PAGE_RECOVERY_MAX_ATTEMPTS = 3;
+const PAGE_RECOVERY_WINDOW_MS = 10 * 60 * 1000;
+// getUserSession waits this long for a relaunch before giving up with 503
+const BROWSER_RECOVERY_WAIT_MS = 30 * 1000;
+// Pages closed on purpose are removed from userSessions right after; only the others are recovered
+const PAGE_CLOSE_GRACE_MS = 500;
+
+// sessionKey -> times of its page recoveries within PAGE_RECOVERY_WINDOW_MS
+const pageRecoveries = new Map();
+
+// Records a page recovery of the session; returns how many it had within the window, this one included
+function countPageRecovery(sessionKey) {
+  const since = Date.now() - PAGE_RECOVERY_WINDOW_MS;
+  const attempts = (pageRecoveries.get(sessionKey) || []).filter(at => at > since);
+  attempts.push(Date.now());
+  pageRecoveries.set(sessionKey, attempts);
+  return attempts.length;
+}
+
+function prunePageRecoveries() {
+  const since = Date.now() - PAGE_RECOVERY_WINDOW_MS;
+  for (const [sessionKey, attempts] of pageRecoveries) {
+    if (attempts.every(at => at <= since)) pageRecoveries.delete(sessionKey);
+  }
+}
+
+function notifySessionClients(sessionKey, action, payload) {
+  const message = JSON.stringify({ v: wsSchema.WS_PROTOCOL_VERSION, success: true, action, ...payload });
+  for (const socket of sessionPresence.getSockets(sessionKey)) {
+    if (socket.readyState === socket.OPEN) socket.send(message);
+  }
+}
+
+function notifyRecoveryFailed(sessionKey, reason, error) {
+  notifySessionClients(sessionKey, 'session_recovery_failed', { reason, error });
+}
+
+function browserUnavailableError() {
+  const error = new Error(BROWSER_RECOVERING_ERROR);
+  error.status = 503;
+  error.code = 'UNAVAILABLE';
+  return error;
+}
+
+async function waitForBrowserRecovery() {
+  if (!browserRecovery) return;
+  let timer = null;
+  await Promise.race([
+    browserRecovery,
+    new Promise(resolve => { timer = setTimeout(resolve, BROWSER_RECOVERY_WAIT_MS); })
+  ]);
+  clearTimeout(timer);
+}
+
+// Agent session (and URL) a session should be reopened on
+function getRecoveryTarget(session) {
+  let url = null;
+  try {
+    url = session.page.url();
+  } catch (_) {}
+  const heygenSessionId = (url && getAgentSessionId(session.page)) || session.heygenSessionId || null;
+  return {
+    heygenSessionId,
+    url: heygenSessionId ? upstream.upstreamUrl(`/agent/${heygenSessionId}`) : url
+  };
+}
+
+function stopSessionTimers(session) {
+  stopAvatarBoxPolling(session);
+  if (session.pageWatch) stopPageWatchTimers(session.pageWatch);
+}
+
+function watchSessionPage(session) {
+  // sessionKey is read when it happens: an anonymous session may have moved to its user by then
+  session.page.on('crash', () => {
+    console.error(`💥 Page crashed for: ${session.userEmail}`);
+    recoverUserSession(session, 'page_crash');
+  });
+  session.page.on('close', () => {
+    setTimeout(() => recoverUserSession(session, 'page_closed'), PAGE_CLOSE_GRACE_MS);
+  });
+}
+
+/**
+ * Replaces a session whose page crashed or closed unexpectedly with a new context
+ * Ignored when the session was closed on purpose meanwhile, or the whole browser went down.
+ * @param {Object} session - The broken session
+ * @param {string} reason - 'page_crash' or 'page_closed'
+ */
+async function recoverUserSession(session, reason) {
+  const sessionKey = session.userEmail;
+  if (browserShuttingDown || browserRecovery || !browser?.isConnected() || userSessions.get(sessionKey) !== session) return;
+  userSessions.delete(sessionKey);
+  const attempt = countPageRecovery(sessionKey);
+  console.warn(`🩹 Recovering browser session ${sessionKey} (${reason}, attempt ${attempt})`);
+
+  let origins = [];
+  try {
+    ({ origins } = await session.context.storageState());
+  } catch (_) {}
+  contextPool.saveState(sessionKey, { origins, ...getRecoveryTarget(session), upstreamAccountId: session.upstreamAccountId }, 'crash');
+  stopSessionTimers(session);
+  await session.context.close().catch(() => {});
+
+  if (attempt > PAGE_RECOVERY_MAX_ATTEMPTS) {
+    // Do not reopen the page that keeps crashing on the session's next request either
+    contextPool.dropSavedState(sessionKey);
+    console.error(`❌ Gave up recovering browser session ${sessionKey}: ${attempt - 1} recoveries in ${PAGE_RECOVERY_WINDOW_MS / 60000} min`);
+    notifyRecoveryFailed(sessionKey, reason, 'The browser page keeps crashing; it was closed. Your next action opens a new page.');
+    return;
+  }
+  if (attempt > 1) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (attempt - 1), BROWSER_RELAUNCH_MAX_DELAY_MS)));
+    // Reopened by a request meanwhile, or shutting down
+    if (browserShuttingDown || userSessions.has(sessionKey)) return;
+  }
+  await reopenRecoveredSession(sessionKey, session, reason);
+}
+
+// Reopens a session from its saved state (see getUserSession) and tells its clients
+async function reopenRecoveredSession(sessionKey, previous, reason) {
+  try {
+    const session = await getUserSession(sessionKey);
+    if (!session.generationState) session.generationState = previous.generationState;
+    // Keep following an unfinished generation for webhooks
+    const tracker = previous.generationEvents;
+    if (tracker && !tracker.ready && !session.generationEvents) {
+      session.generationEvents = tracker;
+      if (!tracker.jobId) scheduleGenerationWatch(session, tracker);
+    }
+    notifySessionClients(sessionKey, 'session_recovered', {
+      reason,
+      sessionId: getAgentSessionId(session.page),
+      url: upstream.toUpstreamPath(session.page.url())
+    });
+    console.log(`✅ Recovered browser session ${sessionKey} on ${session.page.url()}`);
+  } catch (error) {
+    console.error(`❌ Could not recover browser session ${sessionKey}:`, error.message);
+    notifyRecoveryFailed(sessionKey, reason, error.message);
+  }
+}
+
+// Relaunches until it works (or the proxy shuts down); returns whether a browser is up
+async function relaunchBrowser() {
+  for (let attempt = 1; !browserShuttingDown; attempt++) {
     try {
-      stopAvatarBoxPolling(session);
-      await session.page.close();
-      await session.context.close();
-      userSessions.delete(email);
-      console.log(`🧹 Cleaned up inactive session for: ${email}`);
-    } catch (err) {
-      console.error(`❌ Error cleaning up session for ${email}:`, err);
+      await launchBrowser();
+      console.log(`✅ Browser relaunched (attempt ${attempt})`);
+      return true;
+    } catch (error) {
+      const delayMs = Math.min(1000 * 2 ** attempt, BROWSER_RELAUNCH_MAX_DELAY_MS);
+      console.error(`❌ Could not relaunch the browser (attempt ${attempt}), retrying in ${delayMs / 1000}s:`, error.message);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
     }
   }
+  return false;
+}
+
+function handleBrowserDisconnected(disconnected) {
+  if (browser !== disconnected) return;
+  browser = null;
+  if (browserShuttingDown) return;
+
+  const affected = Array.from(userSessions.entries());
+  console.error(`💥 Browser disconnected - relaunching and recovering ${affected.length} session(s)`);
+  userSessions.clear();
+  for (const [sessionKey, session] of affected) {
+    stopSessionTimers(session);
+    // Local storage went down with the browser; the page the session was on is known
+    contextPool.saveState(sessionKey, { origins: [], ...getRecoveryTarget(session), upstreamAccountId: session.upstreamAccountId }, 'crash');
+  }
+  // Requests waiting for a page get 503 instead of running on dead ones (an upstream drain keeps its pause)
+  browserQueue.pauseQueue();
+
+  browserRecovery = relaunchBrowser().finally(() => {
+    browserRecovery = null;
+  });
+  browserRecovery.then(async relaunched => {
+    if (!relaunched) return;
+    if (!upstreamDraining) browserQueue.resumeQueue();
+    for (const [sessionKey, session] of affected) {
+      await reopenRecoveredSession(sessionKey, session, 'browser_crash');
+    }
+  });
 }
 
 // Helper function to poll for and remove avatar selection box on HeyGen homepage
@@ -936,7 +1930,7 @@ async function startAvatarBoxPolling(session) {
       
       // Check if we're on the homepage
       const currentUrl = page.url();
-      if (!currentUrl.includes('app.heygen.com/home')) {
+      if (!upstream.isUpstreamUrl(currentUrl, '/home')) {
         // Not on homepage, stop polling
         stopAvatarBoxPolling(session);
         return;
@@ -945,9 +1939,9 @@ async function startAvatarBoxPolling(session) {
       // Look for the close button on the avatar selection box
       // The button contains an iconpark-icon with name="close" and has specific positioning classes
       // IMPORTANT: Must also check for "Avatar" text to avoid closing attached images
-      const closeButtonClicked = await page.evaluate(() => {
+      const closeButtonClicked = await page.evaluate((closeSelectors) => {
         // Find all buttons with the close icon
-        const closeIcons = document.querySelectorAll('iconpark-icon[name="close"][theme="filled"]');
+        const closeIcons = closeSelectors.flatMap(selector => [...document.querySelectorAll(selector)]);
         
         for (const icon of closeIcons) {
           const button = icon.closest('button');
@@ -974,7 +1968,7 @@ async function startAvatarBoxPolling(session) {
           }
         }
         return false;
-      });
+      }, selectors.getCandidates('avatarBoxClose'));
       
       if (closeButtonClicked) {
         console.log('✅ Avatar box close button clicked');
@@ -1018,37 +2012,9 @@ function getFileType(filename) {
   return mimeTypes[ext] || 'application/octet-stream';
 }
 
-// In the initBrowser function, replace the WebSocket setup section:
-
-async function initBrowser(httpServer = null) {
-  // If an HTTP server is provided, use it for WebSocket
-  if (httpServer) {
-    setupWebSocketServer(httpServer);
-  } else {
-    // Fallback: create our own server (for legacy standalone mode)
-    if (!wss) {
-      wss = new WebSocketServer({ server });
-    }
-  }
-  
-  // Check if cookies exist
-  let hasExistingCookies = false;
-  if (fs.existsSync(COOKIES_FILE)) {
-    try {
-      const cookieData = JSON.parse(fs.readFileSync(COOKIES_FILE, 'utf8'));
-      const cookies = Array.isArray(cookieData) ? cookieData : (cookieData.cookies || []);
-      hasExistingCookies = cookies.length > 0;
-      console.log('✅ Found existing session cookies');
-    } catch (err) {
-      console.warn('⚠️  Could not parse existing cookies:', err.message);
-    }
-  } else {
-    console.log('ℹ️  No authentication cookies found yet');
-    console.log('   👉 Please login at: http://localhost:3000/auth to create cookies');
-  }
-  
-  // Launch browser (shared across all users)
-  browser = await chromium.launch({
+// A crash relaunches it (see handleBrowserDisconnected)
+async function launchBrowser() {
+  const launched = await chromium.launch({
     headless: true,
     args: [
       // '--disable-blink-features=AutomationControlled',
@@ -1073,58 +2039,183 @@ async function initBrowser(httpServer = null) {
       // '--disable-blink-features=AutomationControlled'  // Duplicated on purpose
     ]
   });
+  launched.on('disconnected', () => handleBrowserDisconnected(launched));
+  browser = launched;
+  return launched;
+}
+
+// In the initBrowser function, replace the WebSocket setup section:
+
+async function initBrowser(httpServer = null) {
+  // If an HTTP server is provided, use it for WebSocket
+  if (httpServer) {
+    setupWebSocketServer(httpServer);
+  } else {
+    // Fallback: create our own server (for legacy standalone mode)
+    if (!wss) {
+      wss = new WebSocketServer({ server });
+    }
+  }
+  
+  // Check if cookies exist for any upstream account
+  const accountsWithCookies = upstreamAccounts.getAccounts()
+    .filter(a => (upstreamAccounts.readAccountCookies(a.id)?.cookies.length || 0) > 0);
+  const hasExistingCookies = accountsWithCookies.length > 0;
+  if (hasExistingCookies) {
+    console.log(`✅ Found existing session cookies for: ${accountsWithCookies.map(a => a.id).join(', ')}`);
+  } else {
+    console.log('ℹ️  No authentication cookies found yet');
+    console.log('   👉 Please login at: http://localhost:3000/auth to create cookies');
+  }
+  
+  // Launch browser (shared across all users)
+  browserShuttingDown = false;
+  await launchBrowser();
 
   if (hasExistingCookies) {
     console.log('✅ Playwright browser initialized with authentication');
   } else {
     console.log('✅ Playwright browser initialized (unauthenticated)');
   }
+  const pendingDeliveries = webhooks.resumeDeliveries();
+  if (pendingDeliveries > 0) {
+    console.log(`🪝 Resuming ${pendingDeliveries} pending webhook deliveries`);
+  }
+  // Jobs with a persisted queue task pick up where they left off; the rest cannot be resumed
+  const { recovered } = browserQueue.recoverTasks();
+  if (recovered > 0) {
+    console.log(`🔁 Resuming ${recovered} queued browser task(s) from the previous run`);
+  }
+  const interruptedJobs = videoJobs.failInterruptedJobs({
+    isResumable: job => browserQueue.hasTask(task => task.payload?.jobId === job.id)
+  });
+  if (interruptedJobs > 0) {
+    console.log(`⚠️  Marked ${interruptedJobs} interrupted video job(s) as failed`);
+  }
+  startContextSweeper();
   console.log('🎭 Browser ready - contexts will be created per-user!');
   console.log('📊 Per-user isolation enabled - each user gets their own browser context');
 }
 
-// Reload browser context with fresh cookies (called after login)
-async function reloadBrowserContext() {
-  console.log('🔄 Reloading all user sessions with fresh cookies...');
-  
-  // Check if cookies exist
-  if (!fs.existsSync(COOKIES_FILE)) {
-    console.log('⚠️  No cookies file found');
-    return false;
+// Close every user browser context
+// Returns the number of contexts closed
+async function closeAllUserSessions() {
+  console.log(`🧹 Closing ${userSessions.size} existing user sessions...`);
+  // Out of the map first, so their closing pages are not taken for crashed ones
+  const sessions = Array.from(userSessions.entries());
+  userSessions.clear();
+  let closed = 0;
+  for (const [email, session] of sessions) {
+    try {
+      stopSessionTimers(session);
+      await session.page.close();
+      await session.context.close();
+      closed++;
+      console.log(`  ✅ Closed session for: ${email}`);
+    } catch (err) {
+      console.error(`  ❌ Error closing session for ${email}:`, err.message);
+    }
   }
+  return closed;
+}
 
-  try {
-    const cookieData = JSON.parse(fs.readFileSync(COOKIES_FILE, 'utf8'));
-    const cookies = Array.isArray(cookieData) ? cookieData : (cookieData.cookies || []);
-    
-    if (cookies.length === 0) {
-      console.log('⚠️  No cookies to reload');
-      return false;
+// Notify connected clients about upstream rotation progress (only the users pinned to the
+// account when a single account is rotated)
+function broadcastUpstreamRotation(status, accountId = null) {
+  if (!wss) return;
+  const message = JSON.stringify({ action: 'upstream_rotation', status, ...(accountId ? { accountId } : {}) });
+  for (const client of wss.clients) {
+    if (client.readyState !== client.OPEN) continue;
+    if (accountId && upstreamAccounts.getAssignedAccountId(client.user?.email) !== accountId) continue;
+    client.send(message);
+  }
+}
+
+// Accept browser work again after an upstream rotation
+function resumeUpstream() {
+  if (upstreamDrainTimer) {
+    clearTimeout(upstreamDrainTimer);
+    upstreamDrainTimer = null;
+  }
+  if (drainingAccountId) {
+    const accountId = drainingAccountId;
+    drainingAccountId = null;
+    broadcastUpstreamRotation('completed', accountId);
+    console.log(`▶️  Upstream rotation of ${accountId} finished - accepting its browser work again`);
+    return true;
+  }
+  if (!upstreamDraining) return false;
+  upstreamDraining = false;
+  browserQueue.resumeQueue();
+  broadcastUpstreamRotation('completed');
+  console.log('▶️  Upstream rotation finished - accepting browser work again');
+  return true;
+}
+
+// Sessions whose contexts use an upstream account's cookies
+function getAccountSessionKeys(accountId) {
+  return Array.from(userSessions.entries())
+    .filter(([, session]) => session.upstreamAccountId === accountId)
+    .map(([sessionKey]) => sessionKey);
+}
+
+// Closes the contexts of one upstream account (their next request reopens them with its new cookies)
+async function closeAccountSessions(accountId) {
+  let closed = 0;
+  for (const sessionKey of getAccountSessionKeys(accountId)) {
+    const session = userSessions.get(sessionKey);
+    userSessions.delete(sessionKey);
+    try {
+      stopSessionTimers(session);
+      await session.page.close();
+      await session.context.close();
+      closed++;
+    } catch (err) {
+      console.error(`❌ Error closing session ${sessionKey}:`, err.message);
     }
-    
-    console.log(`✅ Loaded fresh session cookies: ${cookies.length} cookies`);
-  } catch (err) {
-    console.warn('⚠️  Could not parse cookies:', err.message);
+  }
+  return closed;
+}
+
+// Reload browser contexts with fresh cookies (called after an upstream refresh)
+// Cookies are swapped in place so open pages keep their state; a context that cannot be
+// updated is closed and recreated on next access.
+async function reloadBrowserContext(accountIds = null) {
+  const targetIds = accountIds && accountIds.length > 0
+    ? accountIds
+    : upstreamAccounts.getAccounts().map(a => a.id);
+  console.log(`🔄 Reloading user sessions of upstream account(s) ${targetIds.join(', ')} with fresh cookies...`);
+
+  const cookiesByAccount = {};
+  for (const id of targetIds) {
+    const cookies = upstreamAccounts.readAccountCookies(id)?.cookies || [];
+    if (cookies.length > 0) cookiesByAccount[id] = cookies;
+  }
+  if (Object.keys(cookiesByAccount).length === 0) {
+    console.log('⚠️  No cookies to reload');
     return false;
   }
 
   try {
-    // Close all existing user sessions
-    console.log(`🧹 Closing ${userSessions.size} existing user sessions...`);
-    for (const [email, session] of userSessions) {
+    let reloaded = 0;
+    for (const [sessionKey, session] of Array.from(userSessions.entries())) {
+      const cookies = cookiesByAccount[session.upstreamAccountId];
+      if (!cookies) continue;
       try {
-        stopAvatarBoxPolling(session);
-        await session.page.close();
-        await session.context.close();
-        console.log(`  ✅ Closed session for: ${email}`);
+        await session.context.clearCookies();
+        await session.context.addCookies(cookies);
+        reloaded++;
+        console.log(`  ✅ Hot-reloaded cookies for: ${sessionKey}`);
       } catch (err) {
-        console.error(`  ❌ Error closing session for ${email}:`, err.message);
+        console.error(`  ❌ Could not hot-reload ${sessionKey}, closing it:`, err.message);
+        userSessions.delete(sessionKey);
+        stopAvatarBoxPolling(session);
+        try {
+          await session.context.close();
+        } catch (_) {}
       }
     }
-    
-    // Clear the sessions map
-    userSessions.clear();
-    console.log('✅ All user sessions cleared - fresh contexts will be created on next access');
+    console.log(`✅ Hot-reloaded cookies into ${reloaded} user session(s)`);
     
     return true;
   } catch (error) {
@@ -1133,15 +2224,52 @@ async function reloadBrowserContext() {
   }
 }
 
+/**
+ * Closes the browser contexts and WebSocket connections of revoked sessions
+ * @param {Array<string>} sessionKeys - "email:sessionId" keys of the revoked sessions
+ * @returns {Promise<number>} Number of browser contexts closed
+ */
+async function closeRevokedSessions(sessionKeys) {
+  const keys = new Set(sessionKeys);
+  let closed = 0;
+
+  for (const sessionKey of keys) {
+    contextPool.dropSavedState(sessionKey);
+    const session = userSessions.get(sessionKey);
+    if (!session) continue;
+    userSessions.delete(sessionKey);
+    try {
+      stopSessionTimers(session);
+      await session.page.close();
+      await session.context.close();
+      closed++;
+      console.log(`🔒 Closed browser context for revoked session: ${sessionKey}`);
+    } catch (err) {
+      console.error(`❌ Error closing revoked session ${sessionKey}:`, err.message);
+    }
+  }
+
+  if (wss) {
+    for (const client of wss.clients) {
+      if (keys.has(client.user?.sessionKey)) {
+        client.close(WS_POLICY_VIOLATION, 'Session revoked');
+      }
+    }
+  }
+
+  return closed;
+}
+
 // Old endpoint removed - using new chatStorage-based endpoint below
 
 
 // Endpoint to reload browser context (called by auth-server after login)
-proxyRouter.post('/reload-context', async (req, res) => {
+proxyRouter.post('/reload-context', requirePermission('browser:reload', getUserFromRequest), async (req, res) => {
   console.log('📥 Received request to reload browser context');
   
   try {
-    const success = await reloadBrowserContext();
+    const { accountIds } = req.body || {};
+    const success = await reloadBrowserContext(Array.isArray(accountIds) ? accountIds : null);
     
     if (success) {
       res.json({ 
@@ -1163,8 +2291,117 @@ proxyRouter.post('/reload-context', async (req, res) => {
   }
 });
 
+// Drain before upstream credential rotation (called by auth-server):
+// stop accepting browser work, wait for in-flight operations, then close every context.
+// With `accountId` only that account's contexts are drained and closed.
+proxyRouter.post('/upstream/drain', requirePermission('upstream:rotate', getUserFromRequest), async (req, res) => {
+  const timeoutMs = Math.min(parseInt(req.body?.timeoutMs, 10) || 60000, 5 * 60 * 1000);
+  const accountId = req.body?.accountId || null;
+  if (accountId) return drainUpstreamAccount(req, res, accountId, timeoutMs);
+
+  upstreamDraining = true;
+  browserQueue.pauseQueue();
+  broadcastUpstreamRotation('draining');
+  console.log(`🚰 Draining browser contexts for upstream rotation (${inFlightOperations} operation(s) in flight)`);
+
+  // Safety net: never stay drained if the auth server does not come back to resume us
+  if (upstreamDrainTimer) clearTimeout(upstreamDrainTimer);
+  upstreamDrainTimer = setTimeout(() => {
+    console.warn('⚠️  Upstream drain was never resumed - resuming automatically');
+    resumeUpstream();
+  }, timeoutMs + 5 * 60 * 1000);
+
+  try {
+    const deadline = Date.now() + timeoutMs;
+    while (inFlightOperations > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    const timedOut = inFlightOperations > 0;
+    if (timedOut) {
+      console.warn(`⚠️  Drain timed out with ${inFlightOperations} operation(s) still running`);
+    }
+
+    const closed = await closeAllUserSessions();
+    res.json({ success: true, closed, timedOut, inFlight: inFlightOperations });
+  } catch (error) {
+    console.error('❌ Error in upstream/drain endpoint:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Drain of a single account: new contexts on it are refused, its running browser tasks finish,
+// then its contexts are closed. Other accounts' users are not affected.
+async function drainUpstreamAccount(req, res, accountId, timeoutMs) {
+  if (!upstreamAccounts.getAccount(accountId)) {
+    return res.status(404).json({ success: false, error: `Unknown upstream account: ${accountId}` });
+  }
+  drainingAccountId = accountId;
+  broadcastUpstreamRotation('draining', accountId);
+  const busyCount = () => getAccountSessionKeys(accountId).filter(isContextBusy).length;
+  console.log(`🚰 Draining browser contexts of upstream account ${accountId} (${busyCount()} busy)`);
+
+  if (upstreamDrainTimer) clearTimeout(upstreamDrainTimer);
+  upstreamDrainTimer = setTimeout(() => {
+    console.warn(`⚠️  Upstream drain of ${accountId} was never resumed - resuming automatically`);
+    resumeUpstream();
+  }, timeoutMs + 5 * 60 * 1000);
+
+  try {
+    const deadline = Date.now() + timeoutMs;
+    while (busyCount() > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    const inFlight = busyCount();
+    if (inFlight > 0) {
+      console.warn(`⚠️  Drain of ${accountId} timed out with ${inFlight} busy context(s)`);
+    }
+    const closed = await closeAccountSessions(accountId);
+    res.json({ success: true, closed, timedOut: inFlight > 0, inFlight, accountId });
+  } catch (error) {
+    console.error('❌ Error in upstream/drain endpoint:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Resume after upstream credential rotation (called by auth-server)
+proxyRouter.post('/upstream/resume', requirePermission('upstream:rotate', getUserFromRequest), (req, res) => {
+  const resumed = resumeUpstream();
+  res.json({ success: true, resumed });
+});
+
+// Browser queue: running and waiting tasks with the configured limits
+proxyRouter.get('/queue', requirePermission('browser:queue', getUserFromRequest), (req, res) => {
+  res.json({ success: true, queue: browserQueue.getQueueStatus() });
+});
+
+// Browser context pool: live contexts, limits, memory and eviction counters
+proxyRouter.get('/contexts', requirePermission('browser:contexts', getUserFromRequest), (req, res) => {
+  res.json({ success: true, pool: contextPool.getPoolMetrics(describeContexts(), pendingSessions.size) });
+});
+
+// Upstream account pool status with the number of open contexts per account
+proxyRouter.get('/upstream/accounts', requirePermission('upstream:rotate', getUserFromRequest), (req, res) => {
+  res.json({ success: true, accounts: upstreamAccounts.listAccountStatus(getUpstreamLoad()) });
+});
+
+// Endpoint to close browser contexts of revoked sessions (called by auth-server)
+proxyRouter.post('/sessions/close', requirePermission('sessions:revoke', getUserFromRequest), async (req, res) => {
+  const { sessionKeys } = req.body || {};
+  if (!Array.isArray(sessionKeys)) {
+    return res.status(400).json({ success: false, error: 'sessionKeys must be an array' });
+  }
+
+  try {
+    const closed = await closeRevokedSessions(sessionKeys);
+    res.json({ success: true, closed });
+  } catch (error) {
+    console.error('❌ Error in sessions/close endpoint:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Navigate Playwright to a specific HeyGen agent session by sessionId (HTTP GET)
-proxyRouter.get('/agent/:sessionId', async (req, res) => {
+proxyRouter.get('/agent/:sessionId', queueBrowserRequest('agent'), async (req, res) => {
   const { sessionId } = req.params;
   if (!sessionId) {
     return res.status(400).json({ success: false, error: 'sessionId is required' });
@@ -1177,7 +2414,7 @@ proxyRouter.get('/agent/:sessionId', async (req, res) => {
   const { sessionKey, email: userEmail } = getSessionKeyFromRequest(req);
   
   const relativeUrl = `/agent/${sessionId}`;
-  const targetUrl = TARGET + relativeUrl;
+  const targetUrl = upstream.upstreamUrl(relativeUrl);
   console.log(`🌐 [HTTP] Navigating to agent session: ${targetUrl} for user: ${userEmail} (session: ${sessionKey})`);
   try {
     // Check if session already exists (from WebSocket)
@@ -1280,18 +2517,20 @@ proxyRouter.get('/agent/:sessionId', async (req, res) => {
     return res.json({ success: true, url: targetUrl, ...(messages ? { messages } : {}) });
   } catch (error) {
     console.error('❌ [HTTP] Navigation error:', error);
-    return res.status(500).json({ success: false, error: error.message });
+    return res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 // Navigate Playwright to a specific HeyGen agent session by sessionId (HTTP POST)
-proxyRouter.post('/navigate-agent', async (req, res) => {
+// Re-dispatched to /agent, which queues it (queuing it here as well would wait on itself)
+proxyRouter.post('/navigate-agent', async (req, res, next) => {
   const sessionId = (req.body && (req.body.sessionId || req.body.id)) || null;
   if (!sessionId) {
     return res.status(400).json({ success: false, error: 'sessionId is required' });
   }
-  req.params = { sessionId };
-  return proxyRouter.handle({ ...req, method: 'GET', url: `/agent/${sessionId}` }, res);
+  // Inherit from req rather than copying it: headers are a getter on the request prototype
+  const agentReq = Object.assign(Object.create(req), { method: 'GET', url: `/agent/${encodeURIComponent(sessionId)}` });
+  return proxyRouter.handle(agentReq, res, next);
 });
 
 // Serve the control interface
@@ -1382,7 +2621,7 @@ proxyRouter.get('/', (req, res) => {
         <div class="info">
           <p><strong>Session Type:</strong> Live Playwright Browser</p>
           <p><strong>Authentication:</strong> ✅ Authenticated via saved cookies</p>
-          <p><strong>Target:</strong> ${TARGET}</p>
+          <p><strong>Target:</strong> ${upstream.getTarget()}</p>
         </div>
 
         <div class="controls">
@@ -1446,19 +2685,117 @@ proxyRouter.get('/', (req, res) => {
   `);
 });
 
-// HTTP endpoint to submit initial prompt (called by auth server)
-proxyRouter.post('/submit-prompt', async (req, res) => {
-  const { prompt } = req.body;
-  const referer = req.headers.referer || '';
-  const isFromHomePage = referer.includes('/home');
+/**
+ * Types a prompt into the HeyGen chat input and waits for the agent session it opens
+ * @param {Object} session - User session ({ page, ... }); heygenSessionId is updated
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { startNewChat: start from /home even when an agent page is open, userEmail: for logs }
+ * @returns {Promise<{ sessionUrl: string, sessionPath: string }>}
+ */
+async function submitPromptInSession(session, prompt, { startNewChat = false, userEmail = session.userEmail } = {}) {
+  const { page: submitPage } = session;
   
-  if (!prompt) {
-    return res.json({ success: false, error: 'Prompt is required' });
-  }
+  // Navigate to home page if needed
+  const currentUrl = submitPage.url();
+  const isOnHome = upstream.isUpstreamUrl(currentUrl, '/home');
+  const isOnAgent = upstream.isUpstreamUrl(currentUrl, '/agent/');
   
-  console.log(`📝 Received submit-prompt request: ${prompt}${isFromHomePage ? ' (from home page)' : ''}`);
+  // CRITICAL FIX: For a new chat (user is on /home in frontend), ALWAYS navigate to HeyGen home
+  // This ensures "New Chat" works correctly even if Playwright is on an agent page
+  const shouldNavigateToHome = startNewChat || (!isOnHome && !isOnAgent);
   
-  try {
+  if (shouldNavigateToHome && !isOnHome) {
+    console.log(`🌐 Navigating to home...${startNewChat ? ' (new chat)' : ''}`);
+    try {
+      await submitPage.goto(upstream.upstreamUrl('/home'), { 
+        waitUntil: 'domcontentloaded',
+        timeout: 30000 
+      });
+      // Wait for the textarea to be visible (ensures page is fully loaded)
+      console.log('⏳ Waiting for page to be fully loaded...');
+      await selectors.waitForElement(submitPage, 'promptInput', { timeout: 30000 });
+      console.log('✅ Page fully loaded');
+      // Start avatar box polling after page is ready
+      startAvatarBoxPolling(session);
+    } catch (navError) {
+      console.warn('⚠️  Navigation error (likely not authenticated):', navError.message);
+      throw new Error('Not authenticated. Please login first at http://localhost:3000/auth to create session cookies.');
+    }
+  } else if (isOnHome) {
+    console.log('✅ Already on home page - keeping attached files');
+    // Start avatar box polling since we're on home
+    startAvatarBoxPolling(session);
+  } else if (isOnAgent && !startNewChat) {
+    console.log('✅ Already on agent page - submitting prompt here');
+  }
+  
+  
+  // Wait for input field to be ready (should already be visible from navigation check)
+  console.log('⏳ Waiting for input field...');
+  const inputSelector = await selectors.waitForElement(submitPage, 'promptInput');
+  
+  // Small delay to ensure page is fully interactive
+  await submitPage.waitForTimeout(1000);
+  await submitPage.screenshot({ path: '/tmp/step1.png' });
+  console.log('📸 Screenshot saved: /tmp/step1.png');
+  
+  // Type and submit
+  console.log('⌨️  Typing prompt...');
+  await submitPage.locator(inputSelector).click({ force: true });
+  await submitPage.fill(inputSelector, prompt);
+  await submitPage.waitForTimeout(500);
+
+  await submitPage.screenshot({ path: '/tmp/step2.png' });
+  console.log('📸 Screenshot saved: /tmp/step2.png');
+  
+  // Wait for submit button to be enabled
+  console.log('⏳ Waiting for submit button...');
+  const buttonSelector = await selectors.waitForElement(submitPage, 'submitButton', { timeout: 5000 });
+
+  await submitPage.screenshot({ path: '/tmp/step3.png' });
+  console.log('📸 Screenshot saved: /tmp/step3.png');
+  
+  console.log('🖱️  Clicking submit button...');
+  await submitPage.locator(buttonSelector).first().click({ force: true });
+  await submitPage.waitForTimeout(500);
+  await submitPage.screenshot({ path: '/tmp/step4.png' });
+  console.log('📸 Screenshot saved: /tmp/step4.png');    
+
+  // Stop avatar box polling before navigation
+  stopAvatarBoxPolling(session);
+  console.log('🛑 Stopped avatar box polling before navigation');
+
+  // Wait for navigation to agent session
+  console.log('⏳ Waiting for session page...');
+  await submitPage.waitForURL(/\/agent\/.*/, { timeout: 300000 });
+  
+  const sessionUrl = submitPage.url();
+  const sessionPath = upstream.toUpstreamPath(sessionUrl);
+  console.log('📍 Session URL:', sessionUrl);
+  
+  // Extract and store HeyGen session ID
+  const heygenSessionMatch = sessionUrl.match(/\/agent\/([^/?]+)/);
+  if (heygenSessionMatch) {
+    session.heygenSessionId = heygenSessionMatch[1];
+    console.log(`🔖 Stored HeyGen session ID: ${session.heygenSessionId} for user: ${userEmail}`);
+  }
+
+  return { sessionUrl, sessionPath };
+}
+
+// HTTP endpoint to submit initial prompt (called by auth server)
+proxyRouter.post('/submit-prompt', queueBrowserRequest('submit-prompt'), async (req, res) => {
+  const { prompt } = req.body;
+  const referer = req.headers.referer || '';
+  const isFromHomePage = referer.includes('/home');
+  
+  if (!prompt) {
+    return res.json({ success: false, error: 'Prompt is required' });
+  }
+  
+  console.log(`📝 Received submit-prompt request: ${prompt}${isFromHomePage ? ' (from home page)' : ''}`);
+  
+  try {
     if (!browser) {
       return res.json({ success: false, error: 'Browser not initialized' });
     }
@@ -1487,98 +2824,8 @@ proxyRouter.post('/submit-prompt', async (req, res) => {
         session = await getUserSession(sessionKey);
       }
     }
-    const { page: submitPage } = session;
-    
-    // Navigate to home page if needed
-    const currentUrl = submitPage.url();
-    const isOnHome = currentUrl.includes('app.heygen.com/home');
-    const isOnAgent = currentUrl.includes('app.heygen.com/agent/');
-    
-    // CRITICAL FIX: If user is on /home in frontend, ALWAYS navigate to HeyGen home
-    // This ensures "New Chat" works correctly even if Playwright is on an agent page
-    const shouldNavigateToHome = isFromHomePage || (!isOnHome && !isOnAgent);
-    
-    if (shouldNavigateToHome && !isOnHome) {
-      console.log(`🌐 Navigating to home...${isFromHomePage ? ' (user clicked New Chat)' : ''}`);
-      try {
-        await submitPage.goto('https://app.heygen.com/home', { 
-          waitUntil: 'domcontentloaded',
-          timeout: 30000 
-        });
-        // Wait for the textarea to be visible (ensures page is fully loaded)
-        console.log('⏳ Waiting for page to be fully loaded...');
-        await submitPage.waitForSelector('textarea.tw-resize-none', { state: 'visible', timeout: 30000 });
-        console.log('✅ Page fully loaded');
-        // Start avatar box polling after page is ready
-        startAvatarBoxPolling(session);
-      } catch (navError) {
-        console.warn('⚠️  Navigation error (likely not authenticated):', navError.message);
-        return res.json({ 
-          success: false, 
-          error: 'Not authenticated. Please login first at http://localhost:3000/auth to create session cookies.' 
-        });
-      }
-    } else if (isOnHome) {
-      console.log('✅ Already on home page - keeping attached files');
-      // Start avatar box polling since we're on home
-      startAvatarBoxPolling(session);
-    } else if (isOnAgent && !isFromHomePage) {
-      console.log('✅ Already on agent page - submitting prompt here');
-    }
-    
-    
-    // Wait for input field to be ready (should already be visible from navigation check)
-    console.log('⏳ Waiting for input field...');
-    // HeyGen changed to textarea element
-    const inputSelector = 'textarea.tw-resize-none';
-    await submitPage.waitForSelector(inputSelector, { state: 'visible', timeout: 10000 });
-    
-    // Small delay to ensure page is fully interactive
-    await submitPage.waitForTimeout(1000);
-    await submitPage.screenshot({ path: '/tmp/step1.png' });
-    console.log('📸 Screenshot saved: /tmp/step1.png');
-    
-    // Type and submit
-    console.log('⌨️  Typing prompt...');
-    await submitPage.locator(inputSelector).click({ force: true });
-    await submitPage.fill(inputSelector, prompt);
-    await submitPage.waitForTimeout(500);
-
-    await submitPage.screenshot({ path: '/tmp/step2.png' });
-    console.log('📸 Screenshot saved: /tmp/step2.png');
-    
-    // Wait for submit button to be enabled
-    console.log('⏳ Waiting for submit button...');
-    const buttonSelector = 'button[data-loading="false"].tw-bg-brand:not([disabled])';
-    await submitPage.waitForSelector(buttonSelector, { state: 'visible', timeout: 5000 });
-
-    await submitPage.screenshot({ path: '/tmp/step3.png' });
-    console.log('📸 Screenshot saved: /tmp/step3.png');
-    
-    console.log('🖱️  Clicking submit button...');
-    await submitPage.locator(buttonSelector).first().click({ force: true });
-    await submitPage.waitForTimeout(500);
-    await submitPage.screenshot({ path: '/tmp/step4.png' });
-    console.log('📸 Screenshot saved: /tmp/step4.png');    
-
-    // Stop avatar box polling before navigation
-    stopAvatarBoxPolling(session);
-    console.log('🛑 Stopped avatar box polling before navigation');
-
-    // Wait for navigation to agent session
-    console.log('⏳ Waiting for session page...');
-    await submitPage.waitForURL(/\/agent\/.*/, { timeout: 300000 });
-    
-    const sessionUrl = submitPage.url();
-    const sessionPath = sessionUrl.replace('https://app.heygen.com', '');
-    console.log('📍 Session URL:', sessionUrl);
-    
-    // Extract and store HeyGen session ID
-    const heygenSessionMatch = sessionUrl.match(/\/agent\/([^/?]+)/);
-    if (heygenSessionMatch) {
-      session.heygenSessionId = heygenSessionMatch[1];
-      console.log(`🔖 Stored HeyGen session ID: ${session.heygenSessionId} for user: ${userEmail}`);
-    }
+    const { sessionUrl, sessionPath } = await submitPromptInSession(session, prompt, { startNewChat: isFromHomePage, userEmail });
+    await startGenerationEvents(session, userEmail);
     
     res.json({
       success: true,
@@ -1591,8 +2838,104 @@ proxyRouter.post('/submit-prompt', async (req, res) => {
   }
 });
 
+/**
+ * Opens HeyGen home and attaches files to the chat input (before the first prompt of a chat)
+ * @param {Object} session - User session ({ page, ... })
+ * @param {Array<Object>} fileData - [{ name, tempPath }]
+ * @returns {Promise<boolean>} false when the file input could not be found or filled
+ */
+async function attachFilesOnHome(session, fileData) {
+  const { page } = session;
+
+  // Navigate to home first
+  console.log('🌐 Navigating to home...');
+  await page.goto(upstream.upstreamUrl('/home'), { 
+    waitUntil: 'domcontentloaded',
+    timeout: 30000 
+  });
+  console.log('✅ Navigated to home');
+  
+  // Start avatar box polling
+  startAvatarBoxPolling(session);
+  
+  // Wait for the chat input to be ready
+  console.log('⏳ Waiting for page to be ready...');
+  await selectors.waitForElement(page, 'promptInput');
+  
+  // Use DataTransfer API to set files on the hidden file input
+  console.log('📤 Setting files via DataTransfer API...');
+  
+  // Read actual file content and create proper File objects
+  return page.evaluate(async ({ filesWithContent, fileInputSelectors }) => {
+    console.log('📤 [Browser] Received', filesWithContent.length, 'files to upload');
+    console.log('📤 [Browser] File details:', filesWithContent.map(f => ({ name: f.name, type: f.type, size: f.content.length })));
+    
+    // Find the hidden file input (image files only)
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const fileInput = fileInputSelectors.map(selector => document.querySelector(selector)).find(Boolean);
+    if (!fileInput) {
+      console.error('❌ [Browser] File input not found');
+      return false;
+    }
+    console.log('✅ [Browser] File input found');
+    
+    try {
+      // Create DataTransfer object and add files
+      const dataTransfer = new DataTransfer();
+      
+      // For each file, create a proper File object with actual content
+      for (const fileData of filesWithContent) {
+        // Convert the content object back to Uint8Array if needed
+        const contentArray = fileData.content.buffer ? new Uint8Array(fileData.content.buffer) : new Uint8Array(Object.values(fileData.content));
+        console.log(`📄 [Browser] Adding file: ${fileData.name} (type: ${fileData.type}, size: ${contentArray.length} bytes)`);
+        const blob = new Blob([contentArray], { type: fileData.type });
+        const file = new File([blob], fileData.name, { type: fileData.type });
+        console.log(`📄 [Browser] Created File object: size=${file.size}, type=${file.type}`);
+        dataTransfer.items.add(file);
+        console.log(`✅ [Browser] File added to DataTransfer: ${fileData.name}`);
+      }
+      
+      console.log(`📤 [Browser] DataTransfer has ${dataTransfer.items.length} files`);
+      
+      // Set the files on the input
+      fileInput.files = dataTransfer.files;
+      console.log(`✅ [Browser] Set ${fileInput.files.length} files on input element`);
+      
+      // Trigger multiple events to ensure HeyGen's handlers are called
+      fileInput.dispatchEvent(new Event('change', { bubbles: true, cancelable: true }));
+      fileInput.dispatchEvent(new Event('input', { bubbles: true, cancelable: true }));
+      fileInput.dispatchEvent(new Event('click', { bubbles: true, cancelable: true }));
+      
+      // Also try dispatching a custom event that some frameworks use
+      const customEvent = new CustomEvent('fileInputChange', { detail: { files: fileInput.files }, bubbles: true });
+      fileInput.dispatchEvent(customEvent);
+      
+      console.log('✅ [Browser] Events triggered (change, input, click, custom)');
+      
+      // Wait a bit for handlers to process
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      return true;
+    } catch (error) {
+      console.error('❌ [Browser] Error setting files:', error.message);
+      return false;
+    }
+  }, {
+    // Map file data to include actual content and correct MIME type
+    filesWithContent: fileData.map(f => {
+      const content = fs.readFileSync(f.tempPath);
+      const type = getFileType(f.name);
+      console.log(`📄 Read file: ${f.name} (${content.length} bytes, type: ${type})`);
+      // Convert Buffer to Uint8Array so it can be serialized properly
+      const contentArray = new Uint8Array(content);
+      return { name: f.name, content: contentArray, type };
+    }),
+    fileInputSelectors: selectors.getCandidates('fileInput')
+  });
+}
+
 // HTTP endpoint to upload files
-proxyRouter.post('/upload-files', async (req, res) => {
+proxyRouter.post('/upload-files', queueBrowserRequest('upload-files'), async (req, res) => {
   const files = req.files;
   
   if (!files || Object.keys(files).length === 0) {
@@ -1636,93 +2979,7 @@ proxyRouter.post('/upload-files', async (req, res) => {
     await uploadFilesPage.screenshot({ path: '/tmp/step0.png' });
     console.log('📸 Screenshot saved: /tmp/step0.png');
     
-    // Navigate to home first
-    console.log('🌐 Navigating to home...');
-    await uploadFilesPage.goto('https://app.heygen.com/home', { 
-      waitUntil: 'domcontentloaded',
-      timeout: 30000 
-    });
-    console.log('✅ Navigated to home');
-    
-    // Start avatar box polling
-    startAvatarBoxPolling(session);
-    
-    // Wait for the chat input to be ready
-    console.log('⏳ Waiting for page to be ready...');
-    await uploadFilesPage.waitForSelector('textarea.tw-resize-none', { state: 'visible', timeout: 10000 });
-    
-    // Use DataTransfer API to set files on the hidden file input
-    console.log('📤 Setting files via DataTransfer API...');
-    
-    // Read actual file content and create proper File objects
-    const fs = await import('fs');
-    const uploadSuccess = await uploadFilesPage.evaluate(async (filesWithContent) => {
-      console.log('📤 [Browser] Received', filesWithContent.length, 'files to upload');
-      console.log('📤 [Browser] File details:', filesWithContent.map(f => ({ name: f.name, type: f.type, size: f.content.length })));
-      
-      // Find the hidden file input (image files only)
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      const fileInput = document.querySelector('input[type="file"][accept*="image"]') || 
-                        document.querySelector('input[type="file"][accept*="jpg"]') ||
-                        document.querySelector('input[type="file"][accept*="png"]') ||
-                        document.querySelector('input[type="file"]');
-      if (!fileInput) {
-        console.error('❌ [Browser] File input not found');
-        return false;
-      }
-      console.log('✅ [Browser] File input found');
-      
-      try {
-        // Create DataTransfer object and add files
-        const dataTransfer = new DataTransfer();
-        
-        // For each file, create a proper File object with actual content
-        for (const fileData of filesWithContent) {
-          // Convert the content object back to Uint8Array if needed
-          const contentArray = fileData.content.buffer ? new Uint8Array(fileData.content.buffer) : new Uint8Array(Object.values(fileData.content));
-          console.log(`📄 [Browser] Adding file: ${fileData.name} (type: ${fileData.type}, size: ${contentArray.length} bytes)`);
-          const blob = new Blob([contentArray], { type: fileData.type });
-          const file = new File([blob], fileData.name, { type: fileData.type });
-          console.log(`📄 [Browser] Created File object: size=${file.size}, type=${file.type}`);
-          dataTransfer.items.add(file);
-          console.log(`✅ [Browser] File added to DataTransfer: ${fileData.name}`);
-        }
-        
-        console.log(`📤 [Browser] DataTransfer has ${dataTransfer.items.length} files`);
-        
-        // Set the files on the input
-        fileInput.files = dataTransfer.files;
-        console.log(`✅ [Browser] Set ${fileInput.files.length} files on input element`);
-        
-        // Trigger multiple events to ensure HeyGen's handlers are called
-        fileInput.dispatchEvent(new Event('change', { bubbles: true, cancelable: true }));
-        fileInput.dispatchEvent(new Event('input', { bubbles: true, cancelable: true }));
-        fileInput.dispatchEvent(new Event('click', { bubbles: true, cancelable: true }));
-        
-        // Also try dispatching a custom event that some frameworks use
-        const customEvent = new CustomEvent('fileInputChange', { detail: { files: fileInput.files }, bubbles: true });
-        fileInput.dispatchEvent(customEvent);
-        
-        console.log('✅ [Browser] Events triggered (change, input, click, custom)');
-        
-        // Wait a bit for handlers to process
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        return true;
-      } catch (error) {
-        console.error('❌ [Browser] Error setting files:', error.message);
-        return false;
-      }
-    }, 
-    // Map file data to include actual content and correct MIME type
-    fileData.map(f => {
-      const content = fs.readFileSync(f.tempPath);
-      const type = getFileType(f.name);
-      console.log(`📄 Read file: ${f.name} (${content.length} bytes, type: ${type})`);
-      // Convert Buffer to Uint8Array so it can be serialized properly
-      const contentArray = new Uint8Array(content);
-      return { name: f.name, content: contentArray, type };
-    }));
+    const uploadSuccess = await attachFilesOnHome(session, fileData);
     
     if (!uploadSuccess) {
       return res.json({ success: false, error: 'Failed to set files on input element' });
@@ -1812,7 +3069,7 @@ proxyRouter.post('/upload-files', async (req, res) => {
 });
 
 // HTTP endpoint to upload files on /generate (agent session) page
-proxyRouter.post('/upload-files-generate', async (req, res) => {
+proxyRouter.post('/upload-files-generate', queueBrowserRequest('upload-files-generate'), async (req, res) => {
   const files = req.files;
   
   if (!files || Object.keys(files).length === 0) {
@@ -1863,7 +3120,7 @@ proxyRouter.post('/upload-files-generate', async (req, res) => {
     
     // Wait for the chat input to be ready
     console.log('⏳ Waiting for page to be ready...');
-    await uploadGenPage.waitForSelector('textarea.tw-resize-none', { state: 'visible', timeout: 10000 });
+    await selectors.waitForElement(uploadGenPage, 'promptInput');
     
     // Use DataTransfer API to set files on the hidden file input
     console.log('📤 Setting files via DataTransfer API...');
@@ -1953,7 +3210,7 @@ proxyRouter.post('/upload-files-generate', async (req, res) => {
 });
 
 // Serve screenshots from /tmp directory
-proxyRouter.get('/screenshots/:filename', (req, res) => {
+proxyRouter.get('/screenshots/:filename', requirePermission('debug:screenshots', getUserFromRequest), (req, res) => {
   const filename = req.params.filename;
   const filepath = path.join('/tmp', filename);
   
@@ -1965,7 +3222,7 @@ proxyRouter.get('/screenshots/:filename', (req, res) => {
 });
 
 // List all screenshots in /tmp
-proxyRouter.get('/screenshots', (req, res) => {
+proxyRouter.get('/screenshots', requirePermission('debug:screenshots', getUserFromRequest), (req, res) => {
   try {
     const files = fs.readdirSync('/tmp')
       .filter(file => file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg'))
@@ -1990,9 +3247,21 @@ async function handleWebSocketMessage(ws, data, session = null) {
     case 'authenticate':
       console.log('🔑 Received authentication request');
       if (data.token) {
-        const tokenData = verifyToken(data.token);
+        const tokenData = verifyAccessToken(data.token);
         if (tokenData && tokenData.email) {
-          ws.user = { email: tokenData.email };
+          const sessionKey = tokenData.sessionId ? `${tokenData.email}:${tokenData.sessionId}` : tokenData.email;
+          const previousKey = ws.user?.sessionKey;
+          ws.user = {
+            email: tokenData.email,
+            sessionKey,
+            sessionId: tokenData.sessionId || null,
+            role: tokenData.role || 'user'
+          };
+          // Usually the same key as the connection cookie; otherwise move to the own session of the
+          // new identity (unless the client is watching a shared session)
+          if (previousKey !== sessionKey && sessionPresence.getClient(ws.socket || ws)?.sessionKey === previousKey) {
+            moveClient(ws.socket || ws, sessionKey);
+          }
           console.log(`✅ Authenticated user: ${tokenData.email}`);
           ws.send(JSON.stringify({ 
             action: 'authenticated',
@@ -2031,7 +3300,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
         return;
       }
       
-      const targetUrl = TARGET + data.url;
+      const targetUrl = upstream.upstreamUrl(data.url);
       console.log(`🌐 Navigating to: ${targetUrl}`);
       try {
         // Use passed session instead of creating new one
@@ -2257,7 +3526,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
             throw new Error('No active browser session');
           }
           await session.page.goBack();
-          ws.send(JSON.stringify({ success: true }));
+          ws.send(JSON.stringify({ success: true, action: 'back' }));
           break;
           
       case 'initial_load':
@@ -2331,7 +3600,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
                     await initialPage.waitForTimeout(1000); // Give it time to load src
                     
                     // Extract video data from sidebar
-                    videoData = await initialPage.evaluate(() => {
+                    videoData = await initialPage.evaluate((videoOrigin) => {
                       const allVideos = document.querySelectorAll('video');
                       console.log(`[Browser] Found ${allVideos.length} video elements`);
                       
@@ -2340,7 +3609,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
                         const src = vid.src || vid.querySelector('source')?.src || vid.querySelector('source')?.getAttribute('src') || '';
                         console.log(`[Browser] Video src: ${src.substring(0, 80)}...`);
                         
-                        if (src && src.includes('resource2.heygen.ai') && !src.includes('liteSharePreviewAnimation')) {
+                        if (src && src.startsWith(videoOrigin) && !src.includes('liteSharePreviewAnimation')) {
                           v = vid;
                           console.log(`[Browser] ✅ Found valid video`);
                           break;
@@ -2359,7 +3628,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
                       const title = (titleEl?.innerText || titleEl?.textContent || '').trim();
                       
                       return { videoUrl: src, poster, title };
-                    });
+                    }, upstream.getVideoOrigin());
                     
                     if (videoData && videoData.videoUrl) {
                       console.log(`✅ [initial_load] Video extracted on attempt ${attempt + 1}`);
@@ -2591,12 +3860,12 @@ async function handleWebSocketMessage(ws, data, session = null) {
             let videoData = null;
             try {
               // Look for any video element on the page
-              videoData = await page.evaluate(() => {
+              videoData = await page.evaluate((videoOrigin) => {
                 const video = document.querySelector('video');
                 if (!video) return null;
                 
                 const src = video.src || video.querySelector('source')?.src || '';
-                if (!src || !src.includes('resource2.heygen.ai') || src.includes('liteSharePreviewAnimation')) {
+                if (!src || !src.startsWith(videoOrigin) || src.includes('liteSharePreviewAnimation')) {
                   return null;
                 }
                 
@@ -2609,7 +3878,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
                   poster: video.poster || '',
                   title: titleEl?.textContent?.trim() || 'Your video is ready!'
                 };
-              });
+              }, upstream.getVideoOrigin());
               
               if (videoData) {
                 console.log('🎥 [get_messages] Found video on page:', videoData.videoUrl);
@@ -2755,13 +4024,13 @@ async function handleWebSocketMessage(ws, data, session = null) {
                   try { await page.waitForTimeout(500); } catch (_) {}
                   // Extract sidebar video URL/poster/title and cache onto the card element's dataset
                   try {
-                    const videoData = await page.evaluate(() => {
-                      // Find ANY video element on the page with resource2.heygen.ai src
+                    const videoData = await page.evaluate((videoOrigin) => {
+                      // Find ANY video element on the page with a finished video src
                       const allVideos = document.querySelectorAll('video');
                       let v = null;
                       for (const vid of allVideos) {
                         const src = vid.src || vid.querySelector('source')?.src || vid.querySelector('source')?.getAttribute('src') || '';
-                        if (src && src.includes('resource2.heygen.ai') && !src.includes('liteSharePreviewAnimation')) {
+                        if (src && src.startsWith(videoOrigin) && !src.includes('liteSharePreviewAnimation')) {
                           v = vid;
                           break;
                         }
@@ -2777,8 +4046,8 @@ async function handleWebSocketMessage(ws, data, session = null) {
                                        document.querySelector('h2, h3');
                       const title = (titleEl?.innerText || titleEl?.textContent || '').trim();
                       return { videoUrl: src, poster, title };
-                    });
-                    if (videoData && videoData.videoUrl && videoData.videoUrl.startsWith('https://resource2.heygen.ai/') && !videoData.videoUrl.includes('liteSharePreviewAnimation')) {
+                    }, upstream.getVideoOrigin());
+                    if (videoData && videoData.videoUrl && upstream.isUpstreamVideoUrl(videoData.videoUrl)) {
                       // Store on page object so we can create a video message
                       page._extractedVideo = videoData;
                       console.log('💾 [get_messages] Found video after card click:', videoData.title || 'untitled');
@@ -2794,308 +4063,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
               }
               // Wait a bit for video elements or cached dataset to be ready
               try { await page.waitForTimeout(150); } catch (_) {}
-              fetchedMessages = await page.evaluate(() => {
-                // Get all chat rows AND video cards in order (exclude hidden placeholders)
-                const allElements = Array.from(
-                  document.querySelectorAll('div.tw-flex.tw-self-end, div.tw-flex.tw-self-start, div.tw-flex.tw-flex-col.tw-items-stretch.tw-rounded-2xl.tw-border.tw-border-line.tw-bg-fill-general.tw-cursor-pointer')
-                ).filter(el => {
-                  // Skip hidden elements
-                  if (el.classList.contains('tw-hidden')) return false;
-                  
-                  // Skip elements that match the preloader pattern
-                  // Preloader has these exact classes: tw-flex tw-cursor-pointer tw-items-center tw-gap-x-1 tw-text-sm tw-text-textSupport
-                  const isPreloader = el.matches('.tw-flex.tw-cursor-pointer.tw-items-center.tw-gap-x-1.tw-text-sm.tw-text-textSupport');
-                  if (isPreloader) {
-                    console.log('[get_messages] Skipping preloader element');
-                    return false;
-                  }
-                  
-                  return true;
-                });
-                console.log('[get_messages] Found', allElements.length, 'message rows after filtering');
-                
-                // Helper to detect if an agent message is still being streamed (incomplete)
-                const isIncompleteMessage = (row) => {
-                  // Check for typing indicator or streaming animation
-                  const typingIndicator = row.querySelector('[data-testid="typing-indicator"]');
-                  if (typingIndicator && typingIndicator.offsetParent !== null) {
-                    return true;
-                  }
-                  
-                  // Check for blinking cursor or streaming animation
-                  const cursor = row.querySelector('.tw-animate-pulse, .tw-animate-bounce, [class*="animate"]');
-                  if (cursor && cursor.offsetParent !== null) {
-                    return true;
-                  }
-                  
-                  // Check if message ends with incomplete punctuation or has streaming markers
-                  const textEl = row.querySelector('div.tw-prose, div.tw-text-textTitle div.tw-prose');
-                  if (textEl) {
-                    const text = (textEl.innerText || textEl.textContent || '').trim();
-                    // If text is very short (< 20 chars) and doesn't end with punctuation, likely incomplete
-                    if (text.length < 20 && text.length > 0 && !/[.!?:;,)]$/.test(text)) {
-                      return true;
-                    }
-                  }
-                  
-                  return false;
-                };
-                
-                const messages = allElements.map((row, idx) => {
-                  console.log(`[get_messages] Processing row ${idx}:`, row.className);
-                  
-                  // Check if this is a video card (not a chat row)
-                  if (row.classList.contains('tw-flex-col') && row.classList.contains('tw-rounded-2xl') && row.classList.contains('tw-bg-fill-general')) {
-                    // Skip preloader cards - they have brand colors and a progress indicator
-                    const isPreloader = row.classList.contains('tw-border-brand') && row.classList.contains('tw-bg-more-brandLighter');
-                    if (isPreloader) {
-                      console.log('[get_messages] Skipping preloader card (brand colors detected)');
-                      return null;
-                    }
-                    
-                    const thumbnailImg = row.querySelector('img[alt="draft thumbnail"]');
-                    const videoElement = row.querySelector('video');
-                    const titleElement = row.querySelector('.tw-text-base.tw-font-bold.tw-tracking-tight');
-                    const subtitleElement = row.querySelector('.tw-text-sm.tw-font-medium.tw-text-textBody span');
-                    // Prefer cached dataset from earlier sidebar extraction
-                    const cachedUrl = row.dataset?.videoUrl || null;
-                    const cachedPoster = row.dataset?.videoPoster || null;
-                    const cachedTitle = row.dataset?.videoTitle || null;
-                    // Build thumbnail/poster fallback
-                    let thumbnail = cachedPoster || (videoElement?.poster || thumbnailImg?.src || '');
-                    const title = cachedTitle || (titleElement ? titleElement.innerText.trim() : 'Your video is ready!');
-                    // If we have either a cached URL or an inline video element, create the message
-                    if (cachedUrl || videoElement) {
-                      let videoUrl = cachedUrl;
-                      if (!videoUrl && videoElement) {
-                        videoUrl = videoElement.src || videoElement.querySelector('source')?.src || videoElement.querySelector('source')?.getAttribute('src') || '';
-                      }
-                      if (videoUrl && videoUrl.startsWith('https://resource2.heygen.ai/') && !videoUrl.includes('liteSharePreviewAnimation')) {
-                        return {
-                          role: 'agent',
-                          text: subtitleElement ? subtitleElement.innerText.trim() : '',
-                          video: {
-                            thumbnail: thumbnail || undefined,
-                            videoUrl: videoUrl,
-                            poster: thumbnail || undefined,
-                            title: title
-                          }
-                        };
-                      }
-                    }
-                    // As a fallback, create a pending video message so the frontend can show a card and later fill the URL
-                    if (thumbnail || title) {
-                      return {
-                        role: 'agent',
-                        text: subtitleElement ? subtitleElement.innerText.trim() : '',
-                        video: {
-                          thumbnail: thumbnail || '',
-                          videoUrl: null,
-                          poster: thumbnail || '',
-                          title: title || 'Your video is ready!'
-                        }
-                      };
-                    }
-                    return null;
-                  }
-                  
-                  // Regular chat row logic
-                  const isUser = row.classList.contains('tw-self-end');
-
-                  if (isUser) {
-                    const userBubble = row.querySelector('.tw-bg-fill-block');
-                    const text = userBubble ? userBubble.innerText.trim() : '';
-                    
-                    // Skip composite messages that contain chat history context
-                    if (text && text.includes('This is the context of our previous chat:')) {
-                      console.log('[get_messages] Skipping composite message with chat history');
-                      return null;
-                    }
-                    
-                    // Check for attached images in user message
-                    const attachedImages = [];
-                    // Be permissive: match any HeyGen-hosted image (e.g., resource2.heygen.ai, cdn variants)
-                    const imageElements = row.querySelectorAll('img[src*="heygen"]');
-                    imageElements.forEach(img => {
-                      if (img.src) {
-                        attachedImages.push({
-                          url: img.src,
-                          alt: img.alt || 'User attached image'
-                        });
-                      }
-                    });
-                    
-                    // Return user message with text and/or images
-                    if (text || attachedImages.length > 0) {
-                      const message = { role: 'user' };
-                      if (text) message.text = text;
-                      if (attachedImages.length > 0) message.images = attachedImages;
-                      return message;
-                    }
-                    return null;
-                  }
-
-                  // agent - get main reply, skip reasoning
-                  // First check if this message is still being streamed (incomplete)
-                  if (isIncompleteMessage(row)) {
-                    console.log(`[get_messages] Skipping incomplete/streaming message at row ${idx}`);
-                    return null; // Skip incomplete messages
-                  }
-                  
-                  // Try multiple selectors to find the agent message text
-                  let reply = null;
-                  const replySelectors = [
-                    'div.tw-prose',
-                    'div.tw-text-textTitle div.tw-prose',
-                    'div > div.tw-text-textTitle > div.tw-prose',
-                    'div > div.tw-bg-fill-block'
-                  ];
-                  for (const sel of replySelectors) {
-                    const el = row.querySelector(sel);
-                    // Skip elements inside the Reasoning section wrapper
-                    const inReasoning = el && el.closest('div.tw-border-l-2.tw-border-line');
-                    if (el && !inReasoning) {
-                      const txt = el.innerText?.trim() || el.textContent?.trim();
-                      if (txt && txt.length > 0) {
-                        reply = el;
-                        console.log('Found agent text with selector:', sel, 'text:', txt.substring(0, 50));
-                        break;
-                      }
-                    }
-                  }
-
-                  let text = '';
-                  if (reply) {
-                    // Try innerText first, fallback to textContent
-                    text = reply.innerText?.trim() || reply.textContent?.trim() || '';
-                    console.log('Agent message text length:', text.length);
-                  } else {
-                    console.log('No reply element found for agent row');
-                  }
-
-
-                  // ✅ ADD THE CHECK HERE - after text is extracted
-                  if (text) {
-                    // Skip HeyGen preloader messages (Thinking..., Reasoning, etc.)
-                    const normalizedText = text.toLowerCase().trim();
-                    const isPreloaderText = normalizedText === 'thinking...' ||
-                                           normalizedText === 'thinking' ||
-                                           normalizedText === 'reasoning' ||
-                                           normalizedText === 'reasoning...' ||
-                                           (normalizedText.length < 15 && normalizedText.includes('...'));
-                    if (isPreloaderText) {
-                      console.log('⏭️ [get_messages] Skipping preloader message:', text);
-                      return null;
-                    }
-                    
-                    const limitPatterns = [
-                      /reached.*limit/i,
-                      /add generative credits/i,
-                      /switch to unlimited mode/i,
-                      /video agent.*limit/i
-                    ];
-                    
-                    const shouldSkip = limitPatterns.some(pattern => pattern.test(text));
-                    if (shouldSkip) {
-                      console.log('⏭️ [get_messages] Skipping limit message:', text.substring(0, 50) + '...');
-                      return null; // Return null instead of nothing
-                    }
-                  }
-                  
-                  // Check for video completion card - get_messages action
-                  let video = null;
-                  
-                  // First, check if there's a video element in the sidebar/modal (after clicking card)
-                  let sidebarVideo = null;
-                  const sidebarVideoSelectors = ['aside video', '[role="dialog"] video'];
-                  for (const sel of sidebarVideoSelectors) {
-                    const v = document.querySelector(sel);
-                    if (v && (v.src || v.querySelector('source')?.src)) {
-                      sidebarVideo = v;
-                      break;
-                    }
-                  }
-                  
-                  // If sidebar has video, use it; otherwise check the card itself
-                  const videoElement = sidebarVideo || row.querySelector('video');
-                  if (videoElement) {
-                    // Get video source from multiple possible locations
-                    let videoSrc = videoElement.src || '';
-                    if (!videoSrc) {
-                      const sourceElement = videoElement.querySelector('source');
-                      if (sourceElement) {
-                        videoSrc = sourceElement.src || sourceElement.getAttribute('src') || '';
-                      }
-                    }
-                    const videoPoster = videoElement.poster;
-
-                    // Ignore loading animation and non-resource2 sources
-                    const isLoadingAnimation = videoSrc && (videoSrc.includes('static.heygen.ai/heygen/asset/liteSharePreviewAnimation.mp4') || videoSrc.includes('liteSharePreviewAnimation'));
-                    const isValidResource2 = videoSrc && videoSrc.startsWith('https://resource2.heygen.ai/');
-
-                    if (!isLoadingAnimation && isValidResource2) {
-                      // Extract title from nearby text
-                      const titleElement = row.querySelector('div.tw-text-textTitle, div.tw-font-medium, h3, h2');
-                      const title = titleElement ? titleElement.innerText.trim() : 'Your video is ready!';
-
-                      video = {
-                        thumbnail: videoPoster,
-                        videoUrl: videoSrc,
-                        poster: videoPoster,
-                        title: title
-                      };
-                    }
-                  }
-                  // Ignore thumbnail-only cards without video element - they're just placeholders
-                  
-                  // Only return if we have text or video
-                  if (text || video) {
-                    return { role: 'agent', text, video };
-                  }
-                  return null;
-                }).filter(Boolean);
-
-                // Merge a preceding image-only user message with the immediately following user text message
-                const merged = [];
-                for (let i = 0; i < messages.length; i++) {
-                  const m = messages[i];
-                  if (
-                    m && m.role === 'user' && !m.text && Array.isArray(m.images) && m.images.length > 0
-                  ) {
-                    const next = messages[i + 1];
-                    if (next && next.role === 'user' && next.text) {
-                      const combinedImages = [...(next.images || [])];
-                      const existingUrls = new Set(combinedImages.map(img => img && img.url).filter(Boolean));
-                      for (const img of m.images) {
-                        if (img && img.url && !existingUrls.has(img.url)) {
-                          combinedImages.push(img);
-                          existingUrls.add(img.url);
-                        }
-                      }
-                      merged.push({ ...next, images: combinedImages });
-                      i++; // Skip the next item since it's merged
-                      continue;
-                    }
-                  }
-                  merged.push(m);
-                }
-
-                // Dedupe any remaining identical image-only user messages by URL set
-                const seenImageOnly = new Set();
-                const deduped = [];
-                for (const m of merged) {
-                  if (m && m.role === 'user' && !m.text && Array.isArray(m.images) && m.images.length > 0) {
-                    const key = 'user-images:' + m.images.map(img => img && img.url).filter(Boolean).sort().join('|');
-                    if (seenImageOnly.has(key)) {
-                      continue;
-                    }
-                    seenImageOnly.add(key);
-                  }
-                  deduped.push(m);
-                }
-
-                return { messages: deduped };
-              });
+              fetchedMessages = await extractAgentMessages(page);
               
               // Clear any extracted video data (no longer needed - DOM evaluation handles video cards)
               if (page._extractedVideo) {
@@ -3103,14 +4071,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
               }
               
               // Check for HeyGen error messages
-              const errorElement = await page.evaluate(() => {
-                const errorDiv = document.querySelector('.tw-bg-more-redLighter');
-                if (errorDiv) {
-                  const errorText = errorDiv.querySelector('.tw-text-textTitle');
-                  return errorText ? errorText.innerText.trim() : 'Something went wrong';
-                }
-                return null;
-              });
+              const errorElement = await readAgentError(page);
               
               if (errorElement) {
                 console.log('⚠️ [get_messages] HeyGen error detected:', errorElement);
@@ -3249,14 +4210,14 @@ async function handleWebSocketMessage(ws, data, session = null) {
             
             // First, try to find and extract video directly from the page
             console.log('🔍 Searching for video element on page...');
-            let videoData = await videoPage.evaluate(() => {
+            let videoData = await videoPage.evaluate((videoOrigin) => {
               // Look for any video element on the page
               const videos = document.querySelectorAll('video');
               console.log('Found', videos.length, 'video elements');
               
               for (const video of videos) {
                 const src = video.src || video.querySelector('source')?.src;
-                if (src && src.includes('resource2.heygen.ai')) {
+                if (src && src.startsWith(videoOrigin)) {
                   return {
                     videoUrl: src,
                     poster: video.poster,
@@ -3265,7 +4226,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
                 }
               }
               return null;
-            });
+            }, upstream.getVideoOrigin());
             
             // If no video found, report that no video found
             if (!videoData) {
@@ -3283,11 +4244,11 @@ async function handleWebSocketMessage(ws, data, session = null) {
               break;
             }
             
-            // Validate the URL: ignore known loading animation and only accept resource2.heygen.ai URLs
+            // Validate the URL: ignore known loading animation and only accept URLs on the video origin
             const resolvedUrl = videoData && videoData.videoUrl ? String(videoData.videoUrl) : '';
             const isLoadingAnimation = resolvedUrl.includes('static.heygen.ai/heygen/asset/liteSharePreviewAnimation.mp4') || 
                                     resolvedUrl.includes('loading-animation');
-            const isValidResource2 = resolvedUrl.startsWith('https://resource2.heygen.ai/');
+            const isOnVideoOrigin = resolvedUrl.startsWith(upstream.getVideoOrigin());
             
             if (!resolvedUrl) {
               ws.send(JSON.stringify({ 
@@ -3308,7 +4269,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
               break;
             }
             
-            if (!isValidResource2) {
+            if (!isOnVideoOrigin) {
               console.log('⚠️ Invalid video URL format:', resolvedUrl);
               ws.send(JSON.stringify({ 
                 success: false, 
@@ -3335,7 +4296,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
             try {
               // Skip loading animation and only process valid video URLs
               if (videoData && videoData.videoUrl && 
-                  videoData.videoUrl.startsWith('https://resource2.heygen.ai/') &&
+                  videoData.videoUrl.startsWith(upstream.getVideoOrigin()) &&
                   !videoData.videoUrl.includes('static.heygen.ai/heygen/asset/liteSharePreviewAnimation.mp4')) {
                 // Extract caption hash from URL
                 // Extract video hash from URL
@@ -3373,8 +4334,8 @@ async function handleWebSocketMessage(ws, data, session = null) {
                 console.log('📧 Using user email for directory:', userEmail);
                 
                 // Create safe directory name from email (replace @ and . with _)
-                const userDirName = userEmail.replace(/[@.]/g, '_');
-                const userDir = path.join(UPLOADS_DIR, userDirName);
+                const userDirName = getUserDirName(userEmail);
+                const userDir = path.join(getUploadsDir(), userDirName);
                 
                 // Create directory if it doesn't exist
                 if (!fs.existsSync(userDir)) {
@@ -3394,16 +4355,11 @@ async function handleWebSocketMessage(ws, data, session = null) {
                   console.log('⏭️ Video already exists by hash, skipping download:', path.join(userDir, existingByHash));
                   savedVideoPath = `/uploads/${userDirName}/${existingByHash}`;
                 } else {
-                  const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://127.0.0.1:${PORT}`;
-                  const response = await axios.post(`${baseUrl}/proxy/save-video`, {
-                    userEmail: ws.user?.email || 'unknown_user',
-                    videoUrl: videoData.videoUrl,
-                    title: safeTitle
-                  });
+                  const saved = await saveVideoForUser(userEmail, videoData.videoUrl, safeTitle);
                   console.log('✅ Video saved successfully');
-                  // Extract the saved filename from the response or construct it
-                  if (response.data && response.data.filename) {
-                    savedVideoPath = `/uploads/${userDirName}/${response.data.filename}`;
+                  // Extract the saved filename from the result or construct it
+                  if (saved && saved.filename) {
+                    savedVideoPath = `/uploads/${userDirName}/${saved.filename}`;
                   } else {
                     // Fallback: construct filename as title-hash.mp4
                     const filename = `video-${videoHash}.mp4`;
@@ -3493,7 +4449,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
                   // Retry the operation after a short delay
                   await new Promise(resolve => setTimeout(resolve, 1000));
                   // Forward the message to the handler again with the new session
-                  return handleWebSocketMessage(ws, data, session);
+                  return originalHandleWebSocketMessage(ws, data, session);
                 }
               } catch (recoveryError) {
                 console.error('❌ Failed to recover session:', recoveryError);
@@ -3530,11 +4486,11 @@ async function handleWebSocketMessage(ws, data, session = null) {
             // Check if we need to navigate to home first
             // This happens when uploading from chat history before sending the composite message
             const currentUrl = uploadPage.url();
-            const needsHomeNavigation = data.navigateToHome || !currentUrl.includes('app.heygen.com/home');
+            const needsHomeNavigation = data.navigateToHome || !upstream.isUpstreamUrl(currentUrl, '/home');
             
             if (needsHomeNavigation && currentUrl.includes('/agent/')) {
               console.log('🌐 Navigating to home page for file upload (from agent session)...');
-              await uploadPage.goto('https://app.heygen.com/home', { 
+              await uploadPage.goto(upstream.upstreamUrl('/home'), { 
                 waitUntil: 'domcontentloaded',
                 timeout: 30000 
               });
@@ -3544,18 +4500,15 @@ async function handleWebSocketMessage(ws, data, session = null) {
             }
             
             // Wait for the chat input to be ready
-            await uploadPage.waitForSelector('textarea.tw-resize-none', { state: 'visible', timeout: 10000 });
+            await selectors.waitForElement(uploadPage, 'promptInput');
             
             // Use DataTransfer API to set files on the hidden file input
-            const uploadSuccess = await uploadPage.evaluate(async (filesData) => {
+            const uploadSuccess = await uploadPage.evaluate(async ({ filesData, fileInputSelectors }) => {
               console.log('📤 [Browser] Received', filesData.length, 'files to upload');
               
               // Find the hidden file input (image files only)
               await new Promise(resolve => setTimeout(resolve, 1000));
-              const fileInput = document.querySelector('input[type="file"][accept*="image"]') || 
-                                document.querySelector('input[type="file"][accept*="jpg"]') ||
-                                document.querySelector('input[type="file"][accept*="png"]') ||
-                                document.querySelector('input[type="file"]');
+              const fileInput = fileInputSelectors.map(selector => document.querySelector(selector)).find(Boolean);
               if (!fileInput) {
                 console.error('❌ [Browser] File input not found');
                 return false;
@@ -3602,7 +4555,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
                 console.error('❌ [Browser] Error setting files:', error.message);
                 return false;
               }
-            }, files);
+            }, { filesData: files, fileInputSelectors: selectors.getCandidates('fileInput') });
             
             if (!uploadSuccess) {
               ws.send(JSON.stringify({ success: false, action: 'upload_files', error: 'Failed to set files on input element' }));
@@ -3630,7 +4583,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
             
             const message = data.message;
             if (!message || !message.trim()) {
-              ws.send(JSON.stringify({ success: false, error: 'Message is required' }));
+              ws.send(JSON.stringify(wsSchema.errorResponse(data, 'VALIDATION_FAILED', 'Message is required')));
               break;
             }
             
@@ -3643,7 +4596,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
               if (isFromChatHistory) {
                 console.log('   📚 Detected chat history context - will dump history on home page');
               }
-              await sendPage.goto('https://app.heygen.com/home', { 
+              await sendPage.goto(upstream.upstreamUrl('/home'), { 
                 waitUntil: 'domcontentloaded',
                 timeout: 30000
               });
@@ -3653,111 +4606,66 @@ async function handleWebSocketMessage(ws, data, session = null) {
             }
             
             // Find and fill the input field
-            const inputSelector = 'textarea.tw-resize-none';
-            await sendPage.waitForSelector(inputSelector, { state: 'visible', timeout: 10000 });
+            const inputSelector = await selectors.waitForElement(sendPage, 'promptInput');
             await sendPage.click(inputSelector);
             await sendPage.fill(inputSelector, message);
             
             // Wait a moment for the text to be entered
             await sendPage.waitForTimeout(500);
             
-            // Click the submit button - use a more specific selector
-            const buttonSelector = 'button[data-loading="false"].tw-bg-brand:not([disabled])';
-            await sendPage.waitForSelector(buttonSelector, { state: 'visible', timeout: 20000 });
+            // Click the submit button
+            const buttonSelector = await selectors.waitForElement(sendPage, 'submitButton', { timeout: 20000 });
             await sendPage.click(buttonSelector);
             
             console.log('✅ Message sent successfully');
             ws.send(JSON.stringify({ success: true, action: 'send_message' }));
+            await startGenerationEvents(session, ws.user?.email || 'anonymous');
           } catch (err) {
             console.error('❌ Error sending message:', err);
             ws.send(JSON.stringify({ success: false, action: 'send_message', error: err.message }));
           }
           break;
           
+        case 'get_presence':
+        case 'take_control':
+        case 'release_control':
+        case 'hand_off_control':
+        case 'share_session':
+        case 'attach_session':
+        case 'detach_session':
+          await handleSessionSharingAction(ws, data);
+          break;
+
+        case 'describe_schema':
+          ws.send(JSON.stringify({ success: true, action: 'describe_schema', schema: wsSchema.describeSchema() }));
+          break;
+
+        case 'subscribe_updates':
+          try {
+            if (!session?.page) {
+              throw new Error('No active browser session');
+            }
+            await subscribePageUpdates(ws.socket || ws, session.userEmail || 'anonymous', session);
+            console.log(`📡 [${ws.user?.email || 'anonymous'}] Subscribed to pushed page updates`);
+            ws.send(JSON.stringify({ success: true, action: 'subscribe_updates' }));
+          } catch (err) {
+            console.error('❌ Error subscribing to page updates:', err);
+            ws.send(JSON.stringify({ success: false, action: 'subscribe_updates', error: err.message }));
+          }
+          break;
+
+        case 'unsubscribe_updates':
+          unsubscribePageUpdates(ws.socket || ws);
+          ws.send(JSON.stringify({ success: true, action: 'unsubscribe_updates' }));
+          break;
+
         case 'get_generation_progress':
           console.log('📊 Getting video generation progress');
             try {
               if (!session?.page) {
                 throw new Error('No active browser session');
               }
-              const progressPage = session.page;
-              const progressData = await progressPage.evaluate(() => {
-              // First, check if percentage exists anywhere on the page
-              const percentageText = [...document.querySelectorAll('span.tw-font-semibold.tw-text-textTitleRev')]
-                .map(el => el.innerText)
-                .find(text => text.includes('%'));
-              const percentage = percentageText ? parseInt(percentageText.replace('%', '')) : 0;
-              
-              console.log('🔍 Percentage search result:', percentageText, '→', percentage);
-              
-              // Look for the progress card - it has specific classes and structure
-              const progressCard = document.querySelector('div.tw-flex.tw-flex-col.tw-items-stretch.tw-gap-4.tw-rounded-2xl.tw-border.tw-border-line.tw-bg-fill-general.tw-p-4.tw-relative.tw-cursor-pointer.tw-group');
-              
-              console.log('🔍 Progress card found:', !!progressCard);
-              
-              if (!progressCard && !percentageText) {
-                return { isGenerating: false };
-              }
-              
-              // If we have percentage but no card, still return progress data
-              if (!progressCard && percentageText) {
-                return {
-                  isGenerating: true,
-                  percentage,
-                  currentStatus: 'Processing',
-                  currentStep: '',
-                  message: 'Our Video Agent is working on your video',
-                  steps: []
-                };
-              }
-              
-              // Extract status text (Understanding, Planning, Creating)
-              // These are in the left column of the progress section
-              const statusElements = progressCard.querySelectorAll('.tw-flex.tw-flex-col.tw-gap-2 > div.tw-text-sm');
-              let currentStatus = 'Processing';
-              statusElements.forEach(el => {
-                if (el.classList.contains('tw-font-bold') && el.classList.contains('tw-text-textTitle')) {
-                  currentStatus = el.textContent.trim();
-                }
-              });
-              
-              // Extract current step with orange spinner (ongoing step)
-              const currentStepEl = progressCard.querySelector('iconpark-icon[name="onboarding-ongoing"][theme="filled"] + span.tw-text-sm.tw-text-textTitle.tw-font-bold');
-              const currentStep = currentStepEl ? currentStepEl.textContent.trim() : '';
-              
-              // Extract all steps
-              const allSteps = Array.from(progressCard.querySelectorAll('.tw-flex.tw-items-center.tw-gap-3')).map(stepEl => {
-                const icon = stepEl.querySelector('iconpark-icon');
-                const text = stepEl.querySelector('span.tw-text-sm.tw-text-textTitle');
-                let status = 'pending';
-                
-                if (icon) {
-                  if (icon.getAttribute('name') === 'check-one-fill') {
-                    status = 'completed';
-                  } else if (icon.getAttribute('name') === 'onboarding-ongoing') {
-                    status = 'current';
-                  }
-                }
-                
-                return {
-                  text: text ? text.textContent.trim() : '',
-                  status
-                };
-              });
-              
-              // Extract main message
-              const messageEl = progressCard.querySelector('.tw-text-sm.tw-font-medium.tw-text-textBody span');
-              const message = messageEl ? messageEl.textContent.trim() : 'Our Video Agent is working on your video';
-              
-              return {
-                isGenerating: true,
-                percentage,
-                currentStatus,
-                currentStep,
-                message,
-                steps: allSteps
-              };
-            });
+              const progressData = await readGenerationProgress(session.page);
             
             console.log('📊 Progress data:', progressData);
             if (progressData && progressData.isGenerating && Number.isFinite(progressData.percentage)) {
@@ -3766,6 +4674,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
               console.log('🔍 No percentage found in progress card');
             }
             ws.send(JSON.stringify({ success: true, action: 'get_generation_progress', data: progressData }));
+            reportGenerationProgress(session, progressData);
           } catch (err) {
             console.error('❌ Error getting progress:', err);
             ws.send(JSON.stringify({ success: false, action: 'get_generation_progress', error: err.message }));
@@ -3895,48 +4804,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
                 break;
               }
 
-              // Wait for video elements to appear (sidebar might be opening)
-              try {
-                await extractPage.waitForSelector('video', { timeout: 3000 });
-                await extractPage.waitForTimeout(3000); // Give it time to load src
-              } catch (_) {
-                console.log('⚠️ [extract_all_video_urls] No video elements found, sidebar might not be open');
-              }
-
-              // Extract video data from sidebar (same logic as initial_load)
-              const extractedVideos = await extractPage.evaluate(() => {
-                // Try specific selector first, then fall back to all videos
-                let allVideos = document.querySelectorAll('video.css-uwwqev');
-                if (allVideos.length === 0) {
-                  console.log('[Browser] Specific selector found no videos, trying all video elements');
-                  allVideos = document.querySelectorAll('video');
-                }
-                console.log(`[Browser] Found ${allVideos.length} video elements`);
-                
-                const validVideos = [];
-                
-                for (const vid of allVideos) {
-                  const src = vid.src || vid.querySelector('source')?.src || vid.querySelector('source')?.getAttribute('src') || '';
-                  console.log(`[Browser] Video src: ${src.substring(0, 80)}...`);
-                  
-                  // Only include valid resource2.heygen.ai URLs, skip loading animations
-                  if (src && src.includes('resource2.heygen.ai') && !src.includes('liteSharePreviewAnimation')) {
-                    const poster = vid.poster || '';
-                    const titleEl = document.querySelector('.tw-text-base.tw-font-bold.tw-tracking-tight') ||
-                                    document.querySelector('h2, h3');
-                    const title = (titleEl?.innerText || titleEl?.textContent || '').trim() || 'Your video is ready!';
-                    
-                    validVideos.push({
-                      videoUrl: src,
-                      poster: poster,
-                      title: title
-                    });
-                    console.log(`[Browser] ✅ Found valid video: ${title}`);
-                  }
-                }
-                
-                return validVideos;
-              });
+              const extractedVideos = await extractVideoUrls(extractPage);
 
               console.log(`✅ [extract_all_video_urls] Successfully extracted ${extractedVideos.length} video URLs`);
               ws.send(JSON.stringify({ 
@@ -3964,7 +4832,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
               }
               const videoPage = session.page;
               // Find all video cards
-              const videoCards = await videoPage.$$('div.tw-border-brand.tw-bg-more-brandLighter');
+              const videoCards = await videoPage.$$(selectors.anyOf('videoCard'));
               
               if (videoCards.length === 0) {
                 ws.send(JSON.stringify({ 
@@ -4021,12 +4889,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
               if (videoData && videoData.videoUrl) {
                 // Persist the video on server under the authenticated user's directory
                 try {
-                  const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://127.0.0.1:${PORT}`;
-                  await axios.post(`${baseUrl}/proxy/save-video`, {
-                    userEmail: ws.user?.email || 'unknown_user',
-                    videoUrl: videoData.videoUrl,
-                    title: cardData.title
-                  });
+                  await saveVideoForUser(ws.user?.email || 'unknown_user', videoData.videoUrl, cardData.title);
                   console.log('✅ Video saved successfully');
                 } catch (saveErr) {
                   console.error('❌ Error saving video from enhanced handler:', saveErr?.message || saveErr);
@@ -4171,7 +5034,7 @@ async function handleWebSocketMessage(ws, data, session = null) {
 
           default:
             console.log(`❌ Unknown action: ${action}`);
-            ws.send(JSON.stringify({ success: false, error: `Unknown action: ${action}` }));
+            ws.send(JSON.stringify(wsSchema.errorResponse(data, 'UNKNOWN_ACTION', `Unknown action: ${action}`)));
         }
 }
 
@@ -4214,7 +5077,7 @@ async function getChatMessages(page) {
 
 
 // ...
-export { proxyRouter, initBrowser, setupWebSocketServer };
+export { proxyRouter, initBrowser, setupWebSocketServer, createProxyServer };
 
 // API to list user's chats
 proxyRouter.get('/api/chats', async (req, res) => {
@@ -4285,27 +5148,12 @@ proxyRouter.delete('/api/chats/:chatId', async (req, res) => {
 // API to list user's videos
 proxyRouter.get('/api/videos', async (req, res) => {
   try {
-    // Get user email from JWT token in cookie
-    let userEmail = 'unknown_user';
-    try {
-      const cookieHeader = req.headers.cookie || '';
-      const cookieMap = {};
-      cookieHeader.split(';').forEach(c => {
-        const [k, v] = c.split('=');
-        if (k && v) cookieMap[k.trim()] = decodeURIComponent(v.trim());
-      });
-      const arenaToken = cookieMap['arena_token'];
-      if (arenaToken) {
-        const tokenData = verifyToken(arenaToken);
-        if (tokenData && tokenData.email) {
-          userEmail = tokenData.email;
-        }
-      }
-    } catch (_) {}
+    // Authenticated user (legacy non-strict mode falls back to the shared folder)
+    const userEmail = req.user?.email || 'unknown_user';
 
     // Sanitize email for directory name
-    const userDirName = userEmail.replace(/[@.]/g, '_');
-    const userDir = path.join(UPLOADS_DIR, userDirName);
+    const userDirName = getUserDirName(userEmail);
+    const userDir = path.join(getUploadsDir(), userDirName);
 
     // Check if directory exists
     if (!fs.existsSync(userDir)) {
@@ -4360,26 +5208,11 @@ proxyRouter.delete('/api/videos/:videoId', async (req, res) => {
   try {
     const { videoId } = req.params;
 
-    // Get user email from JWT token in cookie
-    let userEmail = 'unknown_user';
-    try {
-      const cookieHeader = req.headers.cookie || '';
-      const cookieMap = {};
-      cookieHeader.split(';').forEach(c => {
-        const [k, v] = c.split('=');
-        if (k && v) cookieMap[k.trim()] = decodeURIComponent(v.trim());
-      });
-      const arenaToken = cookieMap['arena_token'];
-      if (arenaToken) {
-        const tokenData = verifyToken(arenaToken);
-        if (tokenData && tokenData.email) {
-          userEmail = tokenData.email;
-        }
-      }
-    } catch (_) {}
+    // Authenticated user (legacy non-strict mode falls back to the shared folder)
+    const userEmail = req.user?.email || 'unknown_user';
 
-    const userDirName = userEmail.replace(/[@.]/g, '_');
-    const userDir = path.join(UPLOADS_DIR, userDirName);
+    const userDirName = getUserDirName(userEmail);
+    const userDir = path.join(getUploadsDir(), userDirName);
 
     // Resolve video and thumbnail paths
     const videoPath = path.join(userDir, videoId);
@@ -4411,58 +5244,1134 @@ proxyRouter.delete('/api/videos/:videoId', async (req, res) => {
   }
 });
 
-// Add static file serving for uploads directory
-proxyRouter.use('/uploads', express.static(UPLOADS_DIR));
+// Machine-readable WebSocket protocol (see ws-schema.js)
+proxyRouter.get('/api/v1/ws-schema', (req, res) => {
+  res.json({ success: true, schema: wsSchema.describeSchema() });
+});
+
+// ============ Webhook events ============
+// Generation events for the owner's webhooks (see webhooks.js). A session that submitted a
+// prompt carries `generationEvents`; progress and finished videos seen on its page - by the
+// client polling over WebSocket, a job step or the watcher below - turn into events once.
+// The watcher keeps following the generation when nobody polls (e.g. the tab was closed).
+
+const GENERATION_WATCH_INTERVAL_MS = 5000;
+const GENERATION_WATCH_TIMEOUT_MS = 30 * 60 * 1000;
+// Stop watching when the agent has not started generating by then (it probably asked a question)
+const GENERATION_WATCH_START_TIMEOUT_MS = 3 * 60 * 1000;
+
+function getAgentSessionId(page) {
+  const match = /\/agent\/([^/?#]+)/.exec(page.url());
+  return match ? match[1] : null;
+}
+
+function emitGenerationEvent(session, type, data = {}) {
+  const tracker = session.generationEvents;
+  const sessionUrl = session.page.url();
+  webhooks.emitEvent(tracker.owner, type, {
+    sessionId: getAgentSessionId(session.page),
+    sessionUrl: sessionUrl.includes('/agent/') ? sessionUrl : null,
+    jobId: tracker.jobId,
+    ...data
+  });
+}
+
+/**
+ * Starts tracking the generation a prompt submission started, for webhook events
+ * Without webhooks only the submission is noted (for the context pool).
+ * @param {Object} session - User session that submitted the prompt
+ * @param {string} owner - Owner email
+ * @param {Object} options - { jobId, announce: emit generation.started (false when resuming a job) }
+ */
+async function startGenerationEvents(session, owner, { jobId = null, announce = true } = {}) {
+  if (announce) session.generationState = { submittedAt: Date.now(), sawProgress: false, isGenerating: false, checkedAt: Date.now() };
+  if (!webhooks.hasSubscribers(owner)) {
+    session.generationEvents = null;
+    return;
+  }
+  // Videos already in a continued chat are not new; jobs always start a new chat
+  const existingVideos = !jobId && session.page.url().includes('/agent/')
+    ? await extractVideoUrls(session.page).catch(() => [])
+    : [];
+  session.generationEvents = {
+    owner,
+    jobId,
+    startedAt: Date.now(),
+    sawProgress: false,
+    percentage: null,
+    videoUrls: new Set(existingVideos.map(v => v.videoUrl)),
+    ready: false
+  };
+  if (announce) emitGenerationEvent(session, 'generation.started');
+  // Jobs follow their generation themselves
+  if (!jobId) scheduleGenerationWatch(session, session.generationEvents);
+}
+
+// Generation state of the page as last read (by a poll, a page watch check, a job step or the
+// webhook watcher), whether or not the owner has webhooks: the context pool keeps running
+// generations open (see isGenerationRunning)
+function noteGenerationState(session, progress) {
+  const state = session.generationState || { submittedAt: null, sawProgress: false };
+  const isGenerating = !!progress?.isGenerating;
+  session.generationState = { ...state, sawProgress: state.sawProgress || isGenerating, isGenerating, checkedAt: Date.now() };
+}
+
+// Generating as last read, or submitted and not started yet; same time limits as the watcher
+function isGenerationRunning(session, now = Date.now()) {
+  const state = session.generationState;
+  if (!state) return false;
+  if (state.isGenerating) return now - state.checkedAt < GENERATION_WATCH_TIMEOUT_MS;
+  return !state.sawProgress && !!state.submittedAt && now - state.submittedAt < GENERATION_WATCH_START_TIMEOUT_MS;
+}
+
+function reportGenerationProgress(session, progress) {
+  if (!session) return;
+  noteGenerationState(session, progress);
+  const tracker = session.generationEvents;
+  if (!tracker || !progress?.isGenerating) return;
+  tracker.sawProgress = true;
+  if (Number.isFinite(progress.percentage) && progress.percentage !== tracker.percentage) {
+    tracker.percentage = progress.percentage;
+    const { percentage, currentStatus, currentStep, message } = progress;
+    emitGenerationEvent(session, 'generation.progress', { progress: { percentage, currentStatus, currentStep, message } });
+  }
+}
+
+function reportVideosReady(session, videos) {
+  const tracker = session?.generationEvents;
+  if (!tracker || !Array.isArray(videos)) return;
+  for (const video of videos) {
+    if (!video?.videoUrl || tracker.videoUrls.has(video.videoUrl)) continue;
+    tracker.videoUrls.add(video.videoUrl);
+    tracker.ready = true;
+    emitGenerationEvent(session, 'video.ready', {
+      video: { title: extractVideoTitle(video.videoUrl) || video.title || null, videoUrl: video.videoUrl, poster: video.poster || null }
+    });
+  }
+}
+
+// One watcher check per interval, queued behind the session's other browser work
+function scheduleGenerationWatch(session, tracker) {
+  const timer = setTimeout(() => {
+    const sessionKey = session.userEmail;
+    const stale = session.generationEvents !== tracker || userSessions.get(sessionKey) !== session || session.page.isClosed();
+    if (stale || tracker.ready) return;
+    if (Date.now() - tracker.startedAt > GENERATION_WATCH_TIMEOUT_MS ||
+        (!tracker.sawProgress && Date.now() - tracker.startedAt > GENERATION_WATCH_START_TIMEOUT_MS)) {
+      console.log(`⏹️  [${sessionKey}] Stopped watching the generation for webhooks (no result)`);
+      return;
+    }
+    browserQueue.enqueueTask({
+      type: 'watch_generation',
+      sessionKey,
+      owner: tracker.owner,
+      run: async () => {
+        inFlightOperations++;
+        try {
+          const progress = await readGenerationProgress(session.page);
+          reportGenerationProgress(session, progress);
+          if (!progress.isGenerating) reportVideosReady(session, await extractVideoUrls(session.page));
+        } finally {
+          inFlightOperations--;
+        }
+      }
+    })
+      .catch(error => console.warn(`⚠️  [${sessionKey}] Generation watch check failed:`, error.message))
+      .finally(() => scheduleGenerationWatch(session, tracker));
+  }, GENERATION_WATCH_INTERVAL_MS);
+  timer.unref?.();
+}
+
+// Webhook management (REST API)
+
+proxyRouter.get('/api/v1/webhooks', (req, res) => {
+  res.json({ success: true, webhooks: webhooks.listWebhooks(req.user?.email || 'anonymous'), events: webhooks.WEBHOOK_EVENTS });
+});
+
+// Body: { url, events?, description? }; the signing secret is only returned here
+proxyRouter.post('/api/v1/webhooks', (req, res) => {
+  try {
+    const { webhook, secret } = webhooks.createWebhook(req.user?.email || 'anonymous', req.body || {});
+    console.log(`🪝 Webhook ${webhook.id} registered by ${req.user?.email}: ${webhook.url}`);
+    res.status(201).json({ success: true, webhook, secret });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: any of { url, events, description, active }
+proxyRouter.patch('/api/v1/webhooks/:webhookId', (req, res) => {
+  try {
+    const webhook = webhooks.updateWebhook(req.user?.email || 'anonymous', req.params.webhookId, req.body || {});
+    res.json({ success: true, webhook });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+proxyRouter.delete('/api/v1/webhooks/:webhookId', (req, res) => {
+  try {
+    webhooks.deleteWebhook(req.user?.email || 'anonymous', req.params.webhookId);
+    console.log(`🪝 Webhook ${req.params.webhookId} deleted by ${req.user?.email}`);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Sends a webhook.test event; the outcome shows up in the delivery log
+proxyRouter.post('/api/v1/webhooks/:webhookId/test', (req, res) => {
+  try {
+    const delivery = webhooks.sendTestEvent(req.user?.email || 'anonymous', req.params.webhookId);
+    res.status(202).json({ success: true, delivery });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Delivery log, newest first (?status=pending|succeeded|failed&limit=)
+proxyRouter.get('/api/v1/webhooks/:webhookId/deliveries', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const status = ['pending', 'succeeded', 'failed'].includes(req.query.status) ? req.query.status : null;
+    const deliveries = webhooks.listDeliveries(req.user?.email || 'anonymous', req.params.webhookId, { limit, status });
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+proxyRouter.post('/api/v1/webhooks/:webhookId/deliveries/:deliveryId/redeliver', (req, res) => {
+  try {
+    const delivery = webhooks.redeliver(req.user?.email || 'anonymous', req.params.webhookId, req.params.deliveryId);
+    res.status(202).json({ success: true, delivery });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ Page watcher: pushed updates ============
+// Instead of clients polling get_messages / get_generation_progress / get_video_url, a
+// MutationObserver in the HeyGen page reports DOM changes through a context binding. The server
+// then reads the page once per burst of changes and pushes what changed to every subscribed
+// WebSocket client (subscribe_updates): messages_updated, progress_updated and video_ready,
+// with the same payloads as the poll answers.
+
+// Quiet period after the last reported mutation before the page is read
+const PAGE_WATCH_DEBOUNCE_MS = 750;
+// Longest a change waits for its check while mutations keep coming (animated or progress DOM)
+const PAGE_WATCH_MAX_WAIT_MS = 3000;
+// Safety net: also re-read this often without mutations
+const PAGE_WATCH_FALLBACK_MS = 15000;
+const PAGE_CHANGED_BINDING = '__arenaPageChanged';
+
+// sessionKey -> Set<ws>
+const pageUpdateSubscribers = new Map();
+
+// Runs in every document of a watched context; reports mutations at most every 500ms
+const PAGE_OBSERVER_SCRIPT = `(() => {
+  if (window.__arenaPageObserver) return;
+  let timer = null;
+  const notify = () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      window.${PAGE_CHANGED_BINDING}().catch(() => {});
+    }, 500);
+  };
+  const start = () => {
+    if (window.__arenaPageObserver || typeof window.${PAGE_CHANGED_BINDING} !== 'function') return;
+    window.__arenaPageObserver = new MutationObserver(notify);
+    window.__arenaPageObserver.observe(document.documentElement, {
+      childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['src', 'class']
+    });
+    notify();
+  };
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();`;
+
+function resetPageWatchState(watch, agentSessionId) {
+  Object.assign(watch, { agentSessionId, progress: null, messages: null, videoUrls: new Set() });
+}
+
+// Installs the binding and observer on the session's context (once per context)
+async function installPageWatch(sessionKey, session) {
+  if (session.pageWatch) return;
+  session.pageWatch = { debounceTimer: null, fallbackTimer: null, pendingSince: null, checking: false, dirty: false };
+  resetPageWatchState(session.pageWatch, getAgentSessionId(session.page));
+  await session.context.exposeBinding(PAGE_CHANGED_BINDING, () => schedulePageCheck(sessionKey, session));
+  await session.context.addInitScript(PAGE_OBSERVER_SCRIPT);
+  session.page.on('framenavigated', frame => {
+    if (frame !== session.page.mainFrame()) return;
+    const agentSessionId = getAgentSessionId(session.page);
+    // Another chat: diff from scratch
+    if (agentSessionId !== session.pageWatch.agentSessionId) resetPageWatchState(session.pageWatch, agentSessionId);
+    schedulePageCheck(sessionKey, session);
+  });
+  await session.page.evaluate(PAGE_OBSERVER_SCRIPT).catch(() => {});
+}
+
+function pushPageUpdate(sessionKey, action, payload) {
+  const message = JSON.stringify({ v: wsSchema.WS_PROTOCOL_VERSION, success: true, action, ...payload });
+  for (const client of pageUpdateSubscribers.get(sessionKey) || []) {
+    if (client.readyState === client.OPEN) client.send(message);
+  }
+}
+
+function stopPageWatchTimers(watch) {
+  clearInterval(watch.fallbackTimer);
+  clearTimeout(watch.debounceTimer);
+  watch.fallbackTimer = null;
+  watch.pendingSince = null;
+}
+
+// False (and the timers stopped) once the session is closed or replaced (idle cleanup,
+// revocation, ...) or nobody is subscribed any more
+function isPageWatchActive(sessionKey, session) {
+  const watch = session.pageWatch;
+  if (!watch) return false;
+  if (!pageUpdateSubscribers.has(sessionKey) || userSessions.get(sessionKey) !== session || session.page.isClosed()) {
+    stopPageWatchTimers(watch);
+    return false;
+  }
+  return true;
+}
+
+// Debounces reported mutations, but a change never waits longer than PAGE_WATCH_MAX_WAIT_MS:
+// a page that never settles is still read every few seconds
+function schedulePageCheck(sessionKey, session) {
+  if (!isPageWatchActive(sessionKey, session)) return;
+  const watch = session.pageWatch;
+  if (watch.pendingSince === null) watch.pendingSince = Date.now();
+  const maxWaitLeft = watch.pendingSince + PAGE_WATCH_MAX_WAIT_MS - Date.now();
+  clearTimeout(watch.debounceTimer);
+  watch.debounceTimer = setTimeout(() => runPageCheck(sessionKey, session), Math.max(0, Math.min(PAGE_WATCH_DEBOUNCE_MS, maxWaitLeft)));
+}
+
+// One check at a time per session; changes reported meanwhile trigger another one afterwards
+async function runPageCheck(sessionKey, session) {
+  const watch = session.pageWatch;
+  if (watch.checking) {
+    watch.dirty = true;
+    return;
+  }
+  const subscribers = pageUpdateSubscribers.get(sessionKey);
+  if (!subscribers) return;
+
+  watch.checking = true;
+  // Changes reported from here on are not covered by this check
+  watch.pendingSince = null;
+  try {
+    await browserQueue.enqueueTask({
+      type: 'page_updates',
+      sessionKey,
+      owner: sessionPresence.getSessionOwner(sessionKey),
+      run: async () => {
+        if (session.page.isClosed()) return;
+        inFlightOperations++;
+        try {
+          await checkPageUpdates(sessionKey, session);
+          // Subscribed clients wait for these pushes instead of sending actions: keep the
+          // context from being swept as idle
+          session.lastActivity = Date.now();
+        } finally {
+          inFlightOperations--;
+        }
+      }
+    });
+  } catch (error) {
+    console.warn(`⚠️  [${sessionKey}] Page update check failed:`, error.message);
+  } finally {
+    watch.checking = false;
+    if (watch.dirty) {
+      watch.dirty = false;
+      schedulePageCheck(sessionKey, session);
+    }
+  }
+}
+
+// Read the page and push whatever changed since the previous check
+async function checkPageUpdates(sessionKey, session) {
+  const { page, pageWatch: watch } = session;
+  // Videos go to the library of the session's owner, not of whoever watches it
+  const owner = sessionPresence.getSessionOwner(sessionKey);
+
+  const progress = await readGenerationProgress(page);
+  reportGenerationProgress(session, progress);
+  if (JSON.stringify(progress) !== JSON.stringify(watch.progress)) {
+    watch.progress = progress;
+    pushPageUpdate(sessionKey, 'progress_updated', { data: progress });
+  }
+
+  if (page.url().includes('/agent/')) {
+    const fetched = await extractAgentMessages(page);
+    const error = await readAgentError(page);
+    if (error) Object.assign(fetched, { error, hasError: true });
+    if (JSON.stringify(fetched) !== JSON.stringify(watch.messages)) {
+      watch.messages = fetched;
+      // Kept for chat history saving, like the get_messages answer
+      page._extractedMessages = fetched.messages;
+      pushPageUpdate(sessionKey, 'messages_updated', fetched);
+    }
+  }
+
+  if (progress.isGenerating) return;
+  // extractVideoUrls waits for the sidebar, so only call it when an unseen video is on the page
+  const hasNewVideo = await page.evaluate(({ known, videoOrigin }) => [...document.querySelectorAll('video')].some(vid => {
+    const src = vid.src || vid.querySelector('source')?.src || '';
+    return src.startsWith(videoOrigin) && !known.includes(src);
+  }), { known: [...watch.videoUrls], videoOrigin: upstream.getVideoOrigin() });
+  if (!hasNewVideo) return;
+  const videos = await extractVideoUrls(page);
+  reportVideosReady(session, videos);
+  for (const video of videos) {
+    if (watch.videoUrls.has(video.videoUrl)) continue;
+    watch.videoUrls.add(video.videoUrl);
+    const title = extractVideoTitle(video.videoUrl) || video.title || 'Your video is ready!';
+    const videoData = { videoUrl: video.videoUrl, poster: video.poster || '', title };
+    if (!page._videoUrls) page._videoUrls = [];
+    if (!page._videoUrls.some(v => v.videoUrl === video.videoUrl)) page._videoUrls.push(videoData);
+    // Saved like get_video_url does (skipped when the file already exists)
+    saveVideoForUser(owner, video.videoUrl, title)
+      .catch(err => console.error(`❌ [${sessionKey}] Error saving pushed video:`, err.message));
+    pushPageUpdate(sessionKey, 'video_ready', { data: videoData });
+  }
+}
+
+/**
+ * Subscribes a WebSocket client to pushed updates of its browser session
+ * Every subscription starts with a full push of the current state.
+ * @param {Object} ws - WebSocket client
+ * @param {string} sessionKey - Browser session key
+ * @param {Object} session - Browser session
+ */
+async function subscribePageUpdates(ws, sessionKey, session) {
+  if (ws.pageUpdatesKey && ws.pageUpdatesKey !== sessionKey) unsubscribePageUpdates(ws);
+  if (!pageUpdateSubscribers.has(sessionKey)) pageUpdateSubscribers.set(sessionKey, new Set());
+  pageUpdateSubscribers.get(sessionKey).add(ws);
+  ws.pageUpdatesKey = sessionKey;
+  await startPageWatch(sessionKey, session);
+}
+
+// Watches the session's page for its subscribers, starting with a full push of the current state
+async function startPageWatch(sessionKey, session) {
+  await installPageWatch(sessionKey, session);
+  const watch = session.pageWatch;
+  resetPageWatchState(watch, getAgentSessionId(session.page));
+  if (!watch.fallbackTimer) {
+    // Not debounced: mutations must not keep pushing the safety net back
+    watch.fallbackTimer = setInterval(() => {
+      if (isPageWatchActive(sessionKey, session)) runPageCheck(sessionKey, session);
+    }, PAGE_WATCH_FALLBACK_MS);
+  }
+  schedulePageCheck(sessionKey, session);
+}
+
+// Failure reply when no browser context could be opened; a full pool says so (and when to retry)
+function sessionErrorResponse(data, error) {
+  if (error.code === 'CAPACITY_REACHED') {
+    return wsSchema.errorResponse(data, error.code, error.message, { status: error.status });
+  }
+  return wsSchema.errorResponse(data, 'NO_SESSION', 'Failed to create browser session');
+}
+
+function unsubscribePageUpdates(ws) {
+  const sessionKey = ws.pageUpdatesKey;
+  const subscribers = sessionKey && pageUpdateSubscribers.get(sessionKey);
+  ws.pageUpdatesKey = null;
+  if (!subscribers) return;
+  subscribers.delete(ws);
+  if (subscribers.size > 0) return;
+  pageUpdateSubscribers.delete(sessionKey);
+  // The binding stays on the context; without subscribers it no longer triggers page reads
+  const watch = userSessions.get(sessionKey)?.pageWatch;
+  if (watch) stopPageWatchTimers(watch);
+}
+
+// ============ Shared browser sessions: presence and control ============
+// A browser session can have several WebSocket clients (see session-presence.js): the owner's
+// tabs, and teammates watching with a share code. One of them controls the page, the others get
+// the pushed page updates and a `presence` message whenever clients or control change.
+
+// Browser session the client works on: its own, or the one it attached to with a share code
+function getClientSessionKey(ws) {
+  return sessionPresence.getClient(ws)?.sessionKey || ws.user?.sessionKey || 'anonymous';
+}
+
+function getPresenceView(socket, sessionKey) {
+  const presence = sessionPresence.listPresence(sessionKey);
+  const client = sessionPresence.getClient(socket);
+  return {
+    presence: { sessionOwner: sessionPresence.getSessionOwner(sessionKey), ...presence },
+    you: client ? { clientId: client.id, role: presence.controllerId === client.id ? 'controller' : 'observer' } : null
+  };
+}
+
+function broadcastPresence(sessionKey) {
+  for (const socket of sessionPresence.getSockets(sessionKey)) {
+    if (socket.readyState !== socket.OPEN) continue;
+    socket.send(JSON.stringify({
+      v: wsSchema.WS_PROTOCOL_VERSION,
+      success: true,
+      action: 'presence',
+      ...getPresenceView(socket, sessionKey)
+    }));
+  }
+}
+
+// Moves a client to another browser session and tells both sessions
+function moveClient(socket, sessionKey) {
+  const { previousSessionKey } = sessionPresence.attachClient(socket, { sessionKey, email: socket.user?.email || 'anonymous' });
+  if (previousSessionKey && previousSessionKey !== sessionKey) broadcastPresence(previousSessionKey);
+  broadcastPresence(sessionKey);
+}
+
+/**
+ * Handles the presence / control / sharing WebSocket actions
+ * @param {Object} ws - Reply socket of the request (see createReplySocket)
+ * @param {Object} data - Validated request
+ */
+async function handleSessionSharingAction(ws, data) {
+  const socket = ws.socket || ws;
+  try {
+    switch (data.action) {
+      case 'take_control':
+        sessionPresence.takeControl(socket);
+        break;
+      case 'release_control':
+        sessionPresence.releaseControl(socket);
+        break;
+      case 'hand_off_control':
+        sessionPresence.handOffControl(socket, data.clientId);
+        break;
+      case 'share_session': {
+        const share = sessionPresence.createShareCode(socket);
+        console.log(`🤝 [${socket.user?.email}] Shared their browser session (until ${share.expiresAt})`);
+        ws.send(JSON.stringify({ success: true, action: 'share_session', shareCode: share.code, expiresAt: share.expiresAt }));
+        return;
+      }
+      case 'attach_session': {
+        const sessionKey = sessionPresence.redeemShareCode(data.shareCode);
+        const session = userSessions.get(sessionKey);
+        if (!session?.page || session.page.isClosed()) {
+          const error = new Error('The shared browser session is closed');
+          error.status = 404;
+          throw error;
+        }
+        moveClient(socket, sessionKey);
+        await subscribePageUpdates(socket, sessionKey, session);
+        console.log(`👀 [${socket.user?.email}] Watching the browser session of ${sessionPresence.getSessionOwner(sessionKey)}`);
+        break;
+      }
+      case 'detach_session':
+        if (socket.pageUpdatesKey && socket.pageUpdatesKey !== socket.user?.sessionKey) unsubscribePageUpdates(socket);
+        moveClient(socket, socket.user?.sessionKey || 'anonymous');
+        break;
+    }
+
+    const sessionKey = getClientSessionKey(socket);
+    ws.send(JSON.stringify({ success: true, action: data.action, ...getPresenceView(socket, sessionKey) }));
+    if (['take_control', 'release_control', 'hand_off_control'].includes(data.action)) {
+      broadcastPresence(sessionKey);
+    }
+  } catch (error) {
+    if (!error.status) throw error;
+    ws.send(JSON.stringify(wsSchema.errorResponse(data, wsSchema.codeForStatus(error.status), error.message, { status: error.status })));
+  }
+}
+
+// ============ Server-Sent Events: generation session feed ============
+// Read-only alternative to the WebSocket protocol: GET /api/v1/sessions/:sessionId/events
+// streams what WebSocket clients poll for (progress, messages, video URLs) to an EventSource.
+// One feed per user and agent session polls the page and fans out to all of its streams. It
+// reads from a browser session of the user already showing that agent session, or opens a
+// viewer context of its own, closed with the last stream.
+
+const SSE_POLL_INTERVAL_MS = 3000;
+const SSE_HEARTBEAT_MS = 15000;
+const MAX_SSE_STREAMS_PER_USER = 5;
+// Reconnect delay suggested to EventSource clients
+const SSE_RETRY_MS = 5000;
+
+// "owner|sessionId" -> { owner, sessionId, streams: Set<res>, lastEventId, progress, messages, videoUrls, viewerKey, timer, closed }
+const sessionFeeds = new Map();
+
+function isEventStreamRequest(req) {
+  return req.method === 'GET' && /^\/api\/v1\/sessions\/[^/]+\/events$/.test(req.path);
+}
+
+function sendSseEvent(res, event, data, id = null) {
+  res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastFeedEvent(feed, event, data) {
+  feed.lastEventId++;
+  for (const res of feed.streams) sendSseEvent(res, event, data, feed.lastEventId);
+}
+
+// A browser session of the owner currently on this agent session, or the feed's viewer context
+async function getFeedSession(feed) {
+  for (const [sessionKey, session] of userSessions) {
+    const ownSession = sessionKey === feed.owner || sessionKey.startsWith(`${feed.owner}:`);
+    if (ownSession && !session.page.isClosed() && getAgentSessionId(session.page) === feed.sessionId) {
+      return { sessionKey, session };
+    }
+  }
+  feed.viewerKey = `${feed.owner}:viewer:${feed.sessionId}`;
+  const session = await getUserSession(feed.viewerKey);
+  if (getAgentSessionId(session.page) !== feed.sessionId) {
+    console.log(`👀 [SSE] Opening agent session ${feed.sessionId} for ${feed.owner}`);
+    await session.page.goto(upstream.upstreamUrl(`/agent/${feed.sessionId}`), { waitUntil: 'domcontentloaded', timeout: 60000 });
+  }
+  return { sessionKey: feed.viewerKey, session };
+}
+
+// Read the page once and push what changed since the previous check
+async function pollSessionFeed(feed) {
+  const { sessionKey, session } = await getFeedSession(feed);
+  await browserQueue.enqueueTask({
+    type: 'sse_poll',
+    sessionKey,
+    owner: feed.owner,
+    run: async () => {
+      inFlightOperations++;
+      try {
+        const { page } = session;
+        const progress = await readGenerationProgress(page);
+        reportGenerationProgress(session, progress);
+        if (JSON.stringify(progress) !== JSON.stringify(feed.progress)) {
+          feed.progress = progress;
+          broadcastFeedEvent(feed, 'progress', progress);
+        }
+
+        const { messages } = await extractAgentMessages(page);
+        if (JSON.stringify(messages) !== JSON.stringify(feed.messages)) {
+          feed.messages = messages;
+          broadcastFeedEvent(feed, 'messages', { messages });
+        }
+
+        const videos = await extractVideoUrls(page);
+        reportVideosReady(session, videos);
+        for (const video of videos) {
+          if (feed.videoUrls.has(video.videoUrl)) continue;
+          feed.videoUrls.add(video.videoUrl);
+          broadcastFeedEvent(feed, 'video', {
+            videoUrl: video.videoUrl,
+            poster: video.poster || null,
+            title: extractVideoTitle(video.videoUrl) || video.title
+          });
+        }
+      } finally {
+        inFlightOperations--;
+      }
+    }
+  });
+}
+
+function scheduleSessionFeed(feed, delayMs) {
+  feed.timer = setTimeout(async () => {
+    try {
+      await pollSessionFeed(feed);
+    } catch (error) {
+      console.warn(`⚠️  [SSE] Feed ${feed.sessionId} of ${feed.owner} failed to update:`, error.message);
+      broadcastFeedEvent(feed, 'feed_error', { error: error.message, status: error.status || null });
+    }
+    // The last stream may have closed while the page was read (and a viewer context opened)
+    if (feed.closed) {
+      closeFeedViewer(feed);
+    } else {
+      scheduleSessionFeed(feed, SSE_POLL_INTERVAL_MS);
+    }
+  }, delayMs);
+}
+
+function closeSessionFeed(feed) {
+  feed.closed = true;
+  clearTimeout(feed.timer);
+  const key = `${feed.owner}|${feed.sessionId}`;
+  if (sessionFeeds.get(key) === feed) sessionFeeds.delete(key);
+  closeFeedViewer(feed);
+}
+
+async function closeFeedViewer(feed) {
+  if (feed.viewerKey) contextPool.dropSavedState(feed.viewerKey);
+  const viewer = feed.viewerKey && userSessions.get(feed.viewerKey);
+  if (viewer) {
+    userSessions.delete(feed.viewerKey);
+    stopAvatarBoxPolling(viewer);
+    await viewer.context.close().catch(() => {});
+    console.log(`👀 [SSE] Closed viewer context for ${feed.sessionId} (${feed.owner})`);
+  }
+}
+
+// Events: progress, messages ({ messages }), video, feed_error; plus a ready event on connect
+proxyRouter.get('/api/v1/sessions/:sessionId/events', (req, res) => {
+  const owner = req.user?.email || 'anonymous';
+  const { sessionId } = req.params;
+  if (!/^[\w-]+$/.test(sessionId)) {
+    return res.status(400).json({ success: false, error: 'Invalid sessionId' });
+  }
+  if (!browser) {
+    return res.status(503).json({ success: false, error: 'Browser not initialized' });
+  }
+  const openStreams = [...sessionFeeds.values()]
+    .filter(feed => feed.owner === owner)
+    .reduce((count, feed) => count + feed.streams.size, 0);
+  if (openStreams >= MAX_SSE_STREAMS_PER_USER) {
+    return res.status(429).json({ success: false, error: `At most ${MAX_SSE_STREAMS_PER_USER} event streams can be open at the same time` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keep reverse proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const key = `${owner}|${sessionId}`;
+  let feed = sessionFeeds.get(key);
+  const isNewFeed = !feed;
+  if (isNewFeed) {
+    feed = { owner, sessionId, streams: new Set(), lastEventId: 0, progress: null, messages: null, videoUrls: new Set(), viewerKey: null, timer: null, closed: false };
+    sessionFeeds.set(key, feed);
+    console.log(`📡 [SSE] Feed started for session ${sessionId} (${owner})`);
+  }
+  feed.streams.add(res);
+
+  // A late joiner gets the current state right away
+  sendSseEvent(res, 'ready', { sessionId }, feed.lastEventId);
+  if (feed.progress) sendSseEvent(res, 'progress', feed.progress, feed.lastEventId);
+  if (feed.messages) sendSseEvent(res, 'messages', { messages: feed.messages }, feed.lastEventId);
+  if (isNewFeed) scheduleSessionFeed(feed, 0);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    feed.streams.delete(res);
+    if (feed.streams.size === 0) closeSessionFeed(feed);
+  });
+});
+
+// ============ Public REST API: video generation jobs ============
+// POST a prompt, poll the job, download the video. Each job drives its own browser context
+// from submission to the saved file, so API clients never need the WebSocket protocol.
+// A job advances in short durable queue tasks (submit, then one progress check every few
+// seconds), so it shares the browser fairly with interactive users and survives restarts.
+
+const MAX_ACTIVE_JOBS_PER_USER = 3;
+const MAX_JOB_ATTACHMENTS = 10;
+const MAX_PROMPT_LENGTH = 5000;
+const JOB_POLL_INTERVAL_MS = 5000;
+// Overall limit for one job, from submission to the saved file
+const JOB_TIMEOUT_MS = 30 * 60 * 1000;
+// Without any progress by then the agent most likely answered with a question instead of generating
+const JOB_START_TIMEOUT_MS = 3 * 60 * 1000;
+// Attachments are kept here until the job has submitted them (so a queued job survives a restart)
+function jobUploadsDir() {
+  return dataPath('job-uploads');
+}
+
+function getJobSessionKey(job) {
+  return `${job.owner}:job:${job.id}`;
+}
+
+// The job's browser session; reopened on the agent page if it was closed meanwhile
+// (upstream rotation, restart) - the generation itself keeps running at HeyGen
+async function getJobSession(job) {
+  const sessionKey = getJobSessionKey(job);
+  const existing = userSessions.get(sessionKey);
+  if (existing && !existing.page.isClosed()) {
+    existing.lastActivity = Date.now();
+    return existing;
+  }
+  console.log(`🔁 [job ${job.id}] Reopening browser context on ${job.sessionUrl}`);
+  const session = await getUserSession(sessionKey);
+  await session.page.goto(job.sessionUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+  return session;
+}
+
+// Close the job's browser context and drop its attachments
+async function cleanupVideoJob(job) {
+  const sessionKey = getJobSessionKey(job);
+  contextPool.dropSavedState(sessionKey);
+  const session = userSessions.get(sessionKey);
+  if (session) {
+    userSessions.delete(sessionKey);
+    stopAvatarBoxPolling(session);
+    await session.context.close().catch(() => {});
+  }
+  fs.promises.rm(path.join(jobUploadsDir(), job.id), { recursive: true, force: true }).catch(() => {});
+}
+
+/**
+ * Queues the next step of a job; the step runs later as its own task
+ * @param {Object} job - Video job
+ * @param {number} delayMs - Delay before the step may start
+ * @throws {Error} When the queue refuses the step (status 429: the owner has too many queued
+ *   browser operations); nothing was queued then
+ */
+function scheduleVideoJobStep(job, delayMs = 0) {
+  const task = {
+    type: 'video_job',
+    sessionKey: getJobSessionKey(job),
+    owner: job.owner,
+    payload: { jobId: job.id },
+    runAt: delayMs > 0 ? new Date(Date.now() + delayMs).toISOString() : null
+  };
+  const refusal = browserQueue.checkEnqueue(task);
+  if (refusal) throw refusal;
+  // Steps report their own failures (runVideoJobStep, onFailed)
+  browserQueue.enqueueTask(task).catch(() => {});
+}
+
+// Queues the next poll of a running job; while the owner's queue is full it tries again later,
+// until the job times out
+function scheduleNextVideoJobStep(jobId) {
+  const job = videoJobs.getJob(jobId);
+  if (!job || job.status === 'completed' || job.status === 'failed') return;
+  try {
+    scheduleVideoJobStep(job, JOB_POLL_INTERVAL_MS);
+  } catch (error) {
+    if (job.startedAt && Date.now() - new Date(job.startedAt).getTime() > JOB_TIMEOUT_MS) {
+      failVideoJob(jobId, 'Timed out waiting for the video');
+      return;
+    }
+    console.warn(`⚠️  [job ${job.id}] Next check not queued (${error.message}), retrying`);
+    setTimeout(() => scheduleNextVideoJobStep(jobId), JOB_POLL_INTERVAL_MS).unref();
+  }
+}
+
+async function failVideoJob(jobId, message) {
+  // Looked up again: the job may have finished or been removed while the failing step ran
+  const job = videoJobs.getJob(jobId);
+  if (!job || job.status === 'completed' || job.status === 'failed') return;
+  console.error(`❌ [job ${job.id}] Failed:`, message);
+  videoJobs.updateJob(job.id, { status: 'failed', error: message });
+  await cleanupVideoJob(job);
+}
+
+// Attach the files and submit the prompt
+async function submitVideoJob(job) {
+  videoJobs.updateJob(job.id, { status: 'submitting', startedAt: new Date().toISOString() });
+  const session = await getUserSession(getJobSessionKey(job));
+  const uploadDir = path.join(jobUploadsDir(), job.id);
+  const fileData = job.attachments.map((name, index) => ({ name, tempPath: path.join(uploadDir, `${index}`) }));
+  if (fileData.length > 0) {
+    if (!(await attachFilesOnHome(session, fileData))) {
+      throw new Error('Failed to attach files');
+    }
+    // Give HeyGen time to process the attachments before submitting
+    await session.page.waitForTimeout(3000);
+  }
+  const { sessionUrl } = await submitPromptInSession(session, job.prompt, { startNewChat: true, userEmail: job.owner });
+  await startGenerationEvents(session, job.owner, { jobId: job.id });
+  videoJobs.updateJob(job.id, {
+    status: 'generating',
+    sessionUrl,
+    heygenSessionId: session.heygenSessionId,
+    submittedAt: new Date().toISOString()
+  });
+  fs.promises.rm(uploadDir, { recursive: true, force: true }).catch(() => {});
+  console.log(`🎬 [job ${job.id}] Prompt submitted for ${job.owner}: ${sessionUrl}`);
+}
+
+// One progress check; returns the finished video once there is one
+async function checkVideoJob(job) {
+  const session = await getJobSession(job);
+  const { page } = session;
+  if (!session.generationEvents) {
+    // Reopened context (e.g. after a restart): keep sending webhook events without repeating generation.started
+    await startGenerationEvents(session, job.owner, { jobId: job.id, announce: false });
+  }
+  const progress = await readGenerationProgress(page);
+  reportGenerationProgress(session, progress);
+  if (progress.isGenerating) {
+    const { isGenerating, ...details } = progress;
+    videoJobs.updateJob(job.id, { progress: details });
+    return null;
+  }
+  const videos = await extractVideoUrls(page);
+  reportVideosReady(session, videos);
+  if (videos.length > 0) return videos[videos.length - 1];
+
+  if (!job.progress && Date.now() - new Date(job.submittedAt).getTime() > JOB_START_TIMEOUT_MS) {
+    throw new Error(`Generation did not start; the agent may be waiting for an answer at ${job.sessionUrl}`);
+  }
+  return null;
+}
+
+// Save the finished video into the owner's uploads; deduplicated by video hash, so running
+// this again after a restart in the 'saving' state is harmless
+async function saveVideoJob(job, video) {
+  const result = { title: extractVideoTitle(video.videoUrl) || video.title, videoUrl: video.videoUrl, poster: video.poster || null };
+  videoJobs.updateJob(job.id, { status: 'saving', result });
+  const saved = await saveVideoForUser(job.owner, result.videoUrl, result.title);
+  videoJobs.updateJob(job.id, { status: 'completed', progress: { percentage: 100 }, result: { ...result, filename: saved.filename } });
+  console.log(`✅ [job ${job.id}] Video saved for ${job.owner}: ${saved.filename}`);
+  await cleanupVideoJob(job);
+}
+
+/**
+ * Advances a job by one step (queue handler); the next step is queued before returning
+ * @param {Object} payload - { jobId }
+ */
+async function runVideoJobStep({ jobId }) {
+  const job = videoJobs.getJob(jobId);
+  if (!job || job.status === 'completed' || job.status === 'failed') return;
+  // Its upstream account is being rotated: wait for it instead of failing on the closed context
+  if (drainingAccountId && upstreamAccounts.getAssignedAccountId(job.owner) === drainingAccountId) {
+    return scheduleNextVideoJobStep(jobId);
+  }
+
+  inFlightOperations++;
+  try {
+    if (job.status === 'submitting') {
+      // Only seen after a restart: we cannot tell whether the prompt reached HeyGen, and
+      // submitting again could start a second video
+      return await failVideoJob(jobId, 'Interrupted while submitting the prompt, please create a new job');
+    }
+    if (job.startedAt && Date.now() - new Date(job.startedAt).getTime() > JOB_TIMEOUT_MS) {
+      return await failVideoJob(jobId, 'Timed out waiting for the video');
+    }
+
+    if (job.status === 'saving') {
+      return await saveVideoJob(job, job.result);
+    }
+    if (job.status === 'queued') {
+      await submitVideoJob(job);
+    } else {
+      const video = await checkVideoJob(job);
+      if (video) return await saveVideoJob(job, video);
+    }
+    // The next step runs as its own task once this one has released the session
+    scheduleNextVideoJobStep(jobId);
+  } catch (error) {
+    await failVideoJob(jobId, error.message);
+  } finally {
+    inFlightOperations--;
+  }
+}
+
+browserQueue.registerTaskHandler('video_job', {
+  run: runVideoJobStep,
+  onFailed: ({ jobId }, error) => {
+    failVideoJob(jobId, error.message);
+  }
+});
+
+// Create a job: JSON { prompt } or multipart with a `prompt` field and file attachments
+proxyRouter.post('/api/v1/jobs', async (req, res) => {
+  const owner = req.user?.email || 'anonymous';
+  const prompt = typeof req.body?.prompt === 'string' ? req.body.prompt.trim() : '';
+  const files = Object.values(req.files || {}).flat();
+  const discardUploads = () => files.forEach(file => fs.promises.unlink(file.tempFilePath).catch(() => {}));
+
+  if (!prompt) {
+    discardUploads();
+    return res.status(400).json({ success: false, error: 'Prompt is required' });
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    discardUploads();
+    return res.status(400).json({ success: false, error: `Prompt must be at most ${MAX_PROMPT_LENGTH} characters` });
+  }
+  if (files.length > MAX_JOB_ATTACHMENTS) {
+    discardUploads();
+    return res.status(400).json({ success: false, error: `At most ${MAX_JOB_ATTACHMENTS} attachments are allowed` });
+  }
+  if (!browser) {
+    discardUploads();
+    return res.status(503).json({ success: false, error: 'Browser not initialized' });
+  }
+  if (videoJobs.countActiveJobs(owner) >= MAX_ACTIVE_JOBS_PER_USER) {
+    discardUploads();
+    return res.status(429).json({ success: false, error: `At most ${MAX_ACTIVE_JOBS_PER_USER} jobs can run at the same time` });
+  }
+  // Answer now rather than create a job that cannot be queued
+  const refusal = browserQueue.checkEnqueue({ type: 'video_job', owner });
+  if (refusal) {
+    discardUploads();
+    if (refusal.status === 503) res.set('Retry-After', '30');
+    return res.status(refusal.status || 500).json({ success: false, error: refusal.message });
+  }
+
+  let job = null;
+  try {
+    job = videoJobs.createJob({ owner, prompt, attachments: files.map(file => file.name) });
+    const uploadDir = path.join(jobUploadsDir(), job.id);
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+    await Promise.all(files.map((file, index) => file.mv(path.join(uploadDir, `${index}`))));
+    // Refused only if the owner queued more browser work while the files were moved
+    scheduleVideoJobStep(job);
+    console.log(`📥 [job ${job.id}] Queued for ${owner}${files.length ? ` with ${files.length} attachment(s)` : ''}`);
+    res.status(202).location(`/proxy/api/v1/jobs/${job.id}`).json({ success: true, job: toPublicJobWithQueue(job) });
+  } catch (error) {
+    discardUploads();
+    if (job) await failVideoJob(job.id, error.message);
+    console.error('❌ Error creating job:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Adds the queue position while a job waits for its turn
+function toPublicJobWithQueue(job) {
+  const publicJob = videoJobs.toPublicJob(job);
+  if (job.status === 'queued') {
+    publicJob.queuePosition = browserQueue.getQueuePosition(task => task.payload?.jobId === job.id);
+  }
+  return publicJob;
+}
+
+proxyRouter.get('/api/v1/jobs', (req, res) => {
+  const owner = req.user?.email || 'anonymous';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json({ success: true, jobs: videoJobs.listJobs(owner, { limit }).map(toPublicJobWithQueue) });
+});
+
+// Jobs of other users are reported as missing
+function findOwnJob(req, res) {
+  const job = videoJobs.getJob(req.params.jobId);
+  if (!job || job.owner !== (req.user?.email || 'anonymous')) {
+    res.status(404).json({ success: false, error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+proxyRouter.get('/api/v1/jobs/:jobId', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (job) res.json({ success: true, job: toPublicJobWithQueue(job) });
+});
+
+// Download the saved video of a completed job
+proxyRouter.get('/api/v1/jobs/:jobId/video', (req, res) => {
+  const job = findOwnJob(req, res);
+  if (!job) return;
+  if (job.status !== 'completed') {
+    return res.status(409).json({ success: false, error: 'Video is not ready', status: job.status });
+  }
+  const filePath = path.join(getUploadsDir(), getUserDirName(job.owner), job.result.filename);
+  if (!fs.existsSync(filePath)) {
+    return res.status(410).json({ success: false, error: 'Video file was deleted' });
+  }
+  res.download(filePath, job.result.filename);
+});
+
+// Add static file serving for uploads directory (users can only read their own folder in strict mode)
+// The static handler decodes the path itself, so the check runs on the decoded, resolved path:
+// encoded separators and '..' segments are refused outright, and the file must lie in the folder.
+proxyRouter.use('/uploads', (req, res, next) => {
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(req.path);
+  } catch (_) {
+    return res.status(400).json({ success: false, error: 'Invalid path' });
+  }
+  const uploadsDir = getUploadsDir();
+  const allowedDir = STRICT_AUTH ? path.join(uploadsDir, getUserDirName(req.user.email)) : uploadsDir;
+  const filePath = path.resolve(uploadsDir, `.${decodedPath}`);
+  const traversal = /%2f|%5c/i.test(req.path) || decodedPath.split(/[\\/]/).includes('..');
+  if (traversal || !filePath.startsWith(allowedDir + path.sep)) {
+    return res.status(403).json({ success: false, error: 'Forbidden' });
+  }
+  next();
+}, express.static(getUploadsDir()));
+
+/**
+ * Starts a standalone proxy server: the proxy routes under /proxy and the WebSocket on one port
+ * Mount more routes (e.g. the auth API under /auth) on the returned app.
+ * @param {number} port - Port to listen on (0 picks a free one)
+ * @returns {Promise<{ app, server, browser, wss, port: number, close: Function }>}
+ */
+async function createProxyServer(port = PORT) {
+  app.use('/proxy', proxyRouter);
+  const httpServer = createServer(app);
+  await initBrowser(httpServer);
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, resolve);
+  });
+
+  return {
+    app,
+    server: httpServer,
+    // Replaced when the browser is relaunched after a crash
+    get browser() {
+      return browser;
+    },
+    wss,
+    port: httpServer.address().port,
+    // Disconnects the clients, closes every browser context and the browser, then the server
+    async close() {
+      browserShuttingDown = true;
+      stopContextSweeper();
+      // Nothing new starts (durable tasks stay saved for the next start)
+      browserQueue.pauseQueue();
+      for (const client of wss.clients) client.terminate();
+      await closeAllUserSessions();
+      if (browser) await browser.close();
+      browser = null;
+      await new Promise(resolve => httpServer.close(() => resolve()));
+    }
+  };
+}
 
 // If run directly, start the browser and server (legacy mode)
 if (import.meta.url === `file://${process.argv[1]}`) {
-  initBrowser().then(() => {
-    const server = createServer(app);
-    server.listen(PORT, () => {
-      console.log(`🚀 Server running on port ${PORT}`);
-      console.log(`🌐 WebSocket server running on ws://localhost:${PORT}`);
-      console.log(`📁 Using data directory: ${__dirname}/data`);
-      console.log(`🔒 JWT secret: ${process.env.AUTH_SECRET ? 'Set' : 'Not set'}`);
-      
-      // Test chatStorage functions
-      (async () => {
-        try {
-          console.log('🧪 Testing chat storage functions...');
-          const testChatId = 'test_chat_' + Date.now();
-          const testMessages = [
-            { role: 'user', text: 'Hello, world!', timestamp: new Date().toISOString() },
-            { role: 'assistant', text: 'Hi there!', timestamp: new Date().toISOString() }
-          ];
-          const testUserEmail = 'test@example.com';
+  try {
+    assertProductionSecrets();
+  } catch (err) {
+    console.error('❌ Refusing to start:', err.message);
+    process.exit(1);
+  }
+  createProxyServer(PORT).then(() => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`🌐 WebSocket server running on ws://localhost:${PORT}`);
+    console.log(`📁 Using data directory: ${getDataDir()}`);
+    console.log(`🔒 JWT signing key: ${getSigningKey().kid}`);
+    
+    // Test chatStorage functions
+    (async () => {
+      try {
+        console.log('🧪 Testing chat storage functions...');
+        const testChatId = 'test_chat_' + Date.now();
+        const testMessages = [
+          { role: 'user', text: 'Hello, world!', timestamp: new Date().toISOString() },
+          { role: 'assistant', text: 'Hi there!', timestamp: new Date().toISOString() }
+        ];
+        const testUserEmail = 'test@example.com';
+        
+        console.log('💾 Saving test chat to user directory...');
+        const result = await chatStorage.updateChat(testChatId, testMessages, testUserEmail);
+        if (result) {
+          console.log('✅ Test chat saved successfully:', result);
           
-          console.log('💾 Saving test chat to user directory...');
-          const result = await chatStorage.updateChat(testChatId, testMessages, testUserEmail);
-          if (result) {
-            console.log('✅ Test chat saved successfully:', result);
-            
-            // Try to load it back
-            const loaded = await chatStorage.getChatById(testChatId, testUserEmail);
-            console.log('📝 Loaded test chat:', JSON.stringify(loaded, null, 2));
-          } else {
-            console.error('❌ Failed to save test chat');
-          }
-        } catch (error) {
-          console.error('❌ Error testing chat storage:', error);
+          // Try to load it back
+          const loaded = await chatStorage.getChatById(testChatId, testUserEmail);
+          console.log('📝 Loaded test chat:', JSON.stringify(loaded, null, 2));
+        } else {
+          console.error('❌ Failed to save test chat');
         }
-      })();
-    });
+      } catch (error) {
+        console.error('❌ Error testing chat storage:', error);
+      }
+    })();
   });
 }
 
 // Cleanup on exit
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down...');
+  browserShuttingDown = true;
   
   // Close all user sessions
   console.log(`🧹 Closing ${userSessions.size} user sessions...`);
   for (const [email, session] of userSessions) {
     try {
-      stopAvatarBoxPolling(session);
+      stopSessionTimers(session);
       await session.page.close();
       await session.context.close();
       console.log(`  ✅ Closed session for: ${email}`);
@@ -0,0 +1,49 @@
+// Rotate the arena_token signing key
+// Usage:
+//   npm run rotate-signing-key                       # new key, previous keys verify for 60 more minutes
+//   npm run rotate-signing-key -- --grace-minutes 0  # retire previous keys immediately (logs out tokens signed with them)
+//   npm run rotate-signing-key -- --list             # show keys without secrets
+// Running servers pick up data/signing-keys.json automatically; no restart needed.
+
+import dotenv from 'dotenv';
+import { rotateSigningKey, listSigningKeys } from './signing-keys.js';
+
+dotenv.config();
+
+function printKeys() {
+  console.log('🔑 Signing keys:');
+  for (const key of listSigningKeys()) {
+    const created = key.createdAt ? ` created ${key.createdAt}` : ' (AUTH_SECRET)';
+    const retires = key.retiresAt ? `, retires ${key.retiresAt}` : '';
+    console.log(`   ${key.status.padEnd(8)} ${key.kid}${created}${retires}`);
+  }
+}
+
+const args = process.argv.slice(2);
+
+if (args.includes('--list')) {
+  printKeys();
+  process.exit(0);
+}
+
+const graceIndex = args.indexOf('--grace-minutes');
+let graceMinutes = 60;
+if (graceIndex !== -1) {
+  graceMinutes = Number(args[graceIndex + 1]);
+  if (!Number.isFinite(graceMinutes) || graceMinutes < 0) {
+    console.error('❌ --grace-minutes expects a number >= 0');
+    process.exit(1);
+  }
+}
+
+try {
+  const { kid, retired } = rotateSigningKey({ graceMs: graceMinutes * 60 * 1000 });
+  console.log(`✅ New signing key: ${kid}`);
+  for (const key of retired) {
+    console.log(`   ⏳ ${key.kid} keeps verifying until ${key.retiresAt}`);
+  }
+  printKeys();
+} catch (err) {
+  console.error('❌ Failed to rotate signing key:', err.message);
+  process.exit(1);
+}
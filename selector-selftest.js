@@ -0,0 +1,92 @@
+// Check the DOM selector registry (selectors.js) against the live upstream UI
+// Usage:
+//   npm run selftest                          # home page, with the first upstream account's cookies
+//   npm run selftest -- --agent <sessionId>   # also check an agent page (best with a finished video)
+//   npm run selftest -- --account <id>        # use another upstream account
+// UPSTREAM_TARGET checks another origin, e.g. the fixture site (npm run fixture).
+// Exits with 1 when an element that should always be there no longer resolves, 2 when the
+// page could not be loaded (e.g. expired cookies).
+
+import dotenv from 'dotenv';
+import { chromium } from 'playwright';
+import { SELECTORS_VERSION, anyOf, checkPage } from './selectors.js';
+import * as upstreamAccounts from './upstream-accounts.js';
+import { upstreamUrl } from './upstream-target.js';
+
+dotenv.config();
+
+const STATUS_ICONS = { ok: '✅', fallback: '⚠️ ', absent: '➖', missing: '❌' };
+
+const args = process.argv.slice(2);
+function argValue(flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? null : args[index + 1];
+}
+
+const accountId = argValue('--account') || upstreamAccounts.getAccounts()[0].id;
+const agentSessionId = argValue('--agent');
+
+const pages = [{ name: 'home', url: upstreamUrl('/home') }];
+if (agentSessionId) pages.push({ name: 'agent', url: upstreamUrl(`/agent/${encodeURIComponent(agentSessionId)}`) });
+
+function printReport(report) {
+  console.log(`🔎 Selector self-test (registry v${report.version}, account ${report.account})`);
+  for (const page of report.pages) {
+    console.log(`\n   ${page.name}: ${page.url}`);
+    if (page.error) {
+      console.log(`   ❌ ${page.error}`);
+      continue;
+    }
+    for (const result of page.results) {
+      const detail = result.selector ? `${result.selector} (${result.matches})` : result.status;
+      console.log(`   ${STATUS_ICONS[result.status]} ${result.name.padEnd(20)} ${detail}`);
+    }
+  }
+}
+
+async function run() {
+  const cookieData = upstreamAccounts.readAccountCookies(accountId);
+  const cookies = cookieData ? cookieData.cookies : [];
+  // The fixture site (UPSTREAM_TARGET) needs none; HeyGen redirects to its login page without them
+  if (cookies.length === 0) {
+    console.warn(`⚠️  No saved cookies for upstream account ${accountId} - log in through the auth server first`);
+  }
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  });
+  const report = { version: SELECTORS_VERSION, account: accountId, pages: [] };
+
+  try {
+    const context = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+    if (cookies.length > 0) await context.addCookies(cookies);
+    const page = await context.newPage();
+
+    for (const { name, url } of pages) {
+      try {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        // The app renders client-side: wait for the prompt box before looking around
+        await page.waitForSelector(anyOf('promptInput'), { timeout: 30000 }).catch(() => {});
+        if (!page.url().startsWith(url)) {
+          throw new Error(`Redirected to ${page.url()} - cookies expired?`);
+        }
+        report.pages.push({ name, url, results: await checkPage(page, name) });
+      } catch (err) {
+        report.pages.push({ name, url, error: err.message });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  printReport(report);
+
+  if (report.pages.some(page => page.error)) process.exit(2);
+  if (report.pages.some(page => page.results.some(result => result.status === 'missing'))) process.exit(1);
+}
+
+run().catch(err => {
+  console.error('❌ Selector self-test failed:', err.message);
+  process.exit(2);
+});
@@ -0,0 +1,194 @@
+// DOM selectors for the upstream HeyGen UI
+// Every element the proxy reads or drives is registered here under a logical name, with an
+// ordered list of candidate selectors: the first one is what the UI uses today, the others are
+// looser fallbacks that keep things working (with a warning) when the classes change.
+// Bump SELECTORS_VERSION whenever the candidates change so self-test reports can be compared.
+//
+// `npm run selftest` loads the upstream pages and reports which logical elements still resolve.
+
+const SELECTORS_VERSION = 1;
+
+// pages: upstream pages the element lives on ('home' = /home, 'agent' = /agent/<id>)
+// transient: only present at some point of a generation, so absence is not breakage
+// probe: candidates the self-test uses instead, for selectors that depend on page state
+const SELECTORS = {
+  promptInput: {
+    description: 'Prompt textarea',
+    pages: ['home', 'agent'],
+    candidates: [
+      'textarea.tw-resize-none',
+      'textarea[placeholder]',
+      'div[contenteditable="true"]'
+    ]
+  },
+  submitButton: {
+    description: 'Enabled send button next to the prompt',
+    pages: ['home', 'agent'],
+    candidates: [
+      'button[data-loading="false"].tw-bg-brand:not([disabled])',
+      'button.tw-bg-brand[type="submit"]:not([disabled])'
+    ],
+    // Disabled until a prompt is typed
+    probe: [
+      'button[data-loading].tw-bg-brand',
+      'button.tw-bg-brand[type="submit"]'
+    ]
+  },
+  fileInput: {
+    description: 'Attachment file input',
+    pages: ['home', 'agent'],
+    candidates: [
+      'input[type="file"][accept*="image"]',
+      'input[type="file"][accept*="jpg"]',
+      'input[type="file"][accept*="png"]',
+      'input[type="file"]'
+    ]
+  },
+  avatarBoxClose: {
+    description: 'Close icon of the avatar picker on the home page',
+    pages: ['home'],
+    transient: true,
+    candidates: [
+      'iconpark-icon[name="close"][theme="filled"]'
+    ]
+  },
+  progressCard: {
+    description: 'Generation progress card',
+    pages: ['agent'],
+    transient: true,
+    candidates: [
+      'div.tw-flex.tw-flex-col.tw-items-stretch.tw-gap-4.tw-rounded-2xl.tw-border.tw-border-line.tw-bg-fill-general.tw-p-4.tw-relative.tw-cursor-pointer.tw-group',
+      'div.tw-rounded-2xl.tw-border-line.tw-cursor-pointer.tw-group'
+    ]
+  },
+  progressPercentage: {
+    description: 'Percentage label of the progress card',
+    pages: ['agent'],
+    transient: true,
+    candidates: [
+      'span.tw-font-semibold.tw-text-textTitleRev'
+    ]
+  },
+  videoElement: {
+    description: 'Generated video player',
+    pages: ['agent'],
+    transient: true,
+    candidates: [
+      'video.css-uwwqev',
+      'video'
+    ]
+  },
+  videoCard: {
+    description: 'Video card in the chat',
+    pages: ['agent'],
+    transient: true,
+    candidates: [
+      'div.tw-border-brand.tw-bg-more-brandLighter'
+    ]
+  },
+  agentError: {
+    description: 'Error banner in the chat',
+    pages: ['agent'],
+    transient: true,
+    candidates: [
+      '.tw-bg-more-redLighter'
+    ]
+  }
+};
+
+// Logical elements we already warned about falling back for (once per process)
+const warnedFallbacks = new Set();
+
+function getEntry(name) {
+  const entry = SELECTORS[name];
+  if (!entry) throw new Error(`Unknown selector: ${name}`);
+  return entry;
+}
+
+/**
+ * Candidate selectors of a logical element, best first
+ * Pass these into page.evaluate() for lookups that run in the page.
+ * @param {string} name - Logical element name
+ * @returns {Array<string>}
+ */
+function getCandidates(name) {
+  return [...getEntry(name).candidates];
+}
+
+// One CSS selector list matching any candidate (for waits where any match will do)
+function anyOf(name) {
+  return getEntry(name).candidates.join(', ');
+}
+
+function warnFallback(name, selector) {
+  if (warnedFallbacks.has(name)) return;
+  warnedFallbacks.add(name);
+  console.warn(`⚠️  Selector '${name}' resolved through fallback '${selector}' - upstream UI changed? Run npm run selftest`);
+}
+
+/**
+ * Waits for a logical element and returns the best candidate selector that matches it
+ * @param {Object} page - Playwright page
+ * @param {string} name - Logical element name
+ * @param {Object} options - { state: Playwright wait state, timeout }
+ * @returns {Promise<string>} Selector to use with page.locator() / page.fill()
+ */
+async function waitForElement(page, name, { state = 'visible', timeout = 10000 } = {}) {
+  const { candidates } = getEntry(name);
+  await page.waitForSelector(anyOf(name), { state, timeout });
+
+  for (const [index, selector] of candidates.entries()) {
+    const locator = page.locator(selector).first();
+    const matches = state === 'visible' ? await locator.isVisible() : await locator.count() > 0;
+    if (matches) {
+      if (index > 0) warnFallback(name, selector);
+      return selector;
+    }
+  }
+  // Matched while waiting but gone again: hand back the primary selector and let the caller fail on it
+  return candidates[0];
+}
+
+/**
+ * Checks which logical elements of a page resolve
+ * @param {Object} page - Playwright page, already loaded
+ * @param {string} pageName - 'home' or 'agent'
+ * @returns {Promise<Array<Object>>} [{ name, description, status, selector, fallback, matches }]
+ *   status: 'ok', 'fallback' (only a looser candidate matched), 'absent' (transient element
+ *   not on the page right now) or 'missing' (nothing matched - the UI changed)
+ */
+async function checkPage(page, pageName) {
+  const entries = Object.entries(SELECTORS).filter(([, entry]) => entry.pages.includes(pageName));
+  const results = [];
+
+  for (const [name, entry] of entries) {
+    const candidates = entry.probe || entry.candidates;
+    const counts = await page.evaluate(
+      list => list.map(selector => document.querySelectorAll(selector).length),
+      candidates
+    );
+    const index = counts.findIndex(count => count > 0);
+    let status = 'ok';
+    if (index === -1) status = entry.transient ? 'absent' : 'missing';
+    else if (index > 0) status = 'fallback';
+
+    results.push({
+      name,
+      description: entry.description,
+      status,
+      selector: index === -1 ? null : candidates[index],
+      fallback: index > 0,
+      matches: index === -1 ? 0 : counts[index]
+    });
+  }
+  return results;
+}
+
+export {
+  SELECTORS_VERSION,
+  SELECTORS,
+  getCandidates,
+  anyOf,
+  waitForElement,
+  checkPage
+};
@@ -0,0 +1,189 @@
+// Who is attached to which browser session
+// Several WebSocket clients can share one browser session (e.g. a user's tabs, or a teammate
+// watching a generation). Exactly one of them controls the page; the others observe: they get the
+// pushed updates but cannot run actions that drive the page. Control only moves explicitly
+// (take / release / hand off), except that it passes to the newest owner client when the
+// controller disconnects, so a reloaded tab gets it back.
+//
+// Clients of the session's owner attach on connect. Other users attach as observers with a share
+// code the owner created. Everything lives in memory: sockets do not survive a restart either.
+
+import crypto from 'crypto';
+
+const SHARE_CODE_TTL_MS = 60 * 60 * 1000;
+
+// sessionKey -> { clients: Map<clientId, client>, controllerId }
+const sessions = new Map();
+// socket -> client { id, socket, email, sessionKey, owner, attachedAt }
+const clientsBySocket = new Map();
+// code -> { sessionKey, createdBy, expiresAt }
+const shareCodes = new Map();
+
+function presenceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Email part of an "email:sessionId" key
+function getSessionOwner(sessionKey) {
+  return String(sessionKey).split(':')[0];
+}
+
+function getClient(socket) {
+  return clientsBySocket.get(socket) || null;
+}
+
+function isController(socket) {
+  const client = getClient(socket);
+  return !!client && sessions.get(client.sessionKey)?.controllerId === client.id;
+}
+
+/**
+ * Attaches a client to a browser session, detaching it from its previous one
+ * An owner client takes control when nobody has it; other users always observe.
+ * @param {Object} socket - WebSocket client
+ * @param {Object} params - { sessionKey, email }
+ * @returns {{ client: Object, previousSessionKey: string|null }}
+ */
+function attachClient(socket, { sessionKey, email }) {
+  const previous = detachClient(socket);
+  if (!sessions.has(sessionKey)) sessions.set(sessionKey, { clients: new Map(), controllerId: null });
+  const entry = sessions.get(sessionKey);
+
+  const client = {
+    id: crypto.randomUUID(),
+    socket,
+    email,
+    sessionKey,
+    owner: email === getSessionOwner(sessionKey),
+    attachedAt: new Date().toISOString()
+  };
+  entry.clients.set(client.id, client);
+  clientsBySocket.set(socket, client);
+  if (client.owner && !entry.controllerId) entry.controllerId = client.id;
+  return { client, previousSessionKey: previous?.sessionKey || null };
+}
+
+/**
+ * Detaches a client (socket closed, or moving to another session)
+ * @param {Object} socket - WebSocket client
+ * @returns {{ sessionKey: string }|null} The session it left
+ */
+function detachClient(socket) {
+  const client = getClient(socket);
+  if (!client) return null;
+  clientsBySocket.delete(socket);
+  const entry = sessions.get(client.sessionKey);
+  entry.clients.delete(client.id);
+
+  if (entry.controllerId === client.id) {
+    const owners = [...entry.clients.values()].filter(c => c.owner);
+    entry.controllerId = owners.length > 0 ? owners[owners.length - 1].id : null;
+  }
+  if (entry.clients.size === 0) sessions.delete(client.sessionKey);
+  return { sessionKey: client.sessionKey };
+}
+
+/**
+ * Gives control to a client of the session's owner (the current controller becomes an observer)
+ * @param {Object} socket - WebSocket client
+ * @throws {Error} 403 for clients of other users
+ */
+function takeControl(socket) {
+  const client = getClient(socket);
+  if (!client) throw presenceError('Not attached to a browser session', 409);
+  if (!client.owner) throw presenceError('Only the owner of the browser session can control it', 403);
+  sessions.get(client.sessionKey).controllerId = client.id;
+}
+
+// Leaves the session without a controller until someone takes control
+function releaseControl(socket) {
+  if (!isController(socket)) throw presenceError('Only the controlling client can release control', 409);
+  sessions.get(getClient(socket).sessionKey).controllerId = null;
+}
+
+/**
+ * Passes control from the controlling client to another owner client of the same session
+ * @param {Object} socket - Controlling WebSocket client
+ * @param {string} clientId - Client to hand control to
+ */
+function handOffControl(socket, clientId) {
+  if (!isController(socket)) throw presenceError('Only the controlling client can hand off control', 409);
+  const entry = sessions.get(getClient(socket).sessionKey);
+  const target = entry.clients.get(clientId);
+  if (!target) throw presenceError('No such client on this browser session', 404);
+  if (!target.owner) throw presenceError('Control can only be handed to a client of the session owner', 403);
+  entry.controllerId = target.id;
+}
+
+/**
+ * Presence list of a browser session
+ * @param {string} sessionKey - Browser session key
+ * @returns {{ controllerId: string|null, clients: Array<Object> }}
+ */
+function listPresence(sessionKey) {
+  const entry = sessions.get(sessionKey);
+  if (!entry) return { controllerId: null, clients: [] };
+  return {
+    controllerId: entry.controllerId,
+    clients: [...entry.clients.values()].map(c => ({
+      clientId: c.id,
+      email: c.email,
+      role: c.id === entry.controllerId ? 'controller' : 'observer',
+      owner: c.owner,
+      attachedAt: c.attachedAt
+    }))
+  };
+}
+
+function getSockets(sessionKey) {
+  return [...(sessions.get(sessionKey)?.clients.values() || [])].map(c => c.socket);
+}
+
+/**
+ * Creates a code another user can attach to the client's browser session with (as observer)
+ * @param {Object} socket - WebSocket client of the session owner
+ * @returns {{ code: string, expiresAt: string }}
+ */
+function createShareCode(socket) {
+  const client = getClient(socket);
+  if (!client?.owner) throw presenceError('Only the owner of the browser session can share it', 403);
+  const now = Date.now();
+  for (const [code, share] of shareCodes) {
+    if (share.expiresAt <= now) shareCodes.delete(code);
+  }
+  const code = crypto.randomBytes(18).toString('base64url');
+  shareCodes.set(code, { sessionKey: client.sessionKey, createdBy: client.email, expiresAt: now + SHARE_CODE_TTL_MS });
+  return { code, expiresAt: new Date(now + SHARE_CODE_TTL_MS).toISOString() };
+}
+
+/**
+ * Looks up the browser session of a share code
+ * @param {string} code - Share code
+ * @returns {string} sessionKey
+ * @throws {Error} 404 when the code is unknown or expired
+ */
+function redeemShareCode(code) {
+  const share = shareCodes.get(code);
+  if (!share || share.expiresAt <= Date.now()) {
+    shareCodes.delete(code);
+    throw presenceError('Unknown or expired share code', 404);
+  }
+  return share.sessionKey;
+}
+
+export {
+  getSessionOwner,
+  getClient,
+  isController,
+  attachClient,
+  detachClient,
+  takeControl,
+  releaseControl,
+  handOffControl,
+  listPresence,
+  getSockets,
+  createShareCode,
+  redeemShareCode
+};
@@ -0,0 +1,262 @@
+// Server-side registry of browser sessions (keyed by the arena_token `sessionId` claim)
+// A token is only accepted while its session is registered and not revoked, so logout
+// and "log out everywhere" take effect immediately instead of waiting for the token to expire.
+// Each session is also a refresh-token family: only the hash of the current refresh token is
+// stored, and presenting an already rotated token revokes the whole session.
+// Shared by the auth server and the proxy; both read the same file.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './storage-paths.js';
+
+function sessionsFile() {
+  return dataPath('sessions.json');
+}
+
+// Keep revoked entries around for a day after they expire so stale tokens are still rejected
+const PRUNE_GRACE_MS = 24 * 60 * 60 * 1000;
+// A just-rotated refresh token is still honoured briefly (parallel tabs refreshing at once)
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+// How many rotated refresh token hashes are remembered per session for reuse detection
+const MAX_ROTATED_HASHES = 50;
+
+// Cached file contents, refreshed when the file changes on disk (the other server may write it)
+let cache = null;
+let cacheStamp = null;
+
+function fileStamp() {
+  const { mtimeMs, size } = fs.statSync(sessionsFile());
+  return `${mtimeMs}:${size}`;
+}
+
+// Load registry from JSON file
+function loadRegistry() {
+  try {
+    if (!fs.existsSync(sessionsFile())) {
+      cache = { sessions: {} };
+      cacheStamp = null;
+      return cache;
+    }
+    const stamp = fileStamp();
+    if (cache && stamp === cacheStamp) return cache;
+    const parsed = JSON.parse(fs.readFileSync(sessionsFile(), 'utf8'));
+    cache = { sessions: parsed.sessions || {} };
+    cacheStamp = stamp;
+    return cache;
+  } catch (err) {
+    console.error('❌ Error loading session registry:', err.message);
+    return cache || { sessions: {} };
+  }
+}
+
+// Persist registry to JSON file
+function saveRegistry(registry) {
+  fs.mkdirSync(path.dirname(sessionsFile()), { recursive: true });
+  fs.writeFileSync(sessionsFile(), JSON.stringify(registry, null, 2));
+  cache = registry;
+  cacheStamp = fileStamp();
+}
+
+// Drop sessions that expired long enough ago that their tokens can no longer verify
+function pruneExpired(registry) {
+  const now = Date.now();
+  for (const [sessionId, session] of Object.entries(registry.sessions)) {
+    if (new Date(session.expiresAt).getTime() + PRUNE_GRACE_MS < now) {
+      delete registry.sessions[sessionId];
+    }
+  }
+}
+
+/**
+ * Records a newly issued session
+ * @param {Object} params - { sessionId, userId, email, expiresAt, ip, userAgent }
+ * @returns {Object} The stored session record
+ */
+function registerSession({ sessionId, userId, email, expiresAt, ip = null, userAgent = null }) {
+  const registry = loadRegistry();
+  pruneExpired(registry);
+  const session = {
+    sessionId,
+    userId: String(userId),
+    email,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+    ip,
+    userAgent,
+    revokedAt: null,
+    revokedReason: null,
+    refreshTokenHash: null,
+    rotatedRefreshTokens: []
+  };
+  registry.sessions[sessionId] = session;
+  saveRegistry(registry);
+  return session;
+}
+
+/**
+ * Checks whether a verified token payload still maps to a live session
+ * Internal service tokens are not tied to a user session and are always accepted.
+ * @param {Object} payload - Verified arena_token payload
+ * @returns {boolean}
+ */
+function isSessionActive(payload) {
+  if (!payload) return false;
+  if (payload.service) return true;
+  if (!payload.sessionId) return false;
+  const session = loadRegistry().sessions[payload.sessionId];
+  return !!session && !session.revokedAt && session.email === payload.email;
+}
+
+/**
+ * Revokes a single session
+ * @param {string} sessionId - sessionId claim of the token
+ * @param {string} reason - Stored for auditing (e.g. 'logout')
+ * @returns {Object|null} The revoked session, or null if it was unknown or already revoked
+ */
+function revokeSession(sessionId, reason = 'revoked') {
+  const registry = loadRegistry();
+  const session = registry.sessions[sessionId];
+  if (!session || session.revokedAt) return null;
+  session.revokedAt = new Date().toISOString();
+  session.revokedReason = reason;
+  saveRegistry(registry);
+  return session;
+}
+
+/**
+ * Revokes every active session of a user
+ * @param {string} userId - User id
+ * @param {string} reason - Stored for auditing (e.g. 'logout_all')
+ * @returns {Array<Object>} The sessions that were revoked
+ */
+function revokeUserSessions(userId, reason = 'revoked') {
+  const registry = loadRegistry();
+  const revokedAt = new Date().toISOString();
+  const revoked = [];
+  for (const session of Object.values(registry.sessions)) {
+    if (session.userId === String(userId) && !session.revokedAt) {
+      session.revokedAt = revokedAt;
+      session.revokedReason = reason;
+      revoked.push(session);
+    }
+  }
+  if (revoked.length > 0) saveRegistry(registry);
+  return revoked;
+}
+
+/**
+ * Lists a user's sessions that have not been revoked or expired (without refresh token hashes)
+ * @param {string} userId - User id
+ * @returns {Array<Object>}
+ */
+function listActiveSessions(userId) {
+  const now = Date.now();
+  return Object.values(loadRegistry().sessions)
+    .filter(s => s.userId === String(userId) && !s.revokedAt && new Date(s.expiresAt).getTime() > now)
+    .map(({ refreshTokenHash, rotatedRefreshTokens, ...session }) => session);
+}
+
+// ============ Refresh tokens ============
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Refresh tokens look like "<sessionId>.<random>" so the family can be found without a scan
+function sessionIdFromRefreshToken(token) {
+  const separator = String(token || '').lastIndexOf('.');
+  return separator > 0 ? String(token).slice(0, separator) : null;
+}
+
+/**
+ * Issues the first refresh token of a registered session
+ * @param {string} sessionId - Session id
+ * @returns {string|null} Plaintext refresh token (only its hash is stored)
+ */
+function createRefreshToken(sessionId) {
+  const registry = loadRegistry();
+  const session = registry.sessions[sessionId];
+  if (!session || session.revokedAt) return null;
+  const token = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  session.refreshTokenHash = hashRefreshToken(token);
+  saveRegistry(registry);
+  return token;
+}
+
+/**
+ * Exchanges a refresh token for a new one
+ * - 'rotated': token was current; a new token is returned and the session expiry slides forward
+ * - 'grace': token was rotated moments ago (concurrent refresh); accept it without rotating again
+ * - 'reused': token was rotated earlier; the session is revoked (reason 'refresh_token_reuse')
+ * - 'invalid' / 'revoked' / 'expired': nothing changes
+ * @param {string} token - Refresh token presented by the client
+ * @param {Object} options - { ttlMs } new session lifetime
+ * @returns {{ status: string, session?: Object, refreshToken?: string }}
+ */
+function rotateRefreshToken(token, { ttlMs }) {
+  const sessionId = sessionIdFromRefreshToken(token);
+  const registry = loadRegistry();
+  const session = sessionId ? registry.sessions[sessionId] : null;
+  if (!session || !session.refreshTokenHash) return { status: 'invalid' };
+  if (session.revokedAt) return { status: 'revoked', session };
+  if (new Date(session.expiresAt).getTime() <= Date.now()) return { status: 'expired', session };
+
+  const hash = hashRefreshToken(token);
+  if (hash !== session.refreshTokenHash) {
+    const rotated = (session.rotatedRefreshTokens || []).find(entry => entry.hash === hash);
+    if (!rotated) return { status: 'invalid' };
+    const latest = session.rotatedRefreshTokens[session.rotatedRefreshTokens.length - 1];
+    if (rotated === latest && Date.now() - new Date(rotated.rotatedAt).getTime() < REFRESH_REUSE_GRACE_MS) {
+      return { status: 'grace', session };
+    }
+    session.revokedAt = new Date().toISOString();
+    session.revokedReason = 'refresh_token_reuse';
+    saveRegistry(registry);
+    return { status: 'reused', session };
+  }
+
+  const refreshToken = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  session.rotatedRefreshTokens = [
+    ...(session.rotatedRefreshTokens || []),
+    { hash, rotatedAt: new Date().toISOString() }
+  ].slice(-MAX_ROTATED_HASHES);
+  session.refreshTokenHash = hashRefreshToken(refreshToken);
+  session.lastRefreshedAt = new Date().toISOString();
+  session.expiresAt = new Date(Date.now() + ttlMs).toISOString();
+  saveRegistry(registry);
+  return { status: 'rotated', session, refreshToken };
+}
+
+/**
+ * Finds the live session a current refresh token belongs to (used by logout once the access token expired)
+ * @param {string} token - Refresh token
+ * @returns {Object|null}
+ */
+function findSessionByRefreshToken(token) {
+  const sessionId = sessionIdFromRefreshToken(token);
+  const session = sessionId ? loadRegistry().sessions[sessionId] : null;
+  if (!session || session.revokedAt || session.refreshTokenHash !== hashRefreshToken(token)) return null;
+  return session;
+}
+
+/**
+ * Browser-context key used by the proxy for a session ("email:sessionId")
+ * @param {Object} session - Session record
+ * @returns {string}
+ */
+function toSessionKey(session) {
+  return `${session.email}:${session.sessionId}`;
+}
+
+export {
+  registerSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+  createRefreshToken,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  toSessionKey
+};
@@ -0,0 +1,172 @@
+// Keyring of HS256 signing secrets for browser tokens
+// Tokens carry the `kid` of the key that signed them. New tokens are signed with the newest
+// active key; older keys keep verifying until their `retiresAt`, so rotating the secret does
+// not log anybody out. Keys live in data/signing-keys.json (shared by the auth server and the
+// proxy, re-read when the file changes) and are rotated with `npm run rotate-signing-key`.
+//
+// AUTH_SECRET is the implicit key 'env': it signs tokens until the first rotation and verifies
+// tokens without a `kid` (issued before the keyring existed) until it is retired.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './storage-paths.js';
+
+function keysFile() {
+  return dataPath('signing-keys.json');
+}
+const ENV_KEY_ID = 'env';
+const DEFAULT_AUTH_SECRET = 'dev-secret-change-me';
+// Long enough for every access token signed with the previous key to expire (they live 15 minutes)
+const DEFAULT_GRACE_MS = 60 * 60 * 1000;
+
+// Cached file contents, refreshed when the file changes on disk
+let cache = null;
+let cacheStamp = null;
+
+// Read lazily: env vars are loaded by dotenv after this module is imported
+function getEnvSecret() {
+  return process.env.AUTH_SECRET || DEFAULT_AUTH_SECRET;
+}
+
+// Load { keys: [{ kid, secret?, source?, createdAt, retiresAt }] }, oldest first
+function loadKeyring() {
+  try {
+    if (!fs.existsSync(keysFile())) {
+      cache = { keys: [] };
+      cacheStamp = null;
+      return cache;
+    }
+    const { mtimeMs, size } = fs.statSync(keysFile());
+    const stamp = `${mtimeMs}:${size}`;
+    if (cache && stamp === cacheStamp) return cache;
+    const parsed = JSON.parse(fs.readFileSync(keysFile(), 'utf8'));
+    cache = { keys: Array.isArray(parsed.keys) ? parsed.keys : [] };
+    cacheStamp = stamp;
+    return cache;
+  } catch (err) {
+    console.error('❌ Error loading signing keys:', err.message);
+    return cache || { keys: [] };
+  }
+}
+
+function saveKeyring(keyring) {
+  fs.mkdirSync(path.dirname(keysFile()), { recursive: true });
+  fs.writeFileSync(keysFile(), JSON.stringify(keyring, null, 2), { mode: 0o600 });
+  cache = null;
+}
+
+function isRetired(key, now = Date.now()) {
+  return !!key.retiresAt && new Date(key.retiresAt).getTime() <= now;
+}
+
+function secretOf(key) {
+  return key.source === 'env' ? getEnvSecret() : key.secret;
+}
+
+/**
+ * Key used to sign new tokens: the newest key that is not retiring, otherwise AUTH_SECRET
+ * @returns {{ kid: string, secret: string }}
+ */
+function getSigningKey() {
+  const active = loadKeyring().keys.filter(k => !k.retiresAt);
+  const newest = active[active.length - 1];
+  if (newest) return { kid: newest.kid, secret: secretOf(newest) };
+  return { kid: ENV_KEY_ID, secret: getEnvSecret() };
+}
+
+/**
+ * Secret for verifying a token signed with `kid`
+ * @param {string} kid - Key id from the token header (tokens without one map to AUTH_SECRET)
+ * @returns {string|null} Secret, or null for unknown or retired keys
+ */
+function getVerificationSecret(kid) {
+  const id = kid || ENV_KEY_ID;
+  const key = loadKeyring().keys.find(k => k.kid === id);
+  if (!key) return id === ENV_KEY_ID ? getEnvSecret() : null;
+  return isRetired(key) ? null : secretOf(key);
+}
+
+/**
+ * Adds a new signing key and schedules every current key for retirement
+ * @param {Object} options - { graceMs } how long the previous keys keep verifying (0 = immediately)
+ * @returns {{ kid: string, retired: Array<{ kid: string, retiresAt: string }> }}
+ */
+function rotateSigningKey({ graceMs = DEFAULT_GRACE_MS } = {}) {
+  const now = Date.now();
+  const keyring = loadKeyring();
+  // Work on a copy so a failed write leaves the cache untouched
+  const keys = keyring.keys.filter(k => !isRetired(k, now)).map(k => ({ ...k }));
+  if (!keys.some(k => k.kid === ENV_KEY_ID) && !keyring.keys.some(k => k.kid === ENV_KEY_ID)) {
+    // First rotation: track AUTH_SECRET so it can be retired like any other key
+    keys.unshift({ kid: ENV_KEY_ID, source: 'env', createdAt: null, retiresAt: null });
+  }
+
+  const retiresAt = new Date(now + graceMs).toISOString();
+  const retired = [];
+  for (const key of keys) {
+    if (!key.retiresAt || new Date(key.retiresAt).getTime() > now + graceMs) {
+      key.retiresAt = retiresAt;
+      retired.push({ kid: key.kid, retiresAt });
+    }
+  }
+
+  const kid = `${new Date(now).toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+  keys.push({
+    kid,
+    secret: crypto.randomBytes(32).toString('base64url'),
+    createdAt: new Date(now).toISOString(),
+    retiresAt: null
+  });
+  // Retired entries are kept as tombstones (without their secret) so their kid stays rejected
+  // and 'env' stays retired
+  const tombstones = keyring.keys.filter(k => isRetired(k, now));
+  const stripSecret = key => {
+    if (!isRetired(key, now)) return key;
+    const { secret, ...rest } = key;
+    return rest;
+  };
+  saveKeyring({ keys: [...tombstones, ...keys].map(stripSecret) });
+  return { kid, retired };
+}
+
+/**
+ * Lists keys without their secrets
+ * @returns {Array<Object>} [{ kid, createdAt, retiresAt, status: 'active'|'signing'|'retiring'|'retired' }]
+ */
+function listSigningKeys() {
+  const signingKid = getSigningKey().kid;
+  const keys = loadKeyring().keys.map(({ secret, ...key }) => key);
+  if (!keys.some(k => k.kid === ENV_KEY_ID)) {
+    keys.unshift({ kid: ENV_KEY_ID, source: 'env', createdAt: null, retiresAt: null });
+  }
+  return keys.map(key => ({
+    ...key,
+    status: key.kid === signingKid ? 'signing' : isRetired(key) ? 'retired' : key.retiresAt ? 'retiring' : 'active'
+  }));
+}
+
+/**
+ * Refuses to run in production while tokens signed with the default (or a missing) AUTH_SECRET
+ * would be accepted
+ * @throws {Error}
+ */
+function assertProductionSecrets() {
+  if (process.env.NODE_ENV !== 'production') return;
+  const envSecret = process.env.AUTH_SECRET;
+  const envKeyAccepted = getVerificationSecret(ENV_KEY_ID) !== null;
+  if (envKeyAccepted && (!envSecret || envSecret === DEFAULT_AUTH_SECRET)) {
+    throw new Error(
+      'AUTH_SECRET is missing or set to the development default. Set a strong AUTH_SECRET, ' +
+      'or run `npm run rotate-signing-key -- --grace-minutes 0` to sign with a generated key instead.'
+    );
+  }
+}
+
+export {
+  getSigningKey,
+  getVerificationSecret,
+  rotateSigningKey,
+  listSigningKeys,
+  assertProductionSecrets
+};
@@ -0,0 +1,40 @@
+// Where the server keeps its state on disk
+// ARENAGEN_DATA_DIR (default ./data), ARENAGEN_UPLOADS_DIR (default ./uploads) and
+// ARENAGEN_USERS_FILE (default ./users.json) move it elsewhere, e.g. into a temporary directory
+// for the test suites.
+// Read lazily: env vars are loaded by dotenv after this module is imported.
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function getDataDir() {
+  return path.resolve(process.env.ARENAGEN_DATA_DIR || path.join(__dirname, 'data'));
+}
+
+/**
+ * Path of a file or directory in the data directory
+ * @param {...string} segments - e.g. 'upstream', 'state.json'
+ * @returns {string}
+ */
+function dataPath(...segments) {
+  return path.join(getDataDir(), ...segments);
+}
+
+// Per-user folders of saved videos and attachments
+function getUploadsDir() {
+  return path.resolve(process.env.ARENAGEN_UPLOADS_DIR || path.join(__dirname, 'uploads'));
+}
+
+function getUsersFile() {
+  return path.resolve(process.env.ARENAGEN_USERS_FILE || path.join(__dirname, 'users.json'));
+}
+
+export {
+  getDataDir,
+  dataPath,
+  getUploadsDir,
+  getUsersFile
+};
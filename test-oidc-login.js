@@ -0,0 +1,162 @@
+// Single sign-on tests against the mock OpenID Connect issuer (mock-oidc-issuer.js)
+// Runs the auth API with one provider pointing at the mock issuer and goes through the
+// redirects of a sign-in as a browser would: start, the issuer's user picker, callback.
+//
+// Run: npm test
+// Users and data go to a temporary directory, removed afterwards; the upstream pool is replaced
+// by a 'fixture' account with placeholder cookies, so no upstream login happens.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createMockOidcIssuer } from './mock-oidc-issuer.js';
+
+const issuer = createMockOidcIssuer({
+  port: parseInt(process.env.MOCK_OIDC_TEST_PORT, 10) || 4198,
+  users: [
+    { sub: 'alice', email: 'alice@example.com', email_verified: true, name: 'Alice Admin', groups: ['arenagen-admins'] },
+    { sub: 'bob', email: 'bob@example.com', email_verified: true, name: 'Bob User', groups: ['staff'] },
+    { sub: 'carol', email: 'carol@elsewhere.org', email_verified: true, name: 'Carol Outside', groups: ['staff'] }
+  ]
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arenagen-oidc-test-'));
+// The modules read these when they touch the disk or list providers, so they must be set before
+// anything is imported
+process.env.ARENAGEN_DATA_DIR = path.join(tempDir, 'data');
+process.env.ARENAGEN_UPLOADS_DIR = path.join(tempDir, 'uploads');
+process.env.ARENAGEN_USERS_FILE = path.join(tempDir, 'users.json');
+process.env.HEYGEN_ACCOUNTS = JSON.stringify([{ id: 'fixture', email: 'fixture@localhost', password: 'unused' }]);
+process.env.OIDC_PROVIDERS = JSON.stringify([{
+  id: 'mock',
+  name: 'Mock SSO',
+  issuer: issuer.issuer,
+  clientId: 'arenagen',
+  clientSecret: 'mock-secret',
+  autoProvision: true,
+  allowedDomains: ['example.com'],
+  roleClaim: 'groups',
+  adminValues: ['arenagen-admins']
+}]);
+const { authRouter } = await import('./auth-server.js');
+const upstreamAccounts = await import('./upstream-accounts.js');
+const userStore = await import('./user-store.js');
+const { verifyAccessToken } = await import('./auth-token.js');
+const totp = await import('./totp.js');
+
+let server = null;
+let baseUrl = null;
+
+// Set-Cookie headers of a response as { name: value }
+function readCookies(response) {
+  return Object.fromEntries(response.headers.getSetCookie().map(c => c.split(';')[0].split(/=(.*)/s).slice(0, 2)));
+}
+
+/**
+ * Signs in through the mock issuer, picking `sub` on its user picker
+ * @param {string} sub - Mock issuer user
+ * @returns {Promise<{ location: string, cookies: Object }>} Where the callback redirected to, and
+ *   the cookies it set
+ */
+async function signIn(sub) {
+  const start = await fetch(`${baseUrl}/auth/sso/mock/start?redirect=/generate`, { redirect: 'manual' });
+  assert.equal(start.status, 302);
+  const authorizeUrl = new URL(start.headers.get('location'));
+  assert.equal(authorizeUrl.origin, issuer.issuer);
+  const ssoCookie = `arena_sso=${readCookies(start).arena_sso}`;
+
+  const picked = await fetch(`${issuer.issuer}/authorize`, {
+    method: 'POST',
+    body: new URLSearchParams({ ...Object.fromEntries(authorizeUrl.searchParams), sub }),
+    redirect: 'manual'
+  });
+  assert.equal(picked.status, 302);
+
+  const callback = await fetch(picked.headers.get('location'), { headers: { Cookie: ssoCookie }, redirect: 'manual' });
+  assert.equal(callback.status, 302);
+  return { location: callback.headers.get('location'), cookies: readCookies(callback) };
+}
+
+test.before(async () => {
+  await issuer.start();
+  upstreamAccounts.writeAccountCookies('fixture', [{ name: 'fixture_session', value: '1', domain: 'localhost', path: '/' }], Date.now() + 24 * 60 * 60 * 1000);
+  const app = express();
+  app.use('/auth', authRouter);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(() => resolve()));
+  await issuer.stop();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('the provider is listed on the login page', async () => {
+  const body = await (await fetch(`${baseUrl}/auth/api/sso/providers`)).json();
+  assert.deepEqual(body.providers, [{ id: 'mock', name: 'Mock SSO' }]);
+});
+
+test('first sign-in provisions the user and starts a session', async () => {
+  const { location, cookies } = await signIn('bob');
+  assert.equal(location, '/generate');
+
+  const user = userStore.findUserByEmail('bob@example.com');
+  assert.equal(user.role, 'user');
+  assert.equal(user.passwordHash, undefined);
+  assert.deepEqual(user.identities.map(i => [i.provider, i.subject]), [['mock', 'bob']]);
+
+  const token = verifyAccessToken(cookies.arena_token);
+  assert.equal(token.email, 'bob@example.com');
+  assert.equal(token.role, 'user');
+});
+
+test('signing in again uses the linked account', async () => {
+  const usersBefore = userStore.listUsers().length;
+  const { cookies } = await signIn('bob');
+  assert.equal(verifyAccessToken(cookies.arena_token).email, 'bob@example.com');
+  assert.equal(userStore.listUsers().length, usersBefore);
+});
+
+test('the role claim maps to the admin role', async () => {
+  const { cookies } = await signIn('alice');
+  assert.equal(userStore.findUserByEmail('alice@example.com').role, 'admin');
+  assert.equal(verifyAccessToken(cookies.arena_token).role, 'admin');
+});
+
+test('accounts without a password disable two-factor with the code alone, throttled', async () => {
+  const { cookies } = await signIn('alice');
+  const post = (endpoint, body = {}) => fetch(`${baseUrl}/auth/api/2fa/${endpoint}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', Cookie: `arena_token=${cookies.arena_token}` },
+    body: JSON.stringify(body)
+  });
+
+  const { secret } = await (await post('setup')).json();
+  assert.equal((await post('enable', { code: totp.generateCode(secret) })).status, 200);
+  const status = await (await fetch(`${baseUrl}/auth/api/2fa`, { headers: { Cookie: `arena_token=${cookies.arena_token}` } })).json();
+  assert.equal(status.twoFactor.hasPassword, false);
+
+  // A wrong code counts as a failed login: the next attempt has to wait
+  assert.equal((await post('disable', { code: '000000' })).status, 403);
+  const throttled = await post('disable', { code: totp.generateCode(secret) });
+  assert.equal(throttled.status, 429);
+  assert.ok(Number(throttled.headers.get('retry-after')) > 0);
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  // The current code was used to enable it (codes cannot be replayed): the next one is accepted too
+  assert.equal((await post('disable', { code: totp.generateCode(secret, Date.now() + 30000) })).status, 200);
+  assert.equal(userStore.findUserByEmail('alice@example.com').totp, undefined);
+});
+
+test('emails outside the allowed domains are not provisioned', async () => {
+  const { location, cookies } = await signIn('carol');
+  assert.match(decodeURIComponent(location), /^\/auth\/login\?error=No ArenaGen account exists for carol@elsewhere\.org/);
+  assert.equal(cookies.arena_token, undefined);
+  assert.equal(userStore.findUserByEmail('carol@elsewhere.org'), null);
+});
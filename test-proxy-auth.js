@@ -0,0 +1,132 @@
+// Authentication tests for the proxy routes and WebSocket
+// Mounts the proxy router and WebSocket handler on a local server (no browser is started) and
+// checks that nothing is reachable without a token, and that users cannot read each other's
+// saved videos.
+//
+// Run: npm test
+// Users, data and uploads go to a temporary directory, removed afterwards.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createServer } from 'http';
+import WebSocket from 'ws';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arenagen-auth-test-'));
+// The modules read these when they touch the disk, so they must be set before anything is imported
+process.env.ARENAGEN_DATA_DIR = path.join(tempDir, 'data');
+process.env.ARENAGEN_UPLOADS_DIR = path.join(tempDir, 'uploads');
+process.env.ARENAGEN_USERS_FILE = path.join(tempDir, 'users.json');
+process.env.STRICT_AUTH = 'true';
+const { proxyRouter, setupWebSocketServer } = await import('./playwright-live-proxy.js');
+const userStore = await import('./user-store.js');
+const sessionRegistry = await import('./session-registry.js');
+const { signToken } = await import('./auth-token.js');
+
+let server = null;
+let baseUrl = null;
+let apiKey = null;
+
+// Every route the proxy router defines, with its parameters filled in
+function listProxyRoutes() {
+  const routes = [];
+  for (const layer of proxyRouter.stack) {
+    if (!layer.route) continue;
+    const routePath = layer.route.path.replace(/:\w+/g, 'test-param');
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({ method: method.toUpperCase(), path: routePath });
+    }
+  }
+  return routes;
+}
+
+// Writes a saved video into a user's uploads folder
+function writeVideo(email, filename) {
+  const userDir = path.join(process.env.ARENAGEN_UPLOADS_DIR, email.replace(/[@.]/g, '_'));
+  fs.mkdirSync(userDir, { recursive: true });
+  fs.writeFileSync(path.join(userDir, filename), `video of ${email}`);
+}
+
+function getUpload(urlPath) {
+  return fetch(`${baseUrl}/proxy/uploads/${urlPath}`, { headers: { Authorization: `Bearer ${apiKey}` } });
+}
+
+test.before(async () => {
+  const app = express();
+  app.use('/proxy', proxyRouter);
+  server = createServer(app);
+  setupWebSocketServer(server);
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+
+  const alice = await userStore.createUser({ email: 'alice@example.com', password: 'alice-password' });
+  await userStore.createUser({ email: 'bob@example.com', password: 'bob-password' });
+  ({ key: apiKey } = await userStore.createApiKey(alice.id, { name: 'test', scopes: ['read:videos'] }));
+  writeVideo('alice@example.com', 'a.mp4');
+  writeVideo('bob@example.com', 'v.mp4');
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(() => resolve()));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('proxy routes answer 401 without a token', async () => {
+  const routes = listProxyRoutes();
+  assert.ok(routes.length > 30);
+  for (const route of [...routes, { method: 'GET', path: '/uploads/alice_example_com/a.mp4' }]) {
+    const response = await fetch(`${baseUrl}/proxy${route.path}`, { method: route.method });
+    assert.equal(response.status, 401, `${route.method} ${route.path}`);
+    assert.equal((await response.json()).success, false);
+  }
+});
+
+test('proxy routes answer 401 with an unknown API key', async () => {
+  const response = await fetch(`${baseUrl}/proxy/api/videos`, { headers: { Authorization: 'Bearer ak_unknown' } });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error, 'Invalid or expired API key');
+});
+
+test('WebSocket connections without a token are closed with 1008', async () => {
+  const socket = new WebSocket(`ws://localhost:${server.address().port}`);
+  const code = await new Promise(resolve => socket.on('close', resolve));
+  assert.equal(code, 1008);
+});
+
+test('open WebSocket connections are closed once their session is revoked', { timeout: 10000 }, async () => {
+  const user = userStore.findUserByEmail('bob@example.com');
+  const sessionId = 'ws-revoke-test';
+  sessionRegistry.registerSession({ sessionId, userId: user.id, email: user.email, expiresAt: new Date(Date.now() + 60000).toISOString() });
+  const token = signToken({ id: user.id, email: user.email, role: 'user', sessionId }, 60);
+  const socket = new WebSocket(`ws://localhost:${server.address().port}`, { headers: { Cookie: `arena_token=${token}` } });
+  await new Promise((resolve, reject) => socket.on('open', resolve).on('error', reject));
+
+  // Revoked without notifying the proxy: the next message closes the socket
+  sessionRegistry.revokeSession(sessionId, 'logout');
+  const closed = new Promise(resolve => socket.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+  socket.send(JSON.stringify({ action: 'get_status' }));
+  assert.deepEqual(await closed, { code: 1008, reason: 'Session revoked' });
+});
+
+test('uploads: users read their own videos only', async () => {
+  const own = await getUpload('alice_example_com/a.mp4');
+  assert.equal(own.status, 200);
+  assert.equal(await own.text(), 'video of alice@example.com');
+
+  assert.equal((await getUpload('bob_example_com/v.mp4')).status, 403);
+});
+
+test('uploads: encoded separators and dot segments cannot leave the user folder', async () => {
+  for (const urlPath of [
+    'alice_example_com/..%2fbob_example_com%2fv.mp4',
+    'alice_example_com/%2e%2e/bob_example_com/v.mp4',
+    'alice_example_com/..%5cbob_example_com%5cv.mp4',
+    'alice_example_com%2f..%2fbob_example_com%2fv.mp4'
+  ]) {
+    const response = await getUpload(urlPath);
+    assert.equal(response.status, 403, urlPath);
+  }
+});
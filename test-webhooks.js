@@ -0,0 +1,168 @@
+// Webhook delivery tests against a local receiver (webhook-receiver.js)
+// Covers signing, retries and the private-address checks, at registration and on delivery.
+//
+// Run: npm test
+// Webhooks go to a temporary data directory, removed afterwards. Retries run every 100ms
+// instead of 30s (WEBHOOK_RETRY_BASE_MS).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createWebhookReceiver } from './webhook-receiver.js';
+
+const OWNER = 'webhook-test@example.com';
+// Each receiver gets the next port: a connection kept alive to the previous one would fail an attempt
+let nextReceiverPort = parseInt(process.env.WEBHOOK_RECEIVER_TEST_PORT, 10) || 4290;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arenagen-webhook-test-'));
+// The module reads these when it touches the disk or retries, so they must be set before it is imported
+process.env.ARENAGEN_DATA_DIR = path.join(tempDir, 'data');
+process.env.WEBHOOK_RETRY_BASE_MS = '100';
+const webhooks = await import('./webhooks.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls the delivery log until the latest delivery of a webhook is no longer pending
+async function waitForDelivery(webhookId, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const [delivery] = webhooks.listDeliveries(OWNER, webhookId, { limit: 1 });
+    if (delivery && delivery.status !== 'pending') return delivery;
+    await sleep(50);
+  }
+  throw new Error('Delivery did not finish');
+}
+
+// Registers a webhook at a local receiver started with its secret
+async function startReceiver(t, { failFirst = 0 } = {}) {
+  const port = nextReceiverPort++;
+  const { webhook, secret } = webhooks.createWebhook(OWNER, { url: `http://localhost:${port}/` });
+  const received = [];
+  const receiver = createWebhookReceiver({
+    port,
+    secret,
+    failFirst,
+    onEvent: (event, { valid, headers }) => received.push({ event, valid, headers })
+  });
+  await receiver.start();
+  t.after(async () => {
+    webhooks.deleteWebhook(OWNER, webhook.id);
+    await receiver.stop();
+  });
+  return { webhook, received };
+}
+
+test.beforeEach(() => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+});
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('deliveries are signed with the webhook secret', async t => {
+  const { webhook, received } = await startReceiver(t);
+  const sent = webhooks.sendTestEvent(OWNER, webhook.id);
+
+  const delivery = await waitForDelivery(webhook.id);
+  assert.equal(delivery.id, sent.id);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.responseStatus, 200);
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].valid, true);
+  assert.equal(received[0].event.type, 'webhook.test');
+  assert.deepEqual(received[0].event.data, { webhookId: webhook.id });
+  assert.equal(received[0].headers['x-arenagen-delivery'], delivery.id);
+  assert.equal(received[0].headers['x-arenagen-event'], 'webhook.test');
+});
+
+test('signatures are checked against the secret and the timestamp', () => {
+  const body = JSON.stringify({ type: 'webhook.test' });
+  const now = Math.floor(Date.now() / 1000);
+  const { webhook, secret } = webhooks.createWebhook(OWNER, { url: 'https://example.com/hook' });
+  webhooks.deleteWebhook(OWNER, webhook.id);
+  // Same scheme as the deliveries: HMAC-SHA256 of "<t>.<body>"
+  const sign = t => crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+
+  assert.equal(webhooks.verifySignature(secret, `t=${now},v1=${sign(now)}`, body), true);
+  assert.equal(webhooks.verifySignature('whsec_other', `t=${now},v1=${sign(now)}`, body), false);
+  assert.equal(webhooks.verifySignature(secret, `t=${now},v1=${sign(now)}`, `${body} `), false);
+  assert.equal(webhooks.verifySignature(secret, `t=${now - 3600},v1=${sign(now - 3600)}`, body), false);
+});
+
+test('failed deliveries are retried until the receiver accepts them', async t => {
+  const { webhook, received } = await startReceiver(t, { failFirst: 2 });
+  assert.equal(webhooks.emitEvent(OWNER, 'video.ready', { video: { title: 'Tea' } }), 1);
+
+  const delivery = await waitForDelivery(webhook.id);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].event.type, 'video.ready');
+  assert.equal(received[0].valid, true);
+});
+
+test('deliveries give up after the last attempt', async t => {
+  const { webhook, received } = await startReceiver(t, { failFirst: 100 });
+  webhooks.sendTestEvent(OWNER, webhook.id);
+
+  const delivery = await waitForDelivery(webhook.id, 15000);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 6);
+  assert.equal(delivery.responseStatus, 500);
+  assert.equal(delivery.lastError, 'Receiver answered 500');
+  assert.equal(received.length, 0);
+});
+
+test('private targets are refused when registering', () => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  for (const url of [
+    'http://localhost:4001/',
+    'http://127.0.0.1/',
+    'http://10.1.2.3/',
+    'http://192.168.0.10/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[::ffff:a9fe:a9fe]/',
+    'http://[fe80::1]/',
+    'http://[fd00::1]/',
+    'http://198.18.0.1/',
+    'http://224.0.0.1/',
+    'http://[64:ff9b::a9fe:a9fe]/'
+  ]) {
+    assert.throws(() => webhooks.createWebhook(OWNER, { url }), { status: 400 }, url);
+  }
+  const { webhook } = webhooks.createWebhook(OWNER, { url: 'https://hooks.example.com/arenagen' });
+  assert.equal(webhook.url, 'https://hooks.example.com/arenagen');
+  webhooks.deleteWebhook(OWNER, webhook.id);
+});
+
+test('delivery refuses hosts that resolve to private addresses', async t => {
+  const { webhook, received } = await startReceiver(t);
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+  // Registered while allowed: checked again on every attempt
+  webhooks.sendTestEvent(OWNER, webhook.id);
+  let delivery = await waitForDelivery(webhook.id, 15000);
+  assert.equal(delivery.status, 'failed');
+  assert.match(delivery.lastError, /^Refused: localhost is a private address/);
+
+  // A public-looking name that resolves to an IPv4-mapped loopback address when connecting
+  const { webhook: named } = webhooks.createWebhook(OWNER, { url: `http://hooks.example.com:${nextReceiverPort - 1}/` });
+  t.mock.method(dns, 'lookup', (host, options, callback) => {
+    if (options.all) callback(null, [{ address: '::ffff:7f00:1', family: 6 }]);
+    else callback(null, '::ffff:7f00:1', 6);
+  });
+  webhooks.sendTestEvent(OWNER, named.id);
+  delivery = await waitForDelivery(named.id, 15000);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.lastError, 'Refused: hooks.example.com resolves to the private address ::ffff:7f00:1');
+  assert.equal(received.length, 0);
+});
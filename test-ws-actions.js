@@ -0,0 +1,323 @@
+// Integration tests for the proxy WebSocket actions
+// Boots the fixture site (fixture-site.js) and the proxy against it (createProxyServer), logs in
+// through the auth API and drives the actions over authenticated WebSocket clients.
+//
+// Run: npm run test-ws
+// Needs Chromium (npx playwright install chromium); without it the tests are skipped. Everything
+// the servers write (users, data, uploads) goes to a temporary directory, removed afterwards; the
+// test logs in as a user created there, and the upstream pool is replaced by a 'fixture' account.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { chromium } from 'playwright';
+import { createFixtureSite } from './fixture-site.js';
+
+const EMAIL = 'ws-test@example.com';
+const PASSWORD = crypto.randomBytes(12).toString('hex');
+const GENERATION_MS = 3000;
+const REPLY_TIMEOUT_MS = 60000;
+// 1x1 transparent PNG
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+// Skip reason when the Playwright browser is not installed (the repo scripts only install it on npm start)
+const BROWSER_MISSING = !fs.existsSync(chromium.executablePath()) &&
+  'Chromium is not installed: run `npx playwright install chromium` first';
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arenagen-ws-test-'));
+const fixture = createFixtureSite({ port: parseInt(process.env.FIXTURE_PORT, 10) || 4199, generationMs: GENERATION_MS });
+// The modules read these when they touch the disk or drive the browser, so they must be set
+// before anything is imported
+process.env.ARENAGEN_DATA_DIR = path.join(tempDir, 'data');
+process.env.ARENAGEN_UPLOADS_DIR = path.join(tempDir, 'uploads');
+process.env.ARENAGEN_USERS_FILE = path.join(tempDir, 'users.json');
+process.env.UPSTREAM_TARGET = fixture.url;
+process.env.UPSTREAM_VIDEO_ORIGIN = `${fixture.url}/videos`;
+process.env.STRICT_AUTH = 'true';
+// Stand-in upstream account: the fixture needs no login, but logging in needs an upstream session
+process.env.HEYGEN_ACCOUNTS = JSON.stringify([{ id: 'fixture', email: 'fixture@localhost', password: 'unused' }]);
+const { createProxyServer } = await import('./playwright-live-proxy.js');
+const { authRouter } = await import('./auth-server.js');
+const upstreamAccounts = await import('./upstream-accounts.js');
+const userStore = await import('./user-store.js');
+const chatStorage = await import('./chat-storage.js');
+
+let proxy = null;
+let cookie = null;
+let accessToken = null;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitUntil(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a condition');
+    await sleep(100);
+  }
+}
+
+// Logs in through the auth API and keeps the access token for the authenticate action
+async function login() {
+  const response = await fetch(`http://localhost:${proxy.port}/auth/api/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ email: EMAIL, password: PASSWORD })
+  });
+  const body = await response.json();
+  if (!body.success) throw new Error(`Login as ${EMAIL} failed: ${body.error}`);
+  const cookies = response.headers.getSetCookie().map(c => c.split(';')[0]);
+  accessToken = cookies.find(c => c.startsWith('arena_token='))?.slice('arena_token='.length);
+  return cookies.join('; ');
+}
+
+/**
+ * Opens a WebSocket client
+ * @param {Object} options - { cookie } sent as the Cookie header
+ * @returns {Promise<Object>} { messages, request(action, params), send(raw), waitFor(predicate), closed, close() }
+ */
+function openClient({ cookie: cookieHeader = cookie } = {}) {
+  const socket = new WebSocket(`ws://localhost:${proxy.port}`, { headers: cookieHeader ? { Cookie: cookieHeader } : {} });
+  const messages = [];
+  const waiters = [];
+  let nextRequestId = 0;
+
+  socket.on('message', raw => {
+    const message = JSON.parse(raw.toString());
+    messages.push(message);
+    for (const waiter of [...waiters]) {
+      if (waiter.predicate(message)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(message);
+      }
+    }
+  });
+  const closed = new Promise(resolve => socket.on('close', code => resolve(code)));
+
+  const client = {
+    messages,
+    closed,
+    // Resolves with the first message (already received or not) the predicate accepts
+    waitFor(predicate, timeoutMs = REPLY_TIMEOUT_MS) {
+      const received = messages.find(predicate);
+      if (received) return Promise.resolve(received);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error('Timed out waiting for a WebSocket message'));
+        }, timeoutMs);
+        waiters.push(waiter);
+      });
+    },
+    send(raw) {
+      socket.send(raw);
+    },
+    // Sends an action with a request id and resolves with its reply (queue updates are skipped)
+    request(action, params = {}, timeoutMs = REPLY_TIMEOUT_MS) {
+      const requestId = `test-${++nextRequestId}`;
+      socket.send(JSON.stringify({ action, requestId, ...params }));
+      return client.waitFor(m => m.requestId === requestId && m.action !== 'queue_status', timeoutMs);
+    },
+    close() {
+      socket.close();
+    }
+  };
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve(client));
+    socket.once('error', reject);
+  });
+}
+
+// Polls the progress card until the running generation is over
+async function waitForGeneration(client) {
+  const deadline = Date.now() + GENERATION_MS + 30000;
+  while (Date.now() < deadline) {
+    const reply = await client.request('get_generation_progress');
+    if (reply.success && !reply.data.isGenerating) return;
+    await sleep(1000);
+  }
+  throw new Error('Generation did not finish');
+}
+
+test.before(async () => {
+  if (BROWSER_MISSING) {
+    console.warn(`⚠️  Skipping the WebSocket action tests. ${BROWSER_MISSING}`);
+    return;
+  }
+  await fixture.start();
+  await userStore.createUser({ email: EMAIL, username: 'ws-test', password: PASSWORD });
+  upstreamAccounts.writeAccountCookies('fixture', [{ name: 'fixture_session', value: '1', domain: 'localhost', path: '/' }], Date.now() + 24 * 60 * 60 * 1000);
+  proxy = await createProxyServer(0);
+  proxy.app.use('/auth', authRouter);
+  cookie = await login();
+});
+
+test.after(async () => {
+  await proxy?.close();
+  await fixture.stop();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('connections without a token are closed', { skip: BROWSER_MISSING }, async () => {
+  const client = await openClient({ cookie: null });
+  assert.equal(await client.closed, 1008);
+});
+
+test('requests are validated', { skip: BROWSER_MISSING }, async () => {
+  const client = await openClient();
+  try {
+    client.send('{not json');
+    const invalid = await client.waitFor(m => m.code === 'INVALID_JSON');
+    assert.equal(invalid.success, false);
+
+    const unknown = await client.request('no_such_action');
+    assert.equal(unknown.code, 'UNKNOWN_ACTION');
+
+    const blank = await client.request('send_message', { message: '   ' });
+    assert.equal(blank.code, 'VALIDATION_FAILED');
+    assert.equal(blank.details[0].field, 'message');
+  } finally {
+    client.close();
+  }
+});
+
+test('authenticate', { skip: BROWSER_MISSING }, async () => {
+  const client = await openClient();
+  try {
+    const ok = await client.request('authenticate', { token: accessToken });
+    assert.equal(ok.action, 'authenticated');
+    assert.equal(ok.email, EMAIL);
+
+    const failed = await client.request('authenticate', { token: 'not-a-token' });
+    assert.equal(failed.action, 'authentication_failed');
+
+    const missing = await client.request('authenticate', {});
+    assert.equal(missing.code, 'VALIDATION_FAILED');
+  } finally {
+    client.close();
+  }
+});
+
+test('browser actions against the fixture site', { skip: BROWSER_MISSING }, async t => {
+  const client = await openClient();
+  t.after(() => client.close());
+
+  await t.test('navigate', async () => {
+    const home = await client.request('navigate', { url: '/home' });
+    assert.equal(home.success, true);
+    assert.equal(home.url, `${fixture.url}/home`);
+
+    const agent = await client.request('navigate', { url: '/agent/anything' });
+    assert.equal(agent.blocked, true);
+
+    const missing = await client.request('navigate', {});
+    assert.equal(missing.code, 'VALIDATION_FAILED');
+  });
+
+  await t.test('actions that need an agent page fail on the home page', async () => {
+    const videos = await client.request('extract_all_video_urls');
+    assert.equal(videos.success, false);
+    assert.match(videos.error, /Not on agent session page/);
+
+    const click = await client.request('find_and_click', { timeout: 1000 });
+    assert.equal(click.success, false);
+
+    const progress = await client.request('get_generation_progress');
+    assert.equal(progress.success, true);
+    assert.equal(progress.data.isGenerating, false);
+  });
+
+  await t.test('upload_files', async () => {
+    const uploaded = await client.request('upload_files', {
+      files: [{ name: 'pixel.png', content: PIXEL_PNG, type: 'image/png' }],
+      navigateToHome: true
+    });
+    assert.equal(uploaded.success, true);
+    assert.equal(uploaded.filesCount, 1);
+
+    const empty = await client.request('upload_files', { files: [] });
+    assert.equal(empty.code, 'VALIDATION_FAILED');
+  });
+
+  await t.test('send_message starts a generation', async () => {
+    const sessionsBefore = fixture.sessions.size;
+    const sent = await client.request('send_message', { message: 'A product video about tea', currentPath: '/home' });
+    assert.equal(sent.success, true);
+
+    // The fixture page creates the session, then moves to its agent page
+    await waitUntil(() => fixture.sessions.size > sessionsBefore);
+    const session = [...fixture.sessions.values()].pop();
+    assert.equal(session.entries[0].text, 'A product video about tea');
+    assert.deepEqual(session.entries[0].attachments, ['pixel.png']);
+    await sleep(1500);
+  });
+
+  await t.test('get_generation_progress while generating', async () => {
+    const progress = await client.request('get_generation_progress');
+    assert.equal(progress.success, true);
+    assert.equal(progress.data.isGenerating, true);
+    assert.ok(Number.isFinite(progress.data.percentage));
+    assert.ok(progress.data.steps.length > 0);
+  });
+
+  await t.test('get_messages', async () => {
+    const reply = await client.request('get_messages');
+    assert.equal(reply.success, true);
+    assert.ok(reply.messages.some(m => m.role === 'user' && m.text === 'A product video about tea'));
+    assert.ok(!reply.hasError);
+  });
+
+  await t.test('extract_all_video_urls after the generation', async () => {
+    await waitForGeneration(client);
+    const reply = await client.request('extract_all_video_urls');
+    assert.equal(reply.success, true);
+    assert.equal(reply.data.totalFound, 1);
+    assert.ok(reply.data.videos[0].videoUrl.startsWith(`${fixture.url}/videos/`));
+  });
+
+  await t.test('initial_load', async () => {
+    const reply = await client.request('initial_load');
+    assert.equal(reply.success, true);
+    assert.ok(reply.messages.some(m => m.video?.videoUrl?.startsWith(`${fixture.url}/videos/`)));
+  });
+
+  await t.test('find_and_click', async () => {
+    const session = [...fixture.sessions.values()].pop();
+    const reply = await client.request('find_and_click', { selector: 'button:has-text("Make changes")' });
+    assert.equal(reply.success, true);
+    await sleep(500);
+    assert.equal(session.makeChanges, 1);
+  });
+
+  await t.test('save_chat', async () => {
+    const messages = [
+      { role: 'user', text: 'A product video about tea' },
+      { role: 'agent', text: '' },
+      { role: 'agent', text: 'Your video is ready!', video: { videoUrl: `${fixture.url}/videos/test.mp4`, title: 'Tea' } }
+    ];
+    const sessionId = `ws-test-${Date.now()}`;
+    const saved = await client.request('save_chat', { sessionId, messages, title: 'WS test' });
+    assert.equal(saved.success, true);
+    // Messages without content are dropped
+    assert.equal(saved.data.messageCount, 2);
+    assert.equal((await chatStorage.getChatById(sessionId, EMAIL)).messages.length, 2);
+    await chatStorage.deleteChat(sessionId, EMAIL);
+
+    const invalid = await client.request('save_chat', { sessionId: 'ws-test', messages: 'nope' });
+    assert.equal(invalid.code, 'VALIDATION_FAILED');
+  });
+
+  await t.test('get_messages reports upstream errors', async () => {
+    const sent = await client.request('send_message', { message: 'This one breaks [fixture:error]' });
+    assert.equal(sent.success, true);
+    await waitForGeneration(client);
+    await sleep(1500);
+    const reply = await client.request('get_messages');
+    assert.equal(reply.hasError, true);
+    assert.match(reply.error, /Something went wrong/);
+  });
+});
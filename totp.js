@@ -0,0 +1,167 @@
+// TOTP (RFC 6238) helpers for two-factor authentication
+// Compatible with Google Authenticator, 1Password, Authy, ...: SHA-1, 6 digits, 30 second steps.
+// Only node crypto is used; provisioning happens through an otpauth:// URI the client renders as a QR code.
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step before/after the current one to tolerate clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a new random TOTP secret
+ * @returns {string} Base32-encoded 160-bit secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// HOTP value (RFC 4226) for a counter
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Computes the code for a given time
+ * @param {string} secret - Base32 secret
+ * @param {number} now - Timestamp in ms
+ * @returns {string}
+ */
+function generateCode(secret, now = Date.now()) {
+  return hotp(secret, currentStep(now));
+}
+
+/**
+ * Verifies a code against the secret
+ * Returns the matching time step so callers can reject reuse of an already accepted code.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options - { lastUsedStep, now }
+ * @returns {number|null} Matching step, or null when the code is invalid or was already used
+ */
+function verifyCode(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the otpauth:// provisioning URI (encode it as a QR code for authenticator apps)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer = 'ArenaGen' }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Recovery codes are compared case-insensitively and without the dash
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generates single-use recovery codes
+ * @returns {{ codes: Array<string>, hashes: Array<string> }} Plaintext codes (show once) and their hashes (store)
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Finds a recovery code among stored hashes
+ * @param {Array<string>} hashes - Stored recovery code hashes
+ * @param {string} code - Code typed by the user
+ * @returns {number} Index of the matching hash, or -1
+ */
+function findRecoveryCode(hashes, code) {
+  if (!Array.isArray(hashes) || !normalizeRecoveryCode(code)) return -1;
+  const candidate = Buffer.from(hashRecoveryCode(code), 'hex');
+  return hashes.findIndex(hash => {
+    const stored = Buffer.from(hash, 'hex');
+    return stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+  });
+}
+
+export {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  findRecoveryCode
+};
@@ -2,15 +2,31 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createServer } from 'http';
-import { authRouter } from './auth-server.js';
+import { authRouter, passwordMigration, startUpstreamHealthMonitor } from './auth-server.js';
 import { proxyRouter, initBrowser } from './playwright-live-proxy.js';
+import { assertProductionSecrets } from './signing-keys.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 3000;
+
+// Never run in production with a guessable token signing secret
+try {
+  assertProductionSecrets();
+} catch (err) {
+  console.error('❌ Refusing to start:', err.message);
+  process.exit(1);
+}
+
 const app = express();
 
+// In production we run behind one reverse proxy (Render); trust it so req.ip is the client
+// address used by login throttling
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
 // Create HTTP server for WebSocket support
 const server = createServer(app);
 
@@ -26,8 +42,8 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'frontend', 'build', 'index.html'));
 });
 
-// Initialize browser before starting server
-initBrowser(server).then(() => {
+// Initialize browser (and finish migrating stored passwords) before starting server
+Promise.all([initBrowser(server), passwordMigration]).then(() => {
   server.listen(PORT, () => {
     console.log(`╔════════════════════════════════════════════════════════╗`);
     console.log(`║ 🚀 ArenaGen - Unified Server                          ║`);
@@ -37,6 +53,9 @@ initBrowser(server).then(() => {
     console.log(`║ Auth API: http://localhost:${PORT}/auth                   ║`);
     console.log(`║ Proxy API: http://localhost:${PORT}/proxy                 ║`);
     console.log(`╚════════════════════════════════════════════════════════╝`);
+
+    // Proactively validate and refresh upstream HeyGen sessions
+    startUpstreamHealthMonitor();
   });
 }).catch(err => {
   console.error('❌ Failed to initialize browser:', err);
@@ -0,0 +1,276 @@
+// Pool of upstream HeyGen accounts
+// Each account has its own cookie/storage files (refreshed by the auth server) and every
+// ArenaGen user is pinned to one account so their HeyGen history stays in one place.
+//
+// Configure with HEYGEN_ACCOUNTS (JSON array of { id?, email, password }).
+// Without it a single 'default' account is built from HEYGEN_EMAIL / HEYGEN_PASSWORD
+// and keeps using the legacy heygen-cookies.json / heygen-storage.json files.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dataPath } from './storage-paths.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function upstreamDir() {
+  return dataPath('upstream');
+}
+function stateFile() {
+  return dataPath('upstream', 'state.json');
+}
+const DEFAULT_ACCOUNT_ID = 'default';
+
+// Parsed lazily: env vars are loaded by dotenv after this module is imported
+let accounts = null;
+
+// Build the account list from the environment
+function parseAccounts() {
+  const raw = process.env.HEYGEN_ACCOUNTS;
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (!Array.isArray(parsed) || parsed.length === 0) {
+        throw new Error('expected a non-empty JSON array');
+      }
+      const seen = new Set();
+      return parsed.map((entry, index) => {
+        const id = String(entry.id || `account${index + 1}`).replace(/[^a-zA-Z0-9_-]/g, '_');
+        if (seen.has(id)) {
+          throw new Error(`duplicate account id '${id}'`);
+        }
+        seen.add(id);
+        return {
+          id,
+          email: entry.email,
+          password: entry.password,
+          cookiesFile: path.join(upstreamDir(), `${id}-cookies.json`),
+          storageFile: path.join(upstreamDir(), `${id}-storage.json`)
+        };
+      });
+    } catch (err) {
+      console.error(`❌ Invalid HEYGEN_ACCOUNTS (${err.message}) - falling back to HEYGEN_EMAIL/HEYGEN_PASSWORD`);
+    }
+  }
+
+  return [{
+    id: DEFAULT_ACCOUNT_ID,
+    email: process.env.HEYGEN_EMAIL,
+    password: process.env.HEYGEN_PASSWORD,
+    cookiesFile: path.join(__dirname, 'heygen-cookies.json'),
+    storageFile: path.join(__dirname, 'heygen-storage.json')
+  }];
+}
+
+/**
+ * Returns every configured upstream account (including credentials - never send these to clients)
+ * @returns {Array<Object>} [{ id, email, password, cookiesFile, storageFile }]
+ */
+function getAccounts() {
+  if (!accounts) {
+    accounts = parseAccounts();
+    console.log(`🏊 Upstream account pool: ${accounts.map(a => a.id).join(', ')}`);
+  }
+  return accounts;
+}
+
+function getAccount(accountId) {
+  return getAccounts().find(a => a.id === accountId) || null;
+}
+
+// ============ Cookie files ============
+
+/**
+ * Reads the saved cookies of an account
+ * @param {string} accountId - Account id
+ * @returns {Object|null} { cookies, expiry, savedAt } or null when missing/unreadable
+ */
+function readAccountCookies(accountId) {
+  const account = getAccount(accountId);
+  if (!account || !fs.existsSync(account.cookiesFile)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(account.cookiesFile, 'utf8'));
+    return {
+      cookies: Array.isArray(data) ? data : (data.cookies || []),
+      expiry: data.expiry || null,
+      savedAt: data.savedAt || null
+    };
+  } catch (err) {
+    console.warn(`⚠️  Could not parse cookies for upstream account ${accountId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Saves the cookies of an account
+ * @param {string} accountId - Account id
+ * @param {Array} cookies - Playwright cookies
+ * @param {number} expiry - Expiry timestamp (ms)
+ */
+function writeAccountCookies(accountId, cookies, expiry) {
+  const account = getAccount(accountId);
+  if (!account) throw new Error(`Unknown upstream account: ${accountId}`);
+  fs.mkdirSync(path.dirname(account.cookiesFile), { recursive: true });
+  fs.writeFileSync(account.cookiesFile, JSON.stringify({
+    cookies,
+    expiry,
+    savedAt: new Date().toISOString()
+  }, null, 2));
+}
+
+// True when the account has saved cookies that have not expired
+function isAccountSessionValid(accountId) {
+  const data = readAccountCookies(accountId);
+  if (!data || data.cookies.length === 0) return false;
+  return !data.expiry || Date.now() <= data.expiry;
+}
+
+// ============ Health and assignment state ============
+
+// Load { health, assignments } from the state file
+function loadState() {
+  try {
+    if (fs.existsSync(stateFile())) {
+      const parsed = JSON.parse(fs.readFileSync(stateFile(), 'utf8'));
+      return { health: parsed.health || {}, assignments: parsed.assignments || {} };
+    }
+  } catch (err) {
+    console.error('❌ Error loading upstream account state:', err.message);
+  }
+  return { health: {}, assignments: {} };
+}
+
+function saveState(state) {
+  fs.mkdirSync(upstreamDir(), { recursive: true });
+  fs.writeFileSync(stateFile(), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Records the outcome of a session refresh for an account
+ * @param {string} accountId - Account id
+ * @param {Object} params - { healthy, error }
+ */
+function setAccountHealth(accountId, { healthy, error = null }) {
+  const state = loadState();
+  const previous = state.health[accountId] || {};
+  state.health[accountId] = {
+    ...previous,
+    healthy: !!healthy,
+    lastError: healthy ? null : error,
+    lastRefreshAt: healthy ? new Date().toISOString() : (previous.lastRefreshAt || null),
+    updatedAt: new Date().toISOString()
+  };
+  saveState(state);
+}
+
+/**
+ * Records the outcome of a session validation request for an account
+ * A network error says nothing about the cookies, so it leaves `healthy` unchanged.
+ * @param {string} accountId - Account id
+ * @param {Object} check - { result: 'ok' | 'unauthorized' | 'error', status, error }
+ */
+function recordHealthCheck(accountId, { result, status = null, error = null }) {
+  const state = loadState();
+  const previous = state.health[accountId] || {};
+  state.health[accountId] = {
+    ...previous,
+    healthy: result === 'error' ? previous.healthy !== false : result === 'ok',
+    lastError: result === 'ok' ? null : error,
+    lastCheckAt: new Date().toISOString(),
+    lastCheckResult: result,
+    lastCheckStatus: status,
+    updatedAt: new Date().toISOString()
+  };
+  saveState(state);
+}
+
+// An account is healthy when its last refresh did not fail and its cookies are still valid
+function isAccountHealthy(accountId, state = loadState()) {
+  return state.health[accountId]?.healthy !== false && isAccountSessionValid(accountId);
+}
+
+/**
+ * Picks the upstream account for a user's new browser context
+ * Users keep their previous account while it is healthy; otherwise the least-loaded healthy
+ * account is chosen (ties go to the account listed first). When no account is healthy the
+ * previous assignment (or the first account) is used without being saved, so the request can
+ * still be attempted.
+ * @param {string} userEmail - ArenaGen user email
+ * @param {Object} load - { [accountId]: number of open browser contexts }
+ * @returns {string} Account id
+ */
+function assignAccount(userEmail, load = {}) {
+  const pool = getAccounts();
+  const state = loadState();
+  const current = state.assignments[userEmail];
+  const currentId = current && getAccount(current.accountId) ? current.accountId : null;
+
+  if (currentId && isAccountHealthy(currentId, state)) {
+    return currentId;
+  }
+
+  const healthy = pool.filter(a => isAccountHealthy(a.id, state));
+  if (healthy.length === 0) {
+    // Not persisted: the user gets a proper assignment once an account is healthy again
+    const fallbackId = currentId || pool[0].id;
+    console.warn(`⚠️  No healthy upstream account available - using ${fallbackId} for ${userEmail}`);
+    return fallbackId;
+  }
+
+  const accountId = healthy.reduce((best, a) => ((load[a.id] || 0) < (load[best.id] || 0) ? a : best)).id;
+
+  if (accountId !== currentId) {
+    state.assignments[userEmail] = { accountId, assignedAt: new Date().toISOString() };
+    saveState(state);
+    console.log(`🏊 Assigned ${userEmail} to upstream account ${accountId}${currentId ? ` (was ${currentId})` : ''}`);
+  }
+  return accountId;
+}
+
+// Account a user is currently pinned to (null if never assigned)
+function getAssignedAccountId(userEmail) {
+  const assignment = loadState().assignments[userEmail];
+  return assignment && getAccount(assignment.accountId) ? assignment.accountId : null;
+}
+
+/**
+ * Summarises the pool without credentials
+ * @param {Object} load - { [accountId]: number of open browser contexts }
+ * @returns {Array<Object>}
+ */
+function listAccountStatus(load = {}) {
+  const state = loadState();
+  return getAccounts().map(account => {
+    const cookies = readAccountCookies(account.id);
+    const health = state.health[account.id] || {};
+    return {
+      id: account.id,
+      email: account.email || null,
+      healthy: isAccountHealthy(account.id, state),
+      sessionValid: isAccountSessionValid(account.id),
+      expiry: cookies?.expiry ? new Date(cookies.expiry).toISOString() : null,
+      lastRefreshAt: health.lastRefreshAt || null,
+      lastCheckAt: health.lastCheckAt || null,
+      lastCheckResult: health.lastCheckResult || null,
+      lastError: health.lastError || null,
+      assignedUsers: Object.values(state.assignments).filter(a => a.accountId === account.id).length,
+      openContexts: load[account.id] || 0
+    };
+  });
+}
+
+export {
+  DEFAULT_ACCOUNT_ID,
+  getAccounts,
+  getAccount,
+  readAccountCookies,
+  writeAccountCookies,
+  isAccountSessionValid,
+  setAccountHealth,
+  recordHealthCheck,
+  isAccountHealthy,
+  assignAccount,
+  getAssignedAccountId,
+  listAccountStatus
+};
@@ -0,0 +1,51 @@
+// Where the upstream app lives
+// UPSTREAM_TARGET points the browser pipeline at another origin, e.g. the local fixture site
+// (npm run fixture) so the proxy can run end-to-end without app.heygen.com.
+// UPSTREAM_VIDEO_ORIGIN is where finished videos are served from (loading animations and
+// other media are told apart by it).
+// Both are read lazily: env vars are loaded by dotenv after this module is imported.
+
+const DEFAULT_TARGET = 'https://app.heygen.com';
+const DEFAULT_VIDEO_ORIGIN = 'https://resource2.heygen.ai';
+
+function getTarget() {
+  return (process.env.UPSTREAM_TARGET || DEFAULT_TARGET).replace(/\/+$/, '');
+}
+
+/**
+ * Absolute upstream URL of a path
+ * @param {string} pathname - Path starting with '/', e.g. '/home'
+ * @returns {string}
+ */
+function upstreamUrl(pathname = '') {
+  return getTarget() + pathname;
+}
+
+// True when an absolute URL is on the upstream app under the given path
+function isUpstreamUrl(url, pathname = '/') {
+  return String(url).startsWith(upstreamUrl(pathname));
+}
+
+// Path (with query) of an upstream URL, as the frontend routes it
+function toUpstreamPath(url) {
+  return String(url).replace(getTarget(), '');
+}
+
+// Origin finished videos are served from, with a trailing slash (for startsWith checks)
+function getVideoOrigin() {
+  return (process.env.UPSTREAM_VIDEO_ORIGIN || DEFAULT_VIDEO_ORIGIN).replace(/\/*$/, '/');
+}
+
+// True for finished-video URLs (not loading animations or other media)
+function isUpstreamVideoUrl(url) {
+  return !!url && String(url).startsWith(getVideoOrigin()) && !String(url).includes('liteSharePreviewAnimation');
+}
+
+export {
+  getTarget,
+  upstreamUrl,
+  isUpstreamUrl,
+  toUpstreamPath,
+  getVideoOrigin,
+  isUpstreamVideoUrl
+};
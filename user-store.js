@@ -0,0 +1,523 @@
+// User store backed by users.json
+// Passwords are kept as salted scrypt hashes; plaintext entries are migrated on startup
+
+import fs from 'fs';
+import crypto from 'crypto';
+import * as totp from './totp.js';
+import { getUsersFile } from './storage-paths.js';
+
+function usersFile() {
+  return getUsersFile();
+}
+
+// scrypt cost parameters (N must be a power of two)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const VALID_ROLES = ['admin', 'user'];
+
+/**
+ * Derives a scrypt key as a Promise
+ * @param {string} password - Plaintext password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt parameters
+ * @returns {Promise<Buffer>}
+ */
+function scrypt(password, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Hashes a password into a self-describing string: scrypt$N$r$p$salt$hash
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plaintext password
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+  const [scheme, N, r, p, saltB64, hashB64] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  try {
+    const expected = Buffer.from(hashB64, 'base64');
+    const key = await scrypt(password, Buffer.from(saltB64, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+  } catch (err) {
+    console.error('❌ Error verifying password hash:', err.message);
+    return false;
+  }
+}
+
+// Load users from JSON file
+function loadUsers() {
+  try {
+    if (fs.existsSync(usersFile())) {
+      const data = fs.readFileSync(usersFile(), 'utf8');
+      const parsed = JSON.parse(data);
+      return { ...parsed, users: Array.isArray(parsed.users) ? parsed.users : [] };
+    }
+    return { users: [] };
+  } catch (err) {
+    console.error('❌ Error loading users:', err);
+    return { users: [] };
+  }
+}
+
+// Persist users to JSON file
+function saveUsers(usersData) {
+  fs.writeFileSync(usersFile(), JSON.stringify(usersData, null, 2));
+}
+
+/**
+ * Strips secrets from a user record before it leaves the server
+ * @param {Object} user - Stored user record
+ * @returns {Object}
+ */
+function toPublicUser(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    disabled: !!user.disabled,
+    twoFactorEnabled: !!user.totp,
+    identityProviders: (user.identities || []).map(i => i.provider),
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt || null
+  };
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function findUserByEmail(email) {
+  const target = normalizeEmail(email);
+  return loadUsers().users.find(u => normalizeEmail(u.email) === target) || null;
+}
+
+function findUserById(id) {
+  return loadUsers().users.find(u => String(u.id) === String(id)) || null;
+}
+
+function listUsers() {
+  return loadUsers().users.map(toPublicUser);
+}
+
+/**
+ * Validates credentials against the stored hash
+ * @param {string} email - User email
+ * @param {string} password - Plaintext password
+ * @returns {Promise<Object|null>} The user record, or null when invalid or disabled
+ */
+async function validateCredentials(email, password) {
+  const user = findUserByEmail(email);
+  if (!user || !user.passwordHash) return null;
+  const valid = await verifyPassword(password, user.passwordHash);
+  if (!valid || user.disabled) return null;
+  return user;
+}
+
+/**
+ * Creates a new user with a hashed password
+ * @param {Object} params - { email, username, password, role }
+ * @returns {Promise<Object>} The public view of the created user
+ */
+async function createUser({ email, username, password, role = 'user' }) {
+  if (!email || !password) {
+    throw new Error('Email and password are required');
+  }
+  const user = insertUser({ email, username, role, passwordHash: await hashPassword(password) });
+  console.log(`👤 Created user ${user.email} (role: ${role})`);
+  return toPublicUser(user);
+}
+
+/**
+ * Creates a user that signs in through an identity provider (no local password)
+ * @param {Object} params - { email, username, role, identity: { provider, subject } }
+ * @returns {Object} The public view of the created user
+ */
+function createExternalUser({ email, username, role = 'user', identity }) {
+  if (!email || !identity) {
+    throw new Error('Email and identity are required');
+  }
+  const user = insertUser({ email, username, role, identities: [{ ...identity, linkedAt: new Date().toISOString() }] });
+  console.log(`👤 Provisioned user ${user.email} from ${identity.provider} (role: ${role})`);
+  return toPublicUser(user);
+}
+
+// Validate and append a user record; returns the stored record
+function insertUser({ email, username, role, ...fields }) {
+  if (!VALID_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${VALID_ROLES.join(', ')}`);
+  }
+  if (findUserByEmail(email)) {
+    throw new Error('A user with this email already exists');
+  }
+
+  const usersData = loadUsers();
+  const nextId = usersData.users.reduce((max, u) => Math.max(max, parseInt(u.id, 10) || 0), 0) + 1;
+  const user = {
+    id: String(nextId),
+    username: username || String(email).split('@')[0],
+    email: String(email).trim(),
+    ...fields,
+    createdAt: new Date().toISOString(),
+    role,
+    disabled: false
+  };
+  usersData.users.push(user);
+  saveUsers(usersData);
+  return user;
+}
+
+/**
+ * Applies a change to a single user record and saves the file
+ * @param {string} id - User id
+ * @param {Function} mutate - Receives the stored record, may be async
+ * @returns {Promise<Object|null>} The public view of the updated user, or null if not found
+ */
+async function updateUser(id, mutate) {
+  const usersData = loadUsers();
+  const user = usersData.users.find(u => String(u.id) === String(id));
+  if (!user) return null;
+  await mutate(user);
+  user.updatedAt = new Date().toISOString();
+  saveUsers(usersData);
+  return toPublicUser(user);
+}
+
+// ============ External identities (single sign-on) ============
+
+function findUserByIdentity(provider, subject) {
+  return loadUsers().users.find(u =>
+    (u.identities || []).some(i => i.provider === provider && i.subject === String(subject))
+  ) || null;
+}
+
+function linkIdentity(id, { provider, subject }) {
+  return updateUser(id, user => {
+    user.identities = (user.identities || []).filter(i => i.provider !== provider);
+    user.identities.push({ provider, subject: String(subject), linkedAt: new Date().toISOString() });
+  });
+}
+
+function setUserRole(id, role) {
+  if (!VALID_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${VALID_ROLES.join(', ')}`);
+  }
+  return updateUser(id, user => {
+    user.role = role;
+  });
+}
+
+function setUserDisabled(id, disabled) {
+  return updateUser(id, user => {
+    user.disabled = !!disabled;
+  });
+}
+
+async function resetUserPassword(id, newPassword) {
+  const passwordHash = await hashPassword(newPassword);
+  return updateUser(id, user => {
+    user.passwordHash = passwordHash;
+    delete user.password;
+  });
+}
+
+// ============ Two-factor authentication (TOTP) ============
+
+/**
+ * Starts TOTP enrollment: stores a pending secret until the user confirms a code
+ * @param {string} id - User id
+ * @returns {Promise<Object|null>} { secret, otpauthUri }, or null if the user does not exist
+ */
+async function beginTotpEnrollment(id) {
+  const secret = totp.generateSecret();
+  let accountName = null;
+  const updated = await updateUser(id, user => {
+    user.totpPending = { secret, createdAt: new Date().toISOString() };
+    accountName = user.email;
+  });
+  if (!updated) return null;
+  return { secret, otpauthUri: totp.buildOtpauthUri({ secret, accountName }) };
+}
+
+/**
+ * Confirms enrollment with a code from the authenticator app and enables TOTP
+ * @param {string} id - User id
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Array<string>|null>} Plaintext recovery codes (shown once), or null when the code is wrong
+ */
+async function enableTotp(id, code) {
+  const user = findUserById(id);
+  if (!user || !user.totpPending) return null;
+  const step = totp.verifyCode(user.totpPending.secret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  await updateUser(id, stored => {
+    stored.totp = {
+      secret: stored.totpPending.secret,
+      enabledAt: new Date().toISOString(),
+      lastUsedStep: step,
+      recoveryCodes: hashes
+    };
+    delete stored.totpPending;
+  });
+  console.log(`🔐 Two-factor authentication enabled for ${user.email}`);
+  return codes;
+}
+
+function disableTotp(id) {
+  return updateUser(id, user => {
+    delete user.totp;
+    delete user.totpPending;
+  });
+}
+
+/**
+ * Checks a second factor and consumes it (TOTP codes cannot be replayed, recovery codes are single-use)
+ * @param {string} id - User id
+ * @param {Object} params - { code, recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery' when accepted, otherwise null
+ */
+async function verifySecondFactor(id, { code = null, recoveryCode = null }) {
+  const user = findUserById(id);
+  if (!user || !user.totp || user.disabled) return null;
+
+  if (code) {
+    const step = totp.verifyCode(user.totp.secret, code, { lastUsedStep: user.totp.lastUsedStep ?? null });
+    if (step === null) return null;
+    await updateUser(id, stored => {
+      stored.totp.lastUsedStep = step;
+    });
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const index = totp.findRecoveryCode(user.totp.recoveryCodes, recoveryCode);
+    if (index === -1) return null;
+    await updateUser(id, stored => {
+      stored.totp.recoveryCodes.splice(index, 1);
+    });
+    console.log(`🔐 Recovery code used by ${user.email} (${user.totp.recoveryCodes.length - 1} left)`);
+    return 'recovery';
+  }
+
+  return null;
+}
+
+/**
+ * Replaces the recovery codes of a user with TOTP enabled
+ * @param {string} id - User id
+ * @returns {Promise<Array<string>|null>} New plaintext codes, or null when TOTP is not enabled
+ */
+async function regenerateRecoveryCodes(id) {
+  const user = findUserById(id);
+  if (!user || !user.totp) return null;
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  await updateUser(id, stored => {
+    stored.totp.recoveryCodes = hashes;
+  });
+  return codes;
+}
+
+// Two-factor status for the account owner (never includes the secret)
+function getTwoFactorStatus(id) {
+  const user = findUserById(id);
+  if (!user) return null;
+  return {
+    enabled: !!user.totp,
+    enabledAt: user.totp?.enabledAt || null,
+    recoveryCodesRemaining: user.totp ? user.totp.recoveryCodes.length : 0,
+    enrollmentPending: !!user.totpPending,
+    // Single sign-on accounts have none; they confirm with the second factor alone
+    hasPassword: !!user.passwordHash
+  };
+}
+
+// ============ API keys ============
+
+// Keys look like ak_<id>_<secret>; only the SHA-256 of the whole key is stored
+const API_KEY_PREFIX = 'ak';
+const MAX_API_KEYS_PER_USER = 10;
+// lastUsedAt is written at most this often so scripted clients do not rewrite users.json on every call
+const API_KEY_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+// keyId -> time of the last lastUsedAt write from this process
+const apiKeyTouches = new Map();
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toPublicApiKey(apiKey) {
+  const { hash, ...rest } = apiKey;
+  return rest;
+}
+
+function isApiKeyExpired(apiKey, now = Date.now()) {
+  return !!apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= now;
+}
+
+/**
+ * Creates an API key for a user; the plaintext key is only returned here
+ * @param {string} id - User id
+ * @param {Object} params - { name, scopes, expiresAt }
+ * @returns {Promise<Object|null>} { key, apiKey }, or null if the user does not exist
+ */
+async function createApiKey(id, { name, scopes, expiresAt = null }) {
+  const user = findUserById(id);
+  if (!user) return null;
+  if ((user.apiKeys || []).length >= MAX_API_KEYS_PER_USER) {
+    throw new Error(`A user can have at most ${MAX_API_KEYS_PER_USER} API keys`);
+  }
+
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const key = `${API_KEY_PREFIX}_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = {
+    id: keyId,
+    name: String(name || 'API key').slice(0, 100),
+    scopes: [...new Set(scopes)],
+    hash: hashApiKey(key),
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    lastUsedAt: null
+  };
+  await updateUser(id, stored => {
+    stored.apiKeys = [...(stored.apiKeys || []), apiKey];
+  });
+  return { key, apiKey: toPublicApiKey(apiKey) };
+}
+
+function listApiKeys(id) {
+  const user = findUserById(id);
+  if (!user) return null;
+  return (user.apiKeys || []).map(toPublicApiKey);
+}
+
+/**
+ * Deletes an API key
+ * @param {string} id - User id
+ * @param {string} keyId - API key id
+ * @returns {Promise<Object|null>} The removed key, or null if it does not exist
+ */
+async function revokeApiKey(id, keyId) {
+  const user = findUserById(id);
+  const apiKey = user && (user.apiKeys || []).find(k => k.id === keyId);
+  if (!apiKey) return null;
+  await updateUser(id, stored => {
+    stored.apiKeys = (stored.apiKeys || []).filter(k => k.id !== keyId);
+  });
+  apiKeyTouches.delete(keyId);
+  return toPublicApiKey(apiKey);
+}
+
+/**
+ * Records that a key was used, in the background and at most once per API_KEY_TOUCH_INTERVAL_MS
+ * @param {string} userId - Owner of the key
+ * @param {Object} apiKey - Stored key record, as last loaded
+ */
+function touchApiKey(userId, apiKey) {
+  const now = Date.now();
+  const lastUsed = Math.max(apiKeyTouches.get(apiKey.id) || 0, apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0);
+  if (now - lastUsed <= API_KEY_TOUCH_INTERVAL_MS) return;
+  apiKeyTouches.set(apiKey.id, now);
+  updateUser(userId, stored => {
+    const current = (stored.apiKeys || []).find(k => k.id === apiKey.id);
+    if (current) current.lastUsedAt = new Date(now).toISOString();
+  }).catch(err => console.error(`❌ Error recording use of API key ${apiKey.id}:`, err));
+}
+
+/**
+ * Resolves the user behind an API key
+ * @param {string} key - Plaintext key from the Authorization header
+ * @returns {{ user: Object, apiKey: Object }|null} null when unknown, expired or the user is disabled
+ */
+function findUserByApiKey(key) {
+  const match = /^ak_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(String(key || ''));
+  if (!match) return null;
+
+  const usersData = loadUsers();
+  const user = usersData.users.find(u => (u.apiKeys || []).some(k => k.id === match[1]));
+  if (!user || user.disabled) return null;
+  const apiKey = user.apiKeys.find(k => k.id === match[1]);
+  const expected = Buffer.from(apiKey.hash, 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  if (isApiKeyExpired(apiKey)) return null;
+
+  touchApiKey(user.id, apiKey);
+  return { user, apiKey: toPublicApiKey(apiKey) };
+}
+
+/**
+ * One-time migration: replaces plaintext `password` fields with `passwordHash`
+ * Hashing takes a while, so each hash is applied to a freshly loaded file: users created or
+ * edited meanwhile are kept, and a password changed meanwhile is not overwritten.
+ * @returns {Promise<number>} Number of migrated users
+ */
+async function migratePlaintextPasswords() {
+  const plaintextUsers = loadUsers().users.filter(u => typeof u.password === 'string');
+  if (plaintextUsers.length === 0) return 0;
+
+  let migrated = 0;
+  for (const { id, password } of plaintextUsers) {
+    const passwordHash = await hashPassword(password);
+    await updateUser(id, user => {
+      if (user.password !== password) return;
+      user.passwordHash = passwordHash;
+      delete user.password;
+      migrated++;
+    });
+  }
+  console.log(`🔐 Migrated ${migrated} plaintext password(s) to scrypt hashes`);
+  return migrated;
+}
+
+export {
+  hashPassword,
+  verifyPassword,
+  loadUsers,
+  toPublicUser,
+  findUserByEmail,
+  findUserById,
+  listUsers,
+  validateCredentials,
+  createUser,
+  createExternalUser,
+  findUserByIdentity,
+  linkIdentity,
+  setUserRole,
+  setUserDisabled,
+  resetUserPassword,
+  migratePlaintextPasswords,
+  beginTotpEnrollment,
+  enableTotp,
+  disableTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorStatus,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findUserByApiKey,
+  VALID_ROLES
+};
@@ -0,0 +1,165 @@
+// Video generation jobs for the public REST API (/proxy/api/v1/jobs)
+// A job takes one prompt (plus optional attachments) through submission, generation and
+// saving of the finished video. The proxy drives the browser; this module only keeps the job
+// records, in data/video-jobs.json so clients can still read the outcome after a restart.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { dataPath } from './storage-paths.js';
+
+function jobsFile() {
+  return dataPath('video-jobs.json');
+}
+
+// queued -> submitting -> generating -> saving -> completed, or failed from any of them
+const JOB_STATUSES = ['queued', 'submitting', 'generating', 'saving', 'completed', 'failed'];
+const ACTIVE_STATUSES = ['queued', 'submitting', 'generating', 'saving'];
+// Finished jobs are forgotten after a week
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// { jobs: { [id]: job } }
+let state = null;
+
+function loadState() {
+  if (state) return state;
+  state = { jobs: {} };
+  try {
+    if (fs.existsSync(jobsFile())) {
+      const parsed = JSON.parse(fs.readFileSync(jobsFile(), 'utf8'));
+      state = { jobs: parsed.jobs || {} };
+    }
+  } catch (err) {
+    console.error('❌ Error loading video jobs:', err.message);
+  }
+  return state;
+}
+
+// Drop expired finished jobs, then persist
+function saveState() {
+  const now = Date.now();
+  for (const [id, job] of Object.entries(state.jobs)) {
+    if (!ACTIVE_STATUSES.includes(job.status) && now - new Date(job.updatedAt).getTime() > FINISHED_JOB_TTL_MS) {
+      delete state.jobs[id];
+    }
+  }
+  try {
+    fs.mkdirSync(path.dirname(jobsFile()), { recursive: true });
+    fs.writeFileSync(jobsFile(), JSON.stringify(state, null, 2));
+  } catch (err) {
+    console.error('❌ Error saving video jobs:', err.message);
+  }
+}
+
+/**
+ * Strips internal fields before a job is returned to its owner
+ * @param {Object} job - Stored job
+ * @returns {Object}
+ */
+function toPublicJob(job) {
+  if (!job) return null;
+  const { owner, ...rest } = job;
+  return {
+    ...rest,
+    links: {
+      self: `/proxy/api/v1/jobs/${job.id}`,
+      ...(job.status === 'completed' ? { video: `/proxy/api/v1/jobs/${job.id}/video` } : {})
+    }
+  };
+}
+
+/**
+ * Records a new job
+ * @param {Object} params - { owner, prompt, attachments: [names] }
+ * @returns {Object} The stored job
+ */
+function createJob({ owner, prompt, attachments = [] }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    owner,
+    status: 'queued',
+    prompt,
+    attachments,
+    progress: null,
+    heygenSessionId: null,
+    sessionUrl: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+  loadState().jobs[job.id] = job;
+  saveState();
+  return job;
+}
+
+function getJob(id) {
+  return loadState().jobs[id] || null;
+}
+
+/**
+ * Lists an owner's jobs, newest first
+ * @param {string} owner - Owner email
+ * @param {Object} options - { limit }
+ * @returns {Array<Object>}
+ */
+function listJobs(owner, { limit = 50 } = {}) {
+  return Object.values(loadState().jobs)
+    .filter(job => job.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+function countActiveJobs(owner) {
+  return Object.values(loadState().jobs)
+    .filter(job => job.owner === owner && ACTIVE_STATUSES.includes(job.status))
+    .length;
+}
+
+/**
+ * Applies changes to a job; moving to completed / failed stamps completedAt
+ * @param {string} id - Job id
+ * @param {Object} changes - Fields to update
+ * @returns {Object|null} The updated job
+ */
+function updateJob(id, changes) {
+  const job = loadState().jobs[id];
+  if (!job) return null;
+  if (changes.status && !JOB_STATUSES.includes(changes.status)) {
+    throw new Error(`Unknown job status: ${changes.status}`);
+  }
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  if (changes.status === 'completed' || changes.status === 'failed') {
+    job.completedAt = job.updatedAt;
+  }
+  saveState();
+  return job;
+}
+
+/**
+ * Fails jobs that were still running when the process stopped (their browser context is gone)
+ * @param {Object} options - { isResumable(job) } jobs the caller can pick up again are left alone
+ * @returns {number} Number of jobs marked as failed
+ */
+function failInterruptedJobs({ isResumable = () => false } = {}) {
+  const interrupted = Object.values(loadState().jobs)
+    .filter(job => ACTIVE_STATUSES.includes(job.status) && !isResumable(job));
+  for (const job of interrupted) {
+    updateJob(job.id, { status: 'failed', error: 'Interrupted by a server restart' });
+  }
+  return interrupted.length;
+}
+
+export {
+  JOB_STATUSES,
+  toPublicJob,
+  createJob,
+  getJob,
+  listJobs,
+  countActiveJobs,
+  updateJob,
+  failInterruptedJobs
+};
@@ -0,0 +1,83 @@
+// Local webhook receiver for developing and testing webhooks
+// Prints every event it receives and whether its signature is valid. It can answer with errors
+// for the first requests to exercise the retries.
+//
+// Run: WEBHOOK_SECRET=whsec_... npm run webhook-receiver (port WEBHOOK_RECEIVER_PORT, default 4001),
+// then register http://localhost:4001/ as a webhook (POST /proxy/api/v1/webhooks).
+// WEBHOOK_RECEIVER_FAIL_FIRST=2 answers 500 to the first two requests.
+
+import express from 'express';
+import { createServer } from 'http';
+import { verifySignature } from './webhooks.js';
+
+/**
+ * Creates a receiver
+ * @param {Object} options - { port, secret (signatures are not checked without one), failFirst, onEvent(event, { valid, headers }) }
+ * @returns {{ app, url: string, events: Array<Object>, start: Function, stop: Function }}
+ */
+function createWebhookReceiver({ port = 4001, secret = null, failFirst = 0, onEvent = null } = {}) {
+  const events = [];
+  let requests = 0;
+
+  const app = express();
+  app.use(express.raw({ type: '*/*', limit: '1mb' }));
+
+  app.post('*', (req, res) => {
+    requests++;
+    const body = req.body?.length ? req.body.toString('utf8') : '';
+    const valid = secret ? verifySignature(secret, req.get('X-ArenaGen-Signature'), body) : null;
+    if (secret && !valid) {
+      console.warn(`🚫 Rejected ${req.get('X-ArenaGen-Event') || 'request'}: invalid signature`);
+      return res.status(401).json({ error: 'invalid signature' });
+    }
+    if (requests <= failFirst) {
+      console.log(`💥 Failing request ${requests}/${failFirst} on purpose (${req.get('X-ArenaGen-Event')})`);
+      return res.status(500).json({ error: 'failing on purpose' });
+    }
+
+    let event = null;
+    try {
+      event = JSON.parse(body);
+    } catch (_) {
+      return res.status(400).json({ error: 'invalid JSON' });
+    }
+    events.push(event);
+    console.log(`🪝 ${event.type} (${req.get('X-ArenaGen-Delivery')})${valid ? ' ✅ signed' : ''}`, JSON.stringify(event.data));
+    onEvent?.(event, { valid, headers: req.headers });
+    res.json({ received: true });
+  });
+
+  let server = null;
+  return {
+    app,
+    url: `http://localhost:${port}/`,
+    events,
+    start() {
+      return new Promise((resolve, reject) => {
+        server = createServer(app);
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+      });
+    },
+    stop() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+}
+
+// If run directly, start a receiver configured from the environment
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const receiver = createWebhookReceiver({
+    port: parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 4001,
+    secret: process.env.WEBHOOK_SECRET || null,
+    failFirst: parseInt(process.env.WEBHOOK_RECEIVER_FAIL_FIRST, 10) || 0
+  });
+  receiver.start().then(() => {
+    console.log(`🪝 Webhook receiver listening at ${receiver.url}`);
+    if (!process.env.WEBHOOK_SECRET) {
+      console.log('   WEBHOOK_SECRET not set - signatures are not checked');
+    }
+  });
+}
+
+export { createWebhookReceiver };
@@ -0,0 +1,551 @@
+// Outgoing webhooks
+// Users register URLs that receive signed JSON events about their generations (see
+// WEBHOOK_EVENTS). Each event becomes one delivery per subscribed webhook; failed deliveries
+// are retried with exponential backoff. Webhooks and the delivery log live in data/webhooks.json,
+// so pending retries survive a restart (resumeDeliveries).
+//
+// Requests carry `X-ArenaGen-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+// signed with the webhook's secret; receivers check it with verifySignature.
+
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import { dataPath } from './storage-paths.js';
+
+function webhooksFile() {
+  return dataPath('webhooks.json');
+}
+
+const WEBHOOK_EVENTS = {
+  'generation.started': 'A prompt was submitted and the agent started working on it',
+  'generation.progress': 'The generation progress percentage changed',
+  'video.ready': 'A finished video is available at HeyGen',
+  'video.saved': 'A video was saved to the uploads folder'
+};
+// Sent by the test endpoint only; every webhook receives it regardless of its events
+const TEST_EVENT = 'webhook.test';
+
+const MAX_WEBHOOKS_PER_USER = 10;
+const DELIVERY_TIMEOUT_MS = 10000;
+// Retry after the base delay * 2^(attempt-1) (+ up to 10% jitter), MAX_ATTEMPTS attempts in total
+const MAX_ATTEMPTS = 6;
+// Read lazily: env vars are loaded by dotenv after this module is imported
+function getRetryBaseMs() {
+  return parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+}
+// Delivery log retention
+const MAX_DELIVERIES_PER_WEBHOOK = 100;
+const DELIVERY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Response bodies are kept in the log up to this length
+const MAX_LOGGED_RESPONSE_LENGTH = 1000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Addresses webhooks may not reach: unspecified, loopback, private, carrier-grade NAT,
+// link-local, benchmarking, multicast and reserved ranges (IPv4-mapped IPv6 addresses are
+// checked as IPv4, see isPrivateAddress)
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+// ::/96 covers ::, ::1 and the IPv4-compatible addresses; 64:ff9b::/96 is NAT64, which
+// translates to any IPv4 address
+for (const [network, prefix] of [['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// { webhooks: { [id]: webhook }, deliveries: [delivery] } (deliveries oldest first)
+let state = null;
+// Delivery id -> retry timer
+const retryTimers = new Map();
+
+function webhookError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function loadState() {
+  if (state) return state;
+  state = { webhooks: {}, deliveries: [] };
+  try {
+    if (fs.existsSync(webhooksFile())) {
+      const parsed = JSON.parse(fs.readFileSync(webhooksFile(), 'utf8'));
+      state = { webhooks: parsed.webhooks || {}, deliveries: parsed.deliveries || [] };
+    }
+  } catch (err) {
+    console.error('❌ Error loading webhooks:', err.message);
+  }
+  return state;
+}
+
+// Trim the delivery log (pending deliveries are always kept), then persist
+function saveState() {
+  const now = Date.now();
+  const kept = [];
+  const perWebhook = new Map();
+  for (const delivery of [...state.deliveries].reverse()) {
+    const count = perWebhook.get(delivery.webhookId) || 0;
+    const expired = now - new Date(delivery.createdAt).getTime() > DELIVERY_TTL_MS;
+    if (delivery.status === 'pending' || (state.webhooks[delivery.webhookId] && !expired && count < MAX_DELIVERIES_PER_WEBHOOK)) {
+      kept.push(delivery);
+      perWebhook.set(delivery.webhookId, count + 1);
+    }
+  }
+  state.deliveries = kept.reverse();
+  try {
+    fs.mkdirSync(path.dirname(webhooksFile()), { recursive: true });
+    // Contains the signing secrets
+    fs.writeFileSync(webhooksFile(), JSON.stringify(state, null, 2), { mode: 0o600 });
+  } catch (err) {
+    console.error('❌ Error saving webhooks:', err.message);
+  }
+}
+
+// Public view: never includes the secret
+function toPublicWebhook({ secret, owner, ...webhook }) {
+  return webhook;
+}
+
+function toPublicDelivery({ owner, ...delivery }) {
+  return delivery;
+}
+
+// Read lazily: env vars are loaded by dotenv after this module is imported
+function allowPrivateUrls() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:127.0.0.1, or ::ffff:7f00:1 as
+// URLs normalize it), or null
+function unmapIPv4(address) {
+  const match = /^::ffff:(.+)$/i.exec(address);
+  if (!match) return null;
+  if (net.isIPv4(match[1])) return match[1];
+  const groups = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(match[1]);
+  if (!groups) return null;
+  const [high, low] = [parseInt(groups[1], 16), parseInt(groups[2], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Whether an IP address is in a range webhooks may not reach (see PRIVATE_RANGES)
+ * @param {string} address - IPv4 or IPv6 address, without brackets
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const mapped = unmapIPv4(address);
+  if (mapped) return PRIVATE_RANGES.check(mapped, 'ipv4');
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isLocalHostname(host) {
+  return host === 'localhost' || host.endsWith('.localhost');
+}
+
+/**
+ * Checks a webhook target URL
+ * Only http(s) is accepted. Loopback, private and link-local targets are refused unless
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true (the proxy would otherwise post into its own network); host
+ * names are checked again when delivering, against the addresses they resolve to.
+ * @param {string} url - Target URL
+ * @returns {string} The normalized URL
+ * @throws {Error} status 400
+ */
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (_) {
+    throw webhookError('A valid URL is required', 400);
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw webhookError('Webhook URLs must use http or https', 400);
+  }
+  if (parsed.username || parsed.password) {
+    throw webhookError('Webhook URLs must not contain credentials', 400);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const isPrivate = isLocalHostname(host) || (net.isIP(host) !== 0 && isPrivateAddress(host));
+  if (isPrivate && !allowPrivateUrls()) {
+    throw webhookError('Webhook URLs must point to a public host', 400);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Refuses webhook URLs whose host is a private IP address or a localhost name (see validateUrl)
+ * Host names are checked by publicLookup instead, against the addresses actually connected to.
+ * @param {string} url - Webhook URL
+ * @throws {Error} When the host is private
+ */
+function assertPublicTarget(url) {
+  if (allowPrivateUrls()) return;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (isLocalHostname(host) || (net.isIP(host) !== 0 && isPrivateAddress(host))) {
+    throw new Error(`Refused: ${host} is a private address`);
+  }
+}
+
+/**
+ * dns.lookup for delivery connections that fails when the host resolves to a private address
+ * The check runs on the addresses the socket then connects to, so a host name cannot pass it
+ * and be resolved again to the internal network (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Refused: ${hostname} resolves to the private address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * POSTs a delivery body; redirects are not followed
+ * @param {string} url - Webhook URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - JSON body
+ * @returns {Promise<{ status: number, text: string }>}
+ */
+function postDelivery(url, headers, body) {
+  assertPublicTarget(url);
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowPrivateUrls() ? undefined : publicLookup,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        if (text.length < MAX_LOGGED_RESPONSE_LENGTH) text += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, text }));
+      response.on('error', () => resolve({ status: response.statusCode, text }));
+    });
+    request.on('error', err => reject(err.cause?.name === 'TimeoutError' ? err.cause : err));
+    request.end(body);
+  });
+}
+
+function validateEvents(events) {
+  if (events === undefined) return Object.keys(WEBHOOK_EVENTS);
+  if (!Array.isArray(events) || events.length === 0) {
+    throw webhookError('events must be a non-empty array', 400);
+  }
+  const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS[e]);
+  if (unknown.length > 0) {
+    throw webhookError(`Unknown event(s): ${unknown.join(', ')}`, 400);
+  }
+  return events.includes('*') ? ['*'] : [...new Set(events)];
+}
+
+/**
+ * Registers a webhook
+ * @param {string} owner - Owner email
+ * @param {Object} params - { url, events (default: all), description }
+ * @returns {{ webhook: Object, secret: string }} The secret is only returned here
+ * @throws {Error} status 400 on invalid input or when the owner has too many webhooks
+ */
+function createWebhook(owner, { url, events, description = '' }) {
+  const data = loadState();
+  const normalizedUrl = validateUrl(url);
+  const normalizedEvents = validateEvents(events);
+  if (Object.values(data.webhooks).filter(w => w.owner === owner).length >= MAX_WEBHOOKS_PER_USER) {
+    throw webhookError(`At most ${MAX_WEBHOOKS_PER_USER} webhooks are allowed`, 400);
+  }
+  const webhook = {
+    id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+    owner,
+    url: normalizedUrl,
+    events: normalizedEvents,
+    description: String(description).slice(0, 200),
+    active: true,
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  data.webhooks[webhook.id] = webhook;
+  saveState();
+  return { webhook: toPublicWebhook(webhook), secret: webhook.secret };
+}
+
+function findOwnWebhook(owner, webhookId) {
+  const webhook = loadState().webhooks[webhookId];
+  if (!webhook || webhook.owner !== owner) {
+    throw webhookError('Webhook not found', 404);
+  }
+  return webhook;
+}
+
+function listWebhooks(owner) {
+  return Object.values(loadState().webhooks)
+    .filter(w => w.owner === owner)
+    .map(toPublicWebhook);
+}
+
+/**
+ * Changes a webhook's url, events, description or active flag
+ * @returns {Object} The updated webhook
+ * @throws {Error} status 404 for unknown webhooks, 400 on invalid input
+ */
+function updateWebhook(owner, webhookId, { url, events, description, active }) {
+  const webhook = findOwnWebhook(owner, webhookId);
+  const changes = {};
+  if (url !== undefined) changes.url = validateUrl(url);
+  if (events !== undefined) changes.events = validateEvents(events);
+  if (description !== undefined) changes.description = String(description).slice(0, 200);
+  if (active !== undefined) changes.active = !!active;
+  Object.assign(webhook, changes, { updatedAt: new Date().toISOString() });
+  saveState();
+  return toPublicWebhook(webhook);
+}
+
+/**
+ * Removes a webhook; its pending retries are dropped with it
+ * @throws {Error} status 404 for unknown webhooks
+ */
+function deleteWebhook(owner, webhookId) {
+  findOwnWebhook(owner, webhookId);
+  const data = loadState();
+  delete data.webhooks[webhookId];
+  for (const delivery of data.deliveries.filter(d => d.webhookId === webhookId && d.status === 'pending')) {
+    clearTimeout(retryTimers.get(delivery.id));
+    retryTimers.delete(delivery.id);
+  }
+  data.deliveries = data.deliveries.filter(d => d.webhookId !== webhookId);
+  saveState();
+}
+
+// Whether an owner has an active webhook for this event (lets callers skip work nobody listens to)
+function hasSubscribers(owner, type = null) {
+  return Object.values(loadState().webhooks).some(w =>
+    w.owner === owner && w.active && (!type || w.events.includes('*') || w.events.includes(type)));
+}
+
+// ============ Signing ============
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Verifies an X-ArenaGen-Signature header (for receivers)
+ * @param {string} secret - Webhook secret
+ * @param {string} header - Signature header value
+ * @param {string|Buffer} body - Raw request body
+ * @param {Object} options - { toleranceSeconds } maximum age of the signature
+ * @returns {boolean}
+ */
+function verifySignature(secret, header, body, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body.toString()), 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// ============ Delivery ============
+
+function retryDelay(attempt) {
+  const delay = getRetryBaseMs() * 2 ** (attempt - 1);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+function scheduleRetry(delivery) {
+  clearTimeout(retryTimers.get(delivery.id));
+  const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    retryTimers.delete(delivery.id);
+    attemptDelivery(delivery.id);
+  }, delay);
+  // Pending retries must not keep the process alive
+  timer.unref?.();
+  retryTimers.set(delivery.id, timer);
+}
+
+// Post one attempt of a delivery and record the outcome
+async function attemptDelivery(deliveryId) {
+  const data = loadState();
+  const delivery = data.deliveries.find(d => d.id === deliveryId);
+  const webhook = delivery && data.webhooks[delivery.webhookId];
+  if (!delivery || delivery.status !== 'pending') return;
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook was deleted';
+    saveState();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  delivery.attempts++;
+  delivery.lastAttemptAt = new Date().toISOString();
+  let ok = false;
+  try {
+    const { status, text } = await postDelivery(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ArenaGen-Webhooks/1.0',
+      'X-ArenaGen-Event': delivery.event,
+      'X-ArenaGen-Delivery': delivery.id,
+      'X-ArenaGen-Signature': `t=${timestamp},v1=${sign(webhook.secret, timestamp, body)}`
+    }, body);
+    ok = status >= 200 && status < 300;
+    delivery.responseStatus = status;
+    delivery.responseBody = text.slice(0, MAX_LOGGED_RESPONSE_LENGTH);
+    delivery.lastError = ok ? null : `Receiver answered ${status}`;
+  } catch (err) {
+    delivery.responseStatus = null;
+    delivery.responseBody = null;
+    delivery.lastError = err.name === 'TimeoutError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  if (ok) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.warn(`⚠️  Webhook delivery ${delivery.id} (${delivery.event}) to ${webhook.url} failed after ${delivery.attempts} attempts: ${delivery.lastError}`);
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts)).toISOString();
+    scheduleRetry(delivery);
+  }
+  saveState();
+}
+
+function queueDelivery(webhook, payload) {
+  const delivery = {
+    id: `whd_${crypto.randomBytes(8).toString('hex')}`,
+    webhookId: webhook.id,
+    owner: webhook.owner,
+    event: payload.type,
+    eventId: payload.id,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    responseBody: null,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    lastAttemptAt: null,
+    nextAttemptAt: null
+  };
+  loadState().deliveries.push(delivery);
+  return delivery;
+}
+
+function buildEvent(type, data) {
+  return {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+/**
+ * Sends an event to every active webhook of the owner subscribed to it
+ * Returns immediately; deliveries run in the background.
+ * @param {string} owner - Owner email
+ * @param {string} type - Key of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {number} Number of deliveries queued
+ */
+function emitEvent(owner, type, data) {
+  const targets = Object.values(loadState().webhooks).filter(w =>
+    w.owner === owner && w.active && (w.events.includes('*') || w.events.includes(type)));
+  if (targets.length === 0) return 0;
+  const payload = buildEvent(type, data);
+  const deliveries = targets.map(webhook => queueDelivery(webhook, payload));
+  saveState();
+  for (const delivery of deliveries) attemptDelivery(delivery.id);
+  return deliveries.length;
+}
+
+/**
+ * Sends a webhook.test event to one webhook (also when it is inactive)
+ * @returns {Object} The queued delivery
+ * @throws {Error} status 404 for unknown webhooks
+ */
+function sendTestEvent(owner, webhookId) {
+  const webhook = findOwnWebhook(owner, webhookId);
+  const delivery = queueDelivery(webhook, buildEvent(TEST_EVENT, { webhookId: webhook.id }));
+  saveState();
+  attemptDelivery(delivery.id);
+  return toPublicDelivery(delivery);
+}
+
+/**
+ * Delivery log of a webhook, newest first
+ * @param {Object} options - { limit, status }
+ * @throws {Error} status 404 for unknown webhooks
+ */
+function listDeliveries(owner, webhookId, { limit = 50, status = null } = {}) {
+  findOwnWebhook(owner, webhookId);
+  return loadState().deliveries
+    .filter(d => d.webhookId === webhookId && (!status || d.status === status))
+    .reverse()
+    .slice(0, limit)
+    .map(toPublicDelivery);
+}
+
+/**
+ * Sends a logged delivery again, as a new delivery with the same event payload
+ * @returns {Object} The new delivery
+ * @throws {Error} status 404 for unknown webhooks or deliveries
+ */
+function redeliver(owner, webhookId, deliveryId) {
+  const webhook = findOwnWebhook(owner, webhookId);
+  const original = loadState().deliveries.find(d => d.id === deliveryId && d.webhookId === webhookId);
+  if (!original) {
+    throw webhookError('Delivery not found', 404);
+  }
+  const delivery = queueDelivery(webhook, original.payload);
+  saveState();
+  attemptDelivery(delivery.id);
+  return toPublicDelivery(delivery);
+}
+
+/**
+ * Re-schedules deliveries that were pending when the process stopped; call once on startup
+ * @returns {number} Number of deliveries resumed
+ */
+function resumeDeliveries() {
+  const pending = loadState().deliveries.filter(d => d.status === 'pending');
+  for (const delivery of pending) {
+    if (!delivery.nextAttemptAt) delivery.nextAttemptAt = new Date().toISOString();
+    scheduleRetry(delivery);
+  }
+  return pending.length;
+}
+
+export {
+  WEBHOOK_EVENTS,
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  hasSubscribers,
+  verifySignature,
+  emitEvent,
+  sendTestEvent,
+  listDeliveries,
+  redeliver,
+  resumeDeliveries
+};
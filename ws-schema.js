@@ -0,0 +1,553 @@
+// WebSocket protocol between the frontend (or any client) and the Playwright proxy
+// Every request is `{ action, v?, requestId?, ...params }`. Every answer to it echoes `action`
+// (or the documented reply action), `requestId` and the protocol version `v`, and failures carry
+// a machine-readable `code` from ERROR_CODES next to the human-readable `error`.
+//
+// ACTIONS is the single description of the protocol: requests are validated against it before
+// they reach the browser, and describeSchema() turns it into JSON Schema for client code
+// generators (served at GET /proxy/api/v1/ws-schema and by the describe_schema action).
+
+const WS_PROTOCOL_VERSION = 1;
+
+const ERROR_CODES = {
+  INVALID_JSON: 'The message is not valid JSON',
+  INVALID_REQUEST: 'The message is not a request object with a string action',
+  UNSUPPORTED_VERSION: 'The requested protocol version is not supported',
+  UNKNOWN_ACTION: 'The action does not exist',
+  VALIDATION_FAILED: 'The request parameters do not match the schema (see details)',
+  FORBIDDEN: 'The user may not run this action',
+  RATE_LIMITED: 'Too many requests for this action, retry later',
+  QUEUE_FULL: 'Too many browser operations are waiting for this user',
+  UNAVAILABLE: 'Browser work is paused (e.g. during an upstream drain), retry shortly',
+  NO_SESSION: 'No browser session could be opened for this connection',
+  CAPACITY_REACHED: 'Every browser context is in use or memory is short, retry shortly',
+  NOT_CONTROLLER: 'Another client controls the browser session; take control first',
+  ACTION_FAILED: 'The action ran but did not succeed',
+  INTERNAL_ERROR: 'Unexpected server error'
+};
+
+// Fields every request may carry besides its params
+const ENVELOPE_FIELDS = {
+  action: { type: 'string', required: true, description: 'Action name' },
+  v: { type: 'integer', description: `Protocol version (defaults to ${WS_PROTOCOL_VERSION})` },
+  requestId: { type: ['string', 'number'], maxLength: 128, description: 'Echoed on every reply to this request' }
+};
+
+// Fields of every reply
+const RESPONSE_ENVELOPE = {
+  v: { type: 'integer', required: true, description: 'Protocol version' },
+  action: { type: 'string', required: true, description: 'Request action, or one of replyActions' },
+  requestId: { type: ['string', 'number'], description: 'requestId of the request being answered' },
+  success: { type: 'boolean', description: 'false on failure' },
+  error: { type: 'string', description: 'Error message (failures)' },
+  code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Error code (failures)' },
+  details: { type: 'array', description: 'Per-field problems (VALIDATION_FAILED)' }
+};
+
+const VIDEO = {
+  type: 'object',
+  properties: {
+    videoUrl: { type: 'string', required: true },
+    poster: { type: 'string' },
+    title: { type: 'string' }
+  }
+};
+
+const PROGRESS = {
+  type: 'object',
+  properties: {
+    isGenerating: { type: 'boolean', required: true },
+    percentage: { type: 'number' },
+    currentStatus: { type: 'string' },
+    currentStep: { type: 'string' },
+    message: { type: 'string' },
+    steps: { type: 'array' }
+  }
+};
+
+const MESSAGES = { type: 'array', items: { type: 'object' }, description: 'Chat messages in page order' };
+
+const PRESENCE = {
+  presence: {
+    type: 'object',
+    properties: {
+      sessionOwner: { type: 'string', description: 'Email of the user whose browser session this is' },
+      controllerId: { type: ['string', 'null'] },
+      clients: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            clientId: { type: 'string', required: true },
+            email: { type: 'string' },
+            role: { type: 'string', enum: ['controller', 'observer'] },
+            owner: { type: 'boolean' },
+            attachedAt: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  you: {
+    type: 'object',
+    properties: {
+      clientId: { type: 'string' },
+      role: { type: 'string', enum: ['controller', 'observer'] }
+    }
+  }
+};
+
+// Base file or folder name: no path separators, no "..".
+const PATH_SEGMENT = '^(?!\\.\\.?$)[^/\\\\]+$';
+const PATH_SEGMENT_MESSAGE = 'must be a plain name without path separators';
+
+/**
+ * Protocol description
+ * name -> { description, session, control, params, response, replyActions }
+ *   session: needs the connection's browser page
+ *   control: drives the page, so only the client controlling a shared session may run it
+ *   params / response: field specs { type, required, description, enum, items, properties,
+ *     minLength, maxLength, pattern, patternMessage, minimum, maximum }
+ *   replyActions: actions the reply may be sent under instead of the request action
+ */
+const ACTIONS = {
+  authenticate: {
+    description: 'Authenticates the connection with an access token',
+    params: { token: { type: 'string', required: true, minLength: 1 } },
+    replyActions: ['authenticated', 'authentication_failed'],
+    response: { email: { type: 'string' } }
+  },
+  describe_schema: {
+    description: 'Returns this protocol description',
+    params: {},
+    response: { schema: { type: 'object' } }
+  },
+  navigate: {
+    description: 'Opens a HeyGen path in the browser page; agent paths are not navigated and answered with blocked: true',
+    control: true,
+    params: {
+      url: { type: 'string', required: true, description: 'Path relative to the HeyGen app, e.g. /home' },
+      loadFromHistory: { type: 'boolean' }
+    },
+    replyActions: ['get_messages'],
+    response: {
+      status: { type: 'string' },
+      url: { type: 'string' },
+      blocked: { type: 'boolean' },
+      messages: MESSAGES
+    }
+  },
+  back: {
+    description: 'Goes back in the browser history',
+    session: true,
+    control: true,
+    params: {},
+    response: {}
+  },
+  initial_load: {
+    description: 'Reads the chat of the current agent page, loading the videos of all its cards',
+    session: true,
+    control: true,
+    params: {},
+    response: { messages: MESSAGES, complete: { type: 'boolean' } }
+  },
+  get_messages: {
+    description: 'Reads the chat of the current agent page',
+    session: true,
+    control: true,
+    params: {},
+    response: {
+      messages: MESSAGES,
+      hasError: { type: 'boolean', description: 'HeyGen shows an error in the chat' }
+    }
+  },
+  debug_dom: {
+    description: 'Describes the DOM of the browser page (admins)',
+    session: true,
+    params: {},
+    response: { data: { type: 'object' } }
+  },
+  get_video_url: {
+    description: 'Reads the video of the most recent video card',
+    session: true,
+    control: true,
+    params: {},
+    response: { data: VIDEO }
+  },
+  extract_all_video_urls: {
+    description: 'Reads every finished video of the current agent page',
+    session: true,
+    params: {},
+    response: {
+      data: {
+        type: 'object',
+        properties: {
+          videos: { type: 'array', items: VIDEO },
+          totalFound: { type: 'integer' }
+        }
+      }
+    }
+  },
+  upload_files: {
+    description: 'Attaches files to the prompt input',
+    session: true,
+    control: true,
+    params: {
+      files: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', required: true, minLength: 1 },
+            content: { type: 'string', required: true, description: 'Base64 file content' },
+            type: { type: 'string', description: 'MIME type' }
+          }
+        }
+      },
+      navigateToHome: { type: 'boolean', description: 'Open the HeyGen home page first' }
+    },
+    response: { filesCount: { type: 'integer' } }
+  },
+  send_message: {
+    description: 'Sends a prompt to the agent',
+    session: true,
+    control: true,
+    params: {
+      message: { type: 'string', required: true, pattern: '\\S', patternMessage: 'must not be blank', description: 'Prompt text' },
+      currentPath: { type: 'string', description: 'Frontend path; /home starts a new chat' }
+    },
+    response: {}
+  },
+  subscribe_updates: {
+    description: 'Starts pushed page updates (progress_updated, messages_updated, video_ready)',
+    session: true,
+    params: {},
+    response: {}
+  },
+  unsubscribe_updates: {
+    description: 'Stops pushed page updates',
+    params: {},
+    response: {}
+  },
+  get_generation_progress: {
+    description: 'Reads the video generation progress',
+    session: true,
+    params: {},
+    response: { data: PROGRESS }
+  },
+  save_video: {
+    description: 'Downloads a video into a user folder',
+    params: {
+      videoUrl: { type: 'string', required: true, pattern: '^https?://', patternMessage: 'must be an http(s) URL' },
+      videoName: { type: 'string', required: true, pattern: PATH_SEGMENT, patternMessage: PATH_SEGMENT_MESSAGE },
+      user: { type: 'string', required: true, pattern: PATH_SEGMENT, patternMessage: PATH_SEGMENT_MESSAGE }
+    },
+    response: { data: { type: 'object', properties: { videoPath: { type: 'string' } } } }
+  },
+  save_chat: {
+    description: 'Saves a chat to the user history',
+    params: {
+      sessionId: { type: 'string', required: true, minLength: 1 },
+      messages: { type: 'array', required: true, items: { type: 'object' } },
+      title: { type: 'string' },
+      composedPrompt: { type: 'string' }
+    },
+    response: { data: { type: 'object' } }
+  },
+  get_presence: {
+    description: 'Lists the clients attached to the browser session and who controls it',
+    params: {},
+    response: PRESENCE
+  },
+  take_control: {
+    description: 'Takes control of the browser session (clients of its owner only); the previous controller observes',
+    params: {},
+    response: PRESENCE
+  },
+  release_control: {
+    description: 'Gives up control; the session has no controller until a client takes it',
+    params: {},
+    response: PRESENCE
+  },
+  hand_off_control: {
+    description: 'Passes control to another client of the session owner',
+    params: { clientId: { type: 'string', required: true, minLength: 1 } },
+    response: PRESENCE
+  },
+  share_session: {
+    description: 'Creates a code (valid one hour) other users can watch this browser session with',
+    params: {},
+    response: { shareCode: { type: 'string' }, expiresAt: { type: 'string' } }
+  },
+  attach_session: {
+    description: 'Attaches to a shared browser session as observer; pushed updates start right away',
+    params: { shareCode: { type: 'string', required: true, minLength: 1 } },
+    response: PRESENCE
+  },
+  detach_session: {
+    description: 'Goes back to the own browser session',
+    params: {},
+    response: PRESENCE
+  },
+  find_and_click: {
+    description: 'Clicks an element of the browser page when it is visible',
+    session: true,
+    control: true,
+    params: {
+      selector: { type: 'string', minLength: 1, description: 'Playwright selector (default: the Make changes button)' },
+      timeout: { type: 'integer', minimum: 0, maximum: 60000, description: 'Milliseconds to wait for the element' }
+    },
+    response: { message: { type: 'string' } }
+  }
+};
+
+// Messages the server sends without a request
+const PUSHED_ACTIONS = {
+  queue_status: {
+    description: 'Position of a waiting request in the browser queue',
+    response: { requestAction: { type: 'string' }, position: { type: 'integer' } }
+  },
+  progress_updated: {
+    description: 'Generation progress changed (after subscribe_updates)',
+    response: { data: PROGRESS }
+  },
+  messages_updated: {
+    description: 'The chat changed (after subscribe_updates)',
+    response: { messages: MESSAGES, hasError: { type: 'boolean' } }
+  },
+  video_ready: {
+    description: 'A new video is finished (after subscribe_updates)',
+    response: { data: VIDEO }
+  },
+  presence: {
+    description: 'Clients or control of the browser session changed',
+    response: PRESENCE
+  },
+  session_recovered: {
+    description: 'The browser session was recreated after a crash and reopened where it was',
+    response: {
+      reason: { type: 'string', enum: ['browser_crash', 'page_crash', 'page_closed'] },
+      sessionId: { type: 'string', description: 'Agent session the page is on again, null on other pages' },
+      url: { type: 'string', description: 'Upstream path of the page' }
+    }
+  },
+  session_recovery_failed: {
+    description: 'The browser session could not be recreated (or kept crashing); the next request opens a new page',
+    response: {
+      reason: { type: 'string', enum: ['browser_crash', 'page_crash', 'page_closed'] },
+      error: { type: 'string' }
+    }
+  }
+};
+
+function protocolError(code, message, details = undefined) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some(t => matchesType(value, t));
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+// Collects { field, message } problems of one value
+function checkField(value, spec, field, problems) {
+  if (!matchesType(value, spec.type)) {
+    problems.push({ field, message: `must be ${[].concat(spec.type).join(' or ')}` });
+    return;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    problems.push({ field, message: `must be one of ${spec.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (spec.minLength !== undefined && value.length < spec.minLength) problems.push({ field, message: `must have at least ${spec.minLength} characters` });
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) problems.push({ field, message: `must have at most ${spec.maxLength} characters` });
+    if (spec.pattern && !new RegExp(spec.pattern).test(value)) problems.push({ field, message: spec.patternMessage || `must match ${spec.pattern}` });
+  }
+  if (typeof value === 'number') {
+    if (spec.minimum !== undefined && value < spec.minimum) problems.push({ field, message: `must be at least ${spec.minimum}` });
+    if (spec.maximum !== undefined && value > spec.maximum) problems.push({ field, message: `must be at most ${spec.maximum}` });
+  }
+  if (Array.isArray(value)) {
+    if (spec.minItems !== undefined && value.length < spec.minItems) problems.push({ field, message: `must have at least ${spec.minItems} items` });
+    if (spec.items) value.forEach((item, index) => checkField(item, spec.items, `${field}[${index}]`, problems));
+  }
+  if (spec.properties && matchesType(value, 'object')) {
+    checkFields(value, spec.properties, `${field}.`, problems);
+  }
+}
+
+function checkFields(object, specs, prefix, problems) {
+  for (const [name, spec] of Object.entries(specs)) {
+    const value = object[name];
+    if (value === undefined || value === null) {
+      if (spec.required) problems.push({ field: `${prefix}${name}`, message: 'is required' });
+      continue;
+    }
+    checkField(value, spec, `${prefix}${name}`, problems);
+  }
+}
+
+/**
+ * Validates a parsed request against the protocol
+ * Unknown extra fields are allowed, so older clients keep working.
+ * @param {*} data - Parsed message
+ * @returns {Object} The action definition
+ * @throws {Error} With `code` (INVALID_REQUEST, UNSUPPORTED_VERSION, UNKNOWN_ACTION,
+ *   VALIDATION_FAILED) and, for VALIDATION_FAILED, `details: [{ field, message }]`
+ */
+function validateRequest(data) {
+  if (!matchesType(data, 'object') || typeof data.action !== 'string' || !data.action) {
+    throw protocolError('INVALID_REQUEST', 'Request must be a JSON object with a string action');
+  }
+  const envelopeProblems = [];
+  checkFields(data, { v: ENVELOPE_FIELDS.v, requestId: ENVELOPE_FIELDS.requestId }, '', envelopeProblems);
+  if (envelopeProblems.length > 0) {
+    throw protocolError('INVALID_REQUEST', 'Invalid request envelope', envelopeProblems);
+  }
+  if (data.v !== undefined && data.v !== WS_PROTOCOL_VERSION) {
+    throw protocolError('UNSUPPORTED_VERSION', `Protocol version ${data.v} is not supported (server speaks ${WS_PROTOCOL_VERSION})`);
+  }
+
+  const definition = ACTIONS[data.action];
+  if (!definition) {
+    throw protocolError('UNKNOWN_ACTION', `Unknown action: ${data.action}`);
+  }
+  const problems = [];
+  checkFields(data, definition.params, '', problems);
+  if (problems.length > 0) {
+    const summary = problems.map(p => `${p.field} ${p.message}`).join('; ');
+    throw protocolError('VALIDATION_FAILED', `Invalid ${data.action} request: ${summary}`, problems);
+  }
+  return definition;
+}
+
+// Error code for an error carrying an HTTP-like status
+function codeForStatus(status) {
+  switch (status) {
+    case 400: return 'VALIDATION_FAILED';
+    case 403: return 'FORBIDDEN';
+    case 429: return 'RATE_LIMITED';
+    case 503: return 'UNAVAILABLE';
+    default: return status >= 500 ? 'INTERNAL_ERROR' : 'ACTION_FAILED';
+  }
+}
+
+/**
+ * Builds a failure reply
+ * @param {Object} request - The (possibly partial) request being answered
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} message - Human-readable error
+ * @param {Object} extra - Additional fields (details, status, ...)
+ * @returns {Object}
+ */
+function errorResponse(request, code, message, extra = {}) {
+  return {
+    v: WS_PROTOCOL_VERSION,
+    success: false,
+    action: typeof request?.action === 'string' ? request.action : 'error',
+    ...(request?.requestId !== undefined ? { requestId: request.requestId } : {}),
+    error: message,
+    code,
+    ...extra
+  };
+}
+
+/**
+ * Adds the envelope to a reply before it is sent: version, request action when missing,
+ * requestId, and an error code on failures that have none
+ * @param {string|Object} payload - Reply (JSON text or object)
+ * @param {Object} request - The request being answered
+ * @returns {string|*} JSON text (non-JSON payloads are returned untouched)
+ */
+function stampResponse(payload, request) {
+  let reply = payload;
+  if (typeof payload === 'string') {
+    try {
+      reply = JSON.parse(payload);
+    } catch (_) {
+      return payload;
+    }
+  }
+  if (!matchesType(reply, 'object')) return payload;
+
+  const stamped = { v: WS_PROTOCOL_VERSION, ...reply };
+  if (!stamped.action) stamped.action = request.action;
+  if (stamped.requestId === undefined && request.requestId !== undefined) stamped.requestId = request.requestId;
+  if (stamped.success === false && !stamped.code) {
+    stamped.code = stamped.status ? codeForStatus(stamped.status) : 'ACTION_FAILED';
+  }
+  return JSON.stringify(stamped);
+}
+
+// Field spec -> JSON Schema
+function toJsonSchema(spec) {
+  const { required, properties, items, patternMessage, ...rest } = spec;
+  const schema = { ...rest };
+  if (properties) Object.assign(schema, objectSchema(properties));
+  if (items) schema.items = toJsonSchema(items);
+  return schema;
+}
+
+function objectSchema(fields) {
+  const required = Object.keys(fields).filter(name => fields[name].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(fields).map(([name, spec]) => [name, toJsonSchema(spec)])),
+    ...(required.length > 0 ? { required } : {})
+  };
+}
+
+/**
+ * Machine-readable protocol description (JSON Schema per request and reply)
+ * @returns {Object}
+ */
+function describeSchema() {
+  const actions = {};
+  for (const [name, definition] of Object.entries(ACTIONS)) {
+    const request = objectSchema({ ...ENVELOPE_FIELDS, ...definition.params });
+    request.properties.action = { type: 'string', const: name };
+    actions[name] = {
+      description: definition.description,
+      requiresBrowserSession: !!definition.session,
+      requiresControl: !!definition.control,
+      request,
+      response: objectSchema({ ...RESPONSE_ENVELOPE, ...definition.response }),
+      ...(definition.replyActions ? { replyActions: definition.replyActions } : {})
+    };
+  }
+  const pushed = {};
+  for (const [name, definition] of Object.entries(PUSHED_ACTIONS)) {
+    pushed[name] = {
+      description: definition.description,
+      message: objectSchema({ v: RESPONSE_ENVELOPE.v, action: { type: 'string', required: true, const: name }, ...definition.response })
+    };
+  }
+  return {
+    version: WS_PROTOCOL_VERSION,
+    actions,
+    pushed,
+    errors: Object.entries(ERROR_CODES).map(([code, description]) => ({ code, description }))
+  };
+}
+
+export {
+  WS_PROTOCOL_VERSION,
+  ERROR_CODES,
+  ACTIONS,
+  validateRequest,
+  errorResponse,
+  stampResponse,
+  codeForStatus,
+  describeSchema
+};